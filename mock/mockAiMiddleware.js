@@ -0,0 +1,317 @@
+/**
+ * Mock AI Server Middleware
+ * Offline stand-in for the AI endpoints DSY Core talks to:
+ * - Gemini:  POST /gemini/models/<model>:generateContent
+ *            POST /gemini/models/<model>:streamGenerateContent?alt=sse
+ * - OpenAI:  POST /openai/chat/completions (stream: true supported)
+ *            GET  /openai/models
+ * - HF:      POST /hf/preprocess
+ *
+ * Responses come from recorded fixtures (mock/fixtures/*.json) when one matches,
+ * otherwise from the canned responses in src/services/mockResponses.js
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  buildMockHtmlResponse,
+  buildMockTailwindResponse,
+  buildMockReactResponse,
+  buildMockMultiPageResponse,
+  buildMockVueResponse,
+  buildMockSvelteResponse,
+  buildMockOptimizerResponse,
+  buildMockChatResponse,
+  buildMockTitle,
+  buildMockExplanationResponse,
+  MOCK_PREPROCESS_RESULT,
+} from '../src/services/mockResponses.js';
+
+const DEFAULT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const STREAM_CHUNK_SIZE = 80;
+const STREAM_DELAY_MS = 20;
+
+/**
+ * Load recorded fixtures from disk (re-read on every request so edits apply immediately)
+ * Each file: { "match": "substring of the prompt", "response": "raw model output" }
+ * Add "truncated": true to end the response at the token limit (MAX_TOKENS / length)
+ * @param {string} fixturesDir - Directory containing fixture JSON files
+ * @returns {Array} Fixtures sorted by file name
+ */
+function loadFixtures(fixturesDir) {
+  if (!fs.existsSync(fixturesDir)) return [];
+
+  return fs.readdirSync(fixturesDir)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(name => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(fixturesDir, name), 'utf8'));
+      } catch (error) {
+        console.warn(`⚠️ Skipping invalid mock fixture ${name}:`, error.message);
+        return null;
+      }
+    })
+    .filter(fixture => fixture?.match && typeof fixture.response === 'string');
+}
+
+/**
+ * Pull the user's own description out of a generator prompt
+ * @param {string} text - Full user prompt sent to the model
+ * @returns {string} Description text
+ */
+function extractDescription(text) {
+  const match = text.match(/(?:description|web page):\s*\n+([\s\S]*?)(?:\n\n|$)/i);
+  return (match ? match[1] : text).trim();
+}
+
+/**
+ * Pick the response for a request
+ * @param {Object} request - { system, text } extracted from the request body
+ * @param {Array} fixtures - Recorded fixtures
+ * @returns {{text: string, truncated: boolean}} Raw model output
+ */
+function pickResponse(request, fixtures) {
+  const haystack = `${request.system}\n${request.text}`;
+  const fixture = fixtures.find(f => haystack.includes(f.match));
+  if (fixture) return { text: fixture.response, truncated: fixture.truncated === true };
+
+  return { text: pickCannedResponse(request), truncated: false };
+}
+
+/**
+ * Pick a canned response by the prompt's generator markers
+ * @param {Object} request - { system, text } extracted from the request body
+ * @returns {string} Raw model output
+ */
+function pickCannedResponse({ system, text }) {
+  // Canned responses are never cut off - there is nothing to continue
+  if (system.includes('Continuation Writer')) return '';
+  if (system.includes('---TEXT---')) return buildMockOptimizerResponse(text);
+  if (system.includes('Vue Generator') || text.includes('---FILE: App.vue---')) {
+    return buildMockVueResponse(extractDescription(text));
+  }
+  if (system.includes('Svelte Generator') || text.includes('---FILE: App.svelte---')) {
+    return buildMockSvelteResponse(extractDescription(text));
+  }
+  if (system.includes('React Generator') || text.includes('---FILE:')) {
+    return buildMockReactResponse(extractDescription(text));
+  }
+  if (text.includes('MULTI-PAGE SITE')) {
+    return buildMockMultiPageResponse(extractDescription(text));
+  }
+  if (text.includes('STYLING: TAILWIND UTILITIES')) {
+    return buildMockTailwindResponse(extractDescription(text));
+  }
+  if (system.includes('Code Generator') || system.includes('Web Page Generator')) {
+    return buildMockHtmlResponse(extractDescription(text));
+  }
+  if (system.includes('explaining and modifying')) {
+    return buildMockChatResponse(text.split('User question:').pop().trim());
+  }
+  if (/project title/i.test(text)) {
+    return buildMockTitle(text.match(/Project description: "([^"]*)"/)?.[1] || text);
+  }
+  return buildMockExplanationResponse(text);
+}
+
+/**
+ * Extract system and user text from a Gemini generateContent body
+ * @param {Object} body - Request body
+ * @returns {{system: string, text: string}}
+ */
+function parseGeminiRequest(body) {
+  const system = (body.system_instruction?.parts || []).map(p => p.text || '').join('\n');
+  const lastContent = (body.contents || []).at(-1);
+  const text = (lastContent?.parts || []).map(p => p.text || '').join('\n');
+  return { system, text };
+}
+
+/**
+ * Extract system and user text from an OpenAI chat/completions body
+ * @param {Object} body - Request body
+ * @returns {{system: string, text: string}}
+ */
+function parseOpenAIRequest(body) {
+  const messageText = (message) => typeof message?.content === 'string'
+    ? message.content
+    : (message?.content || []).filter(p => p.type === 'text').map(p => p.text).join('\n');
+
+  const messages = body.messages || [];
+  const system = messages.filter(m => m.role === 'system').map(messageText).join('\n');
+  const lastUser = messages.filter(m => m.role === 'user').at(-1);
+  return { system, text: messageText(lastUser) };
+}
+
+/**
+ * Split text into streaming chunks
+ * @param {string} text - Full response
+ * @returns {Array<string>} Chunks
+ */
+function chunkText(text) {
+  const chunks = [];
+  for (let i = 0; i < text.length; i += STREAM_CHUNK_SIZE) {
+    chunks.push(text.slice(i, i + STREAM_CHUNK_SIZE));
+  }
+  return chunks.length > 0 ? chunks : [''];
+}
+
+/**
+ * Write a list of SSE events with a small delay between them
+ * @param {http.ServerResponse} res - Response
+ * @param {Array<string>} payloads - Serialized event payloads
+ */
+async function writeSSE(res, payloads) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+  });
+
+  for (const payload of payloads) {
+    res.write(`data: ${payload}\n\n`);
+    await new Promise(resolve => setTimeout(resolve, STREAM_DELAY_MS));
+  }
+  res.end();
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} data - Response body
+ */
+function sendJSON(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body ({} when empty)
+ */
+async function readJSONBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  const raw = Buffer.concat(chunks).toString('utf8');
+  return raw ? JSON.parse(raw) : {};
+}
+
+/**
+ * Handle Gemini generateContent / streamGenerateContent
+ */
+async function handleGemini(res, action, body, fixtures) {
+  const { text, truncated } = pickResponse(parseGeminiRequest(body), fixtures);
+  const finishReason = truncated ? 'MAX_TOKENS' : 'STOP';
+  const candidate = (chunk, finishReason) => ({
+    candidates: [{
+      content: { role: 'model', parts: [{ text: chunk }] },
+      ...(finishReason ? { finishReason } : {}),
+    }],
+  });
+
+  if (action === 'streamGenerateContent') {
+    const chunks = chunkText(text);
+    return writeSSE(res, chunks.map((chunk, i) => JSON.stringify(
+      candidate(chunk, i === chunks.length - 1 ? finishReason : null)
+    )));
+  }
+
+  return sendJSON(res, 200, {
+    ...candidate(text, finishReason),
+    usageMetadata: { candidatesTokenCount: Math.ceil(text.length / 4) },
+  });
+}
+
+/**
+ * Handle OpenAI-style chat/completions
+ */
+async function handleChatCompletions(res, body, fixtures) {
+  const { text, truncated } = pickResponse(parseOpenAIRequest(body), fixtures);
+  const finishReason = truncated ? 'length' : 'stop';
+  const id = `mock-${Date.now()}`;
+  const model = body.model || 'dsy-mock';
+
+  if (body.stream) {
+    const chunks = chunkText(text);
+    const payloads = chunks.map((chunk, i) => JSON.stringify({
+      id,
+      object: 'chat.completion.chunk',
+      model,
+      choices: [{ index: 0, delta: { content: chunk }, finish_reason: i === chunks.length - 1 ? finishReason : null }],
+    }));
+    return writeSSE(res, [...payloads, '[DONE]']);
+  }
+
+  return sendJSON(res, 200, {
+    id,
+    object: 'chat.completion',
+    model,
+    choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: finishReason }],
+    usage: { completion_tokens: Math.ceil(text.length / 4) },
+  });
+}
+
+/**
+ * Create a connect-style middleware serving the mock AI endpoints
+ * @param {Object} options - { fixturesDir }
+ * @returns {Function} (req, res, next) middleware
+ */
+export function createMockAiMiddleware(options = {}) {
+  const fixturesDir = options.fixturesDir || DEFAULT_FIXTURES_DIR;
+
+  return async function mockAiMiddleware(req, res, next) {
+    const url = new URL(req.url, 'http://localhost');
+    const pathname = url.pathname.replace(/^\/mock-ai/, '');
+
+    try {
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        return res.end();
+      }
+
+      const geminiMatch = pathname.match(/^\/gemini\/models\/[^/:]+:(generateContent|streamGenerateContent)$/);
+      if (req.method === 'POST' && geminiMatch) {
+        return await handleGemini(res, geminiMatch[1], await readJSONBody(req), loadFixtures(fixturesDir));
+      }
+
+      if (req.method === 'POST' && pathname === '/openai/chat/completions') {
+        return await handleChatCompletions(res, await readJSONBody(req), loadFixtures(fixturesDir));
+      }
+
+      if (req.method === 'GET' && pathname === '/openai/models') {
+        return sendJSON(res, 200, { object: 'list', data: [{ id: 'dsy-mock', object: 'model' }] });
+      }
+
+      if (req.method === 'POST' && pathname === '/hf/preprocess') {
+        await readJSONBody(req);
+        return sendJSON(res, 200, MOCK_PREPROCESS_RESULT);
+      }
+
+      if (next) return next();
+      return sendJSON(res, 404, { error: { message: `Mock AI: no route for ${req.method} ${pathname}` } });
+    } catch (error) {
+      console.error('Mock AI error:', error);
+      return sendJSON(res, 500, { error: { message: error.message } });
+    }
+  };
+}
+
+/**
+ * Vite plugin that mounts the mock AI endpoints at /mock-ai on the dev server
+ * @param {Object} options - { fixturesDir }
+ * @returns {Object} Vite plugin
+ */
+export function mockAiPlugin(options = {}) {
+  return {
+    name: 'dsy-mock-ai',
+    apply: 'serve',
+    configureServer(server) {
+      server.middlewares.use('/mock-ai', createMockAiMiddleware(options));
+    },
+  };
+}
@@ -0,0 +1,26 @@
+/**
+ * Standalone Mock AI Server
+ * Serves the same endpoints as the Vite dev middleware, for use without the dev server
+ * Usage: npm run mock:ai  (PORT defaults to 8787, MOCK_AI_FIXTURES_DIR overrides the fixtures folder)
+ */
+
+import http from 'node:http';
+import { createMockAiMiddleware } from './mockAiMiddleware.js';
+
+const PORT = Number(process.env.PORT || 8787);
+const middleware = createMockAiMiddleware({ fixturesDir: process.env.MOCK_AI_FIXTURES_DIR });
+
+const server = http.createServer((req, res) => {
+  // Allow the app (served from another origin) to call the mock server
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  middleware(req, res);
+});
+
+server.listen(PORT, () => {
+  console.log(`🧪 Mock AI server running at http://localhost:${PORT}`);
+  console.log(`   Gemini:  http://localhost:${PORT}/gemini`);
+  console.log(`   OpenAI:  http://localhost:${PORT}/openai`);
+  console.log(`   HF:      http://localhost:${PORT}/hf/preprocess`);
+});
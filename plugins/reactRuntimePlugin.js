@@ -0,0 +1,82 @@
+/**
+ * React Runtime Vite Plugin
+ * Bundles the installed react / react-dom into one browser script for the React live preview
+ * Served at /vendor/react-runtime.js in dev and emitted as a build asset,
+ * so previews never depend on a CDN
+ */
+
+import path from 'node:path';
+import { build } from 'esbuild';
+
+const RUNTIME_FILE = 'vendor/react-runtime.js';
+
+// Exposes the React packages the preview module loader maps bare imports to
+const RUNTIME_ENTRY = `
+import React from 'react';
+import ReactDOM from 'react-dom';
+import ReactDOMClient from 'react-dom/client';
+import JSXRuntime from 'react/jsx-runtime';
+
+window.__DSY_REACT__ = {
+  'react': React,
+  'react-dom': ReactDOM,
+  'react-dom/client': ReactDOMClient,
+  'react/jsx-runtime': JSXRuntime,
+};
+`;
+
+/**
+ * Bundle the runtime with esbuild (production React, minified IIFE)
+ * @param {string} root - Project root (where node_modules lives)
+ * @returns {Promise<string>} Bundled script
+ */
+async function bundleRuntime(root) {
+  const result = await build({
+    stdin: { contents: RUNTIME_ENTRY, resolveDir: root, loader: 'js' },
+    bundle: true,
+    format: 'iife',
+    minify: true,
+    write: false,
+    define: { 'process.env.NODE_ENV': '"production"' },
+    logLevel: 'silent',
+  });
+  return result.outputFiles[0].text;
+}
+
+/**
+ * Vite plugin serving/emitting the vendored React runtime
+ * @returns {Object} Vite plugin
+ */
+export function reactRuntimePlugin() {
+  let root = process.cwd();
+  let runtimePromise = null;
+  const getRuntime = () => {
+    runtimePromise = runtimePromise || bundleRuntime(root);
+    return runtimePromise;
+  };
+
+  return {
+    name: 'dsy-react-runtime',
+    configResolved(config) {
+      root = path.resolve(config.root);
+    },
+    configureServer(server) {
+      server.middlewares.use(`/${RUNTIME_FILE}`, async (req, res) => {
+        try {
+          // Bundle before writing the status, so a failure can still answer with a 500
+          const runtime = await getRuntime();
+          res.writeHead(200, { 'Content-Type': 'application/javascript' });
+          res.end(runtime);
+        } catch (error) {
+          // Bundle again on the next request instead of serving the cached failure
+          runtimePromise = null;
+          res.writeHead(500, { 'Content-Type': 'text/plain' });
+          res.end(`Failed to bundle React runtime: ${error.message}`);
+        }
+      });
+    },
+    async generateBundle() {
+      this.emitFile({ type: 'asset', fileName: RUNTIME_FILE, source: await getRuntime() });
+    },
+  };
+}
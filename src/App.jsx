@@ -9,12 +9,20 @@ import LivePreview from './components/LivePreview';
 import ChatHistoryDrawer from './components/ChatHistoryDrawer';
 import PreviewPage from './components/PreviewPage';
 import CodeChatbot from './components/CodeChatbot';
+import DesignSpecEditor from './components/DesignSpecEditor';
+import ThemePanel from './components/ThemePanel';
+import AuditPanel from './components/AuditPanel';
+import FidelityPanel from './components/FidelityPanel';
 import LoginModal from './components/LoginModal';
 import { ToastProvider, useToast } from './components/ToastProvider';
 import { Map, Box, LogIn, CloudUpload, Loader2, LogOut } from 'lucide-react';
 import JSZip from 'jszip';
 import { saveAs } from 'file-saver';
 import { generateProjectTitle, sanitizeFilename } from './utils/titleGenerator';
+import { hasProjectScaffold, buildProjectScaffold, getScaffoldInstructions } from './utils/projectScaffold';
+import { compileTailwindCss, isTailwindSource } from './utils/tailwindCompiler';
+import { getImageRole } from './utils/assetRoles';
+import { getLocalImages, isImageFile, decodeDataUrl } from './utils/projectAssets';
 import './index.css';
 
 function AppContent() {
@@ -35,11 +43,29 @@ function AppContent() {
     isOptimizing,
     isGenerating,
     livePreviewCode,
+    streamingContent,
+    previewPages,
+    activePreviewPage,
+    setActivePreviewPage,
     aiError,
     framework,
     setFramework,
+    projectFramework,
+    styling,
+    setStyling,
+    offlineImages,
+    setOfflineImages,
+    preferredProvider,
+    setPreferredProvider,
+    providerOptions,
+    fixtureMode,
+    setFixtureMode,
+    countRecordedFixtures,
+    clearRecordedFixtures,
     optimizePromptWithGemini,
     generateCodeWithAI,
+    refineCodeWithAI,
+    canRefine,
     resetGeneration,
     // Chat history
     chatHistory,
@@ -49,6 +75,15 @@ function AppContent() {
     endSession,
     // Project files
     project,
+    projectFiles,
+    // Preview scripts and console
+    previewScriptsEnabled,
+    setPreviewScriptsEnabled,
+    previewConsole,
+    addPreviewConsoleEntry,
+    clearPreviewConsole,
+    // Element picked in the preview for the chatbot
+    attachElementToChatbot,
     // AI-generated project title
     projectTitle,
   } = useCode();
@@ -63,6 +98,10 @@ function AppContent() {
   const [isEndingSession, setIsEndingSession] = useState(false);
   const [examplePromptsOpen, setExamplePromptsOpen] = useState(false);
   const [isHoveringUploadZone, setIsHoveringUploadZone] = useState(false);
+  const [promptMode, setPromptMode] = useState('new'); // 'new' or 'refine'
+  const [sidePanel, setSidePanel] = useState(null); // Panel beside the live preview: 'theme' | 'audit' | 'fidelity' | null
+  const [fidelityScore, setFidelityScore] = useState(null); // Last similarity to the mockup (shows the change after a refinement)
+  const [themeOverrides, setThemeOverrides] = useState({}); // Token edits not yet in the rebuilt preview
   const fileInputRef = useRef(null);
   const uploadZoneRef = useRef(null);
 
@@ -125,6 +164,31 @@ function AppContent() {
     }
   };
 
+  // Handle clearing recorded AI response fixtures
+  const handleClearFixtures = async () => {
+    const count = await countRecordedFixtures();
+    if (count === 0) {
+      toast.info('No recorded AI responses to delete');
+      return;
+    }
+
+    const confirmed = await confirm({
+      title: 'Delete Recorded Responses?',
+      message: `${count} recorded AI response${count === 1 ? '' : 's'} will be deleted.\nReplay mode will call the providers again.`,
+      confirmText: 'Delete',
+      cancelText: 'Cancel',
+      type: 'error'
+    });
+
+    if (!confirmed) return;
+
+    if (await clearRecordedFixtures()) {
+      toast.success('Recorded AI responses deleted');
+    } else {
+      toast.error('Failed to delete recorded responses');
+    }
+  };
+
   // Handle file upload
   const handleFileUpload = useCallback(async (files) => {
     const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'];
@@ -220,14 +284,24 @@ function AppContent() {
     }
   };
 
+  // Show/hide a panel beside the live preview (pending token previews are dropped)
+  const toggleSidePanel = (panel) => {
+    setSidePanel(current => (current === panel ? null : panel));
+    setThemeOverrides({});
+  };
+
   // Handle project download
   const handleDownload = async () => {
     // Get files from current context
     const htmlFile = project?.files?.find(f => f.name === 'index.html');
     const cssFile = project?.files?.find(f => f.name === 'styles.css');
     
+    // Vue/Svelte projects are exported with a Vite scaffold around the generated components
+    const scaffolded = hasProjectScaffold(projectFramework);
+    const usesTailwind = !scaffolded && isTailwindSource(cssFile?.content);
+    
     // Check if we have any generated code
-    if (!htmlFile?.content && !cssFile?.content && !livePreviewCode) {
+    if (!scaffolded && !htmlFile?.content && !cssFile?.content && !livePreviewCode) {
       toast.warning('No code to download! Generate some code first.');
       return;
     }
@@ -240,26 +314,56 @@ function AppContent() {
       // Sanitize for filename (replace spaces with underscores for file, but display with spaces)
       const filenameTitle = sanitizeFilename(downloadTitle.replace(/\s+/g, ' ').trim()) || 'DSY Project';
       
-      // Add HTML file
-      if (htmlFile?.content) {
-        zip.file('index.html', htmlFile.content);
-      } else if (livePreviewCode) {
-        // Extract HTML from live preview if no separate file exists
-        zip.file('index.html', livePreviewCode);
-      }
-      
-      // Add CSS file
-      if (cssFile?.content) {
-        zip.file('styles.css', cssFile.content);
-      }
-      
-      // Add any other project files
-      if (project?.files) {
-        for (const file of project.files) {
-          if (file.name !== 'index.html' && file.name !== 'styles.css' && file.content) {
-            zip.file(file.name, file.content);
+      let zippedPaths;
+      if (scaffolded) {
+        // Components go under src/, plus package.json, vite.config.js, index.html and src/main.js
+        const scaffoldFiles = buildProjectScaffold(
+          projectFramework,
+          (project?.files || []).filter(f => f.content && !isImageFile(f)),
+          downloadTitle
+        );
+        for (const file of scaffoldFiles) {
+          zip.file(file.path, file.content);
+        }
+        zippedPaths = scaffoldFiles.map(f => f.path);
+      } else {
+        // Add HTML file
+        if (htmlFile?.content) {
+          zip.file('index.html', htmlFile.content);
+        } else if (livePreviewCode) {
+          // Extract HTML from live preview if no separate file exists
+          zip.file('index.html', livePreviewCode);
+        }
+        
+        // Add CSS file - Tailwind projects ship the compiled utilities plus the input file
+        if (cssFile?.content) {
+          if (usesTailwind) {
+            const pages = project.files.filter(f => f.name.endsWith('.html')).map(f => f.content || '');
+            zip.file('styles.css', await compileTailwindCss(cssFile.content, pages));
+            zip.file('tailwind.css', cssFile.content);
+          } else {
+            zip.file('styles.css', cssFile.content);
+          }
+        }
+        
+        // Add any other project files
+        if (project?.files) {
+          for (const file of project.files) {
+            if (file.name !== 'index.html' && file.name !== 'styles.css' && file.content && !isImageFile(file)) {
+              zip.file(file.name, file.content);
+            }
           }
         }
+        zippedPaths = project?.files?.filter(f => f.type === 'file' && !isImageFile(f)).map(f => f.name) || [];
+        if (usesTailwind) zippedPaths.push('tailwind.css (Tailwind input for styles.css)');
+      }
+
+      // Project images and uploaded logos/photos as binaries under assets/ (Vite serves them from public/)
+      for (const image of getLocalImages(projectFiles, assets)) {
+        const zipPath = scaffolded ? `public/${image.path}` : image.path;
+        const { content, base64 } = decodeDataUrl(image.data);
+        zip.file(zipPath, content, { base64 });
+        zippedPaths.push(zipPath);
       }
       
       // Add a README with project info
@@ -270,13 +374,19 @@ Session ID: ${sessionId}
 Generated on: ${new Date().toLocaleString()}
 
 ## Files included:
-${project?.files?.map(f => `- ${f.name}`).join('\n') || '- index.html'}
+${zippedPaths.map(name => `- ${name}`).join('\n') || '- index.html'}
 
 ## How to use:
-1. Open index.html in your browser
+${scaffolded ? getScaffoldInstructions(projectFramework) : `1. Open index.html in your browser
 2. Edit files as needed
-3. Enjoy your design!
-`;
+3. Enjoy your design!`}
+${usesTailwind ? `
+## Tailwind CSS:
+styles.css is compiled from tailwind.css and only contains the utility classes used in the HTML.
+After adding new classes, rebuild it with:
+
+    npx @tailwindcss/cli -i tailwind.css -o styles.css
+` : ''}`;
       zip.file('README.md', readme);
       
       // Generate and download the zip
@@ -291,11 +401,26 @@ ${project?.files?.map(f => `- ${f.name}`).join('\n') || '- index.html'}
     }
   };
 
+  // Switch to offline images - the current project's remote placeholders are replaced right away
+  const handleOfflineImages = () => {
+    const replaced = setOfflineImages(true);
+    if (replaced > 0) {
+      toast.success(`Replaced ${replaced} remote image${replaced === 1 ? '' : 's'} with local placeholders`);
+    }
+  };
+
+  // Refine mode edits the current page instead of generating a new one
+  const isRefining = promptMode === 'refine' && canRefine;
+
   // Handle keyboard shortcuts on textarea
   const handleKeyDown = (e) => {
     if (e.key === 'Enter' && e.ctrlKey) {
       e.preventDefault();
-      if (prompt.trim() && !isOptimizing) {
+      if (isRefining) {
+        if (prompt.trim() && !isGenerating) {
+          handleRefine();
+        }
+      } else if (prompt.trim() && !isOptimizing) {
         handleOptimizePrompt();
       }
     }
@@ -313,11 +438,36 @@ ${project?.files?.map(f => `- ${f.name}`).join('\n') || '- index.html'}
     }
   };
 
+  // Tell the user when the model output was cut off, continued or regenerated
+  const reportOutputCompletion = (result) => {
+    if (result.truncated) {
+      toast.warning('The AI output was cut off and could not be completed - some files may be incomplete');
+    } else if (result.repaired) {
+      toast.info('The AI output was unusable, so it was regenerated automatically');
+    } else if (result.continued) {
+      toast.info('The AI output was cut off, so the rest was requested automatically');
+    }
+  };
+
+  // Handle refining the current page with a follow-up instruction
+  const handleRefine = async () => {
+    const result = await refineCodeWithAI(prompt);
+    if (result.success) {
+      setPrompt('');
+      toast.success(result.replayed ? 'Refinement replayed from recording' : 'Page refined');
+      reportOutputCompletion(result);
+    } else {
+      toast.error(result.error || 'Failed to refine page');
+    }
+  };
+
   // Handle send to AI for code generation
   const handleSendToAI = async () => {
     const result = await generateCodeWithAI();
     if (!result.success) {
       toast.error(result.error || 'Failed to generate code');
+    } else {
+      reportOutputCompletion(result);
     }
   };
 
@@ -486,42 +636,89 @@ ${project?.files?.map(f => `- ${f.name}`).join('\n') || '- index.html'}
                       <label className="block text-[10px] font-bold uppercase tracking-widest text-slate-500 mb-2 px-1">
                         Magic Prompt
                       </label>
+                      {/* Prompt Mode: new design vs. refine the current page */}
+                      {canRefine && (
+                        <div className="framework-toggle mb-3">
+                          <span className="toggle-label">Mode:</span>
+                          <div className="toggle-buttons">
+                            <button
+                              className={`toggle-btn ${!isRefining ? 'active' : ''}`}
+                              onClick={() => setPromptMode('new')}
+                            >
+                              <span className="material-icons-round text-xs mr-1">add</span>
+                              New Design
+                            </button>
+                            <button
+                              className={`toggle-btn ${isRefining ? 'active' : ''}`}
+                              onClick={() => setPromptMode('refine')}
+                              title="Edit the current page, keeping your manual changes"
+                            >
+                              <span className="material-icons-round text-xs mr-1">edit_note</span>
+                              Refine
+                            </button>
+                          </div>
+                        </div>
+                      )}
                       <div className="relative rounded-xl overflow-hidden glass-panel group-focus-within:border-[#C5A059]/40 transition-all">
                         <textarea
                           value={prompt}
                           onChange={(e) => setPrompt(e.target.value)}
                           onKeyDown={handleKeyDown}
                           className="w-full h-48 bg-transparent border-none focus:ring-0 p-4 text-sm text-slate-200 placeholder:text-slate-600 resize-none leading-relaxed"
-                          placeholder="Describe what you want to create... Be specific about layout, colors, animations. Press Ctrl+Enter to optimize."
+                          placeholder={isRefining
+                            ? 'Describe a change to the current page... e.g. "make the hero taller, swap to a light theme". Press Ctrl+Enter to refine.'
+                            : 'Describe what you want to create... Be specific about layout, colors, animations. Press Ctrl+Enter to optimize.'}
                         />
                         <div className="absolute bottom-3 right-4 flex items-center space-x-4">
                           <span className="text-[10px] text-slate-500 font-mono">{prompt.length} characters</span>
-                          <span className="text-[10px] text-slate-600 italic">Ctrl+Enter to optimize</span>
+                          <span className="text-[10px] text-slate-600 italic">Ctrl+Enter to {isRefining ? 'refine' : 'optimize'}</span>
                         </div>
                       </div>
                     </div>
 
                     {/* Optimize Prompt Button with Examples */}
                     <div className="flex items-center gap-2">
-                      <button 
-                        onClick={handleOptimizePrompt}
-                        disabled={isOptimizing || !prompt.trim()}
-                        className={`flex-1 flex items-center justify-center py-3 px-4 rounded-xl luxury-button group ${
-                          isOptimizing || !prompt.trim() ? 'opacity-50 cursor-not-allowed' : ''
-                        }`}
-                      >
-                        {isOptimizing ? (
-                          <>
-                            <span className="material-icons-round text-sm mr-2 text-[#C5A059] animate-spin">autorenew</span>
-                            <span className="text-xs font-bold uppercase tracking-widest text-[#C5A059]">Optimizing...</span>
-                          </>
+                      {isRefining ? (
+                        <button
+                          onClick={handleRefine}
+                          disabled={isGenerating || !prompt.trim()}
+                          className={`flex-1 flex items-center justify-center py-3 px-4 rounded-xl luxury-button group ${
+                            isGenerating || !prompt.trim() ? 'opacity-50 cursor-not-allowed' : ''
+                          }`}
+                        >
+                          {isGenerating ? (
+                            <>
+                              <span className="material-icons-round text-sm mr-2 text-[#C5A059] animate-spin">autorenew</span>
+                              <span className="text-xs font-bold uppercase tracking-widest text-[#C5A059]">Refining...</span>
+                            </>
                         ) : (
-                          <>
-                            <span className="material-icons-round text-sm mr-2 text-[#C5A059] group-hover:rotate-12 transition-transform">auto_awesome</span>
-                            <span className="text-xs font-bold uppercase tracking-widest text-[#C5A059]">Optimize Prompt</span>
-                          </>
-                        )}
-                      </button>
+                            <>
+                              <span className="material-icons-round text-sm mr-2 text-[#C5A059] group-hover:rotate-12 transition-transform">edit_note</span>
+                              <span className="text-xs font-bold uppercase tracking-widest text-[#C5A059]">Refine Page</span>
+                            </>
+                          )}
+                        </button>
+                      ) : (
+                        <button 
+                          onClick={handleOptimizePrompt}
+                          disabled={isOptimizing || !prompt.trim()}
+                          className={`flex-1 flex items-center justify-center py-3 px-4 rounded-xl luxury-button group ${
+                            isOptimizing || !prompt.trim() ? 'opacity-50 cursor-not-allowed' : ''
+                          }`}
+                        >
+                          {isOptimizing ? (
+                            <>
+                              <span className="material-icons-round text-sm mr-2 text-[#C5A059] animate-spin">autorenew</span>
+                              <span className="text-xs font-bold uppercase tracking-widest text-[#C5A059]">Optimizing...</span>
+                            </>
+                        ) : (
+                            <>
+                              <span className="material-icons-round text-sm mr-2 text-[#C5A059] group-hover:rotate-12 transition-transform">auto_awesome</span>
+                              <span className="text-xs font-bold uppercase tracking-widest text-[#C5A059]">Optimize Prompt</span>
+                            </>
+                          )}
+                        </button>
+                      )}
                       
                       {/* Example Prompts Button */}
                       <button 
@@ -547,6 +744,9 @@ ${project?.files?.map(f => `- ${f.name}`).join('\n') || '- index.html'}
                             </div>
                           </div>
                         </div>
+
+                        {/* Design Specs (palette, fonts, sections) sent with the generation request */}
+                        <DesignSpecEditor />
                         
                         {/* Framework Toggle */}
                         <div className="framework-toggle">
@@ -559,6 +759,14 @@ ${project?.files?.map(f => `- ${f.name}`).join('\n') || '- index.html'}
                               <span className="material-icons-round text-xs mr-1">code</span>
                               HTML/CSS
                             </button>
+                            <button 
+                              className={`toggle-btn ${framework === 'multipage' ? 'active' : ''}`}
+                              onClick={() => setFramework('multipage')}
+                              title="Several HTML pages sharing one stylesheet"
+                            >
+                              <span className="material-icons-round text-xs mr-1">auto_stories</span>
+                              Multi-Page
+                            </button>
                             <button 
                               className={`toggle-btn ${framework === 'react' ? 'active' : ''}`}
                               onClick={() => setFramework('react')}
@@ -566,8 +774,111 @@ ${project?.files?.map(f => `- ${f.name}`).join('\n') || '- index.html'}
                               <span className="material-icons-round text-xs mr-1">widgets</span>
                               React
                             </button>
+                            <button 
+                              className={`toggle-btn ${framework === 'vue' ? 'active' : ''}`}
+                              onClick={() => setFramework('vue')}
+                              title="Vue 3 single-file components (.vue)"
+                            >
+                              <span className="material-icons-round text-xs mr-1">change_history</span>
+                              Vue
+                            </button>
+                            <button 
+                              className={`toggle-btn ${framework === 'svelte' ? 'active' : ''}`}
+                              onClick={() => setFramework('svelte')}
+                              title="Svelte single-file components (.svelte)"
+                            >
+                              <span className="material-icons-round text-xs mr-1">bolt</span>
+                              Svelte
+                            </button>
+                          </div>
+                        </div>
+                        
+                        {/* Styling (HTML output only) */}
+                        {(framework === 'html' || framework === 'multipage') && (
+                          <div className="framework-toggle">
+                            <span className="toggle-label">Styling:</span>
+                            <div className="toggle-buttons">
+                              <button 
+                                className={`toggle-btn ${styling === 'css' ? 'active' : ''}`}
+                                onClick={() => setStyling('css')}
+                                title="Hand-written styles.css"
+                              >
+                                <span className="material-icons-round text-xs mr-1">brush</span>
+                                Custom CSS
+                              </button>
+                              <button 
+                                className={`toggle-btn ${styling === 'tailwind' ? 'active' : ''}`}
+                                onClick={() => setStyling('tailwind')}
+                                title="Tailwind utility classes, compiled to just the classes in use"
+                              >
+                                <span className="material-icons-round text-xs mr-1">air</span>
+                                Tailwind
+                              </button>
+                            </div>
+                          </div>
+                        )}
+                        
+                        {/* Images: remote stock photos, or local SVG placeholders that work behind a firewall */}
+                        <div className="framework-toggle">
+                          <span className="toggle-label">Images:</span>
+                          <div className="toggle-buttons">
+                            <button 
+                              className={`toggle-btn ${!offlineImages ? 'active' : ''}`}
+                              onClick={() => setOfflineImages(false)}
+                              title="Stock photo URLs (picsum, pravatar) loaded from the internet"
+                            >
+                              <span className="material-icons-round text-xs mr-1">cloud</span>
+                              Online
+                            </button>
+                            <button 
+                              className={`toggle-btn ${offlineImages ? 'active' : ''}`}
+                              onClick={handleOfflineImages}
+                              title="Replace remote placeholder images with generated SVG files in assets/placeholders"
+                            >
+                              <span className="material-icons-round text-xs mr-1">cloud_off</span>
+                              Offline
+                            </button>
                           </div>
                         </div>
+
+                        {/* AI Provider Preference */}
+                        <div className="framework-toggle">
+                          <span className="toggle-label">AI Provider:</span>
+                          <select
+                            className="provider-select"
+                            value={preferredProvider}
+                            onChange={(e) => setPreferredProvider(e.target.value)}
+                          >
+                            <option value="auto">Auto (best available)</option>
+                            {providerOptions.map((provider) => (
+                              <option key={provider.id} value={provider.id} disabled={!provider.configured}>
+                                {provider.label}{provider.configured ? '' : ' (not configured)'}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+
+                        {/* AI Response Fixtures (record / replay raw model output) */}
+                        <div className="framework-toggle">
+                          <span className="toggle-label">Fixtures:</span>
+                          <select
+                            className="provider-select"
+                            value={fixtureMode}
+                            onChange={(e) => setFixtureMode(e.target.value)}
+                            title="Record raw AI responses, or replay them for identical requests"
+                          >
+                            <option value="off">Off</option>
+                            <option value="record">Record responses</option>
+                            <option value="replay">Replay recorded</option>
+                          </select>
+                          <button
+                            className="toggle-btn"
+                            onClick={handleClearFixtures}
+                            title="Delete recorded responses"
+                          >
+                            <span className="material-icons-round text-xs">delete_sweep</span>
+                          </button>
+                        </div>
                         
                         {/* Send to AI Button */}
                         <button 
@@ -727,8 +1038,51 @@ ${project?.files?.map(f => `- ${f.name}`).join('\n') || '- index.html'}
                   {activeTab === 'canvas' ? (
                     // Canvas View - LivePreview or Welcome Screen
                     livePreviewCode || isGenerating ? (
-                      <div className="w-full h-full p-4">
-                        <LivePreview code={livePreviewCode} isLoading={isGenerating} />
+                      <div className="w-full h-full p-4 flex gap-4">
+                        <div className="flex-1 min-w-0 h-full">
+                          <LivePreview
+                            code={livePreviewCode}
+                            isLoading={isGenerating}
+                            streamingContent={streamingContent}
+                            pages={previewPages}
+                            activePage={activePreviewPage}
+                            onNavigate={setActivePreviewPage}
+                            themeOverrides={themeOverrides}
+                            isThemePanelOpen={sidePanel === 'theme'}
+                            onToggleThemePanel={() => toggleSidePanel('theme')}
+                            isAuditPanelOpen={sidePanel === 'audit'}
+                            onToggleAuditPanel={() => toggleSidePanel('audit')}
+                            isFidelityPanelOpen={sidePanel === 'fidelity'}
+                            onToggleFidelityPanel={assets.some(asset => asset.type === 'image' && getImageRole(asset, assets) === 'mockup')
+                              ? () => toggleSidePanel('fidelity')
+                              : undefined}
+                            scriptsEnabled={previewScriptsEnabled}
+                            onToggleScripts={projectFramework === 'react'
+                              ? undefined
+                              : () => setPreviewScriptsEnabled(!previewScriptsEnabled)}
+                            consoleErrorCount={previewConsole.filter(entry => entry.level === 'error').length}
+                            onShowConsole={() => setActiveTab('code')}
+                            onConsoleMessage={addPreviewConsoleEntry}
+                            onConsoleReset={clearPreviewConsole}
+                            onPickElement={attachElementToChatbot}
+                          />
+                        </div>
+                        {sidePanel === 'theme' && !isGenerating && (
+                          <ThemePanel
+                            onPreviewToken={(name, value) => setThemeOverrides(prev => ({ ...prev, [name]: value }))}
+                            onClose={() => toggleSidePanel('theme')}
+                          />
+                        )}
+                        {sidePanel === 'audit' && !isGenerating && (
+                          <AuditPanel onClose={() => toggleSidePanel('audit')} />
+                        )}
+                        {sidePanel === 'fidelity' && !isGenerating && (
+                          <FidelityPanel
+                            lastScore={fidelityScore}
+                            onScore={setFidelityScore}
+                            onClose={() => toggleSidePanel('fidelity')}
+                          />
+                        )}
                       </div>
                     ) : (
                       <div className="flex-1 flex flex-col items-center justify-center p-12">
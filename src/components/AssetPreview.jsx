@@ -1,8 +1,9 @@
 import { X, FileText, Link as LinkIcon, Image } from 'lucide-react';
 import { useCode } from '../context/CodeContext';
+import { IMAGE_ROLES, getImageRole, getAssetPaths } from '../utils/assetRoles';
 
 export default function AssetPreview() {
-  const { assets, removeAsset } = useCode();
+  const { assets, removeAsset, setAssetRole, addAssetToProject, projectFiles } = useCode();
 
   if (assets.length === 0) return null;
 
@@ -19,6 +20,10 @@ export default function AssetPreview() {
     }
   };
 
+  // Project path of each uploaded image (assets/<name>) and the ones already written into the project
+  const assetPaths = getAssetPaths(assets);
+  const projectPaths = new Set(projectFiles.map(f => f.path.replace(/^\//, '')));
+
   return (
     <div className="flex flex-col gap-3">
       <div className="flex justify-between items-center">
@@ -65,6 +70,40 @@ export default function AssetPreview() {
                   {asset.name}
                 </span>
               </div>
+
+              {/* Copy into the project as assets/<name> so pages can use it offline */}
+              {assetPaths.has(asset.id) && (
+                projectPaths.has(assetPaths.get(asset.id)) ? (
+                  <span
+                    className="absolute bottom-1 right-1 p-1 rounded-md bg-black/60 border border-[#C5A059]/20"
+                    title={`In the project as ${assetPaths.get(asset.id)}`}
+                  >
+                    <span className="material-icons-round text-xs text-[#C5A059]">check</span>
+                  </span>
+                ) : (
+                  <button
+                    onClick={() => addAssetToProject(asset.id)}
+                    className="absolute bottom-1 right-1 p-1 rounded-md bg-black/60 border border-[#C5A059]/20 opacity-0 group-hover:opacity-100 transition-opacity hover:bg-[#C5A059]/20"
+                    title={`Add to the project as ${assetPaths.get(asset.id)}`}
+                  >
+                    <span className="material-icons-round text-xs text-slate-300">drive_folder_upload</span>
+                  </button>
+                )
+              )}
+
+              {/* Image role - decides how generation uses the image */}
+              {asset.type === 'image' && (
+                <select
+                  value={getImageRole(asset, assets)}
+                  onChange={(e) => setAssetRole(asset.id, e.target.value)}
+                  className="absolute top-1 left-1 max-w-[calc(100%-2rem)] px-1 py-0.5 rounded bg-black/70 border border-[#C5A059]/30 text-[8px] font-bold uppercase tracking-wider text-[#C5A059] outline-none cursor-pointer"
+                  title={IMAGE_ROLES.find(role => role.id === getImageRole(asset, assets))?.description}
+                >
+                  {IMAGE_ROLES.map(role => (
+                    <option key={role.id} value={role.id}>{role.label}</option>
+                  ))}
+                </select>
+              )}
             </div>
           );
         })}
@@ -0,0 +1,174 @@
+import { useState } from 'react';
+import { useCode } from '../context/CodeContext';
+import { useToast } from './ToastProvider';
+import { AUDIT_RULES, auditDocument, buildAuditFixPrompt } from '../utils/accessibilityAudit';
+
+/**
+ * Audit Panel
+ * Accessibility audit of the rendered preview, re-run whenever the preview changes
+ * The page is rendered in a hidden same-origin copy (scripts off) so computed styles can be read;
+ * findings link to their line in the editor and can be sent to the chatbot to fix
+ */
+export default function AuditPanel({ onClose }) {
+  const {
+    livePreviewCode,
+    projectFiles,
+    projectFramework,
+    activePreviewPage,
+    themeStylesheet,
+    revealInEditor,
+    sendChatbotMessage,
+    chatbotLoading,
+    setIsChatbotOpen,
+  } = useCode();
+  const { toast } = useToast();
+  const [findings, setFindings] = useState(null);
+  const [runKey, setRunKey] = useState(0);
+
+  const isReact = projectFramework === 'react';
+  const htmlFiles = projectFiles.filter(f => f.name?.endsWith('.html'));
+  const page = htmlFiles.find(f => f.path.replace(/^\//, '') === activePreviewPage) ||
+    htmlFiles.find(f => f.name === 'index.html') ||
+    htmlFiles[0];
+  const sources = {
+    page: page && { path: page.path.replace(/^\//, ''), content: page.content || '' },
+    stylesheet: themeStylesheet && { path: themeStylesheet.path.replace(/^\//, ''), content: themeStylesheet.content || '' },
+  };
+  const errorCount = findings?.filter(f => f.severity === 'error').length || 0;
+
+  const runAudit = (e) => {
+    try {
+      setFindings(auditDocument(e.target.contentDocument, sources));
+    } catch (error) {
+      console.error('Accessibility audit failed:', error);
+      setFindings([]);
+    }
+  };
+
+  const askChatbotToFix = () => {
+    setIsChatbotOpen(true);
+    sendChatbotMessage(buildAuditFixPrompt(findings));
+    toast.info('Sent the findings to the AI chat');
+  };
+
+  return (
+    <div className="w-80 h-full shrink-0 flex flex-col rounded-lg glass-panel border border-[#C5A059]/10 overflow-hidden">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-white/5">
+        <div className="flex items-center gap-2 text-[10px] font-bold uppercase tracking-widest text-[#C5A059]">
+          <span className="material-icons-round text-sm">accessibility_new</span>
+          Accessibility
+          {findings && (
+            <span className="normal-case tracking-normal font-mono font-normal text-slate-500">
+              {findings.length === 0 ? 'no issues' : `${findings.length} issue${findings.length === 1 ? '' : 's'}`}
+            </span>
+          )}
+        </div>
+        <div className="flex items-center gap-1">
+          <button
+            onClick={() => setRunKey(key => key + 1)}
+            className="p-1 rounded-md text-slate-500 hover:text-slate-200 hover:bg-white/5 transition-colors"
+            title="Run audit again"
+          >
+            <span className="material-icons-round text-sm">refresh</span>
+          </button>
+          <button
+            onClick={onClose}
+            className="p-1 rounded-md text-slate-500 hover:text-slate-200 hover:bg-white/5 transition-colors"
+            title="Close accessibility panel"
+          >
+            <span className="material-icons-round text-sm">close</span>
+          </button>
+        </div>
+      </div>
+
+      {isReact ? (
+        <p className="p-4 text-xs text-slate-500">
+          The audit reads the page's HTML and stylesheet. React components render at runtime, so audit the built page instead.
+        </p>
+      ) : !livePreviewCode ? (
+        <p className="p-4 text-xs text-slate-500">Nothing to audit yet.</p>
+      ) : (
+        <>
+          <div className="flex-1 overflow-y-auto p-3 space-y-4">
+            {!findings && <p className="text-xs text-slate-500">Auditing...</p>}
+            {findings?.length === 0 && (
+              <div className="flex items-center gap-2 text-xs text-green-400">
+                <span className="material-icons-round text-sm">check_circle</span>
+                No problems found by the automated checks.
+              </div>
+            )}
+
+            {findings && AUDIT_RULES.map(rule => {
+              const ruleFindings = findings.filter(f => f.rule === rule.id);
+              if (ruleFindings.length === 0) return null;
+              return (
+                <div key={rule.id}>
+                  <div className="flex items-center gap-1.5 text-[10px] font-bold uppercase tracking-widest text-slate-500 mb-2">
+                    <span className="material-icons-round text-sm">{rule.icon}</span>
+                    {rule.label}
+                    <span className="font-mono font-normal">{ruleFindings.length}</span>
+                  </div>
+                  <div className="space-y-1.5">
+                    {ruleFindings.map(finding => (
+                      <div key={finding.id} className="p-2 rounded-md bg-black/30 border border-white/5">
+                        <div className="flex items-start gap-1.5">
+                          <span className={`material-icons-round text-xs mt-0.5 ${finding.severity === 'error' ? 'text-red-400' : 'text-yellow-400'}`}>
+                            {finding.severity === 'error' ? 'error' : 'warning'}
+                          </span>
+                          <p className="flex-1 text-xs text-slate-300">
+                            {finding.message}
+                            {finding.count > 1 && <span className="text-slate-500"> ({finding.count} elements)</span>}
+                          </p>
+                        </div>
+                        {finding.snippet && (
+                          <code className="block mt-1 text-[10px] font-mono text-slate-500 truncate" title={finding.snippet}>
+                            {finding.snippet}
+                          </code>
+                        )}
+                        {finding.location && (
+                          <button
+                            onClick={() => revealInEditor(finding.location.path, finding.location.line)}
+                            className="mt-1 text-[10px] font-mono text-slate-500 hover:text-[#C5A059] underline decoration-dotted"
+                            title="Show in editor"
+                          >
+                            {finding.location.path}:{finding.location.line}
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          {findings?.length > 0 && (
+            <div className="p-3 border-t border-white/5">
+              <button
+                onClick={askChatbotToFix}
+                disabled={chatbotLoading}
+                className="w-full flex items-center justify-center gap-2 py-1.5 rounded-md bg-[#C5A059]/10 hover:bg-[#C5A059]/20 disabled:opacity-50 text-[10px] font-bold uppercase tracking-widest text-[#C5A059] transition-colors"
+                title={errorCount > 0 ? `${errorCount} error${errorCount === 1 ? '' : 's'} and ${findings.length - errorCount} warning${findings.length - errorCount === 1 ? '' : 's'}` : undefined}
+              >
+                <span className="material-icons-round text-sm">smart_toy</span>
+                Ask the Chatbot to Fix These
+              </button>
+            </div>
+          )}
+
+          {/* Hidden same-origin copy of the preview - scripts stay off, only the rendered markup and styles are read */}
+          <iframe
+            key={runKey}
+            srcDoc={livePreviewCode}
+            sandbox="allow-same-origin"
+            onLoad={runAudit}
+            title="Accessibility audit"
+            aria-hidden="true"
+            tabIndex={-1}
+            className="fixed -left-[10000px] top-0 w-[1280px] h-[800px] border-0 pointer-events-none"
+          />
+        </>
+      )}
+    </div>
+  );
+}
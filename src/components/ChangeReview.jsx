@@ -0,0 +1,211 @@
+import { useState, useRef } from 'react';
+import { DiffEditor } from '@monaco-editor/react';
+import { useCode } from '../context/CodeContext';
+import { diffLines, applyHunks, describeHunk } from '../utils/lineDiff';
+
+// Lines of each side shown in a hunk's summary
+const HUNK_PREVIEW_LINES = 3;
+
+/**
+ * Change Review
+ * Side-by-side diff of the chatbot's proposed changes against the current files
+ * Every hunk starts accepted; unticked hunks keep the current code, so manual edits
+ * in sections the model rewrote by accident survive. The right side shows exactly what will be written.
+ * New files are diffed against an empty file and are only created when their hunk is accepted.
+ */
+export default function ChangeReview({ onClose }) {
+  const { pendingChangeFiles, applyChatbotCodeChanges, discardChatbotCodeChanges } = useCode();
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [rejected, setRejected] = useState(() => new Set()); // `${fileKey}:${hunkId}`
+  const diffEditorRef = useRef(null);
+
+  // Diffed once when the review opens
+  const [files] = useState(() => pendingChangeFiles.map(file => ({
+    ...file,
+    hunks: diffLines(file.original, file.modified),
+  })));
+
+  const isAccepted = (file, hunk) => !rejected.has(`${file.key}:${hunk.id}`);
+  const merge = (file) => applyHunks(file.original, file.hunks, file.hunks.filter(h => isAccepted(file, h)).map(h => h.id));
+
+  const activeFile = files[Math.min(activeIndex, files.length - 1)];
+  const totalHunks = files.reduce((sum, file) => sum + file.hunks.length, 0);
+  const acceptedHunks = files.reduce((sum, file) => sum + file.hunks.filter(h => isAccepted(file, h)).length, 0);
+
+  const setHunks = (file, hunkIds, accept) => {
+    setRejected(prev => {
+      const next = new Set(prev);
+      hunkIds.forEach(id => (accept ? next.delete(`${file.key}:${id}`) : next.add(`${file.key}:${id}`)));
+      return next;
+    });
+  };
+
+  const revealHunk = (hunk) => {
+    diffEditorRef.current?.getOriginalEditor().revealLineInCenter(hunk.originalStart + 1);
+  };
+
+  const handleApply = () => {
+    // Files with no accepted hunk are left out, so they are not rewritten at all
+    const contents = {};
+    for (const file of files) {
+      if (file.hunks.some(h => isAccepted(file, h))) contents[file.key] = merge(file);
+    }
+    applyChatbotCodeChanges(contents);
+    onClose();
+  };
+
+  const handleDiscard = () => {
+    discardChatbotCodeChanges();
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center bg-black/70 backdrop-blur-sm p-6">
+      <div className="w-full max-w-6xl h-full max-h-[85vh] flex flex-col rounded-2xl overflow-hidden border border-[#C5A059]/20 bg-[#0A090F] shadow-2xl shadow-black/50">
+        {/* Header */}
+        <div className="flex items-center justify-between px-4 py-3 border-b border-[#C5A059]/10">
+          <div className="flex items-center gap-2">
+            <span className="material-icons-round text-[#C5A059] text-sm">difference</span>
+            <h3 className="text-sm font-bold text-slate-100">Review Code Changes</h3>
+            <span className="text-[10px] text-slate-500">
+              {acceptedHunks} of {totalHunks} change{totalHunks === 1 ? '' : 's'} selected
+            </span>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1.5 rounded-lg hover:bg-white/5 transition-colors"
+            title="Close (keeps the suggested changes)"
+          >
+            <span className="material-icons-round text-slate-400 text-sm">close</span>
+          </button>
+        </div>
+
+        {!activeFile ? (
+          <div className="flex-1 flex items-center justify-center text-sm text-slate-500">
+            The suggested code is identical to the current files.
+          </div>
+        ) : (
+          <div className="flex-1 flex min-h-0">
+            {/* Hunk list */}
+            <div className="w-72 shrink-0 flex flex-col border-r border-white/5">
+              <div className="flex overflow-x-auto border-b border-white/5">
+                {files.map((file, index) => (
+                  <button
+                    key={file.key}
+                    onClick={() => setActiveIndex(index)}
+                    className={`flex-1 shrink-0 flex items-center justify-center gap-1 px-3 py-2 text-[11px] font-mono whitespace-nowrap transition-colors ${
+                      file === activeFile ? 'text-[#C5A059] bg-[#C5A059]/10' : 'text-slate-500 hover:text-slate-300'
+                    }`}
+                    title={file.isNew ? `${file.name} (new file)` : file.name}
+                  >
+                    {file.name.split('/').pop()}
+                    {file.isNew && <span className="text-[9px] font-sans font-bold uppercase text-green-400">new</span>}
+                  </button>
+                ))}
+              </div>
+              <div className="flex items-center justify-between px-3 py-2 text-[10px] uppercase tracking-wider">
+                <button
+                  onClick={() => setHunks(activeFile, activeFile.hunks.map(h => h.id), true)}
+                  className="text-slate-500 hover:text-green-400"
+                >
+                  Accept All
+                </button>
+                <button
+                  onClick={() => setHunks(activeFile, activeFile.hunks.map(h => h.id), false)}
+                  className="text-slate-500 hover:text-red-400"
+                >
+                  Reject All
+                </button>
+              </div>
+              <ul className="flex-1 overflow-y-auto px-2 pb-2 space-y-2">
+                {activeFile.hunks.map(hunk => {
+                  const accepted = isAccepted(activeFile, hunk);
+                  return (
+                    <li
+                      key={hunk.id}
+                      className={`rounded-lg border p-2 ${accepted ? 'border-[#C5A059]/30 bg-[#C5A059]/5' : 'border-white/5 opacity-60'}`}
+                    >
+                      <div className="flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          checked={accepted}
+                          onChange={(e) => setHunks(activeFile, [hunk.id], e.target.checked)}
+                          className="accent-[#C5A059]"
+                          title={accepted ? 'Reject this change' : 'Accept this change'}
+                        />
+                        <button
+                          onClick={() => revealHunk(hunk)}
+                          className="flex-1 text-left text-[11px] font-mono text-slate-300 hover:text-[#C5A059]"
+                          title="Show in the diff"
+                        >
+                          {describeHunk(hunk)}
+                        </button>
+                      </div>
+                      <pre className="mt-1 text-[10px] leading-4 overflow-hidden">
+                        {hunk.removed.slice(0, HUNK_PREVIEW_LINES).map((line, i) => (
+                          <div key={`r${i}`} className="text-red-400/80 truncate">- {line}</div>
+                        ))}
+                        {hunk.added.slice(0, HUNK_PREVIEW_LINES).map((line, i) => (
+                          <div key={`a${i}`} className="text-green-400/80 truncate">+ {line}</div>
+                        ))}
+                      </pre>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+
+            {/* Current file (left) vs what will be written (right) */}
+            <div className="flex-1 min-w-0">
+              <DiffEditor
+                key={activeFile.key}
+                height="100%"
+                language={activeFile.language}
+                original={activeFile.original}
+                modified={merge(activeFile)}
+                theme="vs-dark"
+                onMount={(editor) => { diffEditorRef.current = editor; }}
+                options={{
+                  readOnly: true,
+                  originalEditable: false,
+                  renderSideBySide: true,
+                  minimap: { enabled: false },
+                  fontSize: 12,
+                  fontFamily: "'JetBrains Mono', 'Fira Code', 'Consolas', monospace",
+                  scrollBeyondLastLine: false,
+                  automaticLayout: true,
+                }}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Footer */}
+        <div className="flex items-center justify-between px-4 py-3 border-t border-[#C5A059]/10">
+          <button
+            onClick={handleDiscard}
+            className="px-3 py-2 rounded-xl text-xs font-bold uppercase tracking-wider text-slate-400 hover:text-red-400 hover:bg-red-500/10 transition-colors"
+          >
+            Discard All
+          </button>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={onClose}
+              className="px-3 py-2 rounded-xl text-xs font-bold uppercase tracking-wider text-slate-400 hover:text-slate-200 hover:bg-white/5 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleApply}
+              disabled={acceptedHunks === 0}
+              className="flex items-center gap-2 px-4 py-2 rounded-xl bg-gradient-to-r from-green-500 to-emerald-500 text-white font-bold text-xs uppercase tracking-wider hover:shadow-lg hover:shadow-green-500/20 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <span className="material-icons-round text-sm">check_circle</span>
+              Apply {acceptedHunks === totalHunks ? 'All' : `${acceptedHunks} of ${totalHunks}`}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
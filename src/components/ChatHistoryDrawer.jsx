@@ -118,6 +118,13 @@ export default function ChatHistoryDrawer() {
                         <span>{chat.assets.length}</span>
                       </>
                     )}
+                    {chat.turns?.length > 0 && (
+                      <>
+                        <span>•</span>
+                        <span className="material-icons-round text-xs" title="Refinements">edit_note</span>
+                        <span>{chat.turns.length}</span>
+                      </>
+                    )}
                   </div>
                 </div>
 
@@ -1,6 +1,7 @@
 import { useState, useRef, useEffect, useCallback } from 'react';
 import { useCode } from '../context/CodeContext';
 import { QUICK_PROMPTS } from '../services/chatbotService';
+import ChangeReview from './ChangeReview';
 
 /**
  * Draggable and resizable AI Code Chatbot component
@@ -11,13 +12,18 @@ function CodeChatbot() {
     chatbotMessages,
     chatbotLoading,
     sendChatbotMessage,
+    stopChatbotReply,
+    regenerateChatbotReply,
     clearChatbotHistory,
-    applyChatbotCodeChanges,
     pendingCodeChanges,
+    chatbotSelection,
+    setChatbotSelection,
+    isChatbotOpen: isOpen,
+    setIsChatbotOpen: setIsOpen,
   } = useCode();
 
-  const [isOpen, setIsOpen] = useState(false);
   const [inputValue, setInputValue] = useState('');
+  const [isReviewOpen, setIsReviewOpen] = useState(false);
   const [position, setPosition] = useState({ x: window.innerWidth - 520, y: 100 });
   const [size, setSize] = useState({ width: 480, height: 520 });
   const [isDragging, setIsDragging] = useState(false);
@@ -35,12 +41,12 @@ function CodeChatbot() {
     }
   }, [chatbotMessages]);
 
-  // Focus input when panel opens
+  // Focus input when panel opens (or an element is picked in the preview)
   useEffect(() => {
     if (isOpen && inputRef.current) {
       inputRef.current.focus();
     }
-  }, [isOpen]);
+  }, [isOpen, chatbotSelection]);
 
   // Handle dragging
   const handleMouseDown = useCallback((e) => {
@@ -107,22 +113,22 @@ function CodeChatbot() {
     inputRef.current?.focus();
   };
 
-  // Apply code changes
-  const handleApplyChanges = () => {
+  // Review code changes (diff with per-hunk accept/reject) before applying them
+  const handleReviewChanges = () => {
     if (pendingCodeChanges) {
-      applyChatbotCodeChanges();
+      setIsReviewOpen(true);
     }
   };
 
   // Format message content with code blocks
   const formatMessage = (content) => {
-    // Split by code blocks
-    const parts = content.split(/(```[\s\S]*?```)/g);
+    // Split by code blocks (a block still streaming in has no closing fence yet)
+    const parts = content.split(/(```[\s\S]*?(?:```|$))/g);
     
     return parts.map((part, index) => {
       if (part.startsWith('```')) {
         // Extract language and code
-        const match = part.match(/```(\w*:?\w*\.?\w*)\s*\n?([\s\S]*?)```/);
+        const match = part.match(/```([\w+-]*(?::[^\s`]+)?)\s*\n?([\s\S]*?)(?:```|$)/);
         if (match) {
           const lang = match[1] || 'code';
           const code = match[2];
@@ -240,7 +246,7 @@ function CodeChatbot() {
               chatbotMessages.map((msg, index) => (
                 <div
                   key={index}
-                  className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}
+                  className={`flex flex-col ${msg.role === 'user' ? 'items-end' : 'items-start'}`}
                 >
                   <div
                     className={`max-w-[85%] rounded-xl px-3 py-2 text-sm ${
@@ -249,44 +255,99 @@ function CodeChatbot() {
                         : 'bg-white/5 text-slate-300 border border-white/5'
                     }`}
                   >
-                    {msg.role === 'assistant' ? formatMessage(msg.content) : msg.content}
+                    {msg.selection && (
+                      <div
+                        className="flex items-center gap-1 mb-1 text-[10px] font-mono text-[#C5A059]/80 truncate"
+                        title={msg.selection.selector}
+                      >
+                        <span className="material-icons-round text-xs">ads_click</span>
+                        {msg.selection.selector}
+                      </div>
+                    )}
+                    {msg.streaming && !msg.content ? (
+                      <div className="flex items-center gap-2 py-1">
+                        <div className="flex gap-1">
+                          <span className="w-2 h-2 bg-[#C5A059] rounded-full animate-bounce" style={{ animationDelay: '0ms' }} />
+                          <span className="w-2 h-2 bg-[#C5A059] rounded-full animate-bounce" style={{ animationDelay: '150ms' }} />
+                          <span className="w-2 h-2 bg-[#C5A059] rounded-full animate-bounce" style={{ animationDelay: '300ms' }} />
+                        </div>
+                        <span className="text-xs text-slate-400">Analyzing...</span>
+                      </div>
+                    ) : (
+                      msg.role === 'assistant' ? formatMessage(msg.content) : msg.content
+                    )}
+                    {msg.streaming && msg.content && (
+                      <span className="inline-block w-1.5 h-3.5 ml-0.5 align-middle bg-[#C5A059] animate-pulse" />
+                    )}
+                    {msg.stopped && (
+                      <div className={`flex items-center gap-1.5 text-[11px] text-slate-500 ${msg.content ? 'mt-2 pt-2 border-t border-white/5' : ''}`}>
+                        <span className="material-icons-round text-xs">stop_circle</span>
+                        <span>Stopped{msg.content ? ' - code changes in a stopped reply are not applied' : ''}</span>
+                      </div>
+                    )}
+                    {msg.diagnostics?.length > 0 && (
+                      <div className="mt-2 pt-2 border-t border-white/5 space-y-1">
+                        {msg.diagnostics.map((d, i) => (
+                          <div
+                            key={i}
+                            className={`flex items-start gap-1.5 text-[11px] ${d.level === 'error' ? 'text-red-400' : 'text-amber-400'}`}
+                          >
+                            <span className="material-icons-round text-xs mt-px">
+                              {d.level === 'error' ? 'error_outline' : 'warning_amber'}
+                            </span>
+                            <span>{d.message}</span>
+                          </div>
+                        ))}
+                      </div>
+                    )}
                   </div>
+                  {/* Regenerate the last reply */}
+                  {msg.role === 'assistant' && index === chatbotMessages.length - 1 && !chatbotLoading && (
+                    <button
+                      onClick={regenerateChatbotReply}
+                      className="flex items-center gap-1 mt-1 px-1.5 py-0.5 rounded text-[10px] text-slate-500 hover:text-[#C5A059] transition-colors"
+                      title="Ask the same question again"
+                    >
+                      <span className="material-icons-round text-xs">refresh</span>
+                      Regenerate
+                    </button>
+                  )}
                 </div>
               ))
             )}
-            
-            {/* Loading indicator */}
-            {chatbotLoading && (
-              <div className="flex justify-start">
-                <div className="bg-white/5 border border-white/5 rounded-xl px-4 py-3">
-                  <div className="flex items-center gap-2">
-                    <div className="flex gap-1">
-                      <span className="w-2 h-2 bg-[#C5A059] rounded-full animate-bounce" style={{ animationDelay: '0ms' }} />
-                      <span className="w-2 h-2 bg-[#C5A059] rounded-full animate-bounce" style={{ animationDelay: '150ms' }} />
-                      <span className="w-2 h-2 bg-[#C5A059] rounded-full animate-bounce" style={{ animationDelay: '300ms' }} />
-                    </div>
-                    <span className="text-xs text-slate-400">Analyzing...</span>
-                  </div>
-                </div>
-              </div>
-            )}
           </div>
 
-          {/* Apply Changes Button - shown when AI suggests code changes */}
+          {/* Review Changes Button - shown when AI suggests code changes */}
           {pendingCodeChanges && (
             <div className="px-4 py-2 border-t border-white/5 bg-green-500/10">
               <button
-                onClick={handleApplyChanges}
+                onClick={handleReviewChanges}
                 className="w-full flex items-center justify-center gap-2 py-2.5 rounded-xl bg-gradient-to-r from-green-500 to-emerald-500 text-white font-bold text-xs uppercase tracking-wider hover:shadow-lg hover:shadow-green-500/20 transition-all"
               >
-                <span className="material-icons-round text-sm">check_circle</span>
-                Apply Code Changes
+                <span className="material-icons-round text-sm">difference</span>
+                Review Code Changes
               </button>
             </div>
           )}
 
           {/* Input Area */}
           <div className="p-3 border-t border-[#C5A059]/10">
+            {/* Element picked in the preview - sent with the next message */}
+            {chatbotSelection && (
+              <div className="flex items-center gap-1.5 mb-2 px-2 py-1 rounded-lg bg-[#C5A059]/10 border border-[#C5A059]/20 text-[11px]">
+                <span className="material-icons-round text-xs text-[#C5A059]">ads_click</span>
+                <span className="flex-1 min-w-0 font-mono text-slate-300 truncate" title={chatbotSelection.selector}>
+                  {chatbotSelection.selector}
+                </span>
+                <button
+                  onClick={() => setChatbotSelection(null)}
+                  className="p-0.5 rounded hover:bg-white/10 text-slate-500 hover:text-slate-300"
+                  title="Remove the selected element"
+                >
+                  <span className="material-icons-round text-xs">close</span>
+                </button>
+              </div>
+            )}
             <div className="flex gap-2">
               <input
                 ref={inputRef}
@@ -294,17 +355,27 @@ function CodeChatbot() {
                 value={inputValue}
                 onChange={(e) => setInputValue(e.target.value)}
                 onKeyDown={handleKeyDown}
-                placeholder="Ask about your code..."
+                placeholder={chatbotSelection ? 'Ask about the selected element...' : 'Ask about your code...'}
                 className="flex-1 px-4 py-2.5 rounded-xl bg-black/40 border border-white/10 focus:border-[#C5A059]/40 text-sm text-slate-200 placeholder:text-slate-600 outline-none transition-colors"
                 disabled={chatbotLoading}
               />
-              <button
-                onClick={handleSend}
-                disabled={!inputValue.trim() || chatbotLoading}
-                className="px-4 py-2.5 rounded-xl bg-[#C5A059] text-[#0A090F] font-bold text-sm hover:bg-[#D4AF61] transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                <span className="material-icons-round text-sm">send</span>
-              </button>
+              {chatbotLoading ? (
+                <button
+                  onClick={stopChatbotReply}
+                  className="px-4 py-2.5 rounded-xl bg-red-500/20 text-red-400 border border-red-500/30 font-bold text-sm hover:bg-red-500/30 transition-colors"
+                  title="Stop the reply"
+                >
+                  <span className="material-icons-round text-sm">stop</span>
+                </button>
+              ) : (
+                <button
+                  onClick={handleSend}
+                  disabled={!inputValue.trim()}
+                  className="px-4 py-2.5 rounded-xl bg-[#C5A059] text-[#0A090F] font-bold text-sm hover:bg-[#D4AF61] transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <span className="material-icons-round text-sm">send</span>
+                </button>
+              )}
             </div>
           </div>
 
@@ -326,6 +397,11 @@ function CodeChatbot() {
           </div>
         </div>
       )}
+
+      {/* Diff review of the suggested changes */}
+      {isReviewOpen && pendingCodeChanges && (
+        <ChangeReview onClose={() => setIsReviewOpen(false)} />
+      )}
     </>
   );
 }
@@ -1,6 +1,8 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
 import Editor from '@monaco-editor/react';
 import { useCode } from '../context/CodeContext';
+import PreviewConsole from './PreviewConsole';
+import { isImageFile } from '../utils/projectAssets';
 
 // File icon helper
 function getFileIcon(fileName) {
@@ -14,6 +16,14 @@ function getFileIcon(fileName) {
     'css': 'style',
     'json': 'data_object',
     'md': 'description',
+    'png': 'image',
+    'jpg': 'image',
+    'jpeg': 'image',
+    'gif': 'image',
+    'webp': 'image',
+    'avif': 'image',
+    'svg': 'image',
+    'ico': 'image',
   };
   return iconMap[extension] || 'description';
 }
@@ -135,9 +145,31 @@ export default function CodeEditor() {
     closeFile,
     toggleFolder,
     findFileById,
+    editorReveal,
   } = useCode();
 
   const [sidebarWidth, setSidebarWidth] = useState(200);
+  const editorRef = useRef(null);
+  const revealedRef = useRef(null); // Last editorReveal request that was applied
+
+  // Jump to a line requested from the console (once the requested file is the one in the editor)
+  const applyReveal = useCallback(() => {
+    const editor = editorRef.current;
+    if (!editor || !editorReveal || editorReveal.fileId !== activeFileId || revealedRef.current === editorReveal) return;
+    revealedRef.current = editorReveal;
+    editor.revealLineInCenter(editorReveal.line);
+    editor.setPosition({ lineNumber: editorReveal.line, column: editorReveal.column || 1 });
+    editor.focus();
+  }, [editorReveal, activeFileId]);
+
+  useEffect(() => {
+    applyReveal();
+  }, [applyReveal]);
+
+  const handleEditorMount = useCallback((editor) => {
+    editorRef.current = editor;
+    applyReveal();
+  }, [applyReveal]);
 
   const handleEditorChange = useCallback((value) => {
     if (activeFileId) {
@@ -217,12 +249,19 @@ export default function CodeEditor() {
 
         {/* Monaco Editor */}
         <div className="flex-1 min-h-0">
-          {activeFile ? (
+          {activeFile && isImageFile(activeFile) ? (
+            // Image files hold a data URL - show the image instead of its source
+            <div className="flex flex-col items-center justify-center h-full gap-3 p-6 bg-[repeating-conic-gradient(#ffffff08_0%_25%,transparent_0%_50%)] bg-[length:16px_16px]">
+              <img src={activeContent} alt={activeFile.name} className="max-w-full max-h-[80%] object-contain" />
+              <p className="text-xs font-mono text-slate-500">{activeFile.name}</p>
+            </div>
+          ) : activeFile ? (
             <Editor
               height="100%"
               language={getMonacoLanguage(activeFile)}
               value={activeContent}
               onChange={handleEditorChange}
+              onMount={handleEditorMount}
               theme="vs-dark"
               options={{
                 minimap: { enabled: false },
@@ -263,6 +302,9 @@ export default function CodeEditor() {
             </div>
           )}
         </div>
+
+        {/* Preview Console */}
+        <PreviewConsole />
       </div>
     </div>
   );
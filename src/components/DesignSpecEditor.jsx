@@ -0,0 +1,243 @@
+import { useState } from 'react';
+import { useCode } from '../context/CodeContext';
+import { DEFAULT_DESIGN_SPEC, normalizeDesignSpec, toSixDigitHex } from '../utils/designSpec';
+
+// Suggestions for the font inputs (any Google Font name works)
+const FONT_SUGGESTIONS = [
+  'Inter', 'Outfit', 'Poppins', 'Roboto', 'Montserrat', 'Lato', 'Open Sans', 'DM Sans',
+  'Space Grotesk', 'Playfair Display', 'Merriweather', 'Lora', 'Fira Code', 'JetBrains Mono',
+];
+
+/**
+ * Design Spec Editor
+ * Edits the design JSON (palette, fonts, section order) that is sent with every generation request,
+ * so exact colors work with or without an uploaded screenshot
+ */
+export default function DesignSpecEditor() {
+  const { designJSON, setDesignJSON } = useCode();
+  const [isOpen, setIsOpen] = useState(true);
+  const [newColorName, setNewColorName] = useState('');
+  const [newSection, setNewSection] = useState('');
+
+  if (!designJSON) {
+    return (
+      <button
+        onClick={() => setDesignJSON(structuredClone(DEFAULT_DESIGN_SPEC))}
+        className="w-full flex items-center justify-center gap-2 py-2.5 rounded-xl glass-panel border border-dashed border-[#C5A059]/20 hover:border-[#C5A059]/40 text-[10px] font-bold uppercase tracking-widest text-slate-400 hover:text-[#C5A059] transition-all"
+        title="Pin exact colors, fonts and sections for the generator"
+      >
+        <span className="material-icons-round text-sm">palette</span>
+        Add Design Specs
+      </button>
+    );
+  }
+
+  const spec = normalizeDesignSpec(designJSON);
+  const { colors, typography } = spec;
+  const sections = spec.layout.sections;
+
+  const updateSpec = (changes) => setDesignJSON(prev => {
+    const current = normalizeDesignSpec(prev);
+    return {
+      ...current,
+      ...changes,
+      layout: { ...current.layout, ...changes.layout },
+    };
+  });
+
+  const setColor = (name, value) => updateSpec({ colors: { ...colors, [name]: value } });
+
+  const removeColor = (name) => {
+    const { [name]: _removed, ...rest } = colors;
+    updateSpec({ colors: rest });
+  };
+
+  const addColor = () => {
+    const name = newColorName.trim().replace(/\s+/g, '-');
+    if (!name || colors[name] !== undefined) return;
+    setColor(name, '#888888');
+    setNewColorName('');
+  };
+
+  const setFont = (key, value) => updateSpec({ typography: { ...typography, [key]: value } });
+
+  const setSections = (next) => updateSpec({ layout: { sections: next } });
+
+  const moveSection = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= sections.length) return;
+    const next = [...sections];
+    [next[index], next[target]] = [next[target], next[index]];
+    setSections(next);
+  };
+
+  const addSection = () => {
+    const name = newSection.trim();
+    if (!name) return;
+    setSections([...sections, name]);
+    setNewSection('');
+  };
+
+  return (
+    <div className="rounded-xl glass-panel border border-[#C5A059]/10 overflow-hidden">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-white/5">
+        <button
+          onClick={() => setIsOpen(open => !open)}
+          className="flex items-center gap-2 text-[10px] font-bold uppercase tracking-widest text-[#C5A059]"
+        >
+          <span className="material-icons-round text-sm">palette</span>
+          Design Specs
+          <span className="material-icons-round text-sm text-slate-500">{isOpen ? 'expand_less' : 'expand_more'}</span>
+        </button>
+        <div className="flex items-center gap-1">
+          {!isOpen && (
+            <div className="flex -space-x-1 mr-2">
+              {Object.values(colors).slice(0, 6).map((value, i) => (
+                <span key={i} className="w-3 h-3 rounded-full border border-black/40" style={{ background: value }} />
+              ))}
+            </div>
+          )}
+          <button
+            onClick={() => setDesignJSON(null)}
+            className="p-1 rounded-md text-slate-500 hover:text-red-400 hover:bg-white/5 transition-colors"
+            title="Generate without design specs"
+          >
+            <span className="material-icons-round text-sm">delete_outline</span>
+          </button>
+        </div>
+      </div>
+
+      {isOpen && (
+        <div className="p-3 space-y-4">
+          {/* Palette */}
+          <div>
+            <div className="text-[10px] font-bold uppercase tracking-widest text-slate-500 mb-2">Palette</div>
+            <div className="space-y-1.5">
+              {Object.entries(colors).map(([name, value]) => (
+                <div key={name} className="flex items-center gap-2">
+                  <input
+                    type="color"
+                    value={toSixDigitHex(value) || '#000000'}
+                    onChange={(e) => setColor(name, e.target.value)}
+                    className="w-7 h-7 rounded-md border border-white/10 bg-transparent cursor-pointer shrink-0"
+                    title={`Pick ${name} color`}
+                  />
+                  <span className="w-24 text-xs text-slate-400 truncate" title={name}>{name}</span>
+                  <input
+                    type="text"
+                    value={value}
+                    onChange={(e) => setColor(name, e.target.value)}
+                    className="flex-1 min-w-0 px-2 py-1 rounded-md bg-black/40 border border-white/10 focus:border-[#C5A059]/40 text-xs font-mono text-slate-200 outline-none"
+                    spellCheck={false}
+                  />
+                  <button
+                    onClick={() => removeColor(name)}
+                    className="p-1 rounded-md text-slate-600 hover:text-red-400 transition-colors"
+                    title={`Remove ${name}`}
+                  >
+                    <span className="material-icons-round text-sm">close</span>
+                  </button>
+                </div>
+              ))}
+              <div className="flex items-center gap-2 pt-1">
+                <input
+                  type="text"
+                  value={newColorName}
+                  onChange={(e) => setNewColorName(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && addColor()}
+                  placeholder="New color role (e.g. surface)"
+                  className="flex-1 min-w-0 px-2 py-1 rounded-md bg-black/40 border border-white/10 focus:border-[#C5A059]/40 text-xs text-slate-200 placeholder:text-slate-600 outline-none"
+                />
+                <button
+                  onClick={addColor}
+                  disabled={!newColorName.trim()}
+                  className="p-1 rounded-md text-[#C5A059] hover:bg-white/5 disabled:opacity-40 transition-colors"
+                  title="Add color"
+                >
+                  <span className="material-icons-round text-sm">add</span>
+                </button>
+              </div>
+            </div>
+          </div>
+
+          {/* Fonts */}
+          <div>
+            <div className="text-[10px] font-bold uppercase tracking-widest text-slate-500 mb-2">Fonts</div>
+            <datalist id="design-spec-fonts">
+              {FONT_SUGGESTIONS.map(font => <option key={font} value={font} />)}
+            </datalist>
+            <div className="grid grid-cols-2 gap-2">
+              {[['headingFont', 'Headings'], ['bodyFont', 'Body']].map(([key, label]) => (
+                <label key={key} className="block">
+                  <span className="block text-[10px] text-slate-500 mb-1">{label}</span>
+                  <input
+                    type="text"
+                    list="design-spec-fonts"
+                    value={typography[key] || ''}
+                    onChange={(e) => setFont(key, e.target.value)}
+                    className="w-full px-2 py-1 rounded-md bg-black/40 border border-white/10 focus:border-[#C5A059]/40 text-xs text-slate-200 outline-none"
+                    style={{ fontFamily: typography[key] ? `"${typography[key]}", sans-serif` : undefined }}
+                  />
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {/* Sections */}
+          <div>
+            <div className="text-[10px] font-bold uppercase tracking-widest text-slate-500 mb-2">Sections (top to bottom)</div>
+            <div className="space-y-1">
+              {sections.map((section, index) => (
+                <div key={`${section}-${index}`} className="flex items-center gap-1 px-2 py-1 rounded-md bg-white/5 text-xs text-slate-300">
+                  <span className="text-slate-600 font-mono w-4">{index + 1}</span>
+                  <span className="flex-1 truncate">{section}</span>
+                  <button
+                    onClick={() => moveSection(index, -1)}
+                    disabled={index === 0}
+                    className="p-0.5 text-slate-500 hover:text-[#C5A059] disabled:opacity-30"
+                    title="Move up"
+                  >
+                    <span className="material-icons-round text-sm">arrow_upward</span>
+                  </button>
+                  <button
+                    onClick={() => moveSection(index, 1)}
+                    disabled={index === sections.length - 1}
+                    className="p-0.5 text-slate-500 hover:text-[#C5A059] disabled:opacity-30"
+                    title="Move down"
+                  >
+                    <span className="material-icons-round text-sm">arrow_downward</span>
+                  </button>
+                  <button
+                    onClick={() => setSections(sections.filter((_, i) => i !== index))}
+                    className="p-0.5 text-slate-500 hover:text-red-400"
+                    title="Remove section"
+                  >
+                    <span className="material-icons-round text-sm">close</span>
+                  </button>
+                </div>
+              ))}
+              <div className="flex items-center gap-2 pt-1">
+                <input
+                  type="text"
+                  value={newSection}
+                  onChange={(e) => setNewSection(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && addSection()}
+                  placeholder="Add a section (e.g. testimonials)"
+                  className="flex-1 min-w-0 px-2 py-1 rounded-md bg-black/40 border border-white/10 focus:border-[#C5A059]/40 text-xs text-slate-200 placeholder:text-slate-600 outline-none"
+                />
+                <button
+                  onClick={addSection}
+                  disabled={!newSection.trim()}
+                  className="p-1 rounded-md text-[#C5A059] hover:bg-white/5 disabled:opacity-40 transition-colors"
+                  title="Add section"
+                >
+                  <span className="material-icons-round text-sm">add</span>
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,260 @@
+import { useState, useEffect, useRef } from 'react';
+import { useCode } from '../context/CodeContext';
+import { useToast } from './ToastProvider';
+import {
+  FIDELITY_WIDTHS,
+  guessViewportWidth,
+  captureDocument,
+  compareImages,
+  cropRegion,
+  describeRegion,
+  buildFidelityRefinePrompt,
+} from '../utils/designFidelity';
+import { getImageRole } from '../utils/assetRoles';
+import { loadImage } from '../utils/canvasHelpers';
+
+// Tallest page slice captured (very long full-page mockups are squeezed to fit)
+const MAX_CAPTURE_HEIGHT = 12000;
+// Close-ups sent with a refinement (Gemini takes 5 images: mockup + screenshot + 3)
+const MAX_REFINE_REGIONS = 3;
+
+/**
+ * Fidelity Panel
+ * Scores how closely the rendered preview matches the uploaded mockup and shows where it differs
+ * The preview is screenshotted from a hidden same-origin copy at the mockup's width; the score is
+ * recomputed whenever the preview changes, and the worst regions can be sent back for a refinement
+ */
+export default function FidelityPanel({ lastScore = null, onScore, onClose }) {
+  const { assets, livePreviewCode, projectFramework, refineCodeWithAI, isGenerating } = useCode();
+  const { toast } = useToast();
+  const [loadedMockup, setLoadedMockup] = useState({ src: null, image: null });
+  const [widthChoice, setWidthChoice] = useState('auto');
+  const [result, setResult] = useState(null);
+  const [status, setStatus] = useState('running'); // 'running' | 'done' | 'error'
+  const [showHeatmap, setShowHeatmap] = useState(true);
+  const [runKey, setRunKey] = useState(0);
+  // Score before the last refinement, for showing the change
+  const [baselineScore] = useState(lastScore);
+  const runRef = useRef(0);
+
+  const mockup = assets.find(a => a.type === 'image' && getImageRole(a, assets) === 'mockup');
+  const mockupImage = mockup && loadedMockup.src === mockup.data ? loadedMockup.image : null;
+  const isSupported = projectFramework === 'html' || projectFramework === 'multipage';
+  const viewportWidth = widthChoice === 'auto'
+    ? (mockupImage ? guessViewportWidth(mockupImage) : 1280)
+    : Number(widthChoice);
+
+  useEffect(() => {
+    if (!mockup?.data) return undefined;
+    let cancelled = false;
+    loadImage(mockup.data)
+      .then(image => !cancelled && setLoadedMockup({ src: mockup.data, image }))
+      .catch(() => !cancelled && setStatus('error'));
+    return () => { cancelled = true; };
+  }, [mockup?.data]);
+
+  const runComparison = async (e) => {
+    const doc = e.target.contentDocument;
+    const run = ++runRef.current;
+    setStatus('running');
+
+    try {
+      const height = Math.min(MAX_CAPTURE_HEIGHT, Math.round(viewportWidth * mockupImage.naturalHeight / mockupImage.naturalWidth));
+      const screenshot = await captureDocument(doc, viewportWidth, height);
+      if (run !== runRef.current) return;
+
+      const comparison = compareImages(mockupImage, screenshot, height / viewportWidth);
+      setResult({ ...comparison, screenshot: screenshot.toDataURL('image/jpeg', 0.85) });
+      setStatus('done');
+      onScore?.(comparison.score);
+    } catch (error) {
+      console.error('Fidelity check failed:', error);
+      if (run === runRef.current) setStatus('error');
+    }
+  };
+
+  const refineMismatches = async () => {
+    const regions = result.regions.slice(0, MAX_REFINE_REGIONS);
+    const images = [
+      mockup,
+      { id: 'fidelity-screenshot', name: 'current-page.jpg', type: 'image', role: 'reference', data: result.screenshot },
+      ...regions.map((region, i) => ({
+        id: `fidelity-region-${i + 1}`,
+        name: `mockup-region-${i + 1}.jpg`,
+        type: 'image',
+        role: 'reference',
+        data: cropRegion(mockupImage, region),
+      })),
+    ];
+
+    const outcome = await refineCodeWithAI(buildFidelityRefinePrompt(result.score, regions), { images });
+    if (outcome.success) {
+      toast.success('Refined the mismatched areas - checking the score again');
+    } else {
+      toast.error(outcome.error || 'Refinement failed');
+    }
+  };
+
+  const scoreColor = !result ? 'text-slate-500'
+    : result.score >= 85 ? 'text-green-400'
+      : result.score >= 65 ? 'text-yellow-400'
+        : 'text-red-400';
+  const delta = result && baselineScore !== null ? result.score - baselineScore : 0;
+
+  return (
+    <div className="w-80 h-full shrink-0 flex flex-col rounded-lg glass-panel border border-[#C5A059]/10 overflow-hidden">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-white/5">
+        <div className="flex items-center gap-2 text-[10px] font-bold uppercase tracking-widest text-[#C5A059]">
+          <span className="material-icons-round text-sm">compare</span>
+          Fidelity
+          {result && <span className={`normal-case tracking-normal font-mono font-normal ${scoreColor}`}>{result.score}/100</span>}
+        </div>
+        <div className="flex items-center gap-1">
+          <button
+            onClick={() => setRunKey(key => key + 1)}
+            className="p-1 rounded-md text-slate-500 hover:text-slate-200 hover:bg-white/5 transition-colors"
+            title="Compare again"
+          >
+            <span className="material-icons-round text-sm">refresh</span>
+          </button>
+          <button
+            onClick={onClose}
+            className="p-1 rounded-md text-slate-500 hover:text-slate-200 hover:bg-white/5 transition-colors"
+            title="Close fidelity panel"
+          >
+            <span className="material-icons-round text-sm">close</span>
+          </button>
+        </div>
+      </div>
+
+      {!mockup ? (
+        <p className="p-4 text-xs text-slate-500">Upload the design mockup to compare the preview against it.</p>
+      ) : !isSupported ? (
+        <p className="p-4 text-xs text-slate-500">
+          The fidelity check screenshots HTML previews. {projectFramework === 'react' ? 'React' : 'This'} output can't be captured yet.
+        </p>
+      ) : (
+        <>
+          <div className="flex-1 overflow-y-auto p-3 space-y-4">
+            {/* Score */}
+            <div className="flex items-end justify-between">
+              <div>
+                <div className={`text-4xl font-display font-bold ${scoreColor}`}>
+                  {status === 'error' ? '--' : result ? result.score : '...'}
+                </div>
+                <p className="text-[10px] uppercase tracking-widest text-slate-500">
+                  {status === 'running' ? 'Comparing...' : 'Similarity to mockup'}
+                </p>
+              </div>
+              {delta !== 0 && (
+                <span className={`text-xs font-mono ${delta > 0 ? 'text-green-400' : 'text-red-400'}`}>
+                  {delta > 0 ? '+' : ''}{delta} since last check
+                </span>
+              )}
+            </div>
+
+            {status === 'error' && (
+              <p className="text-xs text-red-400">
+                Couldn't screenshot the preview in this browser. The fidelity check needs Chrome, Edge or Firefox.
+              </p>
+            )}
+
+            <label className="flex items-center justify-between gap-2 text-[10px] uppercase tracking-wider text-slate-500">
+              Viewport
+              <select
+                value={widthChoice}
+                onChange={(e) => setWidthChoice(e.target.value)}
+                className="px-2 py-1 rounded-md bg-black/40 border border-white/10 text-xs font-mono normal-case text-slate-200 outline-none"
+              >
+                <option value="auto">Auto ({mockupImage ? guessViewportWidth(mockupImage) : '...'}px)</option>
+                {FIDELITY_WIDTHS.map(width => <option key={width} value={width}>{width}px</option>)}
+              </select>
+            </label>
+
+            {/* Mockup and preview side by side */}
+            <div className="grid grid-cols-2 gap-2">
+              <figure>
+                <img src={mockup.data} alt="Design mockup" className="w-full rounded border border-white/10" />
+                <figcaption className="mt-1 text-[10px] uppercase tracking-wider text-slate-500">Mockup</figcaption>
+              </figure>
+              <figure>
+                <div className="relative">
+                  {result ? (
+                    <>
+                      <img src={result.screenshot} alt="Preview screenshot" className="w-full rounded border border-white/10" />
+                      {showHeatmap && (
+                        <img src={result.heatmap} alt="" className="absolute inset-0 w-full h-full rounded pointer-events-none" />
+                      )}
+                    </>
+                  ) : (
+                    <div className="w-full aspect-[3/4] rounded border border-white/10 bg-black/30" />
+                  )}
+                </div>
+                <figcaption className="mt-1 flex items-center justify-between text-[10px] uppercase tracking-wider text-slate-500">
+                  Preview
+                  <button
+                    onClick={() => setShowHeatmap(show => !show)}
+                    className={`normal-case tracking-normal ${showHeatmap ? 'text-red-400' : 'text-slate-500 hover:text-slate-300'}`}
+                    title="Highlight the areas that differ from the mockup"
+                  >
+                    Heatmap
+                  </button>
+                </figcaption>
+              </figure>
+            </div>
+
+            {/* Biggest mismatches */}
+            {result && (
+              <div>
+                <div className="flex items-center gap-1.5 text-[10px] font-bold uppercase tracking-widest text-slate-500 mb-2">
+                  <span className="material-icons-round text-sm">crop_free</span>
+                  Biggest Differences
+                </div>
+                {result.regions.length === 0 ? (
+                  <p className="text-xs text-green-400">No area differs noticeably from the mockup.</p>
+                ) : (
+                  <ul className="space-y-1">
+                    {result.regions.slice(0, MAX_REFINE_REGIONS).map((region, i) => (
+                      <li key={i} className="flex items-center justify-between text-xs text-slate-300">
+                        <span>{describeRegion(region)}</span>
+                        <span className="font-mono text-red-400">{Math.round(region.mismatch * 100)}%</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+          </div>
+
+          {result?.regions.length > 0 && (
+            <div className="p-3 border-t border-white/5">
+              <button
+                onClick={refineMismatches}
+                disabled={isGenerating}
+                className="w-full flex items-center justify-center gap-2 py-1.5 rounded-md bg-[#C5A059]/10 hover:bg-[#C5A059]/20 disabled:opacity-50 text-[10px] font-bold uppercase tracking-widest text-[#C5A059] transition-colors"
+              >
+                <span className="material-icons-round text-sm">auto_fix_high</span>
+                Refine Mismatched Areas
+              </button>
+            </div>
+          )}
+
+          {/* Hidden same-origin copy of the preview at the mockup's width, used for the screenshot */}
+          {mockupImage && livePreviewCode && (
+            <iframe
+              key={`${runKey}-${viewportWidth}`}
+              srcDoc={livePreviewCode}
+              sandbox="allow-same-origin"
+              onLoad={runComparison}
+              title="Fidelity screenshot"
+              aria-hidden="true"
+              tabIndex={-1}
+              className="fixed -left-[20000px] top-0 h-[800px] border-0 pointer-events-none"
+              style={{ width: viewportWidth }}
+            />
+          )}
+        </>
+      )}
+    </div>
+  );
+}
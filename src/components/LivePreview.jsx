@@ -1,12 +1,194 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { getPreviewSandbox, listenToPreview, sendToPreview } from '../utils/previewBridge';
+import { startElementPicker } from '../utils/elementPicker';
+
+// Viewport presets (height null = fill the preview area)
+const DEVICE_PRESETS = [
+  { id: 'responsive', label: 'Responsive', icon: 'fit_screen', width: null, height: null },
+  { id: 'phone', label: 'Phone', icon: 'smartphone', width: 375, height: 667 },
+  { id: 'tablet', label: 'Tablet', icon: 'tablet_mac', width: 768, height: 1024 },
+  { id: 'laptop', label: 'Laptop', icon: 'laptop', width: 1366, height: 768 },
+  { id: 'custom', label: 'Custom width', icon: 'width', width: null, height: null },
+];
+
+// Widths rendered side by side in multi-viewport mode
+const MULTI_VIEWPORTS = [
+  { label: 'Phone', width: 375 },
+  { label: 'Tablet', width: 768 },
+  { label: 'Laptop', width: 1280 },
+];
+
+const MIN_CUSTOM_WIDTH = 240;
+const MAX_CUSTOM_WIDTH = 3840;
+const STAGE_PADDING = 16;
+
+/**
+ * Clamp a typed custom width to something an iframe can render
+ * @param {string} value - Width input value
+ * @returns {number} Width in px
+ */
+function clampWidth(value) {
+  return Math.min(MAX_CUSTOM_WIDTH, Math.max(MIN_CUSTOM_WIDTH, parseInt(value, 10) || MIN_CUSTOM_WIDTH));
+}
+
+/**
+ * Collect the viewport widths used by @media rules in a preview document
+ * Handles min-width/max-width and the range syntax Tailwind emits (width >= 40rem); 1em/1rem = 16px
+ * @param {string} code - Preview document
+ * @returns {Array} [{ width: 768, type: 'min' | 'max' }] sorted by width
+ */
+function extractMediaBreakpoints(code) {
+  const found = new Map();
+  const toPx = (value, unit) => Math.round(unit === 'px' ? parseFloat(value) : parseFloat(value) * 16);
+
+  for (const [, query] of (code || '').matchAll(/@media([^{]+)\{/g)) {
+    for (const [, feature, value, unit] of query.matchAll(/(min|max)-width\s*:\s*([\d.]+)(px|r?em)/g)) {
+      found.set(`${feature}-${toPx(value, unit)}`, { width: toPx(value, unit), type: feature });
+    }
+    for (const [, operator, value, unit] of query.matchAll(/width\s*([<>]=?)\s*([\d.]+)(px|r?em)/g)) {
+      const type = operator.startsWith('>') ? 'min' : 'max';
+      found.set(`${type}-${toPx(value, unit)}`, { width: toPx(value, unit), type });
+    }
+  }
+
+  return [...found.values()].sort((a, b) => a.width - b.width);
+}
+
+/**
+ * Resolve a link href to one of the site's pages
+ * @param {string} href - Raw href attribute (e.g. "about.html", "./contact.html#form")
+ * @param {Array<string>} pages - Page paths in the project
+ * @returns {string|null} Matching page path, or null for external/in-page links
+ */
+function resolvePageLink(href, pages) {
+  if (!href || /^(https?:|mailto:|tel:|#|javascript:)/i.test(href)) return null;
+
+  const path = href.split(/[?#]/)[0].replace(/^\.?\//, '');
+  return pages.includes(path) ? path : null;
+}
 
 /**
  * LivePreview Component
  * Renders generated HTML/CSS code in a sandboxed iframe
+ * While a generation is streaming, shows the partial preview as soon as it is available
+ * Multi-page sites get a page switcher, and relative links between pages navigate the preview
+ * React previews (and projects that turn scripts on) run scripts, so they get allow-scripts instead of allow-same-origin
+ * Theme panel edits (CSS custom properties) are applied to the rendered page before it rebuilds
+ * Device presets, rotation and a side-by-side mode check the page at several widths,
+ * and a ruler marks the breakpoints of its @media rules
+ * Pick mode outlines elements under the cursor and hands the clicked one to onPickElement
  */
-export default function LivePreview({ code, isLoading }) {
+export default function LivePreview({
+  code,
+  isLoading,
+  streamingContent = '',
+  pages = [],
+  activePage = '',
+  onNavigate,
+  themeOverrides = {},
+  isThemePanelOpen = false,
+  onToggleThemePanel,
+  isAuditPanelOpen = false,
+  onToggleAuditPanel,
+  isFidelityPanelOpen = false,
+  onToggleFidelityPanel,
+  scriptsEnabled = false,
+  onToggleScripts,
+  consoleErrorCount = 0,
+  onShowConsole,
+  onConsoleMessage,
+  onConsoleReset,
+  onPickElement,
+}) {
   const iframeRef = useRef(null);
+  const stageRef = useRef(null);
   const [error, setError] = useState(null);
+  const [device, setDevice] = useState('responsive');
+  const [customWidth, setCustomWidth] = useState('1024');
+  const [isRotated, setIsRotated] = useState(false);
+  const [isMultiView, setIsMultiView] = useState(false);
+  const [stageSize, setStageSize] = useState({ width: 0, height: 0 });
+  const [isPicking, setIsPicking] = useState(false);
+  const hasCode = Boolean(code);
+
+  const breakpoints = useMemo(() => extractMediaBreakpoints(code), [code]);
+
+  // Track the preview area size so fixed-size viewports can be scaled down to fit
+  useEffect(() => {
+    const stage = stageRef.current;
+    if (!stage) return;
+    const observer = new ResizeObserver(([entry]) => {
+      setStageSize({ width: entry.contentRect.width, height: entry.contentRect.height });
+    });
+    observer.observe(stage);
+    return () => observer.disconnect();
+  }, [hasCode, error]);
+
+  // Token edits land in the stylesheet too, so a rebuilt preview already has them;
+  // this only covers the debounce/compile gap (scripted previews get them through the bridge)
+  useEffect(() => {
+    const frame = iframeRef.current;
+    const root = frame?.contentDocument?.documentElement;
+    if (!root) {
+      if (Object.keys(themeOverrides).length > 0) {
+        sendToPreview(frame?.contentWindow, { type: 'set-properties', properties: themeOverrides });
+      }
+      return;
+    }
+    for (const [name, value] of Object.entries(themeOverrides)) {
+      root.style.setProperty(name, value);
+    }
+  }, [themeOverrides]);
+
+  // Console output, errors and page link clicks from scripted previews
+  useEffect(() => listenToPreview(() => iframeRef.current?.contentWindow, {
+    reset: () => onConsoleReset?.(),
+    console: (entry) => onConsoleMessage?.(entry),
+    navigate: ({ href }) => {
+      const page = resolvePageLink(href, pages);
+      if (page && onNavigate) onNavigate(page);
+    },
+  }), [pages, onNavigate, onConsoleMessage, onConsoleReset]);
+
+  // Element picker: runs on the document itself for plain previews, through the bridge for scripted ones
+  // It is re-armed when the preview reloads, until an element is picked or Escape cancels
+  useEffect(() => {
+    if (!isPicking) return;
+    const frame = iframeRef.current;
+    let stop = null;
+
+    const finish = (selection) => {
+      stop = null;
+      setIsPicking(false);
+      if (selection) onPickElement?.({ ...selection, page: activePage });
+    };
+    const arm = () => {
+      stop?.();
+      const doc = frame?.contentDocument;
+      if (doc?.documentElement) {
+        stop = startElementPicker(doc, finish);
+      } else {
+        sendToPreview(frame?.contentWindow, { type: 'pick-start' });
+        stop = () => sendToPreview(frame?.contentWindow, { type: 'pick-stop' });
+      }
+    };
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') setIsPicking(false);
+    };
+
+    arm();
+    frame?.addEventListener('load', arm);
+    window.addEventListener('keydown', onKeyDown);
+    const unlisten = listenToPreview(() => frame?.contentWindow, {
+      picked: ({ selection }) => finish(selection),
+    });
+    return () => {
+      frame?.removeEventListener('load', arm);
+      window.removeEventListener('keydown', onKeyDown);
+      unlisten();
+      stop?.();
+    };
+  }, [isPicking, onPickElement, activePage]);
 
   useEffect(() => {
     if (!code) return;
@@ -22,7 +204,25 @@ export default function LivePreview({ code, isLoading }) {
     }
   }, [code]);
 
-  if (isLoading) {
+  // Intercept clicks on links to other pages (plain previews have no scripts, so the parent listens)
+  const handleFrameLoad = () => {
+    const doc = iframeRef.current?.contentDocument;
+    if (!doc || !onNavigate || pages.length < 2) return;
+
+    doc.addEventListener('click', (e) => {
+      const link = e.target.closest?.('a[href]');
+      const page = link && resolvePageLink(link.getAttribute('href'), pages);
+      if (page) {
+        e.preventDefault();
+        onNavigate(page);
+      }
+    });
+  };
+
+  // Show the spinner only until the streamed HTML is complete enough to render
+  if (isLoading && !code) {
+    const streamTail = streamingContent.split('\n').slice(-6).join('\n');
+
     return (
       <div className="w-full h-full flex flex-col items-center justify-center bg-[#0A090F]">
         <div className="relative">
@@ -35,8 +235,19 @@ export default function LivePreview({ code, isLoading }) {
           </div>
           <div className="w-12 h-12 border-2 border-t-[#C5A059] border-r-[#C5A059]/50 border-b-[#C5A059]/20 border-l-[#C5A059]/10 rounded-full animate-spin" />
         </div>
-        <p className="mt-6 text-sm text-slate-400 font-medium">Generating your code...</p>
-        <p className="mt-2 text-xs text-slate-600">This may take a few moments</p>
+        <p className="mt-6 text-sm text-slate-400 font-medium">
+          {streamingContent ? 'Receiving code...' : 'Generating your code...'}
+        </p>
+        <p className="mt-2 text-xs text-slate-600">
+          {streamingContent
+            ? `${streamingContent.length.toLocaleString()} characters so far - preview appears when the HTML is complete`
+            : 'This may take a few moments'}
+        </p>
+        {streamTail && (
+          <pre className="mt-6 w-full max-w-xl max-h-32 overflow-hidden px-4 py-3 rounded-lg bg-black/40 border border-white/5 text-[10px] leading-relaxed text-slate-500 font-mono whitespace-pre-wrap">
+            {streamTail}
+          </pre>
+        )}
       </div>
     );
   }
@@ -67,19 +278,130 @@ export default function LivePreview({ code, isLoading }) {
     );
   }
 
+  // Size of the previewed viewport (null = responsive, fills the preview area)
+  const preset = DEVICE_PRESETS.find(d => d.id === device) || DEVICE_PRESETS[0];
+  const availableWidth = Math.max(stageSize.width - STAGE_PADDING * 2, 1);
+  const availableHeight = Math.max(stageSize.height - STAGE_PADDING * 2, 1);
+  let viewport = null;
+  if (device === 'custom') {
+    viewport = { width: clampWidth(customWidth), height: null };
+  } else if (preset.width) {
+    viewport = isRotated
+      ? { width: preset.height, height: preset.width }
+      : { width: preset.width, height: preset.height };
+  }
+  const scale = viewport
+    ? Math.min(1, availableWidth / viewport.width, viewport.height ? availableHeight / viewport.height : 1)
+    : 1;
+  const frameHeight = viewport && (viewport.height || availableHeight / scale);
+  const currentWidth = viewport ? viewport.width : Math.round(stageSize.width);
+  const markedWidths = isMultiView ? MULTI_VIEWPORTS.map(v => v.width) : [currentWidth];
+  const rulerMax = Math.max(1440, ...breakpoints.map(bp => bp.width + 160), ...markedWidths);
+  const sandbox = getPreviewSandbox(code);
+
+  let sizeLabel = `${currentWidth}px`;
+  if (isMultiView) {
+    sizeLabel = `${MULTI_VIEWPORTS.length} viewports`;
+  } else if (viewport) {
+    sizeLabel = `${viewport.width} × ${Math.round(frameHeight)}${scale < 1 ? ` · ${Math.round(scale * 100)}%` : ''}`;
+  }
+
+  const selectDevice = (id) => {
+    setDevice(id);
+    setIsRotated(false);
+    setIsMultiView(false);
+  };
+
+  const previewAtWidth = (width) => {
+    setCustomWidth(String(width));
+    selectDevice('custom');
+  };
+
   return (
-    <div className="preview-container w-full h-full relative bg-white rounded-lg overflow-hidden">
+    <div className="preview-container w-full h-full flex flex-col bg-white rounded-lg overflow-hidden">
       {/* Preview Header */}
-      <div className="absolute top-0 left-0 right-0 h-8 bg-[#1A1625] border-b border-[#C5A059]/10 flex items-center px-3 z-10">
+      <div className="h-8 shrink-0 bg-[#1A1625] border-b border-[#C5A059]/10 flex items-center px-3 z-10">
         <div className="flex items-center space-x-1.5">
           <div className="w-2.5 h-2.5 rounded-full bg-red-500/80" />
           <div className="w-2.5 h-2.5 rounded-full bg-yellow-500/80" />
           <div className="w-2.5 h-2.5 rounded-full bg-green-500/80" />
         </div>
         <div className="flex-1 text-center">
-          <span className="text-[10px] font-mono text-slate-500">Live Preview</span>
+          {pages.length > 1 && onNavigate ? (
+            <select
+              className="bg-transparent text-[10px] font-mono text-slate-400 border-none outline-none cursor-pointer"
+              value={pages.includes(activePage) ? activePage : pages[0]}
+              onChange={(e) => onNavigate(e.target.value)}
+              title="Switch page"
+            >
+              {pages.map((page) => (
+                <option key={page} value={page} className="bg-[#1A1625]">{page}</option>
+              ))}
+            </select>
+          ) : (
+            <span className="text-[10px] font-mono text-slate-500">Live Preview</span>
+          )}
+          {isLoading && (
+            <span className="ml-2 text-[10px] font-mono text-[#C5A059] animate-pulse">● Streaming</span>
+          )}
         </div>
         <div className="flex items-center space-x-1">
+          {consoleErrorCount > 0 && (
+            <button
+              className="flex items-center gap-0.5 px-1.5 py-0.5 rounded bg-red-500/10 hover:bg-red-500/20 text-[10px] font-mono text-red-400 transition-colors"
+              onClick={onShowConsole}
+              title="Show errors in the console"
+            >
+              <span className="material-icons-round text-xs">error</span>
+              {consoleErrorCount}
+            </button>
+          )}
+          {onToggleScripts && (
+            <button
+              className={`p-1 rounded transition-colors ${scriptsEnabled ? 'bg-[#C5A059]/10' : 'hover:bg-white/5'}`}
+              onClick={onToggleScripts}
+              title={scriptsEnabled ? 'Scripts on - click to stop running JavaScript' : 'Run JavaScript in the preview'}
+            >
+              <span className={`material-icons-round text-xs ${scriptsEnabled ? 'text-[#C5A059]' : 'text-slate-500'}`}>javascript</span>
+            </button>
+          )}
+          {onPickElement && (
+            <button
+              className={`p-1 rounded transition-colors disabled:opacity-30 ${isPicking ? 'bg-[#C5A059]/10' : 'hover:bg-white/5'}`}
+              onClick={() => setIsPicking(picking => !picking)}
+              disabled={isMultiView || isLoading}
+              title={isPicking ? 'Cancel picking (Esc)' : 'Pick an element to ask the chatbot about'}
+            >
+              <span className={`material-icons-round text-xs ${isPicking ? 'text-[#C5A059]' : 'text-slate-500'}`}>ads_click</span>
+            </button>
+          )}
+          {onToggleThemePanel && (
+            <button
+              className={`p-1 rounded transition-colors ${isThemePanelOpen ? 'bg-[#C5A059]/10' : 'hover:bg-white/5'}`}
+              onClick={onToggleThemePanel}
+              title={isThemePanelOpen ? 'Hide Theme Panel' : 'Edit Theme'}
+            >
+              <span className={`material-icons-round text-xs ${isThemePanelOpen ? 'text-[#C5A059]' : 'text-slate-500'}`}>format_paint</span>
+            </button>
+          )}
+          {onToggleAuditPanel && (
+            <button
+              className={`p-1 rounded transition-colors ${isAuditPanelOpen ? 'bg-[#C5A059]/10' : 'hover:bg-white/5'}`}
+              onClick={onToggleAuditPanel}
+              title={isAuditPanelOpen ? 'Hide Accessibility Audit' : 'Audit Accessibility'}
+            >
+              <span className={`material-icons-round text-xs ${isAuditPanelOpen ? 'text-[#C5A059]' : 'text-slate-500'}`}>accessibility_new</span>
+            </button>
+          )}
+          {onToggleFidelityPanel && (
+            <button
+              className={`p-1 rounded transition-colors ${isFidelityPanelOpen ? 'bg-[#C5A059]/10' : 'hover:bg-white/5'}`}
+              onClick={onToggleFidelityPanel}
+              title={isFidelityPanelOpen ? 'Hide Fidelity Check' : 'Compare with Mockup'}
+            >
+              <span className={`material-icons-round text-xs ${isFidelityPanelOpen ? 'text-[#C5A059]' : 'text-slate-500'}`}>compare</span>
+            </button>
+          )}
           <button 
             className="p-1 hover:bg-white/5 rounded transition-colors"
             onClick={() => iframeRef.current && (iframeRef.current.srcdoc = code)}
@@ -117,13 +439,137 @@ export default function LivePreview({ code, isLoading }) {
         </div>
       </div>
 
-      {/* Iframe - Only allow-same-origin for srcdoc, no scripts needed for HTML/CSS */}
-      <iframe
-        ref={iframeRef}
-        className="w-full h-full pt-8 border-0"
-        sandbox="allow-same-origin"
-        title="Live Preview"
-      />
+      {/* Device Toolbar */}
+      <div className="h-8 shrink-0 bg-[#14111C] border-b border-white/5 flex items-center gap-1 px-2">
+        {DEVICE_PRESETS.map((item) => (
+          <button
+            key={item.id}
+            className={`p-1 rounded transition-colors ${!isMultiView && device === item.id ? 'bg-[#C5A059]/10 text-[#C5A059]' : 'text-slate-500 hover:bg-white/5'}`}
+            onClick={() => selectDevice(item.id)}
+            title={item.width ? `${item.label} (${item.width} × ${item.height})` : item.label}
+          >
+            <span className="material-icons-round text-sm">{item.icon}</span>
+          </button>
+        ))}
+        {device === 'custom' && !isMultiView && (
+          <label className="flex items-center gap-1 ml-1 text-[10px] font-mono text-slate-500">
+            <input
+              type="number"
+              min={MIN_CUSTOM_WIDTH}
+              max={MAX_CUSTOM_WIDTH}
+              step={10}
+              value={customWidth}
+              onChange={(e) => setCustomWidth(e.target.value)}
+              onBlur={() => setCustomWidth(String(clampWidth(customWidth)))}
+              className="w-16 px-1.5 py-0.5 rounded bg-black/40 border border-white/10 focus:border-[#C5A059]/40 text-slate-200 outline-none"
+              title="Viewport width in px"
+            />
+            px
+          </label>
+        )}
+        <button
+          className="p-1 rounded text-slate-500 hover:bg-white/5 disabled:opacity-30 disabled:hover:bg-transparent transition-colors"
+          onClick={() => setIsRotated(rotated => !rotated)}
+          disabled={isMultiView || !preset.height}
+          title="Rotate"
+        >
+          <span className="material-icons-round text-sm">screen_rotation</span>
+        </button>
+        <div className="flex-1" />
+        <span className="text-[10px] font-mono text-slate-500 mr-1">{sizeLabel}</span>
+        <button
+          className={`p-1 rounded transition-colors ${isMultiView ? 'bg-[#C5A059]/10 text-[#C5A059]' : 'text-slate-500 hover:bg-white/5'}`}
+          onClick={() => {
+            setIsMultiView(multi => !multi);
+            setIsPicking(false);
+          }}
+          title={`Side by side (${MULTI_VIEWPORTS.map(v => `${v.width}px`).join(', ')})`}
+        >
+          <span className="material-icons-round text-sm">view_column</span>
+        </button>
+      </div>
+
+      {/* Breakpoint Ruler - @media widths of the page; click one to preview at that width */}
+      <div className="relative h-5 shrink-0 bg-[#14111C] border-b border-white/5 overflow-hidden">
+        {breakpoints.length === 0 && (
+          <span className="absolute inset-0 flex items-center justify-center text-[9px] font-mono text-slate-600">
+            No @media breakpoints in this page
+          </span>
+        )}
+        {markedWidths.map((width) => (
+          <div
+            key={`viewport-${width}`}
+            className="absolute inset-y-0 w-0.5 bg-[#C5A059]/60"
+            style={{ left: `${(width / rulerMax) * 100}%` }}
+          />
+        ))}
+        {breakpoints.map((bp) => (
+          <button
+            key={`${bp.type}-${bp.width}`}
+            className="absolute inset-y-0 flex items-center pl-1 border-l border-sky-400/70 text-[9px] font-mono text-sky-300/80 hover:text-sky-200 hover:bg-sky-400/10"
+            style={{ left: `${(bp.width / rulerMax) * 100}%` }}
+            onClick={() => previewAtWidth(bp.width)}
+            title={`@media (${bp.type}-width: ${bp.width}px) - preview at ${bp.width}px`}
+          >
+            {bp.type === 'min' ? '≥' : '≤'}{bp.width}
+          </button>
+        ))}
+      </div>
+
+      {/* Viewport Stage */}
+      <div ref={stageRef} className={`flex-1 min-h-0 relative ${viewport || isMultiView ? 'bg-[#0A090F]' : ''}`}>
+        <div
+          className={isMultiView ? 'hidden' : viewport ? 'absolute inset-0 flex justify-center overflow-hidden' : 'w-full h-full'}
+          style={viewport ? { padding: STAGE_PADDING } : undefined}
+        >
+          <div
+            className={viewport ? `shrink-0 bg-white overflow-hidden shadow-2xl ring-1 ring-white/10 ${viewport.height ? 'rounded-2xl' : 'rounded-md'}` : 'w-full h-full'}
+            style={viewport ? { width: viewport.width * scale, height: frameHeight * scale } : undefined}
+          >
+            {/* Iframe - Only allow-same-origin for srcdoc, no scripts needed for HTML/CSS.
+                React previews and projects with scripts turned on run scripts; they never get allow-same-origin alongside them */}
+            <iframe
+              ref={iframeRef}
+              className="border-0 origin-top-left"
+              style={viewport
+                ? { width: viewport.width, height: frameHeight, transform: `scale(${scale})` }
+                : { width: '100%', height: '100%' }}
+              sandbox={sandbox}
+              title="Live Preview"
+              onLoad={handleFrameLoad}
+            />
+          </div>
+        </div>
+
+        {isMultiView && (
+          <div className="absolute inset-0 flex gap-4 overflow-hidden" style={{ padding: STAGE_PADDING }}>
+            {MULTI_VIEWPORTS.map((item) => {
+              const columnWidth = (availableWidth - STAGE_PADDING * (MULTI_VIEWPORTS.length - 1)) / MULTI_VIEWPORTS.length;
+              const itemScale = Math.min(1, columnWidth / item.width);
+              const itemHeight = (availableHeight - 20) / itemScale;
+              return (
+                <div key={item.width} className="flex-1 min-w-0 flex flex-col items-center gap-1">
+                  <div className="h-4 text-[10px] font-mono text-slate-500">
+                    {item.label} · {item.width}px{itemScale < 1 && ` · ${Math.round(itemScale * 100)}%`}
+                  </div>
+                  <div
+                    className="bg-white rounded-md overflow-hidden ring-1 ring-white/10"
+                    style={{ width: item.width * itemScale, height: itemHeight * itemScale }}
+                  >
+                    <iframe
+                      srcDoc={code}
+                      className="border-0 origin-top-left"
+                      style={{ width: item.width, height: itemHeight, transform: `scale(${itemScale})` }}
+                      sandbox={sandbox}
+                      title={`Live Preview at ${item.width}px`}
+                    />
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
     </div>
   );
 }
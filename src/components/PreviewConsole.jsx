@@ -0,0 +1,146 @@
+import { useState, useEffect, useRef } from 'react';
+import { useCode } from '../context/CodeContext';
+import { getPreviewSandbox, listenToPreview, locatePreviewMessage } from '../utils/previewBridge';
+
+// Icon and colors per console level
+const LEVEL_STYLES = {
+  error: { icon: 'error', row: 'bg-red-500/5 text-red-300', iconColor: 'text-red-400' },
+  warn: { icon: 'warning', row: 'bg-yellow-500/5 text-yellow-200', iconColor: 'text-yellow-400' },
+  info: { icon: 'info', row: 'text-sky-200', iconColor: 'text-sky-400' },
+  log: { icon: 'chevron_right', row: 'text-slate-300', iconColor: 'text-slate-600' },
+  debug: { icon: 'bug_report', row: 'text-slate-500', iconColor: 'text-slate-600' },
+};
+
+/**
+ * Preview Console
+ * Console output and uncaught errors from the preview's scripts, shown under the editor
+ * While the editor is open (and the canvas is not), a hidden copy of the preview keeps running
+ * the page so edits to scripts show their output right here
+ * Locations link back into the editor at the reported line
+ */
+export default function PreviewConsole() {
+  const {
+    livePreviewCode,
+    projectFiles,
+    projectFramework,
+    previewScriptsEnabled,
+    setPreviewScriptsEnabled,
+    previewConsole,
+    addPreviewConsoleEntry,
+    clearPreviewConsole,
+    revealInEditor,
+  } = useCode();
+  const [isOpen, setIsOpen] = useState(true);
+  const runnerRef = useRef(null);
+  const listRef = useRef(null);
+
+  const sandbox = getPreviewSandbox(livePreviewCode);
+  const runsScripts = Boolean(livePreviewCode) && sandbox !== 'allow-same-origin';
+  const isReact = projectFramework === 'react';
+  const paths = projectFiles.map(f => f.path.replace(/^\//, ''));
+  const errorCount = previewConsole.filter(e => e.level === 'error').length;
+  const warningCount = previewConsole.filter(e => e.level === 'warn').length;
+
+  useEffect(() => listenToPreview(() => runnerRef.current?.contentWindow, {
+    reset: clearPreviewConsole,
+    console: addPreviewConsoleEntry,
+  }), [clearPreviewConsole, addPreviewConsoleEntry]);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+  }, [previewConsole, isOpen]);
+
+  return (
+    <div className={`flex flex-col border-t border-white/5 bg-[#0d0c12] ${isOpen ? 'h-44' : ''}`}>
+      {/* Console Header */}
+      <div className="h-8 shrink-0 flex items-center gap-3 px-3 border-b border-white/5">
+        <button
+          onClick={() => setIsOpen(open => !open)}
+          className="flex items-center gap-1.5 text-[11px] font-bold uppercase tracking-widest text-slate-500 hover:text-slate-300"
+        >
+          <span className="material-icons-round text-sm">terminal</span>
+          Console
+          <span className="material-icons-round text-sm">{isOpen ? 'expand_more' : 'expand_less'}</span>
+        </button>
+        {errorCount > 0 && (
+          <span className="flex items-center gap-0.5 text-[10px] font-mono text-red-400">
+            <span className="material-icons-round text-xs">error</span>{errorCount}
+          </span>
+        )}
+        {warningCount > 0 && (
+          <span className="flex items-center gap-0.5 text-[10px] font-mono text-yellow-400">
+            <span className="material-icons-round text-xs">warning</span>{warningCount}
+          </span>
+        )}
+        <div className="flex-1" />
+        <label
+          className={`flex items-center gap-1.5 text-[10px] uppercase tracking-wider ${isReact ? 'text-slate-600' : 'text-slate-400 cursor-pointer'}`}
+          title={isReact
+            ? 'React previews always run their scripts'
+            : 'Run the page\'s JavaScript in an isolated preview (no access to DSY Core)'}
+        >
+          <input
+            type="checkbox"
+            checked={isReact || previewScriptsEnabled}
+            disabled={isReact}
+            onChange={(e) => setPreviewScriptsEnabled(e.target.checked)}
+            className="accent-[#C5A059]"
+          />
+          Run scripts
+        </label>
+        <button
+          onClick={clearPreviewConsole}
+          className="p-1 hover:bg-white/5 rounded transition-colors"
+          title="Clear console"
+        >
+          <span className="material-icons-round text-sm text-slate-500">block</span>
+        </button>
+      </div>
+
+      {/* Console Output */}
+      {isOpen && (
+        <div ref={listRef} className="flex-1 min-h-0 overflow-y-auto font-mono text-[11px]">
+          {previewConsole.length === 0 ? (
+            <p className="px-3 py-2 text-slate-600">
+              {runsScripts
+                ? 'No console output yet.'
+                : 'Scripts are off for this project. Turn on "Run scripts" to run its JavaScript in the preview.'}
+            </p>
+          ) : previewConsole.map((entry) => {
+            const style = LEVEL_STYLES[entry.level] || LEVEL_STYLES.log;
+            const location = locatePreviewMessage(entry, paths);
+            return (
+              <div key={entry.id} className={`flex items-start gap-2 px-3 py-1 border-b border-white/5 ${style.row}`}>
+                <span className={`material-icons-round text-xs mt-0.5 ${style.iconColor}`}>{style.icon}</span>
+                <pre className="flex-1 min-w-0 whitespace-pre-wrap break-words">{entry.message}</pre>
+                {location && (
+                  <button
+                    onClick={() => revealInEditor(location.path, location.line, location.column)}
+                    className="shrink-0 text-slate-500 hover:text-[#C5A059] underline decoration-dotted"
+                    title="Show in editor"
+                  >
+                    {location.path}:{location.line}
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Hidden runner - the canvas preview is unmounted while the editor is shown */}
+      {runsScripts && (
+        <iframe
+          ref={runnerRef}
+          srcDoc={livePreviewCode}
+          sandbox={sandbox}
+          title="Preview script runner"
+          aria-hidden="true"
+          tabIndex={-1}
+          className="fixed -left-[10000px] top-0 w-[1280px] h-[800px] border-0 pointer-events-none"
+        />
+      )}
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
 import { useState, useEffect, useRef } from 'react';
+import { getPreviewSandbox } from '../utils/previewBridge';
 
 /**
  * PreviewPage Component
@@ -108,7 +109,7 @@ export default function PreviewPage() {
           <iframe
             ref={iframeRef}
             className="w-full h-full border-0 bg-white"
-            sandbox="allow-same-origin"
+            sandbox={getPreviewSandbox(code)}
             title="Live Preview"
           />
         )}
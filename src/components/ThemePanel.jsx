@@ -0,0 +1,151 @@
+import { useMemo } from 'react';
+import { useCode } from '../context/CodeContext';
+import { useToast } from './ToastProvider';
+import { TOKEN_CATEGORIES, readTokens, tokenizeStylesheet, setTokenValue, tokensToDesignSpec } from '../utils/designTokens';
+import { toSixDigitHex } from '../utils/designSpec';
+
+/**
+ * Theme Panel
+ * Edits the design tokens (CSS custom properties) of the project's main stylesheet
+ * Each edit is written to the stylesheet and handed to the live preview right away,
+ * so recoloring a page never needs a regeneration
+ */
+export default function ThemePanel({ onPreviewToken, onClose }) {
+  const { themeStylesheet, updateFileContent, designJSON, setDesignJSON } = useCode();
+  const { toast } = useToast();
+  const css = themeStylesheet?.content || '';
+
+  const tokens = useMemo(() => readTokens(css).filter(t => t.category), [css]);
+  const conversion = useMemo(() => tokenizeStylesheet(css, designJSON), [css, designJSON]);
+  const canConvert = conversion.css !== css;
+
+  const setToken = (name, value) => {
+    onPreviewToken?.(name, value);
+    updateFileContent(themeStylesheet.id, setTokenValue(css, name, value));
+  };
+
+  const convertToTokens = () => {
+    updateFileContent(themeStylesheet.id, conversion.css);
+    toast.success(conversion.added > 0
+      ? `Moved ${conversion.added} repeated value${conversion.added === 1 ? '' : 's'} into tokens`
+      : 'Stylesheet now uses its existing tokens');
+  };
+
+  const applyAsDesignSpecs = () => {
+    setDesignJSON(tokensToDesignSpec(tokens, designJSON));
+    toast.success('Design specs updated from the theme');
+  };
+
+  const renderToken = (token) => {
+    const label = token.name.replace(/^--/, '');
+    const hex = token.category === 'colors' && toSixDigitHex(token.value);
+
+    return (
+      <div key={token.name} className="flex items-center gap-2">
+        {token.category === 'colors' && (hex ? (
+          <input
+            type="color"
+            value={hex}
+            onChange={(e) => setToken(token.name, e.target.value)}
+            className="w-7 h-7 rounded-md border border-white/10 bg-transparent cursor-pointer shrink-0"
+            title={`Pick ${label}`}
+          />
+        ) : (
+          <span className="w-7 h-7 rounded-md border border-white/10 shrink-0" style={{ background: token.value }} />
+        ))}
+        {token.category === 'radii' && (
+          <span className="w-7 h-7 border border-[#C5A059]/60 bg-white/5 shrink-0" style={{ borderRadius: token.value }} />
+        )}
+        {token.category === 'shadows' && (
+          <span className="w-7 h-7 rounded-md bg-white shrink-0" style={{ boxShadow: token.value }} />
+        )}
+        <span className="w-24 text-xs text-slate-400 font-mono truncate" title={token.name}>{label}</span>
+        <input
+          type="text"
+          value={token.value}
+          onChange={(e) => setToken(token.name, e.target.value)}
+          className="flex-1 min-w-0 px-2 py-1 rounded-md bg-black/40 border border-white/10 focus:border-[#C5A059]/40 text-xs font-mono text-slate-200 outline-none"
+          style={token.category === 'fonts' ? { fontFamily: token.value } : undefined}
+          spellCheck={false}
+        />
+      </div>
+    );
+  };
+
+  return (
+    <div className="w-72 h-full shrink-0 flex flex-col rounded-lg glass-panel border border-[#C5A059]/10 overflow-hidden">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-white/5">
+        <div className="flex items-center gap-2 text-[10px] font-bold uppercase tracking-widest text-[#C5A059]">
+          <span className="material-icons-round text-sm">format_paint</span>
+          Theme
+          {themeStylesheet && (
+            <span className="normal-case tracking-normal font-mono font-normal text-slate-500">{themeStylesheet.name}</span>
+          )}
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-md text-slate-500 hover:text-slate-200 hover:bg-white/5 transition-colors"
+          title="Close theme panel"
+        >
+          <span className="material-icons-round text-sm">close</span>
+        </button>
+      </div>
+
+      {!themeStylesheet ? (
+        <p className="p-4 text-xs text-slate-500">This project has no stylesheet to theme.</p>
+      ) : (
+        <div className="flex-1 overflow-y-auto p-3 space-y-4">
+          {canConvert && (
+            <div className="p-3 rounded-lg bg-[#C5A059]/5 border border-[#C5A059]/20 space-y-2">
+              <p className="text-xs text-slate-400">
+                {conversion.added > 0
+                  ? `${conversion.added} repeated value${conversion.added === 1 ? ' is' : 's are'} hard-coded in ${themeStylesheet.name}.`
+                  : `Some values in ${themeStylesheet.name} repeat existing tokens.`}
+              </p>
+              <button
+                onClick={convertToTokens}
+                className="w-full flex items-center justify-center gap-2 py-1.5 rounded-md bg-[#C5A059]/10 hover:bg-[#C5A059]/20 text-[10px] font-bold uppercase tracking-widest text-[#C5A059] transition-colors"
+              >
+                <span className="material-icons-round text-sm">auto_fix_high</span>
+                Convert to Tokens
+              </button>
+            </div>
+          )}
+
+          {tokens.length === 0 && !canConvert && (
+            <p className="text-xs text-slate-500">No colors, fonts or spacing values repeat in {themeStylesheet.name} yet.</p>
+          )}
+
+          {TOKEN_CATEGORIES.map(category => {
+            const categoryTokens = tokens.filter(t => t.category === category.id);
+            if (categoryTokens.length === 0) return null;
+            return (
+              <div key={category.id}>
+                <div className="flex items-center gap-1.5 text-[10px] font-bold uppercase tracking-widest text-slate-500 mb-2">
+                  <span className="material-icons-round text-sm">{category.icon}</span>
+                  {category.label}
+                </div>
+                <div className="space-y-1.5">
+                  {categoryTokens.map(renderToken)}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {tokens.length > 0 && (
+        <div className="p-3 border-t border-white/5">
+          <button
+            onClick={applyAsDesignSpecs}
+            className="w-full flex items-center justify-center gap-2 py-2 rounded-md bg-white/5 hover:bg-white/10 border border-white/10 text-[10px] font-bold uppercase tracking-widest text-slate-300 transition-colors"
+            title="Send these colors and fonts with the next generation"
+          >
+            <span className="material-icons-round text-sm">palette</span>
+            Use as Design Specs
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -3,8 +3,16 @@ import { openDB } from 'idb';
 import * as sambaNovaService from '../services/sambaNovaService';
 import * as geminiService from '../services/geminiService';
 import * as chatbotService from '../services/chatbotService';
-import { generateCode as routerGenerateCode, parseReactOutput } from '../services/codeGeneratorRouter';
+import { generateCode as routerGenerateCode, parseReactOutput, hasConfiguredProvider, getProviderOptions, SFC_FRAMEWORKS } from '../services/codeGeneratorRouter';
 import * as sessionService from '../services/sessionService';
+import * as fixtureRecorder from '../services/fixtureRecorder';
+import { buildReactPreview } from '../utils/reactPreview';
+import { compileTailwindCss, isTailwindSource } from '../utils/tailwindCompiler';
+import { withPreviewBridge, inlinePageScripts } from '../utils/previewBridge';
+import { guessImageRole, getAssetPaths } from '../utils/assetRoles';
+import { getLocalImages, resolveAssetPaths, isImageFile } from '../utils/projectAssets';
+import { localizePlaceholderImages } from '../utils/imageUtils';
+import { languageForFile } from '../services/outputParser';
 
 const CodeContext = createContext(null);
 
@@ -85,6 +93,35 @@ function generateDSYId() {
   return `DSY-${id}`;
 }
 
+// Flatten the project tree into a list of files (folders are walked recursively)
+function flattenProjectFiles(files) {
+  return files.flatMap(file => file.type === 'folder'
+    ? flattenProjectFiles(file.children || [])
+    : [file]);
+}
+
+// Swap remote placeholder URLs in a generation result for local SVG files (offline images)
+// Returns the rewritten result plus the placeholder files to write into the project
+function localizeResultImages(result, palette) {
+  const images = new Map();
+  const localize = (code) => {
+    const { code: rewritten, images: found } = localizePlaceholderImages(code, { palette });
+    found.forEach(image => images.set(image.path, image));
+    return rewritten;
+  };
+
+  return {
+    result: {
+      ...result,
+      html: localize(result.html),
+      css: localize(result.css),
+      pages: result.pages?.map(page => ({ ...page, content: localize(page.content) })),
+      files: result.files?.map(file => ({ ...file, content: localize(file.content) })),
+    },
+    images: [...images.values()],
+  };
+}
+
 export function CodeProvider({ children }) {
   const [code, setCode] = useState('');
   const [prompt, setPrompt] = useState('');
@@ -108,13 +145,21 @@ export function CodeProvider({ children }) {
 
   // Gemini AI - Prompt Optimization & Code Generation state
   const [optimizedPrompt, setOptimizedPrompt] = useState('');
-  const [designJSON, setDesignJSON] = useState(null); // Hidden JSON for code generation
+  const [designJSON, setDesignJSON] = useState(null); // Design specs for code generation (editable in the prompt panel)
   const [isOptimizing, setIsOptimizing] = useState(false);
   const [isGenerating, setIsGenerating] = useState(false);
   const [generatedCode, setGeneratedCode] = useState({ html: '', css: '' });
   const [livePreviewCode, setLivePreviewCode] = useState('');
-  const [framework, setFramework] = useState('html'); // 'html' or 'react'
+  const [framework, setFramework] = useState('html'); // 'html', 'multipage', 'react', 'vue' or 'svelte'
+  const [styling, setStyling] = useState('css'); // HTML output: 'css' (hand-written styles.css) or 'tailwind' (utility classes)
+  const [preferredProvider, setPreferredProviderState] = useState('auto'); // Provider ID or 'auto'
+  const [fixtureMode, setFixtureModeState] = useState(fixtureRecorder.DEFAULT_FIXTURE_MODE); // 'off', 'record' or 'replay'
   const [streamingContent, setStreamingContent] = useState('');
+  const [activePreviewPage, setActivePreviewPage] = useState('index.html'); // Page shown in the live preview (multi-page sites)
+  const [previewScriptsEnabled, setPreviewScriptsEnabledState] = useState(false); // Run page scripts in the live preview (per project)
+  const [offlineImages, setOfflineImagesState] = useState(false); // Replace remote placeholder images with local SVGs
+  const [previewConsole, setPreviewConsole] = useState([]); // Console output and errors from the preview's scripts
+  const [editorReveal, setEditorReveal] = useState(null); // { fileId, line, column } the editor should jump to
   const [projectTitle, setProjectTitle] = useState(''); // AI-generated project title
   const [lastSyncTime, setLastSyncTime] = useState(null); // Track last auto-sync
   const [autoSyncEnabled, setAutoSyncEnabled] = useState(true); // Auto-sync toggle
@@ -127,11 +172,18 @@ export function CodeProvider({ children }) {
   // Chatbot (AI Code Analyzer) state
   const [chatbotMessages, setChatbotMessages] = useState([]);
   const [chatbotLoading, setChatbotLoading] = useState(false);
+  const [isChatbotOpen, setIsChatbotOpen] = useState(false);
   const [pendingCodeChanges, setPendingCodeChanges] = useState(null);
+  const chatbotAbortRef = useRef(null); // AbortController of the reply being streamed
+  const [chatbotSelection, setChatbotSelection] = useState(null); // Element picked in the preview, sent with the next message
 
   // BroadcastChannel ref for cross-tab communication
   const broadcastChannelRef = useRef(null);
 
+  // Timestamp of the last streaming preview refresh (throttles iframe reloads)
+  const lastStreamPreviewRef = useRef(0);
+  const previewBuildRequestRef = useRef(0); // Latest preview build (older async React/Tailwind builds are dropped)
+
 
   // Initialize database and load persisted state
   useEffect(() => {
@@ -169,6 +221,24 @@ export function CodeProvider({ children }) {
           setCode(storedCode.value);
         }
 
+        // Load preferred AI provider
+        const storedProvider = await database.get('appState', 'preferredProvider');
+        if (storedProvider) {
+          setPreferredProviderState(storedProvider.value);
+        }
+
+        // Load AI response fixture mode
+        const storedFixtureMode = await database.get('appState', 'fixtureMode');
+        if (storedFixtureMode) {
+          setFixtureModeState(storedFixtureMode.value);
+        }
+
+        // Load offline images preference
+        const storedOfflineImages = await database.get('appState', 'offlineImages');
+        if (storedOfflineImages) {
+          setOfflineImagesState(storedOfflineImages.value);
+        }
+
         setIsLoading(false);
       } catch (error) {
         console.error('Failed to initialize database:', error);
@@ -244,26 +314,112 @@ export function CodeProvider({ children }) {
     loadChats();
   }, [db]);
 
+  // Pages available in the live preview (multi-page sites have more than one)
+  const projectFiles = flattenProjectFiles(project.files);
+  const previewPages = projectFiles
+    .filter(f => f.name?.endsWith('.html'))
+    .map(f => f.path.replace(/^\//, ''));
+
+  // Framework of the code currently in the project (refinements keep it)
+  let projectFramework = 'html';
+  const detectedSfcFramework = previewPages.length === 0 &&
+    SFC_FRAMEWORKS.find(fw => projectFiles.some(f => f.name.endsWith(`.${fw}`)));
+  if (SFC_FRAMEWORKS.includes(generatedCode.framework)) {
+    projectFramework = generatedCode.framework;
+  } else if (detectedSfcFramework && generatedCode.framework !== 'react') {
+    projectFramework = detectedSfcFramework;
+  } else if (generatedCode.framework === 'react' ||
+    (previewPages.length === 0 && projectFiles.some(f => /\.tsx?$/.test(f.name)))) {
+    projectFramework = 'react';
+  } else if (generatedCode.framework === 'multipage' || previewPages.length > 1) {
+    projectFramework = 'multipage';
+  }
+
   // Live preview sync - recompile when project files change
   useEffect(() => {
     // Debounce timer ref
     const debounceTimer = setTimeout(() => {
-      // Find HTML and CSS files
-      const htmlFile = project.files.find(f => f.name === 'index.html' || f.name?.endsWith('.html'));
+      // Find the previewed page (falls back to the home page) and the stylesheet
+      const allFiles = flattenProjectFiles(project.files);
+      const htmlFiles = allFiles.filter(f => f.name?.endsWith('.html'));
+      // Project images and uploaded logos/photos referenced as assets/... are served as data URLs
+      const localImages = getLocalImages(allFiles, assets);
+
+      const requestId = ++previewBuildRequestRef.current;
+
+      // The latest generation's framework picks the preview - files of an earlier one may still be in the project
+      // React projects are transpiled into a bundle-free preview document
+      const scriptFiles = allFiles.filter(f => /\.(tsx|jsx)$/.test(f.name || ''));
+      if (projectFramework === 'react' && scriptFiles.length > 0) {
+        const reactFiles = allFiles
+          .filter(f => /\.(tsx?|jsx?|css)$/.test(f.name || ''))
+          .map(f => ({ name: f.path.replace(/^\//, ''), content: f.content || '' }));
+
+        buildReactPreview(reactFiles)
+          .then(doc => {
+            if (requestId === previewBuildRequestRef.current) setLivePreviewCode(withPreviewBridge(resolveAssetPaths(doc, localImages)));
+          })
+          .catch(error => {
+            console.error('React preview failed:', error);
+            if (requestId === previewBuildRequestRef.current) {
+              setLivePreviewCode(geminiService.compileLivePreview(
+                `<p style="padding:24px;font-family:monospace;color:#b91c1c">React preview unavailable: ${error.message.replace(/</g, '&lt;')}</p>`,
+                ''
+              ));
+            }
+          });
+        return;
+      }
+
+      // Vue/Svelte components need their compiler toolchain - point to the ZIP scaffold instead
+      if (SFC_FRAMEWORKS.includes(projectFramework)) {
+        const label = projectFramework === 'vue' ? 'Vue' : 'Svelte';
+        setLivePreviewCode(geminiService.compileLivePreview(
+          `<p style="padding:24px;font-family:sans-serif;color:#334155">Live preview is not available for ${label} components. ` +
+          'Download the project and run <code>npm install</code> then <code>npm run dev</code> to see it.</p>',
+          ''
+        ));
+        return;
+      }
+
+      const htmlFile = htmlFiles.find(f => f.path?.replace(/^\//, '') === activePreviewPage) ||
+        htmlFiles.find(f => f.name === 'index.html') ||
+        htmlFiles[0];
       const cssFile = project.files.find(f => f.name === 'styles.css' || f.name?.endsWith('.css'));
       
       if (htmlFile?.content || cssFile?.content) {
-        const html = htmlFile?.content || '';
-        const css = cssFile?.content || '';
+        // Page scripts only run when the project opts in (they get a scripts-only sandbox and the console bridge)
+        const html = resolveAssetPaths(previewScriptsEnabled && htmlFile?.content
+          ? inlinePageScripts(htmlFile.content, htmlFile.path.replace(/^\//, ''), allFiles)
+          : htmlFile?.content || '', localImages);
+        const css = resolveAssetPaths(cssFile?.content || '', localImages);
+        const finishPreview = (doc) => (previewScriptsEnabled ? withPreviewBridge(doc) : doc);
+
+        // Tailwind input stylesheet - compile the utilities used across every page
+        if (isTailwindSource(css)) {
+          compileTailwindCss(css, htmlFiles.map(f => f.content || ''))
+            .then(compiledCss => {
+              if (requestId === previewBuildRequestRef.current) {
+                setLivePreviewCode(finishPreview(geminiService.compileLivePreview(html, compiledCss)));
+              }
+            })
+            .catch(error => {
+              console.error('Tailwind compile failed:', error);
+              if (requestId === previewBuildRequestRef.current) {
+                setLivePreviewCode(finishPreview(geminiService.compileLivePreview(html, '')));
+              }
+            });
+          return;
+        }
         
         // Compile for live preview
         const compiled = geminiService.compileLivePreview(html, css);
-        setLivePreviewCode(compiled);
+        setLivePreviewCode(finishPreview(compiled));
       }
     }, 300); // 300ms debounce
 
     return () => clearTimeout(debounceTimer);
-  }, [project.files]);
+  }, [project.files, projectFramework, activePreviewPage, previewScriptsEnabled, assets]);
 
   // Find file by ID (recursive)
   const findFileById = useCallback((files, id) => {
@@ -314,6 +470,10 @@ export function CodeProvider({ children }) {
     if (file && file.type === 'file') {
       setActiveFileId(fileId);
       setOpenFiles(prev => prev.includes(fileId) ? prev : [...prev, fileId]);
+      // Opening a page of a multi-page site shows it in the preview
+      if (file.name.endsWith('.html')) {
+        setActivePreviewPage(file.path.replace(/^\//, ''));
+      }
     }
   }, [project.files, findFileById]);
 
@@ -351,16 +511,27 @@ export function CodeProvider({ children }) {
   const addNewFile = useCallback((parentPath, fileName, content = '') => {
     fileIdCounter.current += 1;
     const id = `file-${Date.now()}-${fileIdCounter.current}`;
-    const extension = fileName.split('.').pop();
+    const extension = fileName.split('.').pop().toLowerCase();
     const languageMap = {
       'ts': 'typescript',
       'tsx': 'typescript',
       'js': 'javascript',
       'jsx': 'javascript',
       'html': 'html',
+      'vue': 'html', // Monaco has no Vue/Svelte grammar - HTML fits template + script + style
+      'svelte': 'html',
       'css': 'css',
       'json': 'json',
       'md': 'markdown',
+      // Images hold their data URL (see utils/projectAssets)
+      'png': 'image',
+      'jpg': 'image',
+      'jpeg': 'image',
+      'gif': 'image',
+      'webp': 'image',
+      'avif': 'image',
+      'svg': 'image',
+      'ico': 'image',
     };
 
     const newFile = {
@@ -404,6 +575,80 @@ export function CodeProvider({ children }) {
     return id;
   }, []);
 
+  // Add a folder unless the parent already has one with that name - returns the folder path
+  const addNewFolder = useCallback((parentPath, folderName) => {
+    const path = parentPath === '/' ? `/${folderName}` : `${parentPath}/${folderName}`;
+    fileIdCounter.current += 1;
+    const newFolder = {
+      id: `folder-${Date.now()}-${fileIdCounter.current}`,
+      name: folderName,
+      path,
+      type: 'folder',
+      children: [],
+    };
+
+    const addToFolder = (files) => {
+      if (parentPath === '/') {
+        return files.some(f => f.type === 'folder' && f.path === path) ? files : [...files, newFolder];
+      }
+      return files.map(file => {
+        if (file.type === 'folder' && file.path === parentPath) {
+          const children = file.children || [];
+          return children.some(f => f.type === 'folder' && f.path === path)
+            ? file
+            : { ...file, children: [...children, newFolder] };
+        }
+        if (file.type === 'folder' && file.children) {
+          return { ...file, children: addToFolder(file.children) };
+        }
+        return file;
+      });
+    };
+
+    setProject(prev => ({
+      ...prev,
+      files: addToFolder(prev.files),
+    }));
+
+    return path;
+  }, []);
+
+  // Write site pages and the shared stylesheet into the project root (update by name, create if missing)
+  // Returns the file IDs: pages in order, stylesheet last
+  const writeSiteFiles = useCallback((pages, css) => {
+    const fileIds = [];
+    const writeFile = (name, content) => {
+      const existing = project.files.find(f => f.name === name);
+      if (existing) {
+        updateFileContent(existing.id, content);
+        fileIds.push(existing.id);
+      } else {
+        fileIds.push(addNewFile('/', name, content));
+      }
+    };
+
+    pages.forEach(page => writeFile(page.name, page.content));
+    if (css) {
+      writeFile('styles.css', css);
+    }
+    return fileIds;
+  }, [project.files, updateFileContent, addNewFile]);
+
+  // Write images into the project as files (update by path, create if missing)
+  // images: [{ path: 'assets/logo.png', data: data URL }] - returns the file IDs
+  // New images go into their folders (assets/, assets/placeholders/), created when missing
+  const writeImageFiles = useCallback((images) => images.map(({ path, data }) => {
+    const existing = flattenProjectFiles(project.files).find(f => f.path === `/${path}`);
+    if (existing) {
+      updateFileContent(existing.id, data);
+      return existing.id;
+    }
+    const folders = path.split('/');
+    const fileName = folders.pop();
+    const parentPath = folders.reduce((parent, folder) => addNewFolder(parent, folder), '/');
+    return addNewFile(parentPath, fileName, data);
+  }), [project.files, updateFileContent, addNewFile, addNewFolder]);
+
   // Add asset
   const addAsset = useCallback(async (asset) => {
     if (assets.length >= 15) {
@@ -416,6 +661,11 @@ export function CodeProvider({ children }) {
       ...asset,
       createdAt: new Date().toISOString(),
     };
+    // Logos, palettes and photos are recognized by name; other images stay untagged (mockup / section)
+    if (newAsset.type === 'image' && !newAsset.role) {
+      const role = guessImageRole(newAsset.name);
+      if (role) newAsset.role = role;
+    }
 
     setAssets(prev => [...prev, newAsset]);
 
@@ -426,6 +676,29 @@ export function CodeProvider({ children }) {
     return true;
   }, [assets.length, db]);
 
+  // Tag an uploaded image with its role (mockup, section, logo, palette, photo)
+  const setAssetRole = useCallback(async (assetId, role) => {
+    const asset = assets.find(a => a.id === assetId);
+    if (!asset) return;
+
+    const updated = { ...asset, role };
+    setAssets(prev => prev.map(a => a.id === assetId ? updated : a));
+
+    if (db) {
+      await db.put('assets', updated).catch(console.error);
+    }
+  }, [assets, db]);
+
+  // Copy an uploaded image into the project as assets/<name>, so pages can reference it offline
+  const addAssetToProject = useCallback((assetId) => {
+    const asset = assets.find(a => a.id === assetId);
+    const path = asset && getAssetPaths(assets).get(assetId);
+    if (!path) return null;
+
+    writeImageFiles([{ path, data: asset.data }]);
+    return path;
+  }, [assets, writeImageFiles]);
+
   // Remove asset
   const removeAsset = useCallback(async (assetId) => {
     setAssets(prev => prev.filter(a => a.id !== assetId));
@@ -536,7 +809,62 @@ export function CodeProvider({ children }) {
     }
   }, [prompt, assets]);
 
-  // Generate code with AI - Uses smart router (SambaNova for text, Gemini for images)
+  // Set preferred AI provider and persist it
+  const setPreferredProvider = useCallback((providerId) => {
+    setPreferredProviderState(providerId);
+    if (db) {
+      db.put('appState', { key: 'preferredProvider', value: providerId }).catch(console.error);
+    }
+  }, [db]);
+
+  // Set AI response fixture mode (off / record / replay) and persist it
+  const setFixtureMode = useCallback((mode) => {
+    setFixtureModeState(mode);
+    if (db) {
+      db.put('appState', { key: 'fixtureMode', value: mode }).catch(console.error);
+    }
+  }, [db]);
+
+  // Replace remote placeholder images across the current project with local SVG files
+  // Returns the number of placeholder files written
+  const localizeProjectImages = useCallback(() => {
+    const images = new Map();
+    for (const file of flattenProjectFiles(project.files)) {
+      if (isImageFile(file) || !file.content) continue;
+      const { code, images: found } = localizePlaceholderImages(file.content, { palette: designJSON?.colors });
+      if (found.length === 0) continue;
+      updateFileContent(file.id, code);
+      found.forEach(image => images.set(image.path, image));
+    }
+    writeImageFiles([...images.values()]);
+    return images.size;
+  }, [project.files, designJSON, updateFileContent, writeImageFiles]);
+
+  // Opt in to offline images (persisted) - turning it on also rewrites the current project
+  const setOfflineImages = useCallback((enabled) => {
+    setOfflineImagesState(enabled);
+    if (db) {
+      db.put('appState', { key: 'offlineImages', value: enabled }).catch(console.error);
+    }
+    return enabled ? localizeProjectImages() : 0;
+  }, [db, localizeProjectImages]);
+
+  // Stream chunks into state; HTML previews render as soon as the HTML block is complete
+  const streamIntoPreview = useCallback((fullContent, outputFramework) => {
+    setStreamingContent(fullContent);
+    if (outputFramework === 'react' || SFC_FRAMEWORKS.includes(outputFramework)) return;
+
+    const now = Date.now();
+    if (now - lastStreamPreviewRef.current < 400) return;
+
+    const preview = geminiService.compileStreamingPreview(fullContent);
+    if (preview) {
+      lastStreamPreviewRef.current = now;
+      setLivePreviewCode(preview);
+    }
+  }, []);
+
+  // Generate code with AI - Uses smart router (provider registry with fallback chain)
   const generateCodeWithAI = useCallback(async () => {
     const promptToUse = optimizedPrompt || prompt;
     
@@ -544,8 +872,8 @@ export function CodeProvider({ children }) {
       return { success: false, error: 'No prompt available' };
     }
 
-    // Check if at least one AI service is configured
-    if (!geminiService.isGeminiConfigured() && !sambaNovaService.isSambaNovaConfigured()) {
+    // Check if at least one AI provider is configured (replay can run from recorded responses alone)
+    if (!hasConfiguredProvider() && fixtureMode !== 'replay') {
       return { success: false, error: 'No AI keys configured. Please add API keys to your .env file.' };
     }
 
@@ -554,22 +882,38 @@ export function CodeProvider({ children }) {
     setGeneratedCode({ html: '', css: '' });
     setLivePreviewCode('');
     setAiError(null);
+    lastStreamPreviewRef.current = 0;
+
+    // Local images the pages may reference; uploaded logos/photos are written into the project with the output
+    const localImages = getLocalImages(flattenProjectFiles(project.files), assets);
 
     try {
-      // Use the smart router - it selects SambaNova or Gemini based on input
+      // Use the smart router - it picks providers by capability and preference
       console.log('🚀 Generating code with framework:', framework);
-      const result = await routerGenerateCode(promptToUse, assets, framework);
+      let result = await routerGenerateCode(promptToUse, assets, framework, {
+        preferredProvider,
+        fixtureMode,
+        styling,
+        designJSON,
+        localImages: localImages.map(({ path, name }) => ({ path, name })),
+        onChunk: (text, fullContent) => streamIntoPreview(fullContent, framework),
+      });
+
+      // Offline images: remote placeholder URLs become local SVG files (written below with the uploads)
+      const placeholders = offlineImages && result.success ? localizeResultImages(result, designJSON?.colors) : null;
+      if (placeholders) result = placeholders.result;
 
       console.log('📦 Code generation result:', result);
       console.log('🔀 Pipeline used:', result.pipeline);
       console.log('📐 Framework:', result.framework);
 
       if (result.success) {
-        // Handle React output (multi-file)
-        if (framework === 'react' && result.files && result.files.length > 0) {
-          console.log('⚛️ React files generated:', result.files.length);
+        // Handle React / Vue / Svelte output (multi-file)
+        const isComponentOutput = framework === 'react' || SFC_FRAMEWORKS.includes(framework);
+        if (isComponentOutput && result.files && result.files.length > 0) {
+          console.log(`⚛️ ${framework} files generated:`, result.files.length);
           
-          // Clear existing project files and add React files
+          // Clear existing project files and add component files
           const newFiles = result.files.map((file, index) => {
             const id = addNewFile('/', file.name, file.content);
             return { id, name: file.name, content: file.content, language: file.language };
@@ -579,26 +923,40 @@ export function CodeProvider({ children }) {
           const fileIds = newFiles.map(f => f.id);
           setOpenFiles(fileIds);
           
-          // Set App.tsx as active
-          const appFile = newFiles.find(f => f.name === 'App.tsx' || f.name.includes('App'));
+          // Set App.tsx (App.vue / App.svelte) as active
+          const appFile = newFiles.find(f => /^App\.(tsx|vue|svelte)$/.test(f.name) || f.name.includes('App'));
           if (appFile) {
             setActiveFileId(appFile.id);
           } else if (fileIds.length > 0) {
             setActiveFileId(fileIds[0]);
           }
-          
-          // For React, we can't show live preview directly (would need bundler)
-          // Show a message or the main component code
-          setLivePreviewCode('<!-- React components generated. Check Code tab for files. -->');
+          // The live preview sync effect transpiles the new files into the React preview
           
           // Store generated code
           setGeneratedCode({ 
             html: '', 
             css: '', 
             files: result.files,
-            framework: 'react' 
+            framework 
           });
           
+        } else if (framework === 'multipage' && result.pages?.length > 0) {
+          // Handle multi-page output: one file per page plus the shared stylesheet
+          console.log('📄 Pages generated:', result.pages.map(p => p.name).join(', '));
+          const fileIds = writeSiteFiles(result.pages, result.css);
+
+          setOpenFiles(prev => [...prev, ...fileIds.filter(id => !prev.includes(id))]);
+          setActiveFileId(fileIds[0]);
+          setActivePreviewPage(result.pages[0].name);
+          setLivePreviewCode(geminiService.compileLivePreview(result.html, result.css));
+
+          setGeneratedCode({
+            html: result.html,
+            css: result.css,
+            pages: result.pages,
+            framework: 'multipage',
+          });
+
         } else {
           // Handle HTML/CSS output
           setGeneratedCode({ html: result.html, css: result.css });
@@ -647,6 +1005,8 @@ export function CodeProvider({ children }) {
           }
         }
 
+        writeImageFiles([...localImages.filter(image => !image.inProject), ...(placeholders?.images || [])]);
+
         // Auto-switch to Canvas view
         setActiveTab('canvas');
 
@@ -673,11 +1033,18 @@ export function CodeProvider({ children }) {
             title: generateChatTitle(prompt),
             prompt: prompt || '',
             optimizedPrompt: optimizedPrompt || '',
+            designJSON: designJSON || null,
+            previewScripts: previewScriptsEnabled,
             assets: assets || [],
-            generatedCode: framework === 'react' 
-              ? { files: result.files, framework: 'react' }
-              : { html: result.html, css: result.css },
+            generatedCode: framework === 'react' || SFC_FRAMEWORKS.includes(framework)
+              ? { files: result.files, framework }
+              : framework === 'multipage'
+                ? { html: result.html, css: result.css, pages: result.pages, framework: 'multipage' }
+                : { html: result.html, css: result.css },
             framework: framework,
+            provider: result.pipeline,
+            replayed: !!result.replayed,
+            turns: [], // Follow-up refinements (see refineCodeWithAI)
             createdAt: new Date().toISOString(),
           };
           
@@ -688,6 +1055,8 @@ export function CodeProvider({ children }) {
           }).catch(console.error);
         }
       } else {
+        // Drop any partial preview left over from a failed stream
+        setLivePreviewCode('');
         setAiError(result.error);
       }
 
@@ -699,11 +1068,196 @@ export function CodeProvider({ children }) {
     } finally {
       setIsGenerating(false);
     }
-  }, [optimizedPrompt, prompt, assets, designJSON, framework, project.files, addNewFile, updateFileContent, db]);
+  }, [optimizedPrompt, prompt, assets, designJSON, previewScriptsEnabled, offlineImages, framework, styling, preferredProvider, fixtureMode, project.files, addNewFile, updateFileContent, writeSiteFiles, writeImageFiles, db, streamIntoPreview]);
+
+  // Main stylesheet of the project (the theme panel edits its design tokens)
+  const themeStylesheet = projectFiles.find(f => f.name === 'styles.css') ||
+    projectFiles.find(f => f.name === 'index.css') ||
+    projectFiles.find(f => f.name?.endsWith('.css')) ||
+    null;
+
+  // Files a refinement sends to the model - read from the project so manual edits are kept
+  const getRefinableFiles = useCallback(() => {
+    const files = flattenProjectFiles(project.files);
+    const refinable = {
+      react: files.filter(f => /\.(tsx?|jsx?|css)$/.test(f.name)),
+      vue: files.filter(f => /\.(vue|[jt]s|css)$/.test(f.name)),
+      svelte: files.filter(f => /\.(svelte|[jt]s|css)$/.test(f.name)),
+      multipage: files.filter(f => f.name.endsWith('.html') || f.name === 'styles.css'),
+      html: files.filter(f => f.name === 'index.html' || f.name === 'styles.css'),
+    }[projectFramework];
+
+    return refinable.map(f => ({ id: f.id, name: f.path.replace(/^\//, ''), content: f.content || '', language: f.language }));
+  }, [project.files, projectFramework]);
+
+  const canRefine = getRefinableFiles().length > 0;
+
+  // Refine the existing page - sends the current files plus the instruction,
+  // applies the result to the existing files and records a turn in the current chat
+  // options.images replaces the uploaded images sent with it (e.g. mockup close-ups from the fidelity check)
+  const refineCodeWithAI = useCallback(async (instruction, options = {}) => {
+    if (!instruction?.trim()) {
+      return { success: false, error: 'Describe the change you want first' };
+    }
+
+    const currentFiles = getRefinableFiles();
+    if (currentFiles.length === 0) {
+      return { success: false, error: 'Nothing to refine yet. Generate a page first.' };
+    }
+
+    if (!hasConfiguredProvider() && fixtureMode !== 'replay') {
+      return { success: false, error: 'No AI keys configured. Please add API keys to your .env file.' };
+    }
+
+    setIsGenerating(true);
+    setStreamingContent('');
+    setAiError(null);
+    lastStreamPreviewRef.current = 0;
+
+    const localImages = getLocalImages(flattenProjectFiles(project.files), assets);
+
+    try {
+      console.log('✏️ Refining current', projectFramework, 'project:', instruction);
+      let result = await routerGenerateCode(instruction, options.images || assets, projectFramework, {
+        preferredProvider,
+        fixtureMode,
+        localImages: localImages.map(({ path, name }) => ({ path, name })),
+        refineFiles: currentFiles.map(({ name, content }) => ({ name, content })),
+        onChunk: (text, fullContent) => streamIntoPreview(fullContent, projectFramework),
+      });
+
+      if (!result.success) {
+        // Restore the preview of the unchanged page
+        if (projectFramework === 'html' || projectFramework === 'multipage') {
+          const html = currentFiles.find(f => f.name === 'index.html')?.content || '';
+          const css = currentFiles.find(f => f.name === 'styles.css')?.content || '';
+          setLivePreviewCode(geminiService.compileLivePreview(html, css));
+        }
+        setAiError(result.error);
+        return result;
+      }
+
+      const placeholders = offlineImages ? localizeResultImages(result, designJSON?.colors) : null;
+      if (placeholders) result = placeholders.result;
+
+      let nextGeneratedCode;
+      if (projectFramework === 'react' || SFC_FRAMEWORKS.includes(projectFramework)) {
+        // Update changed files in place, add any new ones
+        const mergedFiles = currentFiles.map(({ name, content, language }) => ({ name, content, language }));
+        for (const file of result.files || []) {
+          const existing = currentFiles.find(f => f.name === file.name);
+          if (existing) {
+            updateFileContent(existing.id, file.content);
+          } else {
+            const id = addNewFile('/', file.name, file.content);
+            setOpenFiles(prev => [...prev, id]);
+          }
+
+          const index = mergedFiles.findIndex(f => f.name === file.name);
+          if (index === -1) {
+            mergedFiles.push(file);
+          } else {
+            mergedFiles[index] = file;
+          }
+        }
+        nextGeneratedCode = { html: '', css: '', files: mergedFiles, framework: projectFramework };
+      } else if (projectFramework === 'multipage') {
+        // Overlay changed/added pages on the current ones; keep the stylesheet if it was left out
+        const pages = currentFiles
+          .filter(f => f.name.endsWith('.html'))
+          .map(({ name, content }) => ({ name, content }));
+        for (const page of result.pages || []) {
+          const index = pages.findIndex(p => p.name === page.name);
+          if (index === -1) {
+            pages.push(page);
+          } else {
+            pages[index] = page;
+          }
+        }
+        const css = result.css || currentFiles.find(f => f.name === 'styles.css')?.content || '';
+
+        const fileIds = writeSiteFiles(result.pages || [], result.css);
+        setOpenFiles(prev => [...prev, ...fileIds.filter(id => !prev.includes(id))]);
+
+        const home = pages.find(p => p.name === 'index.html') || pages[0];
+        nextGeneratedCode = { html: home?.content || '', css, pages, framework: 'multipage' };
+      } else {
+        const htmlFile = currentFiles.find(f => f.name === 'index.html');
+        const cssFile = currentFiles.find(f => f.name === 'styles.css');
+        // Keep the current file when the model left one out
+        const html = result.html || htmlFile?.content || '';
+        const css = result.css || cssFile?.content || '';
+
+        if (result.html) {
+          if (htmlFile) updateFileContent(htmlFile.id, html);
+          else addNewFile('/', 'index.html', html);
+        }
+        if (result.css) {
+          if (cssFile) updateFileContent(cssFile.id, css);
+          else addNewFile('/', 'styles.css', css);
+        }
+
+        nextGeneratedCode = { html, css };
+        setLivePreviewCode(geminiService.compileLivePreview(html, css));
+      }
+
+      setGeneratedCode(nextGeneratedCode);
+      writeImageFiles([...localImages.filter(image => !image.inProject), ...(placeholders?.images || [])]);
+      setActiveTab('canvas');
+
+      // Record the refinement as a turn in the current chat history entry
+      if (db) {
+        const turn = {
+          prompt: instruction,
+          provider: result.pipeline,
+          replayed: !!result.replayed,
+          generatedCode: nextGeneratedCode,
+          createdAt: new Date().toISOString(),
+        };
+
+        const existingChat = currentChatId ? await db.get('chats', currentChatId) : null;
+        const chat = existingChat
+          ? {
+              ...existingChat,
+              generatedCode: nextGeneratedCode,
+              turns: [...(existingChat.turns || []), turn],
+              updatedAt: turn.createdAt,
+            }
+          : {
+              id: generateChatId(),
+              title: generateChatTitle(instruction),
+              prompt: instruction,
+              optimizedPrompt: '',
+              assets: assets || [],
+              generatedCode: nextGeneratedCode,
+              framework: projectFramework,
+              provider: result.pipeline,
+              turns: [turn],
+              createdAt: turn.createdAt,
+            };
+
+        await db.put('chats', chat);
+        setChatHistory(prev => existingChat
+          ? prev.map(c => c.id === chat.id ? chat : c)
+          : [chat, ...prev]);
+        setCurrentChatId(chat.id);
+        console.log(`💬 Refinement recorded (turn ${chat.turns.length}):`, chat.title);
+      }
+
+      return result;
+    } catch (error) {
+      const errorMessage = error.message || 'Failed to refine code';
+      setAiError(errorMessage);
+      return { success: false, error: errorMessage };
+    } finally {
+      setIsGenerating(false);
+    }
+  }, [getRefinableFiles, projectFramework, assets, offlineImages, designJSON, preferredProvider, fixtureMode, currentChatId, db, updateFileContent, addNewFile, writeSiteFiles, writeImageFiles, project.files, streamIntoPreview]);
 
   // Reset generation state
   const resetGeneration = useCallback(() => {
     setOptimizedPrompt('');
+    setDesignJSON(null);
     setStreamingContent('');
     setGeneratedCode({ html: '', css: '' });
     setLivePreviewCode('');
@@ -749,6 +1303,9 @@ export function CodeProvider({ children }) {
         // Restore the chat state
         setPrompt(chat.prompt);
         setOptimizedPrompt(chat.optimizedPrompt);
+        setDesignJSON(chat.designJSON || null);
+        setPreviewScriptsEnabledState(Boolean(chat.previewScripts));
+        setPreviewConsole([]);
         setGeneratedCode(chat.generatedCode);
         setCurrentChatId(chat.id);
         
@@ -759,6 +1316,17 @@ export function CodeProvider({ children }) {
             chat.generatedCode.css || ''
           );
           setLivePreviewCode(compiled);
+
+          // Multi-page site: restore every page plus the shared stylesheet
+          if (chat.generatedCode.pages?.length > 0) {
+            const fileIds = writeSiteFiles(chat.generatedCode.pages, chat.generatedCode.css);
+            setOpenFiles(prev => [...prev, ...fileIds.filter(id => !prev.includes(id))]);
+            setActiveFileId(fileIds[0]);
+            setActivePreviewPage(chat.generatedCode.pages[0].name);
+            setIsHistoryDrawerOpen(false);
+            console.log('📂 Chat loaded:', chat.title);
+            return chat;
+          }
           
           // Update project files and open them as tabs
           let htmlFileId = null;
@@ -800,7 +1368,7 @@ export function CodeProvider({ children }) {
       console.error('Failed to load chat:', error);
       return null;
     }
-  }, [db, project.files, updateFileContent, addNewFile, openFile]);
+  }, [db, project.files, updateFileContent, addNewFile, openFile, writeSiteFiles]);
 
   // Delete a chat from history
   const deleteChat = useCallback(async (chatId) => {
@@ -998,6 +1566,9 @@ export function CodeProvider({ children }) {
       setCode('');
       setPrompt('');
       setOptimizedPrompt('');
+      setDesignJSON(null);
+      setPreviewScriptsEnabledState(false);
+      setPreviewConsole([]);
       setGeneratedCode({ html: '', css: '' });
       setLivePreviewCode('');
       setProjectTitle('');
@@ -1020,6 +1591,8 @@ export function CodeProvider({ children }) {
     setPrompt('');
     setOptimizedPrompt('');
     setDesignJSON(null);
+    setPreviewScriptsEnabledState(false);
+    setPreviewConsole([]);
     setGeneratedCode({ html: '', css: '' });
     setLivePreviewCode('');
     setStreamingContent('');
@@ -1034,6 +1607,42 @@ export function CodeProvider({ children }) {
     console.log('✨ New chat started');
   }, []);
 
+  // Turn page scripts in the preview on/off for the current project (kept on its chat history entry)
+  const setPreviewScriptsEnabled = useCallback(async (enabled) => {
+    setPreviewScriptsEnabledState(enabled);
+    setPreviewConsole([]);
+    if (!db || !currentChatId) return;
+
+    try {
+      const chat = await db.get('chats', currentChatId);
+      if (chat) {
+        const updated = { ...chat, previewScripts: enabled };
+        await db.put('chats', updated);
+        setChatHistory(prev => prev.map(c => c.id === updated.id ? updated : c));
+      }
+    } catch (error) {
+      console.error('Failed to save preview script setting:', error);
+    }
+  }, [db, currentChatId]);
+
+  // Preview console (messages come from the preview bridge; capped like a browser console)
+  const addPreviewConsoleEntry = useCallback((entry) => {
+    setPreviewConsole(prev => [...prev.slice(-499), { ...entry, id: `${Date.now()}-${prev.length}` }]);
+  }, []);
+
+  const clearPreviewConsole = useCallback(() => {
+    setPreviewConsole([]);
+  }, []);
+
+  // Open a file in the editor and jump to a line (console links)
+  const revealInEditor = useCallback((path, line = 1, column = 1) => {
+    const file = flattenProjectFiles(project.files).find(f => f.path.replace(/^\//, '') === path);
+    if (!file) return;
+    openFile(file.id);
+    setActiveTab('code');
+    setEditorReveal({ fileId: file.id, line, column, requestedAt: Date.now() });
+  }, [project.files, openFile]);
+
   // Toggle history drawer
   const toggleHistoryDrawer = useCallback(() => {
     setIsHistoryDrawerOpen(prev => !prev);
@@ -1043,126 +1652,159 @@ export function CodeProvider({ children }) {
   // CHATBOT (AI Code Analyzer) FUNCTIONS
   // ============================================================================
 
-  // Get current project files for chatbot context
-  const getChatbotFiles = useCallback(() => {
-    const htmlFile = project.files.find(f => f.name === 'index.html' || f.name?.endsWith('.html'));
-    const cssFile = project.files.find(f => f.name === 'styles.css' || f.name?.endsWith('.css'));
-    return {
-      html: htmlFile?.content || '',
-      css: cssFile?.content || ''
-    };
-  }, [project.files]);
-
-  // Send message to chatbot
-  const sendChatbotMessage = useCallback(async (message) => {
-    if (!message.trim()) return;
-
-    // Add user message to history
-    const userMessage = { role: 'user', content: message };
-    setChatbotMessages(prev => [...prev, userMessage]);
+  // Get current project files for chatbot context (text files only - images hold data URLs)
+  const getChatbotFiles = useCallback(() => flattenProjectFiles(project.files)
+    .filter(f => f.type === 'file' && !isImageFile(f))
+    .map(f => ({ path: f.path.replace(/^\//, ''), content: f.content || '' })), [project.files]);
+
+  // Ask the chatbot about `message` and stream the reply into a new assistant message
+  // history: the messages before `message` (which is already shown as the last user message)
+  // selection: element picked in the preview that the message is about
+  const requestChatbotReply = useCallback(async (message, history, selection = null) => {
+    const controller = new AbortController();
+    chatbotAbortRef.current = controller;
     setChatbotLoading(true);
     setPendingCodeChanges(null);
 
+    // The reply is always the last message while it streams (the input is disabled meanwhile);
+    // once the history is cleared there is nothing left to update
+    setChatbotMessages(prev => [...prev, { role: 'assistant', content: '', streaming: true }]);
+    const updateReply = (changes) => setChatbotMessages(prev => (prev[prev.length - 1]?.streaming
+      ? [...prev.slice(0, -1), { ...prev[prev.length - 1], ...changes }]
+      : prev));
+
     try {
       const files = getChatbotFiles();
+      const activePath = findFileById(project.files, activeFileId)?.path.replace(/^\//, '') || null;
       const result = await chatbotService.sendChatMessage(
         message,
         files,
-        chatbotMessages
+        history,
+        {
+          activePath,
+          selection,
+          signal: controller.signal,
+          onChunk: (text, fullContent) => updateReply({ content: fullContent }),
+        }
       );
 
       if (result.success) {
-        // Add AI response to history
-        const aiMessage = { role: 'assistant', content: result.message };
-        setChatbotMessages(prev => [...prev, aiMessage]);
+        // Final reply (with edit blocks that were cut off or could not be applied)
+        updateReply({
+          content: result.message,
+          streaming: false,
+          diagnostics: (result.parseDiagnostics || []).filter(d => d.level !== 'info'),
+        });
 
         // Store pending code changes if AI suggested modifications
         if (result.hasCodeChanges) {
-          setPendingCodeChanges({
-            html: result.modifiedHtml,
-            css: result.modifiedCss
-          });
+          setPendingCodeChanges({ files: result.changes });
         }
+      } else if (result.aborted) {
+        // Stopped: keep the text so far, without applying any of its edits
+        updateReply({ content: result.message, streaming: false, stopped: true });
       } else {
-        // Add error message
-        const errorMessage = { role: 'assistant', content: `❌ Error: ${result.error}` };
-        setChatbotMessages(prev => [...prev, errorMessage]);
+        updateReply({ content: `${result.message ? `${result.message}\n\n` : ''}❌ Error: ${result.error}`, streaming: false });
       }
     } catch (error) {
-      const errorMessage = { role: 'assistant', content: `❌ Error: ${error.message}` };
-      setChatbotMessages(prev => [...prev, errorMessage]);
+      updateReply({ content: `❌ Error: ${error.message}`, streaming: false });
     } finally {
+      if (chatbotAbortRef.current === controller) chatbotAbortRef.current = null;
       setChatbotLoading(false);
     }
-  }, [chatbotMessages, getChatbotFiles]);
+  }, [getChatbotFiles, project.files, activeFileId, findFileById]);
 
-  // Apply pending code changes from chatbot
-  const applyChatbotCodeChanges = useCallback(() => {
-    if (!pendingCodeChanges) return;
+  // Send message to chatbot
+  const sendChatbotMessage = useCallback(async (message) => {
+    if (!message.trim() || chatbotLoading) return;
+
+    // Add user message to history (the picked element goes with this message only)
+    const selection = chatbotSelection;
+    setChatbotMessages(prev => [...prev, { role: 'user', content: message, ...(selection && { selection }) }]);
+    setChatbotSelection(null);
+    await requestChatbotReply(message, chatbotMessages, selection);
+  }, [chatbotMessages, chatbotLoading, chatbotSelection, requestChatbotReply]);
+
+  // Attach an element picked in the preview to the next chatbot message
+  const attachElementToChatbot = useCallback((selection) => {
+    setChatbotSelection(selection);
+    setIsChatbotOpen(true);
+  }, []);
 
-    const existingHtmlFile = project.files.find(f => f.name === 'index.html');
-    const existingCssFile = project.files.find(f => f.name === 'styles.css');
-    
-    let htmlFileId = null;
-    let cssFileId = null;
-
-    // Apply HTML changes
-    if (pendingCodeChanges.html) {
-      if (existingHtmlFile) {
-        updateFileContent(existingHtmlFile.id, pendingCodeChanges.html);
-        htmlFileId = existingHtmlFile.id;
-      } else {
-        htmlFileId = addNewFile('/', 'index.html', pendingCodeChanges.html);
-      }
-    }
+  // Stop the reply that is streaming in
+  const stopChatbotReply = useCallback(() => {
+    chatbotAbortRef.current?.abort();
+  }, []);
+
+  // Drop the last reply and ask the same question again
+  const regenerateChatbotReply = useCallback(async () => {
+    const lastUserIndex = chatbotMessages.findLastIndex(msg => msg.role === 'user');
+    if (lastUserIndex === -1 || chatbotLoading) return;
+
+    const { content, selection } = chatbotMessages[lastUserIndex];
+    setChatbotMessages(chatbotMessages.slice(0, lastUserIndex + 1));
+    await requestChatbotReply(content, chatbotMessages.slice(0, lastUserIndex), selection);
+  }, [chatbotMessages, chatbotLoading, requestChatbotReply]);
+
+  // Files the pending chatbot changes touch - current vs proposed content, for the change review
+  // (new files have no current content)
+  const pendingChangeFiles = pendingCodeChanges
+    ? Object.entries(pendingCodeChanges.files)
+        .map(([path, modified]) => {
+          const existing = flattenProjectFiles(project.files).find(f => f.path.replace(/^\//, '') === path);
+          return {
+            key: path,
+            name: path,
+            language: existing?.language || languageForFile(path),
+            original: existing?.content || '',
+            modified,
+            isNew: !existing,
+          };
+        })
+        .filter(file => file.modified && file.modified !== file.original)
+    : [];
 
-    // Apply CSS changes
-    if (pendingCodeChanges.css) {
-      if (existingCssFile) {
-        updateFileContent(existingCssFile.id, pendingCodeChanges.css);
-        cssFileId = existingCssFile.id;
+  // Apply pending code changes from chatbot
+  // contents: { [path]: content } to write instead (the change review passes only the accepted hunks)
+  const applyChatbotCodeChanges = useCallback((contents = pendingCodeChanges?.files) => {
+    if (!pendingCodeChanges || !contents) return;
+
+    const existingFiles = flattenProjectFiles(project.files);
+    const changedIds = [];
+    for (const [path, content] of Object.entries(contents)) {
+      if (!content) continue;
+      const existing = existingFiles.find(f => f.path.replace(/^\//, '') === path);
+      if (existing) {
+        updateFileContent(existing.id, content);
+        changedIds.push(existing.id);
       } else {
-        cssFileId = addNewFile('/', 'styles.css', pendingCodeChanges.css);
+        changedIds.push(addNewFile('/', path, content));
       }
     }
 
-    // Open both files as separate tabs
-    if (htmlFileId) {
-      setOpenFiles(prev => prev.includes(htmlFileId) ? prev : [...prev, htmlFileId]);
-    }
-    if (cssFileId) {
-      setOpenFiles(prev => prev.includes(cssFileId) ? prev : [...prev, cssFileId]);
-    }
-    
-    // Set HTML as active file (or CSS if only CSS was modified)
-    if (htmlFileId) {
-      setActiveFileId(htmlFileId);
-    } else if (cssFileId) {
-      setActiveFileId(cssFileId);
+    // Open the changed files as tabs and show the first one (the live preview follows the files)
+    if (changedIds.length > 0) {
+      setOpenFiles(prev => [...prev, ...changedIds.filter(id => !prev.includes(id))]);
+      setActiveFileId(changedIds[0]);
     }
 
     // Clear pending changes
     setPendingCodeChanges(null);
 
-    // Update live preview
-    if (pendingCodeChanges.html || pendingCodeChanges.css) {
-      const htmlFile = project.files.find(f => f.name === 'index.html');
-      const cssFile = project.files.find(f => f.name === 'styles.css');
-      const compiled = geminiService.compileLivePreview(
-        pendingCodeChanges.html || htmlFile?.content || '',
-        pendingCodeChanges.css || cssFile?.content || ''
-      );
-      setLivePreviewCode(compiled);
-    }
-    
     // Switch to code tab to show the changes
     setActiveTab('code');
 
     console.log('✅ Chatbot code changes applied');
   }, [pendingCodeChanges, project.files, updateFileContent, addNewFile]);
 
+  // Drop the pending chatbot changes without touching the files
+  const discardChatbotCodeChanges = useCallback(() => {
+    setPendingCodeChanges(null);
+  }, []);
+
   // Clear chatbot history
   const clearChatbotHistory = useCallback(() => {
+    chatbotAbortRef.current?.abort();
     setChatbotMessages([]);
     setPendingCodeChanges(null);
   }, []);
@@ -1201,6 +1843,9 @@ export function CodeProvider({ children }) {
     toggleFolder,
     addNewFile,
     findFileById,
+    projectFiles, // Flat list of project files (folders walked)
+    editorReveal, // { fileId, line, column } the editor jumps to (console links)
+    revealInEditor,
 
     // AI actions
     sendPromptToAI,
@@ -1210,20 +1855,47 @@ export function CodeProvider({ children }) {
 
     // AI - Prompt Optimization (Gemini) & Code Generation (SambaNova)
     optimizedPrompt,
+    designJSON, // Design specs sent to every generator (null = none)
+    setDesignJSON,
     isOptimizing,
     isGenerating,
     generatedCode,
     livePreviewCode,
     streamingContent,
+    previewPages,
+    activePreviewPage,
+    setActivePreviewPage,
     framework,
     setFramework,
+    projectFramework, // Framework of the code currently in the project
+    themeStylesheet, // Main stylesheet file (null = none)
+    previewScriptsEnabled, // Page scripts run in the live preview
+    setPreviewScriptsEnabled,
+    previewConsole,
+    addPreviewConsoleEntry,
+    clearPreviewConsole,
+    styling,
+    setStyling,
+    offlineImages, // Remote placeholder images are replaced with local SVG files
+    setOfflineImages,
+    preferredProvider,
+    setPreferredProvider,
+    providerOptions: getProviderOptions(),
+    fixtureMode,
+    setFixtureMode,
+    countRecordedFixtures: fixtureRecorder.countFixtures,
+    clearRecordedFixtures: fixtureRecorder.clearFixtures,
     optimizePromptWithGemini,
     generateCodeWithAI,
+    refineCodeWithAI,
+    canRefine,
     resetGeneration,
     projectTitle, // AI-generated project title for downloads
 
     // Actions
     addAsset,
+    setAssetRole,
+    addAssetToProject,
     removeAsset,
     clearAssets,
     copySessionId,
@@ -1246,8 +1918,17 @@ export function CodeProvider({ children }) {
     chatbotMessages,
     chatbotLoading,
     pendingCodeChanges,
+    pendingChangeFiles, // [{ key, name, language, original, modified, isNew }] files the pending changes touch
+    isChatbotOpen,
+    setIsChatbotOpen,
+    chatbotSelection,
+    setChatbotSelection,
+    attachElementToChatbot,
     sendChatbotMessage,
+    stopChatbotReply,
+    regenerateChatbotReply,
     applyChatbotCodeChanges,
+    discardChatbotCodeChanges,
     clearChatbotHistory,
 
     // New tab preview support
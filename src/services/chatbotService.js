@@ -1,13 +1,28 @@
 /**
  * AI Code Analyzer Chatbot Service
- * Dedicated service for analyzing HTML/CSS files and explaining/modifying code
+ * Dedicated service for analyzing project files and explaining/modifying code
  * Uses separate API key pool from the main code generation service
  */
 
+import { parseChatEditOutput } from './outputParser';
+import { applyFileEdits } from '../utils/patchApply';
+import { readSSEStream } from '../utils/sseStream';
+
 // Load chatbot-specific API keys from environment (comma-separated)
 const CHATBOT_API_KEYS_RAW = import.meta.env.VITE_CHATBOT_API_KEYS || '';
 const CHATBOT_API_KEYS = CHATBOT_API_KEYS_RAW.split(',').map(k => k.trim()).filter(k => k.length > 0);
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash';
+const CHATBOT_BASE_URL = (
+  import.meta.env.VITE_CHATBOT_BASE_URL ||
+  import.meta.env.VITE_GEMINI_BASE_URL ||
+  'https://generativelanguage.googleapis.com/v1beta'
+).replace(/\/+$/, '');
+const GEMINI_API_URL = `${CHATBOT_BASE_URL}/models/gemini-2.5-flash`;
+
+// File content sent with each message (~30k tokens); the rest of the tree is listed by name only
+const CONTEXT_CHAR_BUDGET = 120_000;
+
+// Entry points and main stylesheets, included before other files of the same priority
+const KEY_FILE_PATTERN = /(^|\/)(index\.html|styles\.css|index\.css|globals\.css|App\.(tsx|jsx|vue|svelte)|main\.(tsx|jsx|ts|js))$/;
 
 // Track temporarily failed keys
 let failedChatbotKeys = new Set();
@@ -57,13 +72,13 @@ function markKeyFailed(key) {
 }
 
 // System prompt for the code analyzer chatbot
-const CHATBOT_SYSTEM_PROMPT = `You are a friendly and helpful AI assistant that specializes in explaining and modifying HTML/CSS code. Your job is to:
+const CHATBOT_SYSTEM_PROMPT = `You are a friendly and helpful AI assistant that specializes in explaining and modifying web project code (HTML, CSS, JavaScript, TypeScript, React, Vue and Svelte). Your job is to:
 
 1. **Explain code in simple terms**: When the user asks about their code, explain it like you're talking to a friend who's learning web development. Use everyday analogies and avoid jargon.
 
 2. **Answer questions clearly**: Be direct and helpful. If something is complex, break it down into simple steps.
 
-3. **Modify code when asked**: When the user wants changes, generate the COMPLETE modified file(s) with the changes applied.
+3. **Modify code when asked**: When the user wants changes, send only the edits - not the whole file.
 
 PERSONALITY:
 - Friendly and encouraging
@@ -71,58 +86,174 @@ PERSONALITY:
 - Give examples when helpful
 - Be concise but thorough
 
+THE PROJECT:
+- Every message starts with the project tree and the content of the most relevant files
+- Files marked [content not included] were left out to save space - you can't edit them reliably,
+  so ask the user to mention the file by name and it will be included next time
+- Refer to files by their path exactly as the tree lists it, relative to the project root
+  (generated apps keep App.tsx, App.vue or App.svelte and components/ at the root - there is no src/ folder)
+
+WHEN THE USER PICKED AN ELEMENT:
+- A SELECTED ELEMENT section gives its selector, markup, computed styles and the CSS rules that apply to it
+- "This", "it" or "this card" in the question mean that element
+- Change only that element and the rules that target it - find it in the page by its markup
+- If a rule also styles other elements (a shared class or tag selector), don't change it:
+  add a more specific rule for this element (or a new class on it) instead
+
 WHEN EXPLAINING CODE:
 - Describe what each section does in plain English
 - Explain WHY things are done a certain way
 - Point out any interesting or important parts
 
 WHEN MODIFYING CODE:
-- Always output the COMPLETE modified file(s)
-- Use these EXACT markers for code output:
-  \`\`\`html:index.html
-  (complete HTML file content here)
+- Send SEARCH/REPLACE blocks inside an edit block named after the file's path:
+  \`\`\`edit:index.html
+  <<<<<<< SEARCH
+  (lines copied EXACTLY from the current file, including indentation)
+  =======
+  (the lines that replace them)
+  >>>>>>> REPLACE
   \`\`\`
-  
-  \`\`\`css:styles.css
-  (complete CSS file content here)
+- The SEARCH part must match the current file exactly and appear only once: include a few unchanged
+  lines around the change when needed to make it unique, but keep it short
+- Use several SEARCH/REPLACE blocks for changes in different places; they are applied in order
+- To add new code, SEARCH for the lines next to where it goes and repeat them in REPLACE with the new code
+- To delete code, leave the REPLACE part empty
+- Use a separate edit block per file (\`\`\`edit:components/Header.tsx for a component)
+- A unified diff (\`\`\`diff with --- a/index.html / +++ b/index.html headers) is also accepted
+- To create a new file, send it complete in a block tagged with its language and path,
+  and remember to link or import it from an existing file:
+  \`\`\`tsx:components/Footer.tsx
+  (complete file content here)
   \`\`\`
+- Only when you rewrite most of an existing file, send the complete file the same way (\`\`\`html:index.html)
 - Explain what you changed and why
-- If you only modify one file, only include that file's code block
+- Never change code the user did not ask about`;
+
+/**
+ * Pick the files whose content goes into the chatbot context
+ * Files the message mentions come first, then the file open in the editor, entry points,
+ * pages and stylesheets, then everything else - smaller files first within each group.
+ * Files are added while they fit the budget; the rest are only listed in the tree
+ * @param {Array} files - [{ path, content }] text files of the project
+ * @param {string} message - The user's message
+ * @param {string|null} activePath - File open in the editor
+ * @param {Array<string>} [pinnedPaths] - Files ranked with the mentioned ones (the page of a picked element)
+ * @param {number} [budget] - Characters of file content to include
+ * @returns {Set<string>} Paths whose content is included
+ */
+function selectContextFiles(files, message = '', activePath = null, pinnedPaths = [], budget = CONTEXT_CHAR_BUDGET) {
+  const text = message.toLowerCase();
+  const priority = ({ path }) => {
+    const name = path.split('/').pop().toLowerCase();
+    if (pinnedPaths.includes(path) || text.includes(path.toLowerCase()) || text.includes(name)) return 0;
+    if (path === activePath) return 1;
+    if (KEY_FILE_PATTERN.test(path)) return 2;
+    if (/\.(html|css)$/.test(path)) return 3;
+    return 4;
+  };
 
-IMPORTANT: When outputting modified code, include the ENTIRE file content, not just the changed parts. This allows direct file replacement.`;
+  const ranked = files
+    .map(file => ({ path: file.path, size: file.content.length, priority: priority(file) }))
+    .sort((a, b) => a.priority - b.priority || a.size - b.size);
+
+  const included = new Set();
+  let used = 0;
+  for (const file of ranked) {
+    if (used + file.size > budget) continue;
+    included.add(file.path);
+    used += file.size;
+  }
+  return included;
+}
 
 /**
  * Analyze project files and generate context for the AI
- * @param {Object} files - Object containing html and css file contents
+ * @param {Array} files - [{ path, content }] text files of the project
+ * @param {Set<string>} included - Paths whose content is sent (from selectContextFiles)
  * @returns {string} Context string for AI
  */
-function buildProjectContext(files) {
-  let context = '=== CURRENT PROJECT FILES ===\n\n';
-  
-  if (files.html) {
-    context += '📄 index.html:\n```html\n' + files.html + '\n```\n\n';
+function buildProjectContext(files, included) {
+  if (files.length === 0) {
+    return '=== CURRENT PROJECT FILES ===\n\n(No files generated yet - user can ask general web development questions)\n\n=== END PROJECT FILES ===\n\n';
   }
-  
-  if (files.css) {
-    context += '🎨 styles.css:\n```css\n' + files.css + '\n```\n\n';
+
+  const sorted = [...files].sort((a, b) => a.path.localeCompare(b.path));
+  const size = (content) => (content.length < 1024 ? `${content.length} B` : `${(content.length / 1024).toFixed(1)} KB`);
+
+  let context = `=== PROJECT TREE (${files.length} file${files.length === 1 ? '' : 's'}) ===\n`;
+  for (const file of sorted) {
+    context += `- ${file.path} (${size(file.content)})${included.has(file.path) ? '' : ' [content not included]'}\n`;
   }
-  
-  if (!files.html && !files.css) {
-    context += '(No files generated yet - user can ask general HTML/CSS questions)\n\n';
+
+  context += '\n=== CURRENT PROJECT FILES ===\n\n';
+  for (const file of sorted.filter(f => included.has(f.path))) {
+    context += `📄 ${file.path}:\n\`\`\`${file.path.split('.').pop()}\n${file.content}\n\`\`\`\n\n`;
   }
-  
+
   context += '=== END PROJECT FILES ===\n\n';
   return context;
 }
 
 /**
- * Send a message to the chatbot and get a response
+ * Describe an element picked in the preview for the AI
+ * @param {Object} selection - { selector, tag, text, html, styles, rules, page } from the element picker
+ * @returns {string} Context string for AI
+ */
+function buildSelectionContext(selection) {
+  const styles = Object.entries(selection.styles || {}).map(([name, value]) => `  ${name}: ${value};`).join('\n');
+  let context = `=== SELECTED ELEMENT (picked in the preview${selection.page ? ` of ${selection.page}` : ''}) ===\n`;
+  context += `Selector: ${selection.selector}\n`;
+  if (selection.text) context += `Text: "${selection.text}"\n`;
+  context += `\nMarkup:\n\`\`\`html\n${selection.html}\n\`\`\`\n`;
+  if (styles) context += `\nComputed styles:\n\`\`\`css\n${styles}\n\`\`\`\n`;
+  context += selection.rules?.length
+    ? `\nCSS rules that apply to it:\n\`\`\`css\n${selection.rules.join('\n')}\n\`\`\`\n`
+    : '\nNo stylesheet rules apply to it (it may be styled by utility classes or inline styles).\n';
+  context += '=== END SELECTED ELEMENT ===\n\n';
+  return context;
+}
+
+/**
+ * Turn parsed chatbot edits into the modified files
+ * Whole-file blocks are used as they are; SEARCH/REPLACE and diff edits are applied to the current
+ * files with fuzzy matching. Edits that could not be applied, or only approximately, are reported
+ * @param {Object} parsed - Result of parseChatEditOutput
+ * @param {Array} files - [{ path, content }] current project files
+ * @returns {Object} { changes: { [path]: new content } (changed and new files only), diagnostics }
+ */
+function applyChatEdits(parsed, files) {
+  const current = Object.fromEntries(files.map(file => [file.path, file.content]));
+  const { files: patched, results } = applyFileEdits(current, parsed.edits);
+
+  const editDiagnostics = results
+    .filter(result => !result.ok || result.method === 'fuzzy')
+    .map(result => ({
+      level: result.ok ? 'warning' : 'error',
+      code: result.ok ? 'fuzzy-edit' : 'edit-failed',
+      file: result.file,
+      message: `${result.file}: ${result.message}`,
+    }));
+
+  const changes = { ...patched };
+  for (const file of parsed.files) changes[file.name] = file.content;
+  for (const path of Object.keys(changes)) {
+    if (changes[path] === current[path]) delete changes[path];
+  }
+
+  return { changes, diagnostics: [...parsed.diagnostics, ...editDiagnostics] };
+}
+
+/**
+ * Send a message to the chatbot and stream the response
  * @param {string} userMessage - The user's message
- * @param {Object} files - Current project files {html, css}
+ * @param {Array} files - [{ path, content }] text files of the project (images left out)
  * @param {Array} conversationHistory - Previous messages for context
- * @returns {Promise<Object>} Response object
+ * @param {Object} [options] - { activePath: file open in the editor, selection: element picked in the preview,
+ *   onChunk: (text, fullContent) => void for each streamed piece, signal: AbortSignal to stop the reply }
+ * @returns {Promise<Object>} Response object ({ aborted: true, message: text so far } when stopped)
  */
-export async function sendChatMessage(userMessage, files = {}, conversationHistory = []) {
+export async function sendChatMessage(userMessage, files = [], conversationHistory = [], { activePath = null, selection = null, onChunk = null, signal = null } = {}) {
   const apiKey = getRandomKey();
   
   if (!apiKey) {
@@ -137,10 +268,13 @@ export async function sendChatMessage(userMessage, files = {}, conversationHisto
   const contents = [];
   
   // Add project context as the first user message
-  const projectContext = buildProjectContext(files);
+  const pinnedPaths = selection?.page ? [selection.page] : [];
+  const projectContext = buildProjectContext(files, selectContextFiles(files, userMessage, activePath, pinnedPaths)) +
+    (selection ? buildSelectionContext(selection) : '');
   
-  // Add conversation history (limited to last 10 messages for context window)
-  const recentHistory = conversationHistory.slice(-10);
+  // Add conversation history (limited to last 10 messages for context window;
+  // replies stopped before any text arrived are empty and would be rejected)
+  const recentHistory = conversationHistory.filter(msg => msg.content).slice(-10);
   for (const msg of recentHistory) {
     contents.push({
       role: msg.role === 'user' ? 'user' : 'model',
@@ -156,6 +290,7 @@ export async function sendChatMessage(userMessage, files = {}, conversationHisto
 
   const maxAttempts = Math.min(3, CHATBOT_API_KEYS.length);
   let lastError = null;
+  let reply = '';
 
   for (let attempt = 0; attempt < maxAttempts; attempt++) {
     const currentKey = attempt === 0 ? apiKey : getRandomKey();
@@ -164,7 +299,7 @@ export async function sendChatMessage(userMessage, files = {}, conversationHisto
     try {
       console.log(`💬 Chatbot request attempt ${attempt + 1}/${maxAttempts}`);
       
-      const response = await fetch(`${GEMINI_API_URL}:generateContent?key=${currentKey}`, {
+      const response = await fetch(`${GEMINI_API_URL}:streamGenerateContent?key=${currentKey}&alt=sse`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -176,7 +311,8 @@ export async function sendChatMessage(userMessage, files = {}, conversationHisto
             temperature: 0.7,
             maxOutputTokens: 8192,
           }
-        })
+        }),
+        signal
       });
 
       if (response.status === 429) {
@@ -190,81 +326,57 @@ export async function sendChatMessage(userMessage, files = {}, conversationHisto
         throw new Error(errorData.error?.message || `API request failed with status ${response.status}`);
       }
 
-      const data = await response.json();
-      const reply = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+      await readSSEStream(response, (data) => {
+        const text = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+        if (text) {
+          reply += text;
+          if (onChunk) {
+            onChunk(text, reply);
+          }
+        }
+      });
+
+      if (!reply.trim()) {
+        throw new Error('Empty response from the chatbot');
+      }
 
       console.log('✅ Chatbot response received, length:', reply.length);
 
-      // Parse response for code modifications
-      const codeModifications = parseCodeModifications(reply);
+      // Parse response for code modifications (skipped or cut-off blocks come back as diagnostics)
+      const projectFiles = files.map(file => file.path);
+      const codeModifications = parseChatEditOutput(reply, {
+        projectFiles,
+        mainPage: projectFiles.includes('index.html') ? 'index.html' : (projectFiles.find(path => path.endsWith('.html')) || 'index.html'),
+      });
+      const { changes, diagnostics } = applyChatEdits(codeModifications, files);
 
       return {
         success: true,
         message: reply,
-        hasCodeChanges: codeModifications.hasChanges,
-        modifiedHtml: codeModifications.html,
-        modifiedCss: codeModifications.css
+        hasCodeChanges: Object.keys(changes).length > 0,
+        changes,
+        parseDiagnostics: diagnostics
       };
     } catch (error) {
+      // Stopped by the user: keep what arrived, but don't apply edits from a partial reply
+      if (signal?.aborted) {
+        console.log('⏹️ Chatbot reply stopped, length:', reply.length);
+        return { success: false, aborted: true, message: reply };
+      }
       lastError = error;
       console.error(`Chatbot attempt ${attempt + 1} failed:`, error.message);
+      // Text already shown can't be taken back, so a stream that broke midway is not retried
+      if (reply) break;
     }
   }
 
   return {
     success: false,
     error: lastError?.message || 'All chatbot API keys exhausted',
-    message: null
+    message: reply || null
   };
 }
 
-/**
- * Parse AI response for code modification blocks
- * @param {string} response - AI response text
- * @returns {Object} Parsed code modifications
- */
-function parseCodeModifications(response) {
-  const result = {
-    hasChanges: false,
-    html: null,
-    css: null
-  };
-
-  // Look for HTML code blocks with filename marker
-  const htmlMatch = response.match(/```html:index\.html\s*\n([\s\S]*?)```/);
-  if (htmlMatch && htmlMatch[1]) {
-    result.html = htmlMatch[1].trim();
-    result.hasChanges = true;
-  }
-
-  // Also try without filename marker
-  if (!result.html) {
-    const htmlFallback = response.match(/```html\s*\n([\s\S]*?)```/);
-    if (htmlFallback && htmlFallback[1] && htmlFallback[1].includes('<!DOCTYPE')) {
-      result.html = htmlFallback[1].trim();
-      result.hasChanges = true;
-    }
-  }
-
-  // Look for CSS code blocks with filename marker
-  const cssMatch = response.match(/```css:styles\.css\s*\n([\s\S]*?)```/);
-  if (cssMatch && cssMatch[1]) {
-    result.css = cssMatch[1].trim();
-    result.hasChanges = true;
-  }
-
-  // Also try without filename marker
-  if (!result.css) {
-    const cssFallback = response.match(/```css\s*\n([\s\S]*?)```/);
-    if (cssFallback && cssFallback[1] && cssFallback[1].length > 100) {
-      result.css = cssFallback[1].trim();
-      result.hasChanges = true;
-    }
-  }
-
-  return result;
-}
-
 /**
  * Quick prompts for the chatbot UI
  */
@@ -1,110 +1,702 @@
 /**
  * Code Generator Router
- * Smart routing between SambaNova (text) and Gemini (image) pipelines
- * Supports both HTML/CSS and React output
+ * Routes generation requests through the AI provider registry
+ * Providers are picked by capability (vision, React) and user preference,
+ * with an ordered fallback chain when one fails
+ * Supports HTML/CSS (single or multi-page, custom CSS or Tailwind utilities), React and Vue/Svelte single-file-component output
+ * Optional fixture mode records raw responses or replays them for identical requests
+ * Refinement requests send the current project files so the model edits instead of regenerating
+ * Cut-off output is continued (and unusable output repaired) before the result is returned
  */
 
-import { generateWebPage, generateReactApp, parseReactOutput } from './sambaNovaService';
-import { generateWebPageWithImages, parseGeneratedCode } from './geminiService';
+import { generateWebPage, generateReactApp, generateSfcApp, generateWebPageStream, generateReactAppStream, generateSfcAppStream, generateText as generateSambaNovaText, parseReactOutput, parseSfcOutput, parseMultiPageOutput, isSambaNovaConfigured } from './sambaNovaService';
+import { generateWebPageWithImages, generateCodeStream, generateText as generateGeminiText, parseGeneratedCode, isGeminiConfigured } from './geminiService';
+import * as openAICompatibleService from './openAICompatibleService';
+import * as mockService from './mockService';
 import { preprocessImage, buildDesignJSON } from './hfPreprocessorService';
+import { registerProvider, resolveProviderChain, listProviders, getAvailableProviders } from './providerRegistry';
+import { hashAssets, recordFixture, findFixture } from './fixtureRecorder';
+import { parseWebPageOutput, parseFileMarkerOutput, parseMultiPageSiteOutput, describeDiagnostics } from './outputParser';
+import { ensureTailwindImport, isTailwindSource } from '../utils/tailwindCompiler';
+import { mergeDesignSpecs } from '../utils/designSpec';
+import { getImageRole, selectModelImages } from '../utils/assetRoles';
+import { describeLocalImages } from '../utils/projectAssets';
+
+// Default priority order when the user has no preference
+// Text-only → SambaNova first (faster, no vision needed)
+// Image present → Gemini first (vision required)
+const TEXT_PROVIDER_ORDER = ['sambanova', 'gemini', 'openai-compatible', 'mock'];
+const IMAGE_PROVIDER_ORDER = ['gemini', 'openai-compatible', 'mock'];
+
+// Frameworks whose output is a set of single-file components (---FILE:--- markers)
+export const SFC_FRAMEWORKS = ['vue', 'svelte'];
+
+// Cut-off output: how many times to ask for the rest, and how much of the tail to send back
+const MAX_CONTINUATIONS = 2;
+const CONTINUATION_TAIL_CHARS = 6000;
+
+const CONTINUATION_SYSTEM_PROMPT = `You are DSY Core Continuation Writer. A code generation response was cut off by the output token limit.
+Output ONLY the text that comes next, starting exactly where the response stopped (mid-line or mid-word if needed).
+- Do not repeat text that is already there and do not restart files or code blocks that are already open
+- No explanations or greetings
+- Finish every open file and code block and end with the same format as the original response (including ---END--- when it uses file markers)`;
+
+// ============================================================================
+// BUILT-IN PROVIDERS
+// ============================================================================
+
+registerProvider({
+  id: 'gemini',
+  label: 'Gemini 2.5 Flash',
+  capabilities: { vision: true, streaming: true, maxTokens: 16384, react: true },
+  isConfigured: isGeminiConfigured,
+  generateText: generateGeminiText,
+  generate: ({ prompt, assets, framework, designJSON }) => {
+    if (framework === 'react') return generateReactWithGemini(prompt, assets, designJSON);
+    if (SFC_FRAMEWORKS.includes(framework)) return generateSfcWithGemini(prompt, framework, assets, designJSON);
+    return generateWebPageWithImages(prompt, assets, designJSON, null, framework);
+  },
+  generateStream: async ({ prompt, assets, framework, designJSON, onChunk }) => {
+    if (framework === 'react') {
+      return generateReactWithGemini(prompt, assets, designJSON, onChunk);
+    }
+    if (SFC_FRAMEWORKS.includes(framework)) {
+      return generateSfcWithGemini(prompt, framework, assets, designJSON, onChunk);
+    }
+    const result = await generateCodeStream(prompt, onChunk, assets, designJSON, framework);
+    // Multi-page output is checked when it is split into pages (refinements may return only styles.css)
+    if (result.success && !result.html && framework !== 'multipage') {
+      return { ...result, success: false, error: 'No HTML found in streamed output' };
+    }
+    return result;
+  },
+});
+
+registerProvider({
+  id: 'sambanova',
+  label: 'SambaNova (Qwen3)',
+  capabilities: { vision: false, streaming: true, maxTokens: 8192, react: true },
+  isConfigured: isSambaNovaConfigured,
+  generateText: generateSambaNovaText,
+  generate: ({ prompt, framework, designJSON }) => {
+    if (framework === 'react') return generateReactApp(prompt, designJSON);
+    if (SFC_FRAMEWORKS.includes(framework)) return generateSfcApp(prompt, framework, designJSON);
+    return generateWebPage(prompt, designJSON, framework);
+  },
+  generateStream: ({ prompt, framework, designJSON, onChunk }) => {
+    if (framework === 'react') return generateReactAppStream(prompt, onChunk, designJSON);
+    if (SFC_FRAMEWORKS.includes(framework)) return generateSfcAppStream(prompt, framework, onChunk, designJSON);
+    return generateWebPageStream(prompt, onChunk, designJSON, framework);
+  },
+});
+
+registerProvider({
+  id: 'openai-compatible',
+  label: 'OpenAI-Compatible',
+  capabilities: {
+    vision: openAICompatibleService.supportsVision(),
+    streaming: false,
+    maxTokens: openAICompatibleService.getMaxTokens(),
+    react: true,
+  },
+  isConfigured: openAICompatibleService.isOpenAICompatibleConfigured,
+  generateText: openAICompatibleService.generateText,
+  generate: ({ prompt, assets, framework, designJSON }) => {
+    if (framework === 'react') return openAICompatibleService.generateReactApp(prompt, assets, designJSON);
+    if (SFC_FRAMEWORKS.includes(framework)) {
+      return openAICompatibleService.generateSfcApp(prompt, framework, assets, designJSON);
+    }
+    return openAICompatibleService.generateWebPage(prompt, assets, designJSON, framework);
+  },
+});
+
+registerProvider({
+  id: 'mock',
+  label: 'Offline Mock',
+  capabilities: { vision: true, streaming: true, maxTokens: 16384, react: true },
+  isConfigured: mockService.isMockConfigured,
+  generateText: mockService.generateText,
+  generate: ({ prompt, framework, styling }) => {
+    if (framework === 'react') return mockService.generateReactApp(prompt);
+    if (SFC_FRAMEWORKS.includes(framework)) return mockService.generateSfcApp(prompt, framework);
+    if (framework === 'multipage') return mockService.generateMultiPageSite(prompt);
+    if (styling === 'tailwind') return mockService.generateTailwindPage(prompt);
+    return mockService.generateWebPage(prompt);
+  },
+  generateStream: ({ prompt, framework, styling, onChunk }) => {
+    if (framework === 'react') return mockService.generateReactAppStream(prompt, onChunk);
+    if (SFC_FRAMEWORKS.includes(framework)) return mockService.generateSfcAppStream(prompt, framework, onChunk);
+    if (framework === 'multipage') return mockService.generateMultiPageSiteStream(prompt, onChunk);
+    if (styling === 'tailwind') return mockService.generateTailwindPageStream(prompt, onChunk);
+    return mockService.generateWebPageStream(prompt, onChunk);
+  },
+});
+
+/**
+ * Check if at least one generation provider is configured
+ * @returns {boolean}
+ */
+export function hasConfiguredProvider() {
+  return getAvailableProviders().length > 0;
+}
+
+/**
+ * Get provider options for the UI
+ * @returns {Array} [{ id, label, capabilities, configured }]
+ */
+export function getProviderOptions() {
+  return listProviders().map(p => ({
+    id: p.id,
+    label: p.label,
+    capabilities: p.capabilities,
+    configured: p.isConfigured(),
+  }));
+}
 
 /**
  * Smart router for code generation
- * Automatically selects the best API based on input type
- * 
- * Text-only → SambaNova (faster, no vision needed)
- * Image present → HuggingFace preprocessing + Gemini (vision required)
+ * Builds a fallback chain of providers that can handle the request and tries them in order
  * 
  * @param {string} prompt - User's description/prompt
  * @param {Array} assets - Array of assets (images, links)
- * @param {string} framework - 'html' or 'react'
+ * @param {string} framework - 'html', 'multipage', 'react', 'vue' or 'svelte'
+ * @param {Object} options - { preferredProvider: provider ID or 'auto', onChunk: streaming callback,
+ *   fixtureMode: 'off' | 'record' | 'replay', refineFiles: current [{ name, content }] to edit,
+ *   styling: 'css' | 'tailwind' (HTML output only),
+ *   designJSON: design specs (palette, fonts, sections) - override what is extracted from images,
+ *   localImages: [{ path, name }] image files the pages can reference (assets/logo.png, ...) }
  * @returns {Promise<Object>} Generated code result
  */
-export async function generateCode(prompt, assets = [], framework = 'html') {
-  const hasImages = assets.some(a => a.type === 'image');
+export async function generateCode(prompt, assets = [], framework = 'html', options = {}) {
+  const { preferredProvider = 'auto', onChunk = null, fixtureMode = 'off', refineFiles = null, styling: requestedStyling = 'css' } = options;
+  const refined = Boolean(refineFiles?.length);
+  // Refinements keep the current design, so only new generations take design specs
+  const designSpec = refined ? null : options.designJSON || null;
+  const isHtmlOutput = framework === 'html' || framework === 'multipage';
+  // Refinements keep the styling of the current stylesheet
+  let styling = 'css';
+  if (isHtmlOutput) {
+    const usesTailwind = refined
+      ? refineFiles.some(f => f.name === 'styles.css' && isTailwindSource(f.content))
+      : requestedStyling === 'tailwind';
+    if (usesTailwind) styling = 'tailwind';
+  }
+
+  // Refinements send the instruction plus the current files as the model prompt
+  let modelPrompt = prompt;
+  if (refined) {
+    modelPrompt = buildRefinementPrompt(prompt, refineFiles, framework, styling);
+  } else {
+    if (framework === 'multipage') {
+      modelPrompt = buildMultiPagePrompt(prompt);
+    }
+    if (styling === 'tailwind') {
+      modelPrompt = buildTailwindPrompt(modelPrompt);
+    }
+  }
+  // Images shipped with the project (assets/...) replace stock photos where they fit
+  const localImages = describeLocalImages(options.localImages);
+  if (localImages) {
+    modelPrompt = `${modelPrompt}\n\n${localImages}`;
+  }
+  // Palette-only uploads need no vision model - they only feed the extracted colors (preprocessing below)
+  const hasImages = selectModelImages(assets).length > 0;
   
   console.log(`🎯 Code generation request:`, {
     hasImages,
     framework,
-    promptLength: prompt.length,
+    styling,
+    preferredProvider,
+    fixtureMode,
+    refined,
+    hasDesignSpec: !!designSpec,
+    promptLength: modelPrompt.length,
     assetCount: assets.length,
   });
 
-  if (hasImages) {
-    // IMAGE PATH: HuggingFace preprocessing + Gemini
-    return generateWithImage(prompt, assets, framework);
-  } else {
-    // TEXT-ONLY PATH: SambaNova (faster)
-    return generateTextOnly(prompt, framework);
+  const assetHashes = fixtureMode === 'off' ? [] : await hashAssets(assets);
+
+  // Replay mode: serve a saved raw response for an identical request (no provider call)
+  if (fixtureMode === 'replay') {
+    const fixture = await findFixture({ prompt: modelPrompt, framework, assetHashes, designSpec });
+    if (fixture) {
+      console.log(`📼 Replaying recorded ${fixture.provider} response from ${fixture.createdAt}`);
+      if (fixture.success === false) {
+        console.log(`📼 The recorded response failed: ${fixture.error}`);
+      }
+      if (onChunk) {
+        onChunk(fixture.rawContent, fixture.rawContent);
+      }
+      const { diagnostics, truncated } = parseForFramework(fixture.rawContent, framework, fixture.finishReason, refineFiles || []);
+      return {
+        ...withStyling(parseRawResponse(fixture), styling, refined),
+        rawContent: fixture.rawContent,
+        finishReason: fixture.finishReason || null,
+        diagnostics,
+        truncated,
+        model: fixture.model,
+        pipeline: fixture.provider,
+        framework,
+        styling,
+        usedHF: Boolean(fixture.usedHF),
+        streamed: false,
+        replayed: true,
+        refined,
+        attempts: [],
+      };
+    }
+    console.log('📼 No recorded response for this request, calling providers');
+  }
+
+  const chain = resolveProviderChain(
+    { vision: hasImages, react: framework === 'react' },
+    preferredProvider,
+    hasImages ? IMAGE_PROVIDER_ORDER : TEXT_PROVIDER_ORDER
+  );
+
+  if (chain.length === 0) {
+    return {
+      success: false,
+      error: hasImages
+        ? 'No configured AI provider supports image input. Please add Gemini API keys to your .env file.'
+        : 'No AI keys configured. Please add API keys to your .env file.',
+      framework,
+      attempts: [],
+    };
   }
+
+  console.log('🔗 Provider chain:', chain.map(p => p.id).join(' → '));
+
+  // Image preprocessing runs once, shared by every provider in the chain - also for palette-only
+  // uploads, which no model sees; the user's design specs win over what was extracted from the images
+  const imageDesign = await preprocessDesign(assets);
+  const designJSON = mergeDesignSpecs(imageDesign, designSpec);
+
+  const attempts = [];
+  const recordResponse = (providerId, response, success, diagnostics = []) => recordFixture({
+    prompt: modelPrompt,
+    framework,
+    assetHashes,
+    designSpec,
+    provider: providerId,
+    model: response.model || null,
+    designJSON,
+    // designJSON includes the user's design specs, so it doesn't tell whether images were preprocessed
+    usedHF: !!imageDesign,
+    rawContent: response.rawContent,
+    finishReason: response.finishReason || null,
+    success,
+    error: success ? null : response.error || describeDiagnostics({ diagnostics }, ['error']) || 'Unknown error',
+    diagnostics,
+  });
+
+  for (const provider of chain) {
+    try {
+      // Stream when the caller wants chunks and the provider can deliver them
+      const stream = Boolean(onChunk && provider.capabilities.streaming);
+      console.log(`🤖 Trying provider: ${provider.label}${stream ? ' (streaming)' : ''}`);
+      let result = stream
+        ? await provider.generateStream({ prompt: modelPrompt, assets, framework, designJSON, styling, onChunk })
+        : await provider.generate({ prompt: modelPrompt, assets, framework, designJSON, styling });
+
+      // Cut-off or malformed output: ask the same provider for the rest (or a clean redo) first
+      if (result?.success && result.rawContent && !result.fallback) {
+        const original = result;
+        result = await completeOutput(provider, result, {
+          prompt: modelPrompt,
+          assets,
+          framework,
+          designJSON,
+          styling,
+          onChunk,
+          existingFiles: refineFiles || [],
+        });
+        // Keep what the provider first sent when continuation or repair replaced it
+        if (fixtureMode === 'record' && result.rawContent !== original.rawContent) {
+          const { ok, diagnostics } = parseForFramework(original.rawContent, framework, original.finishReason, refineFiles || []);
+          await recordResponse(provider.id, original, ok, diagnostics);
+        }
+      }
+
+      // Multi-page sites come back through the HTML path - split the raw output into pages
+      if (result?.success && framework === 'multipage') {
+        result = toMultiPageResult(result);
+      }
+      result = withStyling(result, styling, refined);
+
+      // Failed and cut-off responses are recorded too - they are the ones worth replaying
+      if (fixtureMode === 'record' && result?.rawContent) {
+        recordResponse(provider.id, result, Boolean(result.success), result.diagnostics);
+      }
+
+      if (result?.success) {
+        attempts.push({ provider: provider.id, success: true });
+
+        return {
+          ...result,
+          pipeline: provider.id,
+          framework,
+          styling,
+          usedHF: !!imageDesign,
+          streamed: stream,
+          refined,
+          attempts,
+        };
+      }
+
+      attempts.push({ provider: provider.id, success: false, error: result?.error || 'Unknown error' });
+      console.warn(`⚠️ Provider ${provider.id} failed, falling back:`, result?.error);
+    } catch (error) {
+      attempts.push({ provider: provider.id, success: false, error: error.message });
+      console.warn(`⚠️ Provider ${provider.id} threw, falling back:`, error.message);
+    }
+  }
+
+  return {
+    success: false,
+    error: `All AI providers failed: ${attempts.map(a => `${a.provider} (${a.error})`).join('; ')}`,
+    framework,
+    attempts,
+  };
 }
 
 /**
- * Generate code from text-only prompt using SambaNova
- * @param {string} prompt - User's description
- * @param {string} framework - 'html' or 'react'
+ * Ask for a multi-page site: N pages sharing one stylesheet, linked with relative URLs
+ * Pages use the ---FILE: name--- markers, each followed by a fenced code block
+ * @param {string} prompt - User's description of the site and its pages
+ * @returns {string} Multi-page generation prompt
  */
-async function generateTextOnly(prompt, framework) {
-  console.log('📝 Using SambaNova pipeline (text-only)');
-  
-  if (framework === 'react') {
-    const result = await generateReactApp(prompt);
-    return {
-      ...result,
-      pipeline: 'sambanova',
-      framework: 'react',
-    };
+function buildMultiPagePrompt(prompt) {
+  return `Build a MULTI-PAGE SITE from this description:
+
+${prompt}
+
+Site rules:
+- One HTML file per page: index.html is the home page, plus one file per additional page (e.g. about.html, contact.html)
+- If the description does not list pages, create index.html, about.html and contact.html
+- ONE shared stylesheet, styles.css, linked from every page with <link rel="stylesheet" href="styles.css">
+- The same navigation bar on every page, linking to every page with relative links (href="about.html")
+- Mark the current page's navigation link with class="active"
+
+Output format (follow exactly) - start each file with its marker line, followed by a fenced code block:
+
+---FILE: index.html---
+\`\`\`html
+(complete home page)
+\`\`\`
+
+---FILE: about.html---
+\`\`\`html
+(complete page)
+\`\`\`
+
+---FILE: styles.css---
+\`\`\`css
+(shared styles for every page)
+\`\`\`
+
+---END---`;
+}
+
+/**
+ * Ask for Tailwind utility classes instead of a hand-written stylesheet
+ * styles.css becomes the Tailwind input file; the preview and ZIP export compile it
+ * @param {string} prompt - Generation prompt (single or multi-page)
+ * @returns {string} Prompt with Tailwind styling rules
+ */
+function buildTailwindPrompt(prompt) {
+  return `${prompt}
+
+STYLING: TAILWIND UTILITIES
+- Style the markup with Tailwind CSS v4 utility classes in the HTML (class="flex items-center gap-6 px-10 ...")
+- Use responsive (md:, lg:) and state (hover:, focus:) variants instead of media queries and hover rules
+- Do NOT add the Tailwind CDN script or any <script> tags; keep <link rel="stylesheet" href="styles.css">
+- The CSS is the Tailwind input file: start it with @import "tailwindcss"; followed by an @theme block
+  with the brand colors and fonts (e.g. --color-brand: #C5A059; --font-display: "Outfit", sans-serif;),
+  used in the markup as bg-brand, text-brand, font-display
+- Only add plain CSS rules for what utilities cannot express (keyframes, complex gradients)`;
+}
+
+/**
+ * Make sure Tailwind output keeps its tailwindcss import (models sometimes drop it)
+ * @param {Object} result - Provider result with css
+ * @param {string} styling - 'css' or 'tailwind'
+ * @param {boolean} refined - Refinements that leave styles.css out keep the current one
+ * @returns {Object} Result with a Tailwind input stylesheet
+ */
+function withStyling(result, styling, refined) {
+  if (styling !== 'tailwind' || !result?.success || (refined && !result.css)) return result;
+  return { ...result, css: ensureTailwindImport(result.css || '') };
+}
+
+/**
+ * Split a multi-page raw response into pages + shared CSS
+ * @param {Object} result - Successful provider result with rawContent
+ * @returns {Object} Result with pages, html (home page) and css - or a failure if nothing was found
+ */
+function toMultiPageResult(result) {
+  const { pages, css } = parseMultiPageOutput(result.rawContent || '');
+  if (pages.length === 0 && !css) {
+    return { ...result, success: false, error: 'No pages found in multi-page output' };
   }
-  
-  const result = await generateWebPage(prompt);
+
   return {
     ...result,
-    pipeline: 'sambanova',
-    framework: 'html',
+    pages,
+    html: pages[0]?.content || '',
+    css,
   };
 }
 
 /**
- * Generate code from image using HuggingFace + Gemini
- * For React, uses 2 Gemini calls for better quality
- * @param {string} prompt - User's description
- * @param {Array} assets - Assets including images
- * @param {string} framework - 'html' or 'react'
+ * Wrap a follow-up instruction with the current project files
+ * The model must keep everything it was not asked to change (including manual edits)
+ * @param {string} instruction - Requested change (e.g. "make the hero taller")
+ * @param {Array} files - Current files: [{ name, content }]
+ * @param {string} framework - 'html', 'multipage', 'react', 'vue' or 'svelte'
+ * @param {string} styling - 'css' or 'tailwind' (HTML output only)
+ * @returns {string} Refinement prompt
  */
-async function generateWithImage(prompt, assets, framework) {
-  console.log('📸 Using HuggingFace + Gemini pipeline (image)');
-  
-  // Step 1: HuggingFace preprocessing
-  let designJSON = null;
-  const imageAsset = assets.find(a => a.type === 'image');
-  
-  if (imageAsset?.data) {
+function buildRefinementPrompt(instruction, files, framework, styling = 'css') {
+  const currentFiles = files
+    .map(file => `---FILE: ${file.name}---\n${file.content}`)
+    .join('\n\n');
+
+  const outputRules = {
+    react: `Output ONLY the files you changed or added, each starting with its file marker (---FILE: path---), then ---END---.
+Keep the same file paths, component names and imports unless the change requires otherwise.`,
+    vue: `Output ONLY the files you changed or added, each starting with its file marker (---FILE: path---), then ---END---.
+Output each .vue file COMPLETE (script, template and style). Keep the same file paths and component names.`,
+    svelte: `Output ONLY the files you changed or added, each starting with its file marker (---FILE: path---), then ---END---.
+Output each .svelte file COMPLETE (script, markup and style). Keep the same file paths and component names.`,
+    multipage: `Output ONLY the files you changed or added. Start each file with its marker line (---FILE: about.html---)
+followed by a fenced code block with the COMPLETE file, then ---END---.
+Keep the shared styles.css and the navigation identical on every page - if you add a page, output every page with the updated navigation.`,
+    html: `Output the COMPLETE updated index.html in a \`\`\`html block and the COMPLETE updated styles.css in a \`\`\`css block.
+Keep <link rel="stylesheet" href="styles.css"> in the HTML.`,
+  }[framework] || '';
+
+  const stylingRules = styling === 'tailwind'
+    ? `\nThe page is styled with Tailwind CSS v4 utility classes - make changes with utility classes in the HTML.
+styles.css is the Tailwind input file: keep @import "tailwindcss"; and its @theme block.`
+    : '';
+
+  const projectKind = {
+    react: 'React application',
+    vue: 'Vue 3 application',
+    svelte: 'Svelte application',
+    multipage: 'multi-page site',
+  }[framework] || 'web page';
+
+  return `Refine this existing ${projectKind}.
+
+Requested change: ${instruction}
+
+Apply ONLY the requested change. Keep all other content, structure, classes and styles exactly as they are - the user has edited these files by hand.
+
+=== CURRENT FILES ===
+${currentFiles}
+=== END CURRENT FILES ===
+
+${outputRules}${stylingRules}`;
+}
+
+/**
+ * Parse raw model output with the parser for the requested framework
+ * @param {string} rawContent - Raw model output
+ * @param {string} framework - 'html', 'multipage', 'react', 'vue' or 'svelte'
+ * @param {string|null} finishReason - Provider finish reason
+ * @param {Array} existingFiles - Current files a refinement is merged into (they satisfy required files)
+ * @returns {Object} Parse result with diagnostics (see outputParser.js)
+ */
+function parseForFramework(rawContent, framework, finishReason = null, existingFiles = []) {
+  if (framework === 'multipage') return parseMultiPageSiteOutput(rawContent, { finishReason, existingFiles });
+  if (framework === 'react' || SFC_FRAMEWORKS.includes(framework)) {
+    return parseFileMarkerOutput(rawContent, { finishReason, stripSrcPrefix: framework !== 'react' });
+  }
+  return parseWebPageOutput(rawContent, { finishReason, existingFiles });
+}
+
+/**
+ * Append a continuation to cut-off output, dropping text the model repeated
+ * @param {string} content - Output so far
+ * @param {string} continuation - Text the model sent next
+ * @returns {string} Combined output
+ */
+function stitchContinuation(content, continuation) {
+  const maxOverlap = Math.min(content.length, continuation.length, 400);
+  for (let size = maxOverlap; size >= 20; size--) {
+    if (content.endsWith(continuation.slice(0, size))) {
+      return content + continuation.slice(size);
+    }
+  }
+  return content + continuation;
+}
+
+/**
+ * Ask for the text that comes after the cut-off point
+ * @param {string} prompt - Original model prompt
+ * @param {string} content - Output so far
+ * @returns {string} Continuation prompt
+ */
+function buildContinuationPrompt(prompt, content) {
+  return `Original request (for context):
+${prompt.slice(0, 4000)}
+
+=== END OF THE CUT-OFF RESPONSE (last ${Math.min(content.length, CONTINUATION_TAIL_CHARS)} characters) ===
+${content.slice(-CONTINUATION_TAIL_CHARS)}
+=== CONTINUE FROM HERE ===`;
+}
+
+/**
+ * Ask for the whole output again, listing what was wrong with the last one
+ * @param {string} prompt - Original model prompt
+ * @param {Object} parsed - Parse result of the broken output
+ * @returns {string} Repair prompt
+ */
+function buildRepairPrompt(prompt, parsed) {
+  return `${prompt}
+
+Your previous response could not be used:
+${describeDiagnostics(parsed, ['error'])}
+
+Answer again in exactly the required format - every file you output complete, every code block closed.`;
+}
+
+/**
+ * Make sure a provider's output is complete before it is returned
+ * - Cut-off output (unclosed code block or document, token limit hit) is continued with provider.generateText
+ * - Output that is still unusable gets one full regeneration with the problems listed
+ * @param {Object} provider - Registered provider
+ * @param {Object} result - Successful provider result with rawContent
+ * @param {Object} request - { prompt, assets, framework, designJSON, styling, onChunk, existingFiles }
+ *   existingFiles: current files of a refinement - it returns only what changed, so output is
+ *   validated as merged into them
+ * @returns {Promise<Object>} Result with diagnostics, truncated, continued and repaired
+ */
+async function completeOutput(provider, result, { prompt, assets, framework, designJSON, styling, onChunk, existingFiles = [] }) {
+  let rawContent = result.rawContent;
+  let parsed = parseForFramework(rawContent, framework, result.finishReason, existingFiles);
+  let continued = 0;
+
+  while (parsed.truncated && continued < MAX_CONTINUATIONS && typeof provider.generateText === 'function') {
+    console.log(`✂️ Output was cut off, asking ${provider.id} to continue (${continued + 1}/${MAX_CONTINUATIONS})`);
+    const continuation = await provider.generateText({
+      system: CONTINUATION_SYSTEM_PROMPT,
+      prompt: buildContinuationPrompt(prompt, rawContent),
+      maxTokens: provider.capabilities.maxTokens,
+    });
+    if (!continuation.success || !continuation.text.trim()) break;
+
+    rawContent = stitchContinuation(rawContent, continuation.text);
+    continued++;
+    if (onChunk) {
+      onChunk(continuation.text, rawContent);
+    }
+    parsed = parseForFramework(rawContent, framework, continuation.finishReason, existingFiles);
+  }
+
+  let repaired = false;
+  let base = result;
+  if (!parsed.ok) {
+    console.warn(`🔧 Output is unusable, asking ${provider.id} for a repaired version:\n${describeDiagnostics(parsed)}`);
     try {
-      console.log('🔄 Preprocessing image with HuggingFace...');
-      const hfResult = await preprocessImage(imageAsset.data);
-      designJSON = buildDesignJSON(hfResult);
-      console.log('✅ HF preprocessing complete:', {
-        colors: designJSON?.colors,
-        layout: designJSON?.layout,
-      });
+      const repair = await provider.generate({ prompt: buildRepairPrompt(prompt, parsed), assets, framework, designJSON, styling });
+      const repairParsed = repair?.success && repair.rawContent
+        ? parseForFramework(repair.rawContent, framework, repair.finishReason, existingFiles)
+        : null;
+      if (repairParsed?.ok) {
+        base = repair;
+        rawContent = repair.rawContent;
+        parsed = repairParsed;
+        repaired = true;
+      }
     } catch (error) {
-      console.warn('⚠️ HF preprocessing failed, continuing without:', error);
+      console.warn('⚠️ Repair request failed:', error.message);
     }
   }
-  
-  // Step 2: Gemini generation
-  if (framework === 'react') {
-    return generateReactWithGemini(prompt, assets, designJSON);
-  }
-  
-  // HTML/CSS generation with Gemini
-  const result = await generateWebPageWithImages(prompt, assets, designJSON);
-  return {
-    ...result,
-    pipeline: 'gemini',
-    framework: 'html',
-    usedHF: !!designJSON,
+
+  const completion = {
+    diagnostics: parsed.diagnostics,
+    truncated: parsed.truncated,
+    continued,
+    repaired,
   };
+  if (rawContent === result.rawContent) {
+    return { ...result, ...completion };
+  }
+
+  // Re-read the files from the completed output (multi-page splitting happens in the caller)
+  const reparsed = framework === 'multipage'
+    ? { success: true }
+    : parseRawResponse({ framework, rawContent });
+  if (!reparsed.success) {
+    return { ...result, ...completion };
+  }
+  return { ...base, ...reparsed, rawContent, ...completion };
+}
+
+/**
+ * Re-run a raw response (recorded fixture or completed output) through the parser for its framework
+ * @param {Object} response - { framework, rawContent }
+ * @returns {Object} { success, html, css } or { success, files }
+ */
+function parseRawResponse(response) {
+  if (response.framework === 'multipage') {
+    return toMultiPageResult({ success: true, rawContent: response.rawContent });
+  }
+
+  if (response.framework === 'react') {
+    const files = parseReactOutput(response.rawContent);
+    return files.length > 0
+      ? { success: true, files }
+      : { success: false, error: 'Response contains no React files', files: [] };
+  }
+
+  if (SFC_FRAMEWORKS.includes(response.framework)) {
+    const files = parseSfcOutput(response.rawContent, response.framework);
+    return files.length > 0
+      ? { success: true, files }
+      : { success: false, error: `Response contains no ${response.framework} files`, files: [] };
+  }
+
+  const { html, css } = parseGeneratedCode(response.rawContent);
+  return html
+    ? { success: true, html, css }
+    : { success: false, error: 'Response contains no HTML', html: '', css: '' };
+}
+
+/**
+ * Extract design specs from the uploaded images (HuggingFace Space / REST endpoint, or in the browser)
+ * The layout comes from the mockup (or a section crop), the colors from a brand palette image when
+ * there is one; logos and photos are embedded, not analyzed
+ * @param {Array} assets - Assets including images
+ * @returns {Promise<Object|null>} Design JSON or null
+ */
+async function preprocessDesign(assets) {
+  const images = assets.filter(a => a.type === 'image' && a.data);
+  const layoutImage = images.find(a => getImageRole(a, assets) === 'mockup') || images.find(a => getImageRole(a, assets) === 'section');
+  const colorImage = images.find(a => getImageRole(a, assets) === 'palette') || layoutImage;
+  if (!layoutImage && !colorImage) return null;
+
+  try {
+    console.log('🔄 Preprocessing image...', { layout: layoutImage?.name, colors: colorImage?.name });
+    const layoutResult = layoutImage ? await preprocessImage(layoutImage.data) : null;
+    const colorResult = colorImage === layoutImage ? layoutResult : await preprocessImage(colorImage.data);
+    const designJSON = buildDesignJSON({
+      success: Boolean(layoutResult?.success || colorResult?.success),
+      layout: layoutResult?.success ? layoutResult.layout : undefined,
+      colors: colorResult?.success ? colorResult.colors : undefined,
+    });
+    console.log('✅ Image preprocessing complete:', {
+      colors: designJSON?.colors,
+      layout: designJSON?.layout,
+    });
+    return designJSON;
+  } catch (error) {
+    console.warn('⚠️ HF preprocessing failed, continuing without:', error);
+    return null;
+  }
 }
 
 /**
@@ -114,8 +706,9 @@ async function generateWithImage(prompt, assets, framework) {
  * @param {string} prompt - User's description
  * @param {Array} assets - Assets including images
  * @param {Object} designJSON - Preprocessed design specs from HF
+ * @param {Function} onChunk - Optional streaming callback: (text, fullContent)
  */
-async function generateReactWithGemini(prompt, assets, designJSON) {
+async function generateReactWithGemini(prompt, assets, designJSON, onChunk = null) {
   console.log('⚛️ Generating React with Gemini (2-call approach)...');
   
   // Build enhanced prompt with design specs
@@ -154,19 +747,24 @@ Rules:
 1. TypeScript with proper types
 2. Functional components with hooks
 3. Use the exact colors from design specs
-4. Real image URLs (picsum, unsplash, pravatar)
+4. The LOCAL IMAGES when listed (as plain relative URLs), otherwise real image URLs (picsum, pravatar)
 5. Responsive design with CSS
 6. Smooth animations and transitions`;
 
   // Call 1: Generate structure and components
   console.log('🔄 Gemini Call 1: Structure and components...');
-  const result = await generateWebPageWithImages(reactPrompt, assets, designJSON);
+  const result = onChunk
+    ? await generateCodeStream(reactPrompt, onChunk, assets, designJSON)
+    : await generateWebPageWithImages(reactPrompt, assets, designJSON);
   
   if (!result.success) {
     return {
       success: false,
       error: result.error,
       files: [],
+      rawContent: result.rawContent,
+      finishReason: result.finishReason,
+      diagnostics: result.diagnostics,
       pipeline: 'gemini',
       framework: 'react',
     };
@@ -182,6 +780,7 @@ Rules:
       success: true,
       files,
       rawContent: result.rawContent,
+      finishReason: result.finishReason,
       pipeline: 'gemini',
       framework: 'react',
       usedHF: !!designJSON,
@@ -238,9 +837,92 @@ export default App;`,
     success: false,
     error: 'Failed to parse generated code',
     files: [],
+    rawContent: result.rawContent,
+    finishReason: result.finishReason,
+    diagnostics: result.diagnostics,
     pipeline: 'gemini',
     framework: 'react',
   };
 }
 
+/**
+ * Generate a Vue 3 or Svelte app with Gemini (single call, file-marker output)
+ * @param {string} prompt - User's description
+ * @param {string} framework - 'vue' or 'svelte'
+ * @param {Array} assets - Assets including images
+ * @param {Object} designJSON - Preprocessed design specs from HF
+ * @param {Function} onChunk - Optional streaming callback: (text, fullContent)
+ */
+async function generateSfcWithGemini(prompt, framework, assets, designJSON, onChunk = null) {
+  const isSvelte = framework === 'svelte';
+  const ext = isSvelte ? 'svelte' : 'vue';
+  console.log(`🧩 Generating ${isSvelte ? 'Svelte' : 'Vue'} with Gemini...`);
+
+  let enhancedPrompt = prompt;
+  if (designJSON) {
+    enhancedPrompt += `\n\n=== DESIGN SPECIFICATIONS ===
+${JSON.stringify(designJSON, null, 2)}
+
+Use the EXACT colors and layout from above.`;
+  }
+
+  const sfcPrompt = `${enhancedPrompt}
+
+IMPORTANT: Generate a complete ${isSvelte ? 'Svelte 5' : 'Vue 3'} application with single-file components.
+Use this exact output format with file markers (paths relative to src/):
+
+---FILE: App.${ext}---
+(Root component importing the others)
+
+---FILE: components/Header.${ext}---
+(Header component)
+
+---FILE: components/Hero.${ext}---
+(Hero section)
+
+---FILE: components/Features.${ext}---
+(Features/Cards section)
+
+---FILE: index.css---
+(Global styles)
+
+---END---
+
+Rules:
+1. ${isSvelte
+    ? 'Svelte 5 components in plain JavaScript - $props() for props, $state() for state, scoped <style> blocks'
+    : 'Vue 3 <script setup> components in plain JavaScript with the Composition API and <style scoped> blocks'}
+2. Only import from ${isSvelte ? 'svelte' : 'vue'} and the project's own files
+3. Use the exact colors from design specs
+4. The LOCAL IMAGES when listed (as plain relative URLs), otherwise real image URLs (picsum, pravatar)
+5. Responsive design with CSS
+6. Smooth animations and transitions`;
+
+  const result = onChunk
+    ? await generateCodeStream(sfcPrompt, onChunk, assets, designJSON)
+    : await generateWebPageWithImages(sfcPrompt, assets, designJSON);
+
+  const { rawContent, finishReason, diagnostics } = result;
+  if (!result.success) {
+    return { success: false, error: result.error, files: [], rawContent, finishReason, diagnostics, pipeline: 'gemini', framework };
+  }
+
+  const files = parseSfcOutput(rawContent, framework);
+  if (files.length === 0) {
+    return { success: false, error: `No ${ext} files found in output`, files: [], rawContent, finishReason, diagnostics, pipeline: 'gemini', framework };
+  }
+
+  console.log(`✅ Generated ${files.length} ${isSvelte ? 'Svelte' : 'Vue'} files`);
+  return {
+    success: true,
+    files,
+    rawContent: result.rawContent,
+    finishReason: result.finishReason,
+    pipeline: 'gemini',
+    framework,
+    usedHF: !!designJSON,
+    geminiCalls: 1,
+  };
+}
+
 export { parseReactOutput };
@@ -0,0 +1,133 @@
+/**
+ * AI Response Fixture Recorder
+ * Opt-in record/replay of raw model output, stored in its own IndexedDB database
+ * - record: every raw provider response is saved (prompt, asset hashes, provider, raw response),
+ *   failed or cut-off ones too, with the error and parser diagnostics
+ * - replay: identical requests are served from the saved raw response, re-run through the parsers
+ * Fixtures survive session switches, so a parsing bug can be reproduced later without spending quota
+ */
+
+import { openDB } from 'idb';
+
+const DB_NAME = 'dsy-fixtures-db';
+const DB_VERSION = 1;
+const STORE_NAME = 'responses';
+
+export const FIXTURE_MODES = ['off', 'record', 'replay'];
+
+// Default mode from env (VITE_AI_FIXTURE_MODE=record|replay), overridable in the UI
+export const DEFAULT_FIXTURE_MODE = FIXTURE_MODES.includes(import.meta.env.VITE_AI_FIXTURE_MODE)
+  ? import.meta.env.VITE_AI_FIXTURE_MODE
+  : 'off';
+
+// Initialize the fixtures database
+async function getDB() {
+  return openDB(DB_NAME, DB_VERSION, {
+    upgrade(db) {
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        store.createIndex('requestKey', 'requestKey');
+      }
+    },
+  });
+}
+
+/**
+ * SHA-256 hex digest of a string
+ * @param {string} text - Input text
+ * @returns {Promise<string>} Hex digest
+ */
+async function sha256(text) {
+  const bytes = new TextEncoder().encode(text);
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hash each asset's content (image data URL or link)
+ * @param {Array} assets - Attached assets
+ * @returns {Promise<Array<string>>} One hash per asset, in order
+ */
+export async function hashAssets(assets = []) {
+  return Promise.all(assets.map(asset => sha256(`${asset.type}:${asset.data || asset.url || asset.name || ''}`)));
+}
+
+/**
+ * Build the lookup key for a request
+ * Identical prompt + framework + assets + design specs = identical key
+ * (requests without design specs keep the keys they had before specs were added)
+ * @param {Object} request - { prompt, framework, assetHashes, designSpec }
+ * @returns {Promise<string>} Request key
+ */
+export async function buildRequestKey({ prompt, framework, assetHashes, designSpec }) {
+  return sha256(JSON.stringify({ prompt, framework, assetHashes, designSpec: designSpec || undefined }));
+}
+
+/**
+ * Save a raw model response
+ * @param {Object} fixture - { prompt, framework, assetHashes, designSpec, provider, model, designJSON, usedHF, rawContent,
+ *   finishReason, success, error, diagnostics }
+ * @returns {Promise<boolean>} True if saved
+ */
+export async function recordFixture(fixture) {
+  try {
+    const db = await getDB();
+    await db.put(STORE_NAME, {
+      id: `fixture-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      requestKey: await buildRequestKey(fixture),
+      ...fixture,
+      createdAt: new Date().toISOString(),
+    });
+    console.log('📼 Recorded AI response fixture:', fixture.provider);
+    return true;
+  } catch (error) {
+    console.error('Error recording fixture:', error);
+    return false;
+  }
+}
+
+/**
+ * Find the most recent saved response for a request
+ * @param {Object} request - { prompt, framework, assetHashes, designSpec }
+ * @returns {Promise<Object|null>} Fixture or null
+ */
+export async function findFixture(request) {
+  try {
+    const db = await getDB();
+    const matches = await db.getAllFromIndex(STORE_NAME, 'requestKey', await buildRequestKey(request));
+    if (matches.length === 0) return null;
+    return matches.sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0];
+  } catch (error) {
+    console.error('Error loading fixture:', error);
+    return null;
+  }
+}
+
+/**
+ * Count saved fixtures
+ * @returns {Promise<number>}
+ */
+export async function countFixtures() {
+  try {
+    const db = await getDB();
+    return await db.count(STORE_NAME);
+  } catch (error) {
+    console.error('Error counting fixtures:', error);
+    return 0;
+  }
+}
+
+/**
+ * Delete all saved fixtures
+ * @returns {Promise<boolean>} True if cleared
+ */
+export async function clearFixtures() {
+  try {
+    const db = await getDB();
+    await db.clear(STORE_NAME);
+    return true;
+  } catch (error) {
+    console.error('Error clearing fixtures:', error);
+    return false;
+  }
+}
@@ -5,8 +5,13 @@
  * - Multi-key rotation (up to 11 keys) with auto-failover on rate limits
  * - JSON extraction for precise design specifications
  * - Image analysis for accurate code replication
+ * - SSE streaming for incremental live previews
  */
 
+import { readSSEStream } from '../utils/sseStream';
+import { parseWebPageOutput, parseMultiPageSiteOutput, describeDiagnostics } from './outputParser';
+import { selectModelImages, describeImageRoles } from '../utils/assetRoles';
+
 // ============================================================================
 // DUAL API KEY SYSTEM - Separate keys for optimization vs code generation
 // ============================================================================
@@ -14,7 +19,9 @@
 // Load API keys from environment (comma-separated)
 const GEMINI_API_KEYS_RAW = import.meta.env.VITE_GEMINI_API_KEYS || '';
 const GEMINI_API_KEYS = GEMINI_API_KEYS_RAW.split(',').map(k => k.trim()).filter(k => k.length > 0);
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash';
+// Base URL can point at a proxy or the offline mock server (see README)
+const GEMINI_BASE_URL = (import.meta.env.VITE_GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta').replace(/\/+$/, '');
+const GEMINI_API_URL = `${GEMINI_BASE_URL}/models/gemini-2.5-flash`;
 
 // Track temporarily failed keys (rate limited)
 let failedKeys = new Set();
@@ -146,6 +153,21 @@ export async function testApiKey(keyIndex) {
 // SYSTEM PROMPTS
 // ============================================================================
 
+// Image sources for HTML output, shared by the single and multi-page generators
+const IMAGE_REQUIREMENTS = `IMAGE REQUIREMENTS (CRITICAL - EVERY IMAGE NEEDS A REAL SOURCE):
+- Local images listed under LOCAL IMAGES come first: reference them by their relative path (assets/...)
+- Otherwise use real online images:
+- Hero/Banner images: https://picsum.photos/seed/[topic]/1920/1080
+- Card images: https://picsum.photos/seed/[unique-seed]/400/300 (use different seeds like card1, card2, card3)
+- Profile/Avatar images: https://i.pravatar.cc/150?img=[1-70] (use different numbers for each avatar)
+- Product images: https://picsum.photos/seed/product-[keyword]/400/400
+- Background images: https://picsum.photos/seed/bg/1920/1080?blur=3
+- Testimonial photos: https://i.pravatar.cc/100?img=[number]
+- Team member photos: https://i.pravatar.cc/200?img=[number]
+- Feature/Icon images: Use Material Icons (span with class material-icons-round) or inline SVGs
+- NEVER use placeholder.com, empty src attributes, or placeholder text like "image.jpg"
+- ALWAYS include descriptive alt text for accessibility`;
+
 const SYSTEM_PROMPTS = {
   // Generates both readable text AND hidden JSON for precise code generation
   PROMPT_OPTIMIZER: `You are an Expert Design Analyst. Your task is to analyze images and prompts to create detailed specifications for web page generation.
@@ -204,17 +226,7 @@ DESIGN RULES:
 4. Include responsive breakpoints
 5. Add smooth transitions and hover effects
 
-IMAGE REQUIREMENTS (CRITICAL - ALWAYS USE REAL ONLINE IMAGES):
-- Hero/Banner images: https://picsum.photos/1920/1080 or https://source.unsplash.com/1920x1080/?[topic]
-- Card images: https://picsum.photos/seed/[unique-seed]/400/300 (use different seeds like card1, card2, card3)
-- Profile/Avatar images: https://i.pravatar.cc/150?img=[1-70] (use different numbers for each avatar)
-- Product images: https://source.unsplash.com/400x400/?product,[keyword]
-- Background images: https://picsum.photos/seed/bg/1920/1080?blur=3
-- Testimonial photos: https://i.pravatar.cc/100?img=[number]
-- Team member photos: https://i.pravatar.cc/200?img=[number]
-- Feature/Icon images: Use Material Icons (span with class material-icons-round) or inline SVGs
-- NEVER use placeholder.com, empty src attributes, or placeholder text like "image.jpg"
-- ALWAYS include descriptive alt text for accessibility
+${IMAGE_REQUIREMENTS}
 
 OUTPUT FORMAT - Use these EXACT markers:
 \`\`\`html
@@ -237,7 +249,44 @@ OUTPUT FORMAT - Use these EXACT markers:
 /* Complete CSS styles here - this will be saved as styles.css */
 \`\`\`
 
-NO explanations before or after the code blocks. Output ONLY the two code blocks.`
+NO explanations before or after the code blocks. Output ONLY the two code blocks.`,
+
+  MULTI_PAGE_GENERATOR: `You are DSY Core Site Generator. Generate pixel-perfect multi-page websites in HTML and CSS based on the design specifications.
+
+CRITICAL OUTPUT REQUIREMENTS:
+1. Start every file with its marker line (---FILE: about.html---), followed by a fenced code block with the complete file
+2. Every page MUST link to the ONE shared stylesheet using: <link rel="stylesheet" href="styles.css">
+3. Do NOT include inline <style> tags in the HTML - ALL styles go in styles.css
+4. Every page must be a complete document with <!DOCTYPE html>, <html>, <head>, and <body>
+5. End the response with ---END---
+
+DESIGN RULES:
+1. Follow the JSON specifications EXACTLY for colors, fonts, and layout
+2. Match any provided reference images as closely as possible
+3. Use modern CSS (flexbox, grid, custom properties)
+4. Include responsive breakpoints
+5. Add smooth transitions and hover effects
+6. The same navigation on every page, with relative links between pages (href="about.html")
+
+${IMAGE_REQUIREMENTS}
+
+OUTPUT FORMAT - Use these EXACT markers:
+---FILE: index.html---
+\`\`\`html
+<!DOCTYPE html>
+<html lang="en">
+<!-- Complete page here -->
+</html>
+\`\`\`
+
+---FILE: styles.css---
+\`\`\`css
+/* Shared styles for every page */
+\`\`\`
+
+---END---
+
+The request says which files to output. NO explanations before, between or after the files.`
 };
 
 // ============================================================================
@@ -283,15 +332,15 @@ export async function optimizePrompt(userPrompt, assets = []) {
     throw new Error('No Gemini API keys configured. Please set VITE_GEMINI_API_KEYS in your .env file.');
   }
 
-  // Separate image assets from other assets
-  const imageAssets = assets.filter(a => a.type === 'image');
+  // Separate image assets from other assets (palettes are analyzed here too, for their colors)
+  const imageAssets = selectModelImages(assets, { includePalette: true });
   const linkAssets = assets.filter(a => a.type === 'link');
   
   // Build the content parts array
   const contentParts = [];
   
-  // Add images first (Gemini supports up to ~16 images)
-  for (const imageAsset of imageAssets.slice(0, 5)) {
+  // Add images first, in role order (mockups, sections, logos, photos, palettes)
+  for (const imageAsset of imageAssets) {
     if (imageAsset.data && imageAsset.data.startsWith('data:')) {
       const matches = imageAsset.data.match(/^data:([^;]+);base64,(.+)$/);
       if (matches) {
@@ -318,7 +367,9 @@ I have attached ${imageAssets.length} reference image(s). Analyze these images c
 - Layout structure
 - Typography styles
 - All UI components
-- Design effects (gradients, shadows, etc.)`;
+- Design effects (gradients, shadows, etc.)
+
+${describeImageRoles(imageAssets, assets)}`;
   }
 
   if (linkAssets.length > 0) {
@@ -460,29 +511,21 @@ function parseOptimizationOutput(rawOutput) {
 }
 
 /**
- * Generate web page HTML/CSS with Gemini using IMAGES + JSON for accurate replication
- * Uses dedicated generation key (separate from optimization key)
+ * Build the Gemini content parts for code generation (images first, then the prompt)
+ * Shared by the blocking and streaming generators
  * @param {string} prompt - The optimized text prompt
  * @param {Array} assets - Array of attached assets (images will be sent to AI)
- * @param {Object} designJSON - Design specifications JSON (required for best results)
- * @param {string} excludeKey - Optional key to exclude (used for dual-key separation)
- * @returns {Promise<Object>} Generated code result
+ * @param {Object} designJSON - Design specifications JSON
+ * @param {string} framework - 'html' or 'multipage' (---FILE:--- sections per page)
+ * @returns {{contentParts: Array, imageAssets: Array}}
  */
-export async function generateWebPageWithImages(prompt, assets = [], designJSON = null, excludeKey = null) {
-  // Get dedicated generation key (different from any optimization key used)
-  const apiKey = getRandomKey(excludeKey);
-  if (!apiKey) {
-    throw new Error('No Gemini API keys configured. Please set VITE_GEMINI_API_KEYS in your .env file.');
-  }
-
-  console.log(`🔑 Code generation using separate key #${GEMINI_API_KEYS.indexOf(apiKey) + 1}`);
-
-  // Build the content parts array - include images for visual replication
+function buildCodeGenerationParts(prompt, assets = [], designJSON = null, framework = 'html') {
   const contentParts = [];
-  const imageAssets = assets.filter(a => a.type === 'image');
+  // Palette images only feed the extracted colors - the model sees mockups, sections, logos and photos
+  const imageAssets = selectModelImages(assets);
   
   // Add images first so Gemini can SEE them while generating code
-  for (const imageAsset of imageAssets.slice(0, 5)) {
+  for (const imageAsset of imageAssets) {
     if (imageAsset.data && imageAsset.data.startsWith('data:')) {
       const matches = imageAsset.data.match(/^data:([^;]+);base64,(.+)$/);
       if (matches) {
@@ -497,7 +540,13 @@ export async function generateWebPageWithImages(prompt, assets = [], designJSON
   }
 
   // Build the code generation prompt with JSON specs
-  let codePrompt = `Generate complete HTML and CSS code for this web page:
+  const isMultiPage = framework === 'multipage';
+  const reminder = isMultiPage
+    ? 'REMEMBER: Start every file with its ---FILE: name--- marker, link every page to styles.css and end with ---END---.'
+    : 'REMEMBER: Output two separate code blocks - HTML with <link rel="stylesheet" href="styles.css"> and CSS separately.';
+  let codePrompt = isMultiPage
+    ? prompt
+    : `Generate complete HTML and CSS code for this web page:
 
 ${prompt}`;
 
@@ -510,24 +559,68 @@ ${JSON.stringify(designJSON, null, 2)}
 === END SPECIFICATIONS ===
 
 Use the EXACT colors, fonts, and spacing from the specifications above.
-REMEMBER: Output two separate code blocks - HTML with <link rel="stylesheet" href="styles.css"> and CSS separately.`;
+${reminder}`;
   } else {
     codePrompt += `
 
-REMEMBER: Output two separate code blocks - HTML with <link rel="stylesheet" href="styles.css"> and CSS separately.`;
+${reminder}`;
   }
 
   if (imageAssets.length > 0) {
     codePrompt += `
 
 IMPORTANT: ${imageAssets.length} reference image(s) attached. You can SEE these images.
-Create code that EXACTLY REPLICATES the design. Match all colors, layouts, and effects.`;
+Create code that EXACTLY REPLICATES the design. Match all colors, layouts, and effects.
+
+${describeImageRoles(imageAssets, assets)}`;
   }
 
   contentParts.push({ text: codePrompt });
 
+  return { contentParts, imageAssets };
+}
+
+/**
+ * Parse a web page or multi-page site response
+ * Multi-page output reports the home page as html and the shared stylesheet as css
+ * @param {string} content - Raw model output
+ * @param {string} framework - 'html' or 'multipage'
+ * @param {string|null} finishReason - Gemini finish reason
+ * @returns {Object} Parse result with html, css and diagnostics
+ */
+function parseGeminiOutput(content, framework, finishReason) {
+  if (framework !== 'multipage') return parseWebPageOutput(content, { finishReason });
+  const parsed = parseMultiPageSiteOutput(content, { finishReason });
+  return { ...parsed, html: parsed.pages[0]?.content || '' };
+}
+
+/**
+ * Generate web page HTML/CSS with Gemini using IMAGES + JSON for accurate replication
+ * Uses dedicated generation key (separate from optimization key)
+ * @param {string} prompt - The optimized text prompt
+ * @param {Array} assets - Array of attached assets (images will be sent to AI)
+ * @param {Object} designJSON - Design specifications JSON (required for best results)
+ * @param {string} excludeKey - Optional key to exclude (used for dual-key separation)
+ * @param {string} framework - 'html' or 'multipage'
+ * @returns {Promise<Object>} Generated code result
+ */
+export async function generateWebPageWithImages(prompt, assets = [], designJSON = null, excludeKey = null, framework = 'html') {
+  // Get dedicated generation key (different from any optimization key used)
+  const apiKey = getRandomKey(excludeKey);
+  if (!apiKey) {
+    throw new Error('No Gemini API keys configured. Please set VITE_GEMINI_API_KEYS in your .env file.');
+  }
+
+  console.log(`🔑 Code generation using separate key #${GEMINI_API_KEYS.indexOf(apiKey) + 1}`);
+
+  // Build the content parts array - include images for visual replication
+  const { contentParts, imageAssets } = buildCodeGenerationParts(prompt, assets, designJSON, framework);
+  const systemPrompt = framework === 'multipage' ? SYSTEM_PROMPTS.MULTI_PAGE_GENERATOR : SYSTEM_PROMPTS.CODE_GENERATOR;
+
   // Retry logic with validation for complete output
   let lastError = null;
+  // Last response that parsed without HTML or CSS - returned (raw) if every attempt fails
+  let incomplete = null;
   const maxAttempts = Math.min(3, GEMINI_API_KEYS.length);
 
   for (let attempt = 0; attempt < maxAttempts; attempt++) {
@@ -542,7 +635,7 @@ Create code that EXACTLY REPLICATES the design. Match all colors, layouts, and e
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           system_instruction: {
-            parts: [{ text: SYSTEM_PROMPTS.CODE_GENERATOR }]
+            parts: [{ text: systemPrompt }]
           },
           contents: [{ parts: contentParts }],
           generationConfig: {
@@ -565,31 +658,35 @@ Create code that EXACTLY REPLICATES the design. Match all colors, layouts, and e
 
       const data = await response.json();
       const content = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+      const finishReason = data.candidates?.[0]?.finishReason || null;
 
-      console.log('📦 Raw content length:', content.length);
+      console.log('📦 Raw content length:', content.length, 'finish reason:', finishReason);
       
       // Parse the generated code
-      const parsedCode = parseGeneratedCode(content);
-
-      // Validate both HTML and CSS were extracted
-      if (!parsedCode.html || parsedCode.html.length < 100) {
-        console.warn(`⚠️ HTML extraction incomplete on attempt ${attempt + 1} (${parsedCode.html?.length || 0} chars), retrying...`);
-        continue;
-      }
-
-      if (!parsedCode.css || parsedCode.css.length < 50) {
-        console.warn(`⚠️ CSS extraction incomplete on attempt ${attempt + 1} (${parsedCode.css?.length || 0} chars), retrying...`);
+      const parsed = parseGeminiOutput(content, framework, finishReason);
+
+      // Cut-off output is returned so the router can ask for the rest; output without HTML/CSS is retried
+      // (a multi-page refinement may return only the pages or only the stylesheet it changed)
+      const incompleteOutput = framework === 'multipage'
+        ? !parsed.pages.length && !parsed.css
+        : !parsed.html || !parsed.css;
+      if (!parsed.truncated && incompleteOutput) {
+        console.warn(`⚠️ Incomplete output on attempt ${attempt + 1}, retrying...\n${describeDiagnostics(parsed)}`);
+        incomplete = { content, finishReason, parsed };
         continue;
       }
 
       console.log('✅ Code generation complete');
-      console.log('📄 HTML length:', parsedCode.html.length);
-      console.log('🎨 CSS length:', parsedCode.css.length);
+      console.log('📄 HTML length:', parsed.html.length);
+      console.log('🎨 CSS length:', parsed.css.length);
 
       return {
         success: true,
-        ...parsedCode,
+        html: parsed.html,
+        css: parsed.css,
         rawContent: content,
+        finishReason,
+        diagnostics: parsed.diagnostics,
         usedImages: imageAssets.length,
         usedJSON: !!designJSON,
       };
@@ -600,6 +697,17 @@ Create code that EXACTLY REPLICATES the design. Match all colors, layouts, and e
   }
 
   console.error('Code generation failed after all attempts:', lastError);
+  if (incomplete) {
+    return {
+      success: false,
+      error: 'Incomplete output (missing HTML or CSS)',
+      html: incomplete.parsed.html,
+      css: incomplete.parsed.css,
+      rawContent: incomplete.content,
+      finishReason: incomplete.finishReason,
+      diagnostics: incomplete.parsed.diagnostics,
+    };
+  }
   return {
     success: false,
     error: lastError?.message || 'All API keys exhausted',
@@ -610,240 +718,117 @@ Create code that EXACTLY REPLICATES the design. Match all colors, layouts, and e
 }
 
 /**
- * Generate code using Gemini AI with streaming
+ * Generate web page code with Gemini using SSE streaming
+ * Same prompt and key rotation as generateWebPageWithImages, but text arrives incrementally
  * @param {string} prompt - The optimized prompt
- * @param {Function} onChunk - Callback for each streamed chunk
- * @param {Array} assets - Array of attached assets
+ * @param {Function} onChunk - Callback for each streamed chunk: (text, fullContent)
+ * @param {Array} assets - Array of attached assets (images will be sent to AI)
+ * @param {Object} designJSON - Design specifications JSON
+ * @param {string} framework - 'html' or 'multipage'
  * @returns {Promise<Object>} Generated code result
  */
-export async function generateCodeStream(prompt, onChunk, assets = []) {
-  if (!GEMINI_API_KEY) {
-    throw new Error('Gemini API key not configured. Please set VITE_GEMINI_API_KEY in your .env file.');
+export async function generateCodeStream(prompt, onChunk, assets = [], designJSON = null, framework = 'html') {
+  const apiKey = getRandomKey();
+  if (!apiKey) {
+    throw new Error('No Gemini API keys configured. Please set VITE_GEMINI_API_KEYS in your .env file.');
   }
 
-  // Build context with assets
-  let assetContext = '';
-  if (assets.length > 0) {
-    const linkAssets = assets.filter(a => a.type === 'link');
-    if (linkAssets.length > 0) {
-      assetContext += `\n\nReference these links for inspiration: ${linkAssets.map(a => a.data).join(', ')}`;
-    }
-  }
+  const { contentParts, imageAssets } = buildCodeGenerationParts(prompt, assets, designJSON, framework);
+  const systemPrompt = framework === 'multipage' ? SYSTEM_PROMPTS.MULTI_PAGE_GENERATOR : SYSTEM_PROMPTS.CODE_GENERATOR;
 
-  const fullPrompt = `Create a complete, beautiful web page based on this description:
+  let lastError = null;
+  const maxAttempts = Math.min(3, GEMINI_API_KEYS.length);
 
-${prompt}
-${assetContext}
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const currentKey = attempt === 0 ? apiKey : getRandomKey(apiKey);
+    if (!currentKey) break;
 
-Generate complete, production-ready HTML and CSS code.`;
+    try {
+      console.log(`🔑 Streaming code gen attempt ${attempt + 1}/${maxAttempts}`);
 
-  try {
-    const response = await fetch(`${GEMINI_API_URL}:streamGenerateContent?key=${GEMINI_API_KEY}&alt=sse`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        system_instruction: {
-          parts: [{ text: SYSTEM_PROMPTS.CODE_GENERATOR }]
-        },
-        contents: [{
-          parts: [{ text: fullPrompt }]
-        }],
-        generationConfig: {
-          temperature: 0.4,
-          maxOutputTokens: 8192,
-        }
-      })
-    });
+      const response = await fetch(`${GEMINI_API_URL}:streamGenerateContent?key=${currentKey}&alt=sse`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          system_instruction: {
+            parts: [{ text: systemPrompt }]
+          },
+          contents: [{ parts: contentParts }],
+          generationConfig: {
+            temperature: 0.2,
+            maxOutputTokens: 16384,
+          }
+        })
+      });
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error?.message || `API request failed with status ${response.status}`);
-    }
+      // Rate limits are reported before any content is streamed, so we can still rotate keys
+      if (response.status === 429) {
+        console.log('⚠️ Rate limited, trying next key...');
+        markKeyFailed(currentKey);
+        continue;
+      }
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error?.message || `API request failed with status ${response.status}`);
+      }
 
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let fullContent = '';
-
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-
-      const chunk = decoder.decode(value, { stream: true });
-      const lines = chunk.split('\n');
-
-      for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          try {
-            const jsonStr = line.slice(6);
-            if (jsonStr.trim() === '[DONE]') continue;
-            
-            const data = JSON.parse(jsonStr);
-            const text = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-            
-            if (text) {
-              fullContent += text;
-              if (onChunk) {
-                onChunk(text, fullContent);
-              }
-            }
-          } catch {
-            // Skip invalid JSON lines
+      let fullContent = '';
+      let finishReason = null;
+      await readSSEStream(response, (data) => {
+        const text = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+        finishReason = data.candidates?.[0]?.finishReason || finishReason;
+        if (text) {
+          fullContent += text;
+          if (onChunk) {
+            onChunk(text, fullContent);
           }
         }
+      });
+
+      if (!fullContent.trim()) {
+        throw new Error('Empty response from Gemini stream');
       }
-    }
 
-    // Parse the generated code
-    const parsedCode = parseGeneratedCode(fullContent);
+      console.log('📦 Streamed content length:', fullContent.length, 'finish reason:', finishReason);
+      const parsed = parseGeminiOutput(fullContent, framework, finishReason);
 
-    return {
-      success: true,
-      ...parsedCode,
-      rawContent: fullContent,
-    };
-  } catch (error) {
-    console.error('Code generation error:', error);
-    return {
-      success: false,
-      error: error.message,
-      html: '',
-      css: '',
-      rawContent: '',
-    };
+      return {
+        success: true,
+        html: parsed.html,
+        css: parsed.css,
+        rawContent: fullContent,
+        finishReason,
+        diagnostics: parsed.diagnostics,
+        usedImages: imageAssets.length,
+        usedJSON: !!designJSON,
+      };
+    } catch (error) {
+      lastError = error;
+      console.error(`Streaming attempt ${attempt + 1} failed:`, error.message);
+    }
   }
+
+  return {
+    success: false,
+    error: lastError?.message || 'All API keys exhausted',
+    html: '',
+    css: '',
+    rawContent: '',
+  };
 }
 
 /**
  * Parse HTML and CSS from AI-generated response
- * Uses robust regex patterns to extract code blocks reliably
+ * Thin wrapper over the shared output parser (see outputParser.js for diagnostics)
  * @param {string} content - Raw AI response
  * @returns {Object} Parsed HTML and CSS
  */
 export function parseGeneratedCode(content) {
-  let html = '';
-  let css = '';
-
-  if (!content) {
-    console.warn('⚠️ No content to parse');
-    return { html, css };
-  }
-
-  console.log('🔍 Parsing content, length:', content.length);
-
-  // STRATEGY: Find all code blocks first, then identify HTML and CSS blocks
-  // This is more reliable than trying to match individual patterns
-  
-  // Pattern to find ALL code blocks: ```language ... ```
-  const codeBlockRegex = /```(\w+)?\s*\n?([\s\S]*?)```/g;
-  const codeBlocks = [];
-  let match;
-  
-  while ((match = codeBlockRegex.exec(content)) !== null) {
-    codeBlocks.push({
-      language: (match[1] || '').toLowerCase(),
-      content: match[2],
-      startIndex: match.index,
-      endIndex: match.index + match[0].length
-    });
-  }
-
-  console.log(`📦 Found ${codeBlocks.length} code blocks`);
-
-  // Find HTML and CSS blocks
-  for (const block of codeBlocks) {
-    if (block.language === 'html' && !html) {
-      html = block.content.trim();
-      console.log('✅ Found HTML code block, length:', html.length);
-    } else if (block.language === 'css' && !css) {
-      css = block.content.trim();
-      console.log('✅ Found CSS code block, length:', css.length);
-    }
-  }
-
-  // If we found blocks but they're missing language tags, try to identify by content
-  if (!html || !css) {
-    for (const block of codeBlocks) {
-      if (!block.language || block.language === '') {
-        const trimmedContent = block.content.trim();
-        
-        // Detect HTML by structure
-        if (!html && (
-          trimmedContent.includes('<!DOCTYPE') ||
-          trimmedContent.includes('<html') ||
-          trimmedContent.includes('<head') ||
-          trimmedContent.includes('<body')
-        )) {
-          html = trimmedContent;
-          console.log('✅ Identified HTML from unmarked block, length:', html.length);
-        }
-        // Detect CSS by structure
-        else if (!css && (
-          trimmedContent.includes('{') && 
-          trimmedContent.includes('}') &&
-          (trimmedContent.includes(':') || trimmedContent.includes(';'))
-        )) {
-          // Additional CSS validation: should have selectors
-          if (/[\.\#\w\-]+\s*\{/.test(trimmedContent)) {
-            css = trimmedContent;
-            console.log('✅ Identified CSS from unmarked block, length:', css.length);
-          }
-        }
-      }
-    }
-  }
-
-  // FALLBACK 1: If no code blocks found, try to extract raw HTML document
-  if (!html) {
-    console.log('⚠️ No HTML code block found, trying fallback extraction');
-    
-    // Look for complete HTML document
-    const htmlDocMatch = content.match(/<!DOCTYPE\s+html[^>]*>[\s\S]*?<\/html>/i);
-    if (htmlDocMatch) {
-      html = htmlDocMatch[0].trim();
-      console.log('✅ Found complete HTML document via fallback, length:', html.length);
-    } else {
-      // Try just <html>...</html>
-      const htmlTagMatch = content.match(/<html[^>]*>[\s\S]*?<\/html>/i);
-      if (htmlTagMatch) {
-        html = htmlTagMatch[0].trim();
-        console.log('✅ Found HTML via <html> tags, length:', html.length);
-      }
-    }
-  }
-
-  // FALLBACK 2: Extract CSS from <style> tags if no separate CSS block
-  if (!css && html) {
-    const styleMatches = html.matchAll(/<style[^>]*>([\s\S]*?)<\/style>/gi);
-    const extractedStyles = [];
-    for (const styleMatch of styleMatches) {
-      if (styleMatch[1]) {
-        extractedStyles.push(styleMatch[1].trim());
-      }
-    }
-    if (extractedStyles.length > 0) {
-      css = extractedStyles.join('\n\n');
-      console.log('✅ Extracted CSS from style tags, length:', css.length);
-    }
-  }
-
-  // VALIDATION: Ensure HTML has basic structure
-  if (html && !html.includes('<html') && !html.includes('<!DOCTYPE')) {
-    // Wrap incomplete HTML
-    console.log('⚠️ HTML appears incomplete, may need wrapping');
-  }
-
-  // Ensure CSS link exists in HTML (if we have external CSS)
-  if (html && css && !html.includes('href="styles.css"') && !html.includes("href='styles.css'")) {
-    console.log('⚠️ HTML missing link to styles.css - will be handled by compileLivePreview');
-  }
-
-  console.log('📊 Final parse result - HTML:', html.length, 'chars, CSS:', css.length, 'chars');
+  const { html, css } = parseWebPageOutput(content);
   return { html, css };
 }
 
-
 /**
  * Compile HTML and CSS into a complete document for live preview
  * @param {string} html - HTML content
@@ -890,6 +875,37 @@ export function compileLivePreview(html, css) {
 </html>`;
 }
 
+/**
+ * Compile a live preview from a response that is still streaming
+ * Renders as soon as the ```html block is closed; CSS is applied up to the last complete rule
+ * @param {string} partialContent - Raw streamed content so far
+ * @returns {string|null} Complete HTML document, or null if the HTML block isn't finished yet
+ */
+export function compileStreamingPreview(partialContent) {
+  if (!partialContent) return null;
+
+  const htmlMatch = partialContent.match(/```html\s*\n?([\s\S]*?)```/i);
+  if (!htmlMatch) return null;
+
+  const html = htmlMatch[1].trim();
+  const afterHtml = partialContent.slice(htmlMatch.index + htmlMatch[0].length);
+
+  let css = '';
+  const cssStart = afterHtml.match(/```css\s*\n?/i);
+  if (cssStart) {
+    css = afterHtml.slice(cssStart.index + cssStart[0].length);
+    const fenceEnd = css.indexOf('```');
+    if (fenceEnd !== -1) {
+      css = css.slice(0, fenceEnd);
+    }
+    // Drop the rule that is still arriving so half-written declarations don't leak
+    const lastBrace = css.lastIndexOf('}');
+    css = lastBrace === -1 ? '' : css.slice(0, lastBrace + 1);
+  }
+
+  return compileLivePreview(html, css);
+}
+
 /**
  * Generate a concise project title (3-4 words) using AI
  * @param {string} prompt - The user's prompt or optimized prompt
@@ -969,5 +985,59 @@ Reply with ONLY the title, nothing else. Example good titles:
 }
 
 // Export system prompts for reference
+/**
+ * Plain text completion (used to continue or repair cut-off generations)
+ * @param {Object} options - { system, prompt, maxTokens }
+ * @returns {Promise<Object>} { success, text, finishReason, error }
+ */
+export async function generateText({ system, prompt, maxTokens = 16384 }) {
+  let lastError = null;
+  const maxAttempts = Math.min(3, GEMINI_API_KEYS.length);
+  let previousKey = null;
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const currentKey = getRandomKey(previousKey);
+    if (!currentKey) break;
+    previousKey = currentKey;
+
+    try {
+      const response = await fetch(`${GEMINI_API_URL}:generateContent?key=${currentKey}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          system_instruction: { parts: [{ text: system }] },
+          contents: [{ parts: [{ text: prompt }] }],
+          generationConfig: {
+            temperature: 0.2,
+            maxOutputTokens: maxTokens,
+          }
+        })
+      });
+
+      if (response.status === 429) {
+        markKeyFailed(currentKey);
+        continue;
+      }
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error?.message || `API request failed with status ${response.status}`);
+      }
+
+      const data = await response.json();
+      return {
+        success: true,
+        text: data.candidates?.[0]?.content?.parts?.[0]?.text || '',
+        finishReason: data.candidates?.[0]?.finishReason || null,
+      };
+    } catch (error) {
+      lastError = error;
+      console.error(`Text generation attempt ${attempt + 1} failed:`, error.message);
+    }
+  }
+
+  return { success: false, error: lastError?.message || 'All API keys exhausted', text: '' };
+}
+
 export const PROMPTS = SYSTEM_PROMPTS;
 
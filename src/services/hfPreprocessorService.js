@@ -1,13 +1,19 @@
 /**
- * HuggingFace Space Preprocessor Service
- * Uses Gradio client to connect to DSY-Core Space for image preprocessing
- * Extracts colors, layout information before Gemini code generation
+ * Image Preprocessor Service
+ * Extracts colors and layout information from a mockup before code generation
+ * - Runs in the browser by default (canvas pixel analysis, see utils/imageAnalysis.js)
+ * - Can use a self-hosted HuggingFace Space (Gradio client) or a plain REST endpoint instead,
+ *   falling back to the browser analysis when they fail
  */
 
 import { Client } from "@gradio/client";
+import { analyzeDesignImage } from '../utils/imageAnalysis';
 
-// HuggingFace Space identifier
-const HF_SPACE_ID = "Souhardyo/DSY-Core";
+// Optional HuggingFace Space (space ID or full Space URL, e.g. Souhardyo/DSY-Core)
+const HF_SPACE_ID = import.meta.env.VITE_HF_SPACE || '';
+
+// Optional plain REST endpoint (POST { image } -> JSON), used instead of Gradio when set
+const HF_PREPROCESS_URL = import.meta.env.VITE_HF_PREPROCESS_URL || '';
 
 /**
  * Convert base64 data URL to Blob
@@ -29,95 +35,140 @@ function dataUrlToBlob(dataUrl) {
 }
 
 /**
- * Preprocess an image using HuggingFace Space
- * Extracts colors and layout information
+ * Preprocess an image through a plain REST endpoint (e.g. the offline mock server)
+ * @param {string} imageDataUrl - Base64 data URL of the image
+ * @returns {Promise<Object>} Preprocessed data with colors and layout
+ */
+async function preprocessViaRest(imageDataUrl) {
+  console.log('🔄 Calling preprocess endpoint:', HF_PREPROCESS_URL);
+
+  const response = await fetch(HF_PREPROCESS_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ image: imageDataUrl }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Preprocess request failed with status ${response.status}`);
+  }
+
+  const data = await response.json();
+  console.log('✅ Preprocessing complete');
+
+  return {
+    success: true,
+    ...data
+  };
+}
+
+/**
+ * Preprocess an image through the configured HuggingFace Space
  * @param {string} imageDataUrl - Base64 data URL of the image
  * @returns {Promise<Object>} Preprocessed data with colors and layout
  */
+async function preprocessViaSpace(imageDataUrl) {
+  console.log('🔄 Connecting to HF Space:', HF_SPACE_ID);
+
+  // Convert data URL to blob
+  const imageBlob = dataUrlToBlob(imageDataUrl);
+
+  // Connect to Gradio Space
+  const client = await Client.connect(HF_SPACE_ID);
+
+  // Call the preprocess endpoint
+  const result = await client.predict("/preprocess", {
+    image_data: imageBlob,
+  });
+
+  console.log('✅ HF preprocessing complete');
+
+  // Parse the result
+  const data = typeof result.data === 'string'
+    ? JSON.parse(result.data)
+    : result.data;
+
+  return {
+    success: true,
+    ...data
+  };
+}
+
+/**
+ * Preprocess an image - remote endpoint when configured, otherwise (or when it fails) in the browser
+ * Extracts colors and layout information
+ * @param {string} imageDataUrl - Base64 data URL of the image
+ * @returns {Promise<Object>} Preprocessed data with colors and layout ({ success: false } when nothing could be extracted)
+ */
 export async function preprocessImage(imageDataUrl) {
+  if (HF_PREPROCESS_URL || HF_SPACE_ID) {
+    try {
+      return HF_PREPROCESS_URL
+        ? await preprocessViaRest(imageDataUrl)
+        : await preprocessViaSpace(imageDataUrl);
+    } catch (error) {
+      console.warn('⚠️ Remote preprocessing failed, analyzing the image in the browser:', error.message);
+    }
+  }
+
   try {
-    console.log('🔄 Connecting to HF Space:', HF_SPACE_ID);
-    
-    // Convert data URL to blob
-    const imageBlob = dataUrlToBlob(imageDataUrl);
-    
-    // Connect to Gradio Space
-    const client = await Client.connect(HF_SPACE_ID);
-    
-    // Call the preprocess endpoint
-    const result = await client.predict("/preprocess", {
-      image_data: imageBlob,
-    });
-    
-    console.log('✅ HF preprocessing complete');
-    
-    // Parse the result
-    const data = typeof result.data === 'string' 
-      ? JSON.parse(result.data) 
-      : result.data;
-    
-    return {
-      success: true,
-      ...data
-    };
+    const result = await analyzeDesignImage(imageDataUrl);
+    console.log('✅ In-browser image analysis complete');
+    return result;
   } catch (error) {
-    console.error('❌ HF preprocessing failed:', error);
+    console.error('❌ Image preprocessing failed:', error);
+    // No made-up palette - generation goes on with the image alone
     return {
       success: false,
       error: error.message,
-      // Return default values so generation can still proceed
-      colors: {
-        primary: '#3b82f6',
-        secondary: '#1e40af',
-        accent: '#60a5fa',
-        background: '#1e1e2e',
-        text: '#ffffff',
-        is_dark_theme: true,
-      },
-      layout: {
-        type: 'landing',
-        sections: ['navbar', 'hero', 'features', 'footer'],
-        estimated_columns: 3,
-      }
     };
   }
 }
 
 /**
- * Build design JSON from HF preprocessed data
+ * Build design JSON from preprocessed data
  * This is used to enhance Gemini prompts with extracted design specs
- * @param {Object} hfData - Data from HF preprocessing
- * @returns {Object} Design JSON for Gemini prompt
+ * Only what was actually extracted is included - failed preprocessing gives no specs at all
+ * @param {Object} hfData - Data from preprocessImage()
+ * @returns {Object|null} Design JSON for Gemini prompt
  */
 export function buildDesignJSON(hfData) {
-  if (!hfData) {
+  if (!hfData?.success || (!hfData.colors && !hfData.layout)) {
     return null;
   }
-  
-  return {
-    layout: {
-      type: hfData.layout?.type || 'landing',
-      sections: hfData.layout?.sections || ['header', 'hero', 'features', 'footer'],
-      columns: hfData.layout?.estimated_columns || 3,
-    },
-    colors: {
-      background: hfData.colors?.background || '#1e1e2e',
-      primary: hfData.colors?.primary || '#3b82f6',
-      secondary: hfData.colors?.secondary || '#1e40af',
-      accent: hfData.colors?.accent || '#60a5fa',
-      text: hfData.colors?.text || '#ffffff',
-    },
-    effects: hfData.colors?.is_dark_theme 
-      ? ['glassmorphism', 'gradient', 'shadows'] 
-      : ['shadows', 'subtle-gradient'],
-    isDarkTheme: hfData.colors?.is_dark_theme ?? true,
-  };
+
+  const designJSON = {};
+
+  if (hfData.layout) {
+    designJSON.layout = {
+      type: hfData.layout.type || 'landing',
+      sections: hfData.layout.sections || [],
+      columns: hfData.layout.estimated_columns || 1,
+    };
+  }
+
+  if (hfData.colors) {
+    const { is_dark_theme: isDarkTheme, ...colors } = hfData.colors;
+    // Roles the analysis found no color for are left out, not filled in
+    const found = Object.fromEntries(Object.entries(colors).filter(([, value]) => value));
+    if (Object.keys(found).length > 0) {
+      designJSON.colors = found;
+    }
+    if (typeof isDarkTheme === 'boolean') {
+      designJSON.effects = isDarkTheme
+        ? ['glassmorphism', 'gradient', 'shadows']
+        : ['shadows', 'subtle-gradient'];
+      designJSON.isDarkTheme = isDarkTheme;
+    }
+  }
+
+  return designJSON;
 }
 
 /**
- * Check if HF Space preprocessing is available
- * @returns {boolean} Always true since Space ID is hardcoded
+ * Check if remote preprocessing (HuggingFace Space or REST endpoint) is configured
+ * Without it, images are analyzed in the browser
+ * @returns {boolean}
  */
 export function isHFConfigured() {
-  return true;
+  return Boolean(HF_SPACE_ID || HF_PREPROCESS_URL);
 }
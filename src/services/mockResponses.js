@@ -0,0 +1,552 @@
+/**
+ * Mock AI Responses
+ * Canned model output used by the local mock provider and the mock AI server (mock/)
+ * Responses use the same raw formats the real models return, so the normal parsers run on them
+ */
+
+/**
+ * Escape text for safe insertion into generated HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Derive a short page heading from a prompt
+ * @param {string} prompt - User prompt
+ * @returns {string} Heading text (max 8 words)
+ */
+function headingFromPrompt(prompt) {
+  const words = (prompt || '').replace(/\s+/g, ' ').trim().split(' ').filter(Boolean);
+  if (words.length === 0) return 'Mock Generated Page';
+  return words.slice(0, 8).join(' ');
+}
+
+/**
+ * Build a canned HTML/CSS response in the ```html / ```css block format
+ * @param {string} prompt - User prompt (used for the page heading)
+ * @returns {string} Raw model-style response
+ */
+export function buildMockHtmlResponse(prompt) {
+  const heading = escapeHtml(headingFromPrompt(prompt));
+
+  return `\`\`\`html
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${heading}</title>
+  <link rel="stylesheet" href="styles.css">
+</head>
+<body>
+  <header class="navbar">
+    <span class="logo">DSY Mock</span>
+    <nav>
+      <a href="#features">Features</a>
+      <a href="#contact">Contact</a>
+    </nav>
+  </header>
+  <main>
+    <section class="hero">
+      <h1>${heading}</h1>
+      <p>This page was produced by the offline mock provider.</p>
+      <a class="button" href="#features">Get Started</a>
+    </section>
+    <section id="features" class="features">
+      <article class="card"><h2>Fast</h2><p>No network or API keys needed.</p></article>
+      <article class="card"><h2>Predictable</h2><p>Same prompt, same output.</p></article>
+      <article class="card"><h2>Offline</h2><p>Works in exam halls and labs.</p></article>
+    </section>
+  </main>
+  <footer id="contact" class="footer">
+    <p>&copy; 2026 DSY Core</p>
+  </footer>
+</body>
+</html>
+\`\`\`
+
+\`\`\`css
+:root {
+  --color-bg: #0A090F;
+  --color-surface: #1A1625;
+  --color-primary: #C5A059;
+  --color-text: #F1F5F9;
+}
+
+* { margin: 0; padding: 0; box-sizing: border-box; }
+
+body {
+  font-family: 'Inter', sans-serif;
+  background: var(--color-bg);
+  color: var(--color-text);
+}
+
+.navbar {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 20px 40px;
+  border-bottom: 1px solid rgba(197, 160, 89, 0.2);
+}
+
+.navbar nav a {
+  color: var(--color-text);
+  margin-left: 24px;
+  text-decoration: none;
+}
+
+.logo { color: var(--color-primary); font-weight: 700; }
+
+.hero {
+  padding: 120px 40px;
+  text-align: center;
+}
+
+.hero h1 { font-size: 48px; margin-bottom: 16px; }
+
+.button {
+  display: inline-block;
+  margin-top: 24px;
+  padding: 12px 28px;
+  border-radius: 8px;
+  background: var(--color-primary);
+  color: var(--color-bg);
+  text-decoration: none;
+  font-weight: 600;
+}
+
+.features {
+  display: grid;
+  grid-template-columns: repeat(3, 1fr);
+  gap: 24px;
+  padding: 80px 40px;
+}
+
+.card {
+  padding: 32px;
+  border-radius: 16px;
+  background: var(--color-surface);
+}
+
+.footer { padding: 40px; text-align: center; opacity: 0.6; }
+
+@media (max-width: 768px) {
+  .features { grid-template-columns: 1fr; }
+  .hero h1 { font-size: 32px; }
+}
+\`\`\``;
+}
+
+/**
+ * Build a canned Tailwind page: utility classes in the ```html block, Tailwind input file in the ```css block
+ * @param {string} prompt - User prompt (used for the page heading)
+ * @returns {string} Raw model-style response
+ */
+export function buildMockTailwindResponse(prompt) {
+  const heading = escapeHtml(headingFromPrompt(prompt));
+
+  return `\`\`\`html
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${heading}</title>
+  <link rel="stylesheet" href="styles.css">
+</head>
+<body class="bg-night font-sans text-slate-100">
+  <header class="flex items-center justify-between border-b border-brand/20 px-10 py-5">
+    <span class="font-bold text-brand">DSY Mock</span>
+    <nav class="flex gap-6">
+      <a class="hover:text-brand" href="#features">Features</a>
+      <a class="hover:text-brand" href="#contact">Contact</a>
+    </nav>
+  </header>
+  <main>
+    <section class="px-10 py-28 text-center">
+      <h1 class="mb-4 text-3xl font-bold md:text-5xl">${heading}</h1>
+      <p class="text-slate-400">This page was produced by the offline mock provider.</p>
+      <a class="mt-6 inline-block rounded-lg bg-brand px-7 py-3 font-semibold text-night hover:opacity-90" href="#features">Get Started</a>
+    </section>
+    <section id="features" class="grid gap-6 px-10 py-20 md:grid-cols-3">
+      <article class="rounded-2xl bg-surface p-8"><h2 class="mb-2 text-xl font-semibold">Fast</h2><p>No network or API keys needed.</p></article>
+      <article class="rounded-2xl bg-surface p-8"><h2 class="mb-2 text-xl font-semibold">Predictable</h2><p>Same prompt, same output.</p></article>
+      <article class="rounded-2xl bg-surface p-8"><h2 class="mb-2 text-xl font-semibold">Offline</h2><p>Works in exam halls and labs.</p></article>
+    </section>
+  </main>
+  <footer id="contact" class="p-10 text-center opacity-60">
+    <p>&copy; 2026 DSY Core</p>
+  </footer>
+</body>
+</html>
+\`\`\`
+
+\`\`\`css
+@import "tailwindcss";
+
+@theme {
+  --color-night: #0A090F;
+  --color-surface: #1A1625;
+  --color-brand: #C5A059;
+  --font-sans: "Inter", sans-serif;
+}
+\`\`\``;
+}
+
+/**
+ * Build a canned React response in the ---FILE:--- marker format
+ * @param {string} prompt - User prompt (used for the page heading)
+ * @returns {string} Raw model-style response
+ */
+export function buildMockReactResponse(prompt) {
+  const heading = headingFromPrompt(prompt).replace(/[{}<>`]/g, '');
+
+  return `---FILE: App.tsx---
+import React from 'react';
+import './index.css';
+import Header from './components/Header';
+import Hero from './components/Hero';
+
+const App: React.FC = () => {
+  return (
+    <>
+      <Header />
+      <Hero title="${heading.replace(/"/g, '')}" />
+    </>
+  );
+};
+
+export default App;
+
+---FILE: components/Header.tsx---
+import React from 'react';
+
+const Header: React.FC = () => {
+  return (
+    <header className="navbar">
+      <span className="logo">DSY Mock</span>
+    </header>
+  );
+};
+
+export default Header;
+
+---FILE: components/Hero.tsx---
+import React from 'react';
+
+interface HeroProps {
+  title: string;
+}
+
+const Hero: React.FC<HeroProps> = ({ title }) => {
+  return (
+    <section className="hero">
+      <h1>{title}</h1>
+      <p>This app was produced by the offline mock provider.</p>
+    </section>
+  );
+};
+
+export default Hero;
+
+---FILE: index.css---
+:root {
+  --color-bg: #0A090F;
+  --color-primary: #C5A059;
+  --color-text: #F1F5F9;
+}
+
+body {
+  margin: 0;
+  font-family: 'Inter', sans-serif;
+  background: var(--color-bg);
+  color: var(--color-text);
+}
+
+.navbar { padding: 20px 40px; }
+.logo { color: var(--color-primary); font-weight: 700; }
+.hero { padding: 120px 40px; text-align: center; }
+
+---END---`;
+}
+
+/**
+ * Build a canned Vue 3 single-file-component response in the ---FILE:--- marker format
+ * @param {string} prompt - User prompt (used for the page heading)
+ * @returns {string} Raw model-style response
+ */
+export function buildMockVueResponse(prompt) {
+  const heading = headingFromPrompt(prompt).replace(/[{}<>`"]/g, '');
+
+  return `---FILE: App.vue---
+<script setup>
+import Header from './components/Header.vue';
+import Hero from './components/Hero.vue';
+</script>
+
+<template>
+  <Header />
+  <Hero title="${heading}" />
+</template>
+
+---FILE: components/Header.vue---
+<template>
+  <header class="navbar">
+    <span class="logo">DSY Mock</span>
+  </header>
+</template>
+
+<style scoped>
+.navbar { padding: 20px 40px; }
+.logo { color: var(--color-primary); font-weight: 700; }
+</style>
+
+---FILE: components/Hero.vue---
+<script setup>
+defineProps({ title: String });
+</script>
+
+<template>
+  <section class="hero">
+    <h1>{{ title }}</h1>
+    <p>This app was produced by the offline mock provider.</p>
+  </section>
+</template>
+
+<style scoped>
+.hero { padding: 120px 40px; text-align: center; }
+</style>
+
+---FILE: index.css---
+:root {
+  --color-bg: #0A090F;
+  --color-primary: #C5A059;
+  --color-text: #F1F5F9;
+}
+
+body {
+  margin: 0;
+  font-family: 'Inter', sans-serif;
+  background: var(--color-bg);
+  color: var(--color-text);
+}
+
+---END---`;
+}
+
+/**
+ * Build a canned Svelte single-file-component response in the ---FILE:--- marker format
+ * @param {string} prompt - User prompt (used for the page heading)
+ * @returns {string} Raw model-style response
+ */
+export function buildMockSvelteResponse(prompt) {
+  const heading = headingFromPrompt(prompt).replace(/[{}<>`"]/g, '');
+
+  return `---FILE: App.svelte---
+<script>
+  import Header from './components/Header.svelte';
+  import Hero from './components/Hero.svelte';
+</script>
+
+<Header />
+<Hero title="${heading}" />
+
+---FILE: components/Header.svelte---
+<header class="navbar">
+  <span class="logo">DSY Mock</span>
+</header>
+
+<style>
+  .navbar { padding: 20px 40px; }
+  .logo { color: var(--color-primary); font-weight: 700; }
+</style>
+
+---FILE: components/Hero.svelte---
+<script>
+  let { title } = $props();
+</script>
+
+<section class="hero">
+  <h1>{title}</h1>
+  <p>This app was produced by the offline mock provider.</p>
+</section>
+
+<style>
+  .hero { padding: 120px 40px; text-align: center; }
+</style>
+
+---FILE: index.css---
+:root {
+  --color-bg: #0A090F;
+  --color-primary: #C5A059;
+  --color-text: #F1F5F9;
+}
+
+body {
+  margin: 0;
+  font-family: 'Inter', sans-serif;
+  background: var(--color-bg);
+  color: var(--color-text);
+}
+
+---END---`;
+}
+
+/**
+ * Build a canned prompt optimizer response in the ---TEXT--- / ---JSON--- format
+ * @param {string} prompt - User prompt
+ * @returns {string} Raw model-style response
+ */
+export function buildMockOptimizerResponse(prompt) {
+  const designJSON = {
+    layout: { type: 'landing', sections: ['header', 'hero', 'features', 'footer'], columns: 3 },
+    colors: { background: '#0A090F', primary: '#C5A059', secondary: '#1A1625', accent: '#D4AF61', text: '#F1F5F9' },
+    typography: { headingFont: 'Outfit', bodyFont: 'Inter', headingSize: '48px', bodySize: '16px' },
+    components: [
+      { type: 'navbar', style: 'sticky' },
+      { type: 'hero', hasImage: false, hasButton: true },
+      { type: 'cards', count: 3, style: 'glassmorphism' },
+    ],
+    effects: ['glassmorphism', 'gradient', 'shadows'],
+    spacing: { sectionPadding: '80px', cardGap: '24px' },
+  };
+
+  return `---TEXT---
+${headingFromPrompt(prompt)}: a dark landing page with a sticky navbar, a centered hero with a gold call-to-action button, a three-column feature grid with glassmorphism cards, and a simple footer. (Offline mock response.)
+
+---JSON---
+${JSON.stringify(designJSON, null, 2)}`;
+}
+
+/**
+ * Build a canned chatbot reply
+ * @param {string} message - User message
+ * @returns {string} Raw model-style response
+ */
+export function buildMockChatResponse(message) {
+  return `This is the offline mock assistant. You asked: "${(message || '').slice(0, 200)}"
+
+The real assistant would explain your code or suggest changes here. Set real API keys (or point the base URLs at a live endpoint) to get actual answers.`;
+}
+
+/**
+ * Build a canned project title
+ * @param {string} prompt - User prompt
+ * @returns {string} Title text
+ */
+export function buildMockTitle(prompt) {
+  const words = headingFromPrompt(prompt).replace(/[^a-zA-Z0-9\s]/g, '').split(' ').filter(Boolean);
+  return words.length >= 2 ? words.slice(0, 3).join(' ') : 'Mock Project Page';
+}
+
+/**
+ * Build a canned explanation for the academic mentor endpoints
+ * @param {string} message - User message
+ * @returns {string} Raw model-style response
+ */
+export function buildMockExplanationResponse(message) {
+  return `## Offline Mock Explanation
+
+You asked about: ${(message || '').slice(0, 200)}
+
+- This answer comes from the local mock AI server.
+- **Viva Tip:** configure a real provider to get a full explanation.`;
+}
+
+/**
+ * Canned HuggingFace preprocessing result (same shape the Space returns)
+ */
+export const MOCK_PREPROCESS_RESULT = {
+  colors: {
+    primary: '#C5A059',
+    secondary: '#1A1625',
+    accent: '#D4AF61',
+    background: '#0A090F',
+    text: '#F1F5F9',
+    is_dark_theme: true,
+  },
+  layout: {
+    type: 'landing',
+    sections: ['navbar', 'hero', 'features', 'footer'],
+    estimated_columns: 3,
+  },
+};
+
+/**
+ * Build a canned multi-page site in the ---FILE: name--- + code block format
+ * @param {string} prompt - User prompt (used for the home page heading)
+ * @returns {string} Raw model-style response
+ */
+export function buildMockMultiPageResponse(prompt) {
+  const heading = escapeHtml(headingFromPrompt(prompt));
+  const pages = [
+    { file: 'index.html', title: 'Home', body: `<section class="hero">\n      <h1>${heading}</h1>\n      <p>This site was produced by the offline mock provider.</p>\n      <a class="button" href="about.html">Learn More</a>\n    </section>` },
+    { file: 'about.html', title: 'About', body: '<section class="page">\n      <h1>About</h1>\n      <p>Every page shares one stylesheet and the same navigation.</p>\n    </section>' },
+    { file: 'contact.html', title: 'Contact', body: '<section class="page">\n      <h1>Contact</h1>\n      <form class="contact-form">\n        <label for="email">Email</label>\n        <input id="email" type="email" placeholder="you@example.com">\n        <button class="button" type="submit">Send</button>\n      </form>\n    </section>' },
+  ];
+
+  const nav = (current) => pages
+    .map(page => `<a href="${page.file}"${page.file === current ? ' class="active"' : ''}>${page.title}</a>`)
+    .join('\n        ');
+
+  const files = pages.map(page => `---FILE: ${page.file}---
+\`\`\`html
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${page.title}</title>
+  <link rel="stylesheet" href="styles.css">
+</head>
+<body>
+  <header class="navbar">
+    <span class="logo">DSY Mock</span>
+    <nav>
+        ${nav(page.file)}
+    </nav>
+  </header>
+  <main>
+    ${page.body}
+  </main>
+</body>
+</html>
+\`\`\``);
+
+  return `${files.join('\n\n')}
+
+---FILE: styles.css---
+\`\`\`css
+:root {
+  --color-bg: #0A090F;
+  --color-primary: #C5A059;
+  --color-text: #F1F5F9;
+}
+
+* { margin: 0; padding: 0; box-sizing: border-box; }
+
+body { font-family: 'Inter', sans-serif; background: var(--color-bg); color: var(--color-text); }
+
+.navbar { display: flex; justify-content: space-between; align-items: center; padding: 20px 40px; }
+.navbar nav a { color: var(--color-text); margin-left: 24px; text-decoration: none; }
+.navbar nav a.active { color: var(--color-primary); }
+.logo { color: var(--color-primary); font-weight: 700; }
+
+.hero, .page { padding: 120px 40px; text-align: center; }
+.hero h1, .page h1 { font-size: 48px; margin-bottom: 16px; }
+
+.button { display: inline-block; margin-top: 24px; padding: 12px 28px; border: none; border-radius: 8px; background: var(--color-primary); color: var(--color-bg); text-decoration: none; font-weight: 600; }
+
+.contact-form { display: flex; flex-direction: column; gap: 12px; max-width: 360px; margin: 32px auto 0; text-align: left; }
+.contact-form input { padding: 10px 12px; border-radius: 8px; border: 1px solid rgba(197, 160, 89, 0.3); background: transparent; color: var(--color-text); }
+\`\`\`
+
+---END---`;
+}
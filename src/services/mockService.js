@@ -0,0 +1,200 @@
+/**
+ * Mock AI Service
+ * Local stand-in for the code generators - no network, no API keys
+ * Enable with VITE_ENABLE_MOCK_AI=true
+ */
+
+import { parseGeneratedCode, parseReactOutput, parseSfcOutput } from './sambaNovaService';
+import { buildMockHtmlResponse, buildMockTailwindResponse, buildMockReactResponse, buildMockMultiPageResponse, buildMockVueResponse, buildMockSvelteResponse } from './mockResponses';
+
+const MOCK_ENABLED = import.meta.env.VITE_ENABLE_MOCK_AI === 'true';
+const MOCK_MODEL = 'dsy-mock';
+
+/**
+ * Check if the mock provider is enabled
+ * @returns {boolean}
+ */
+export function isMockConfigured() {
+  return MOCK_ENABLED;
+}
+
+/**
+ * Generate a canned web page (HTML + CSS)
+ * @param {string} prompt - User prompt
+ * @returns {Promise<Object>} Generated HTML and CSS code
+ */
+export async function generateWebPage(prompt) {
+  const content = buildMockHtmlResponse(prompt);
+  const { html, css } = parseGeneratedCode(content);
+
+  return {
+    success: true,
+    html,
+    css,
+    rawContent: content,
+    model: MOCK_MODEL,
+  };
+}
+
+/**
+ * Generate a canned Tailwind page (utility classes + Tailwind input stylesheet)
+ * @param {string} prompt - User prompt
+ * @returns {Promise<Object>} Generated HTML and CSS code
+ */
+export async function generateTailwindPage(prompt) {
+  const content = buildMockTailwindResponse(prompt);
+  const { html, css } = parseGeneratedCode(content);
+
+  return {
+    success: true,
+    html,
+    css,
+    rawContent: content,
+    model: MOCK_MODEL,
+  };
+}
+
+/**
+ * Generate a canned multi-page site (the router parses the pages from rawContent)
+ * @param {string} prompt - User prompt
+ * @returns {Promise<Object>} Home page HTML, shared CSS and the raw multi-page output
+ */
+export async function generateMultiPageSite(prompt) {
+  const content = buildMockMultiPageResponse(prompt);
+  const { html, css } = parseGeneratedCode(content);
+
+  return {
+    success: true,
+    html,
+    css,
+    rawContent: content,
+    model: MOCK_MODEL,
+  };
+}
+
+/**
+ * Generate a canned React application
+ * @param {string} prompt - User prompt
+ * @returns {Promise<Object>} Generated React component files
+ */
+export async function generateReactApp(prompt) {
+  const content = buildMockReactResponse(prompt);
+
+  return {
+    success: true,
+    files: parseReactOutput(content),
+    rawContent: content,
+    model: MOCK_MODEL,
+  };
+}
+
+/**
+ * Build the canned Vue or Svelte response
+ * @param {string} prompt - User prompt
+ * @param {string} framework - 'vue' or 'svelte'
+ * @returns {string} Raw model-style response
+ */
+function buildMockSfcResponse(prompt, framework) {
+  return framework === 'svelte' ? buildMockSvelteResponse(prompt) : buildMockVueResponse(prompt);
+}
+
+/**
+ * Generate a canned Vue 3 or Svelte application
+ * @param {string} prompt - User prompt
+ * @param {string} framework - 'vue' or 'svelte'
+ * @returns {Promise<Object>} Generated component files
+ */
+export async function generateSfcApp(prompt, framework) {
+  const content = buildMockSfcResponse(prompt, framework);
+
+  return {
+    success: true,
+    files: parseSfcOutput(content, framework),
+    rawContent: content,
+    model: MOCK_MODEL,
+  };
+}
+
+/**
+ * Replay canned content in small chunks to simulate a streaming model
+ * @param {string} content - Full canned response
+ * @param {Function} onChunk - Callback for each chunk: (text, fullContent)
+ * @returns {Promise<void>}
+ */
+async function emitInChunks(content, onChunk) {
+  const CHUNK_SIZE = 120;
+  let fullContent = '';
+
+  for (let i = 0; i < content.length; i += CHUNK_SIZE) {
+    const text = content.slice(i, i + CHUNK_SIZE);
+    fullContent += text;
+    if (onChunk) {
+      onChunk(text, fullContent);
+    }
+    await new Promise(resolve => setTimeout(resolve, 30));
+  }
+}
+
+/**
+ * Generate a canned web page with simulated streaming
+ * @param {string} prompt - User prompt
+ * @param {Function} onChunk - Callback for each chunk: (text, fullContent)
+ * @returns {Promise<Object>} Generated HTML and CSS code
+ */
+export async function generateWebPageStream(prompt, onChunk) {
+  await emitInChunks(buildMockHtmlResponse(prompt), onChunk);
+  return generateWebPage(prompt);
+}
+
+/**
+ * Generate a canned Tailwind page with simulated streaming
+ * @param {string} prompt - User prompt
+ * @param {Function} onChunk - Callback for each chunk: (text, fullContent)
+ * @returns {Promise<Object>} Generated HTML and CSS code
+ */
+export async function generateTailwindPageStream(prompt, onChunk) {
+  await emitInChunks(buildMockTailwindResponse(prompt), onChunk);
+  return generateTailwindPage(prompt);
+}
+
+/**
+ * Generate a canned React application with simulated streaming
+ * @param {string} prompt - User prompt
+ * @param {Function} onChunk - Callback for each chunk: (text, fullContent)
+ * @returns {Promise<Object>} Generated React component files
+ */
+export async function generateReactAppStream(prompt, onChunk) {
+  await emitInChunks(buildMockReactResponse(prompt), onChunk);
+  return generateReactApp(prompt);
+}
+
+/**
+ * Generate a canned multi-page site with simulated streaming
+ * @param {string} prompt - User prompt
+ * @param {Function} onChunk - Callback for each chunk: (text, fullContent)
+ * @returns {Promise<Object>} Home page HTML, shared CSS and the raw multi-page output
+ */
+export async function generateMultiPageSiteStream(prompt, onChunk) {
+  await emitInChunks(buildMockMultiPageResponse(prompt), onChunk);
+  return generateMultiPageSite(prompt);
+}
+
+/**
+ * Generate a canned Vue 3 or Svelte application with simulated streaming
+ * @param {string} prompt - User prompt
+ * @param {string} framework - 'vue' or 'svelte'
+ * @param {Function} onChunk - Callback for each chunk: (text, fullContent)
+ * @returns {Promise<Object>} Generated component files
+ */
+export async function generateSfcAppStream(prompt, framework, onChunk) {
+  await emitInChunks(buildMockSfcResponse(prompt, framework), onChunk);
+  return generateSfcApp(prompt, framework);
+}
+
+/**
+ * Plain text completion - canned responses are never cut off, so there is nothing to continue
+ * @returns {Promise<Object>} { success, text, finishReason }
+ */
+export async function generateText() {
+  return { success: true, text: '', finishReason: 'stop' };
+}
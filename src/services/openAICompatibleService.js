@@ -0,0 +1,241 @@
+/**
+ * OpenAI-Compatible AI Service
+ * Talks to any endpoint that implements the OpenAI /chat/completions API
+ * (OpenRouter, Together, Groq, a local llama.cpp / Ollama server, ...)
+ */
+
+import { PROMPTS, buildWebPageMessages, parseGeneratedCode, parseReactOutput, parseSfcOutput } from './sambaNovaService';
+import { withDesignSpecs } from '../utils/designSpec';
+import { selectModelImages, describeImageRoles } from '../utils/assetRoles';
+
+// Environment configuration
+const OPENAI_COMPAT_BASE_URL = (import.meta.env.VITE_OPENAI_COMPAT_BASE_URL || '').replace(/\/+$/, '');
+const OPENAI_COMPAT_API_KEY = import.meta.env.VITE_OPENAI_COMPAT_API_KEY || '';
+const OPENAI_COMPAT_MODEL = import.meta.env.VITE_OPENAI_COMPAT_MODEL || 'gpt-4o-mini';
+const OPENAI_COMPAT_VISION = import.meta.env.VITE_OPENAI_COMPAT_VISION === 'true';
+const OPENAI_COMPAT_MAX_TOKENS = parseInt(import.meta.env.VITE_OPENAI_COMPAT_MAX_TOKENS || '8192', 10);
+
+/**
+ * Check if an OpenAI-compatible endpoint is configured
+ * An API key is optional - local servers usually don't need one
+ * @returns {boolean}
+ */
+export function isOpenAICompatibleConfigured() {
+  return Boolean(OPENAI_COMPAT_BASE_URL);
+}
+
+/**
+ * Check if the configured model accepts image input
+ * @returns {boolean}
+ */
+export function supportsVision() {
+  return OPENAI_COMPAT_VISION;
+}
+
+/**
+ * Get the max output tokens configured for the endpoint
+ * @returns {number}
+ */
+export function getMaxTokens() {
+  return OPENAI_COMPAT_MAX_TOKENS;
+}
+
+/**
+ * Make a chat completion call to the configured endpoint
+ * @param {Array} messages - Chat messages array
+ * @param {Object} options - Additional options
+ * @returns {Promise<Object>} Response data
+ */
+async function callChatCompletions(messages, options = {}) {
+  if (!OPENAI_COMPAT_BASE_URL) {
+    throw new Error('OpenAI-compatible endpoint not configured. Please set VITE_OPENAI_COMPAT_BASE_URL in your environment.');
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (OPENAI_COMPAT_API_KEY) {
+    headers['Authorization'] = `Bearer ${OPENAI_COMPAT_API_KEY}`;
+  }
+
+  const response = await fetch(`${OPENAI_COMPAT_BASE_URL}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model: OPENAI_COMPAT_MODEL,
+      messages,
+      temperature: options.temperature ?? 0.4,
+      max_tokens: Math.min(options.maxTokens ?? OPENAI_COMPAT_MAX_TOKENS, OPENAI_COMPAT_MAX_TOKENS),
+      stream: false,
+    }),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error?.message || `API request failed with status ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Build the user message, attaching images as image_url parts when vision is enabled
+ * @param {string} text - Prompt text
+ * @param {Array} assets - Attached assets
+ * @returns {Object} Chat message
+ */
+function buildUserMessage(text, assets = []) {
+  const imageAssets = OPENAI_COMPAT_VISION ? selectModelImages(assets) : [];
+
+  if (imageAssets.length === 0) {
+    return { role: 'user', content: text };
+  }
+
+  return {
+    role: 'user',
+    content: [
+      ...imageAssets.map(a => ({ type: 'image_url', image_url: { url: a.data } })),
+      { type: 'text', text: `${text}\n\n${describeImageRoles(imageAssets, assets)}` },
+    ],
+  };
+}
+
+/**
+ * Generate a complete web page (HTML + CSS), or a multi-page site
+ * @param {string} prompt - Detailed prompt describing the web page
+ * @param {Array} assets - Attached assets (images are sent when vision is enabled)
+ * @param {Object|null} designJSON - Design specifications
+ * @param {string} framework - 'html' or 'multipage'
+ * @returns {Promise<Object>} Generated HTML and CSS code
+ */
+export async function generateWebPage(prompt, assets = [], designJSON = null, framework = 'html') {
+  // Same system prompt and request as SambaNova, with images attached to the request
+  const [systemMessage, userMessage] = buildWebPageMessages(prompt, designJSON, framework);
+  const messages = [systemMessage, buildUserMessage(userMessage.content, assets)];
+
+  try {
+    const response = await callChatCompletions(messages, { temperature: 0.4 });
+    const content = response.choices[0]?.message?.content || '';
+    const { html, css } = parseGeneratedCode(content);
+
+    return {
+      success: true,
+      html,
+      css,
+      rawContent: content,
+      finishReason: response.choices[0]?.finish_reason || null,
+      model: OPENAI_COMPAT_MODEL,
+      usage: response.usage,
+    };
+  } catch (error) {
+    console.error('OpenAI-compatible web page generation error:', error);
+    return {
+      success: false,
+      error: error.message,
+      html: '',
+      css: '',
+      rawContent: '',
+    };
+  }
+}
+
+/**
+ * Generate a complete React application
+ * @param {string} prompt - Detailed prompt describing the React app
+ * @param {Array} assets - Attached assets (images are sent when vision is enabled)
+ * @param {Object|null} designJSON - Design specifications
+ * @returns {Promise<Object>} Generated React component files
+ */
+export async function generateReactApp(prompt, assets = [], designJSON = null) {
+  const messages = [
+    { role: 'system', content: PROMPTS.REACT_GENERATOR },
+    buildUserMessage(
+      `Create a complete, beautiful React/TypeScript application based on this description:\n\n${withDesignSpecs(prompt, designJSON)}\n\nGenerate complete, production-ready React components and CSS. Use the exact file marker format: ---FILE: filename---`,
+      assets
+    ),
+  ];
+
+  try {
+    const response = await callChatCompletions(messages, { temperature: 0.4 });
+    const content = response.choices[0]?.message?.content || '';
+
+    return {
+      success: true,
+      files: parseReactOutput(content),
+      rawContent: content,
+      finishReason: response.choices[0]?.finish_reason || null,
+      model: OPENAI_COMPAT_MODEL,
+      usage: response.usage,
+    };
+  } catch (error) {
+    console.error('OpenAI-compatible React generation error:', error);
+    return {
+      success: false,
+      error: error.message,
+      files: [],
+      rawContent: '',
+    };
+  }
+}
+
+/**
+ * Generate a complete Vue 3 or Svelte application
+ * @param {string} prompt - Detailed prompt describing the app
+ * @param {string} framework - 'vue' or 'svelte'
+ * @param {Array} assets - Attached assets (images are sent when vision is enabled)
+ * @param {Object|null} designJSON - Design specifications
+ * @returns {Promise<Object>} Generated component files
+ */
+export async function generateSfcApp(prompt, framework, assets = [], designJSON = null) {
+  const isSvelte = framework === 'svelte';
+  const messages = [
+    { role: 'system', content: isSvelte ? PROMPTS.SVELTE_GENERATOR : PROMPTS.VUE_GENERATOR },
+    buildUserMessage(
+      `Create a complete, beautiful ${isSvelte ? 'Svelte' : 'Vue 3'} application based on this description:\n\n${withDesignSpecs(prompt, designJSON)}\n\nGenerate complete, production-ready ${isSvelte ? '.svelte' : '.vue'} components and CSS. Use the exact file marker format: ---FILE: filename---`,
+      assets
+    ),
+  ];
+
+  try {
+    const response = await callChatCompletions(messages, { temperature: 0.4 });
+    const content = response.choices[0]?.message?.content || '';
+
+    return {
+      success: true,
+      files: parseSfcOutput(content, framework),
+      rawContent: content,
+      finishReason: response.choices[0]?.finish_reason || null,
+      model: OPENAI_COMPAT_MODEL,
+      usage: response.usage,
+    };
+  } catch (error) {
+    console.error(`OpenAI-compatible ${framework} generation error:`, error);
+    return {
+      success: false,
+      error: error.message,
+      files: [],
+      rawContent: '',
+    };
+  }
+}
+
+/**
+ * Plain text completion (used to continue or repair cut-off generations)
+ * @param {Object} options - { system, prompt, maxTokens }
+ * @returns {Promise<Object>} { success, text, finishReason, error }
+ */
+export async function generateText({ system, prompt, maxTokens }) {
+  try {
+    const response = await callChatCompletions([
+      { role: 'system', content: system },
+      { role: 'user', content: prompt },
+    ], { temperature: 0.2, maxTokens });
+
+    return {
+      success: true,
+      text: response.choices[0]?.message?.content || '',
+      finishReason: response.choices[0]?.finish_reason || null,
+    };
+  } catch (error) {
+    console.error('OpenAI-compatible text generation error:', error);
+    return { success: false, error: error.message, text: '' };
+  }
+}
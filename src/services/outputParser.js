@@ -0,0 +1,541 @@
+/**
+ * Generation Output Parser
+ * One parser for every model output format, shared by all providers and the chatbot:
+ * - web pages: ```html / ```css blocks (or a bare HTML document)
+ * - file markers: ---FILE: path--- sections (React, Vue, Svelte, multi-page sites)
+ * - chat edits: SEARCH/REPLACE blocks (```edit:index.html) or unified diffs (```diff) for any
+ *   project file, with whole-file blocks (```css:styles.css) as the fallback and for new files
+ * Every result carries per-file diagnostics and a truncation flag, so callers can
+ * continue or repair a cut-off response instead of silently getting empty strings
+ */
+
+/**
+ * @typedef {Object} ParseDiagnostic
+ * @property {'error'|'warning'|'info'} level - error = unusable, warning = usable but suspicious
+ * @property {string} code - Machine-readable code (e.g. 'unclosed-fence', 'missing-html')
+ * @property {string|null} file - File the diagnostic is about (null = whole response)
+ * @property {string} message - Human-readable explanation
+ */
+
+/**
+ * @typedef {Object} ParsedFile
+ * @property {string} name - File path (e.g. 'index.html', 'components/Header.tsx')
+ * @property {string} content - File content without code fences
+ * @property {string} language - Monaco language ID
+ * @property {boolean} complete - False when the file looks cut off
+ */
+
+/**
+ * @typedef {Object} ParseResult
+ * @property {boolean} ok - Required files were found and nothing is truncated
+ * @property {boolean} truncated - The response was cut off (unclosed fence/document or token limit)
+ * @property {Array<ParsedFile>} files - Parsed files
+ * @property {Array<ParseDiagnostic>} diagnostics - Problems found while parsing
+ */
+
+// Finish reasons that mean the model hit its output token limit (Gemini / OpenAI-style)
+const TRUNCATED_FINISH_REASONS = ['MAX_TOKENS', 'length'];
+
+const FILE_MARKER_REGEX = /---FILE:\s*(.+?)---\s*([\s\S]*?)(?=---FILE:|---END---|$)/g;
+
+// <<<<<<< SEARCH / ======= / >>>>>>> REPLACE (the markers may be 5-9 characters long)
+const SEARCH_REPLACE_REGEX = /^[ \t]*<{5,9} ?SEARCH[^\n]*\n([\s\S]*?)^[ \t]*={5,9}[^\n]*\n([\s\S]*?)^[ \t]*>{5,9} ?REPLACE[^\n]*$/gm;
+
+// Project files assumed when the caller doesn't list them
+const DEFAULT_CHAT_PROJECT_FILES = ['index.html', 'styles.css'];
+
+const LANGUAGE_BY_EXTENSION = {
+  ts: 'typescript',
+  tsx: 'typescript',
+  js: 'javascript',
+  jsx: 'javascript',
+  html: 'html',
+  vue: 'html', // Monaco has no Vue/Svelte grammar - HTML fits template + script + style best
+  svelte: 'html',
+  css: 'css',
+  json: 'json',
+  md: 'markdown',
+};
+
+/**
+ * Monaco language for a file name
+ * @param {string} fileName - File name or path
+ * @returns {string} Language ID (defaults to 'javascript' for unknown script-like files)
+ */
+export function languageForFile(fileName) {
+  return LANGUAGE_BY_EXTENSION[fileName.split('.').pop().toLowerCase()] || 'javascript';
+}
+
+/**
+ * Check if a provider finish reason means the output hit the token limit
+ * @param {string|null} finishReason - Provider finish reason
+ * @returns {boolean}
+ */
+export function isTruncatedFinish(finishReason) {
+  return TRUNCATED_FINISH_REASONS.includes(finishReason);
+}
+
+/**
+ * Create a diagnostic entry
+ * @param {string} level - 'error', 'warning' or 'info'
+ * @param {string} code - Machine-readable code
+ * @param {string|null} file - File name (null = whole response)
+ * @param {string} message - Human-readable explanation
+ * @returns {ParseDiagnostic}
+ */
+function diagnostic(level, code, file, message) {
+  return { level, code, file, message };
+}
+
+/**
+ * Drop comments and string literals so brace counting only sees code
+ * @param {string} code - CSS or script source
+ * @returns {string} Source without comments/strings
+ */
+function stripCommentsAndStrings(code) {
+  return code
+    .replace(/\/\*[\s\S]*?(\*\/|$)/g, '')
+    .replace(/(^|[^:])\/\/.*$/gm, '$1')
+    .replace(/"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'/g, '""');
+}
+
+/**
+ * Check that a file's brackets/tags are closed (a cut-off file usually is not)
+ * @param {string} name - File name
+ * @param {string} content - File content
+ * @returns {boolean} True when the file looks structurally complete
+ */
+function looksComplete(name, content) {
+  const extension = name.split('.').pop().toLowerCase();
+
+  if (['html', 'vue', 'svelte'].includes(extension)) {
+    const count = (pattern) => (content.match(pattern) || []).length;
+    if (/<html[\s>]/i.test(content) && !/<\/html>/i.test(content)) return false;
+    return ['script', 'style', 'template'].every(tag =>
+      count(new RegExp(`<${tag}[\\s>]`, 'gi')) <= count(new RegExp(`</${tag}>`, 'gi')));
+  }
+
+  if (['css', 'ts', 'tsx', 'js', 'jsx', 'json'].includes(extension)) {
+    const code = stripCommentsAndStrings(content);
+    const opened = (code.match(/[{(]/g) || []).length;
+    const closed = (code.match(/[})]/g) || []).length;
+    return opened <= closed;
+  }
+
+  return true;
+}
+
+/**
+ * Find every fenced code block, including a final one that was never closed
+ * Info strings may carry a file name: ```css:styles.css
+ * @param {string} content - Raw model output
+ * @returns {Array} [{ language, fileName, content, closed }]
+ */
+export function extractCodeBlocks(content) {
+  const blocks = [];
+  const fenceRegex = /```([\w+-]*)(?::([^\s`]+))?[^\S\n]*\n?([\s\S]*?)```/g;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = fenceRegex.exec(content)) !== null) {
+    blocks.push({
+      language: (match[1] || '').toLowerCase(),
+      fileName: match[2] || null,
+      content: match[3].trim(),
+      closed: true,
+    });
+    lastIndex = fenceRegex.lastIndex;
+  }
+
+  // An opening fence after the last closed block means the output stopped mid-block
+  const rest = content.slice(lastIndex);
+  const openFence = rest.match(/```([\w+-]*)(?::([^\s`]+))?[^\S\n]*\n([\s\S]*)$/);
+  if (openFence) {
+    blocks.push({
+      language: (openFence[1] || '').toLowerCase(),
+      fileName: openFence[2] || null,
+      content: openFence[3].trim(),
+      closed: false,
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Guess what an untagged code block contains
+ * @param {string} code - Block content
+ * @returns {'html'|'css'|null}
+ */
+function detectBlockLanguage(code) {
+  if (/<!DOCTYPE|<html[\s>]|<head[\s>]|<body[\s>]/i.test(code)) return 'html';
+  if (/[.#\w-][^{}]*\{[^{}]*:[^{}]*\}?/.test(code) && !/<\w+/.test(code)) return 'css';
+  return null;
+}
+
+/**
+ * Finish a parse result: compute ok/truncated from the diagnostics
+ * @param {Array<ParsedFile>} files - Parsed files
+ * @param {Array<ParseDiagnostic>} diagnostics - Diagnostics so far
+ * @param {string|null} finishReason - Provider finish reason
+ * @returns {ParseResult}
+ */
+function buildResult(files, diagnostics, finishReason) {
+  if (isTruncatedFinish(finishReason)) {
+    diagnostics.push(diagnostic('error', 'max-tokens', null,
+      `The model stopped at its output token limit (finish reason: ${finishReason})`));
+  }
+
+  const truncated = diagnostics.some(d => ['max-tokens', 'unclosed-fence', 'truncated-file'].includes(d.code));
+  return {
+    ok: !truncated && !diagnostics.some(d => d.level === 'error'),
+    truncated,
+    files,
+    diagnostics,
+  };
+}
+
+/**
+ * Parse a single web page (```html + ```css blocks, or a bare HTML document)
+ * @param {string} content - Raw model output
+ * @param {Object} [options] - { finishReason, existingFiles }
+ *   existingFiles: current project files ([{ name }]) a refinement is merged into -
+ *   an index.html left out of the response is kept from them, so it is not reported missing
+ * @returns {ParseResult & {html: string, css: string}}
+ */
+export function parseWebPageOutput(content, { finishReason = null, existingFiles = [] } = {}) {
+  const diagnostics = [];
+  const text = content || '';
+  const blocks = extractCodeBlocks(text);
+
+  let htmlBlock = blocks.find(b => b.language === 'html');
+  let cssBlock = blocks.find(b => b.language === 'css');
+
+  // Untagged blocks: identify by structure
+  for (const block of blocks.filter(b => !b.language)) {
+    const detected = detectBlockLanguage(block.content);
+    if (detected === 'html' && !htmlBlock) htmlBlock = block;
+    else if (detected === 'css' && !cssBlock) cssBlock = block;
+  }
+
+  let html = htmlBlock?.content || '';
+  let css = cssBlock?.content || '';
+
+  // No html block: look for a bare document in the text
+  if (!htmlBlock) {
+    const documentMatch = text.match(/(?:<!DOCTYPE\s+html[^>]*>\s*)?<html[^>]*>[\s\S]*?(<\/html>|$)/i);
+    if (documentMatch) {
+      html = documentMatch[0].trim();
+      diagnostics.push(diagnostic('info', 'unfenced-html', 'index.html', 'HTML was not in a ```html block; extracted the bare document'));
+      if (!documentMatch[1]) {
+        diagnostics.push(diagnostic('error', 'truncated-file', 'index.html', 'The HTML document has no closing </html> tag'));
+      }
+    }
+  }
+
+  // No css block: fall back to <style> tags inside the page
+  if (!css && html) {
+    const styles = [...html.matchAll(/<style[^>]*>([\s\S]*?)<\/style>/gi)].map(m => m[1].trim()).filter(Boolean);
+    if (styles.length > 0) {
+      css = styles.join('\n\n');
+      diagnostics.push(diagnostic('info', 'inline-css', 'styles.css', 'CSS was taken from <style> tags in the HTML'));
+    }
+  }
+
+  for (const [block, name] of [[htmlBlock, 'index.html'], [cssBlock, 'styles.css']]) {
+    if (block && !block.closed) {
+      diagnostics.push(diagnostic('error', 'unclosed-fence', name, `The ${name} code block was never closed - the output was cut off`));
+    }
+  }
+
+  if (!html) {
+    if (!existingFiles.some(f => f.name === 'index.html')) {
+      diagnostics.push(diagnostic('error', 'missing-html', 'index.html', 'No HTML found in the response'));
+    }
+  } else {
+    if (!/<!DOCTYPE|<html[\s>]/i.test(html)) {
+      diagnostics.push(diagnostic('warning', 'html-fragment', 'index.html', 'HTML is a fragment without <!DOCTYPE>/<html>; it will be wrapped in a document'));
+    } else if (htmlBlock?.closed && !looksComplete('index.html', html)) {
+      diagnostics.push(diagnostic('warning', 'unbalanced-html', 'index.html', 'The HTML document has no closing </html> tag'));
+    }
+  }
+
+  if (!css) {
+    diagnostics.push(diagnostic('warning', 'missing-css', 'styles.css', 'No CSS found in the response'));
+  } else if (cssBlock?.closed && !looksComplete('styles.css', css)) {
+    diagnostics.push(diagnostic('warning', 'unbalanced-css', 'styles.css', 'The CSS has unclosed braces'));
+  }
+
+  const files = [];
+  const unclosed = (name) => diagnostics.some(d => d.file === name && ['unclosed-fence', 'truncated-file'].includes(d.code));
+  if (html) files.push({ name: 'index.html', content: html, language: 'html', complete: !unclosed('index.html') });
+  if (css) files.push({ name: 'styles.css', content: css, language: 'css', complete: !unclosed('styles.css') });
+
+  return { ...buildResult(files, diagnostics, finishReason), html, css };
+}
+
+/**
+ * Parse ---FILE: path--- marker output (React, Vue, Svelte and multi-page sites)
+ * @param {string} content - Raw model output
+ * @param {Object} [options] - { finishReason, stripSrcPrefix: drop a leading src/ from paths }
+ * @returns {ParseResult}
+ */
+export function parseFileMarkerOutput(content, { finishReason = null, stripSrcPrefix = false } = {}) {
+  const diagnostics = [];
+  const text = content || '';
+  const files = [];
+
+  let match;
+  FILE_MARKER_REGEX.lastIndex = 0;
+  while ((match = FILE_MARKER_REGEX.exec(text)) !== null) {
+    let name = match[1].trim().replace(/^\.?\//, '');
+    if (stripSrcPrefix) name = name.replace(/^src\//, '');
+
+    let fileContent = match[2].trim();
+    let closedFence = true;
+    // Sections may wrap their code in a fence; an opening fence without a closing one was cut off
+    const fence = fileContent.match(/^```[\w+-]*(?::\S+)?[^\S\n]*\n?/);
+    if (fence) {
+      fileContent = fileContent.slice(fence[0].length);
+      closedFence = /\n?```\s*$/.test(fileContent);
+      fileContent = fileContent.replace(/\n?```\s*$/, '').trim();
+    }
+
+    if (!closedFence) {
+      diagnostics.push(diagnostic('error', 'unclosed-fence', name, `The code block for ${name} was never closed - the output was cut off`));
+    }
+    if (!fileContent) {
+      diagnostics.push(diagnostic('warning', 'empty-file', name, `${name} is empty`));
+    }
+
+    files.push({ name, content: fileContent, language: languageForFile(name), complete: closedFence });
+  }
+
+  if (files.length === 0) {
+    diagnostics.push(diagnostic('error', 'no-files', null, 'No ---FILE: path--- sections found in the response'));
+  } else if (!/---END---/.test(text)) {
+    // Without the end marker, a structurally open last file means the output stopped mid-file
+    const last = files[files.length - 1];
+    if (last.complete && !looksComplete(last.name, last.content)) {
+      last.complete = false;
+      diagnostics.push(diagnostic('error', 'truncated-file', last.name, `${last.name} ends mid-file and the ---END--- marker is missing`));
+    } else {
+      diagnostics.push(diagnostic('info', 'missing-end-marker', null, 'The ---END--- marker is missing'));
+    }
+  }
+
+  return buildResult(files, diagnostics, finishReason);
+}
+
+/**
+ * Parse a multi-page site (marker sections), falling back to a single ```html/```css page
+ * @param {string} content - Raw model output
+ * @param {Object} [options] - { finishReason, existingFiles }
+ *   existingFiles: current project files ([{ name }]) a refinement is merged into -
+ *   refinements return only the changed files, so the site's pages may all be in there
+ * @returns {ParseResult & {pages: Array, css: string}} Pages with index.html first
+ */
+export function parseMultiPageSiteOutput(content, { finishReason = null, existingFiles = [] } = {}) {
+  const parsed = parseFileMarkerOutput(content, { finishReason });
+
+  if (!parsed.files.length) {
+    const single = parseWebPageOutput(content, { finishReason, existingFiles });
+    const pages = single.html ? [{ name: 'index.html', content: single.html }] : [];
+    return { ...single, pages, css: single.css };
+  }
+
+  const pages = parsed.files
+    .filter(f => f.name.endsWith('.html'))
+    .map(({ name, content: pageContent }) => ({ name, content: pageContent }))
+    .sort((a, b) => (b.name === 'index.html') - (a.name === 'index.html'));
+  const css = parsed.files.filter(f => f.name.endsWith('.css')).map(f => f.content).join('\n\n');
+
+  const diagnostics = [...parsed.diagnostics];
+  if (pages.length === 0 && !existingFiles.some(f => f.name.endsWith('.html'))) {
+    diagnostics.push(diagnostic('error', 'missing-html', null, 'No .html pages found in the response'));
+  }
+
+  return { ...buildResult(parsed.files, diagnostics, null), pages, css };
+}
+
+/**
+ * Parse the SEARCH/REPLACE blocks of an edit block
+ * @param {string} text - Block content
+ * @param {string|null} file - File the block edits
+ * @returns {Array} [{ file, search, replace, hint: null, source: 'search-replace' }]
+ */
+function parseSearchReplaceBlocks(text, file) {
+  return [...text.matchAll(SEARCH_REPLACE_REGEX)].map(match => ({
+    file,
+    search: match[1].replace(/\n$/, ''),
+    replace: match[2].replace(/\n$/, ''),
+    hint: null,
+    source: 'search-replace',
+  }));
+}
+
+/**
+ * Parse a unified diff into one edit per hunk (context + removed lines -> context + added lines)
+ * The hunk's old start line is kept as a hint for where to apply it
+ * @param {string} text - Diff text (may cover several files)
+ * @param {string|null} defaultFile - File when the diff has no +++ header
+ * @returns {Array} [{ file, search, replace, hint, source: 'diff' }]
+ */
+function parseUnifiedDiff(text, defaultFile) {
+  const edits = [];
+  let file = defaultFile;
+  let hunk = null;
+  const flush = () => {
+    if (hunk) {
+      edits.push({ file, search: hunk.old.join('\n'), replace: hunk.new.join('\n'), hint: hunk.start, source: 'diff' });
+    }
+    hunk = null;
+  };
+
+  for (const line of text.split('\n')) {
+    if (line.startsWith('--- ')) {
+      flush();
+      continue;
+    }
+    if (line.startsWith('+++ ')) {
+      flush();
+      const path = line.slice(4).split('\t')[0].trim().replace(/^[ab]\//, '');
+      if (path !== '/dev/null') file = path;
+      continue;
+    }
+    const header = line.match(/^@@ -(\d+)(?:,\d+)? \+\d+(?:,\d+)? @@/);
+    if (header) {
+      flush();
+      hunk = { start: Math.max(0, Number(header[1]) - 1), old: [], new: [] };
+      continue;
+    }
+    if (!hunk || line.startsWith('\\')) continue;
+
+    if (line.startsWith('-')) {
+      hunk.old.push(line.slice(1));
+    } else if (line.startsWith('+')) {
+      hunk.new.push(line.slice(1));
+    } else {
+      // Context line (models often drop the leading space of blank lines)
+      const context = line.startsWith(' ') ? line.slice(1) : line;
+      hunk.old.push(context);
+      hunk.new.push(context);
+    }
+  }
+  flush();
+  return edits;
+}
+
+/**
+ * Normalize a file path the chatbot wrote (./a.css, /a.css, a/b.tsx)
+ * @param {string} path
+ * @returns {string|null} Project-relative path, or null when it isn't a file path inside the project
+ */
+function normalizeChatPath(path) {
+  const normalized = path.trim().replace(/^(\.\/|\/)+/, '');
+  if (!/\.\w+$/.test(normalized) || normalized.split('/').includes('..')) return null;
+  return normalized;
+}
+
+/**
+ * Parse chatbot replies for edits: SEARCH/REPLACE blocks (```edit:index.html) and unified diffs
+ * (```diff) come back as edits to apply to the current files (see utils/patchApply);
+ * whole-file blocks tagged with a path (```html:index.html, ```tsx:components/Footer.tsx) replace
+ * or create that file and win over edits to it.
+ * An untagged block only counts when it is a full HTML document (it replaces the main page) -
+ * short snippets in an explanation are examples, not replacements. Skipped blocks are reported, not dropped silently
+ * @param {string} content - Chatbot reply
+ * @param {Object} [options] - { projectFiles: paths of the current files, mainPage: file an untagged HTML document replaces }
+ * @returns {ParseResult & {edits: Array}} files = whole files to write, edits = changes to apply
+ */
+export function parseChatEditOutput(content, { projectFiles = DEFAULT_CHAT_PROJECT_FILES, mainPage = 'index.html' } = {}) {
+  const diagnostics = [];
+  const blocks = extractCodeBlocks(content || '');
+  const defaultFile = (language) => projectFiles.find(path => path.split('.').pop() === language) || null;
+
+  // Structured edits
+  const edits = [];
+  const editBlocks = new Set();
+  for (const block of blocks) {
+    const isSearchReplace = /^[ \t]*<{5,9} ?SEARCH/m.test(block.content);
+    const isDiff = !isSearchReplace && (['diff', 'patch'].includes(block.language) ||
+      (/^@@ -\d+/m.test(block.content) && /^\+\+\+ /m.test(block.content)));
+    if (!isSearchReplace && !isDiff) continue;
+
+    editBlocks.add(block);
+    const file = block.fileName ? normalizeChatPath(block.fileName) : defaultFile(block.language);
+    if (!block.closed) {
+      diagnostics.push(diagnostic('error', 'unclosed-fence', file,
+        `An edit block${file ? ` for ${file}` : ''} was cut off, so it was not applied`));
+      continue;
+    }
+
+    const blockEdits = isSearchReplace ? parseSearchReplaceBlocks(block.content, file) : parseUnifiedDiff(block.content, file);
+    if (blockEdits.length === 0) {
+      diagnostics.push(diagnostic('warning', 'empty-edit', file, 'An edit block had no complete SEARCH/REPLACE block or diff hunk'));
+    }
+    for (const edit of blockEdits) {
+      const path = edit.file && normalizeChatPath(edit.file);
+      if (!path) {
+        diagnostics.push(diagnostic('warning', 'edit-without-file', null, 'An edit block did not say which project file it changes, so it was not applied'));
+      } else if (!projectFiles.includes(path) && edit.search.trim()) {
+        // Only an empty SEARCH can create a file - anything else quotes code that doesn't exist
+        diagnostics.push(diagnostic('warning', 'snippet-not-applied', path,
+          `An edit to ${path} was not applied (there is no such file in the project)`));
+      } else {
+        edits.push({ ...edit, file: path });
+      }
+    }
+  }
+
+  // Whole files: blocks tagged with a path, or an untagged full HTML document for the main page
+  const files = [];
+  for (const block of blocks) {
+    if (editBlocks.has(block)) continue;
+    const isDocument = block.language === 'html' && /<!DOCTYPE|<html[\s>]/i.test(block.content);
+    const name = block.fileName ? normalizeChatPath(block.fileName) : (isDocument ? mainPage : null);
+
+    if (!name) {
+      if (block.fileName) {
+        diagnostics.push(diagnostic('info', 'snippet-not-applied', block.fileName,
+          `A block for ${block.fileName} was not applied (it is not a file path inside the project)`));
+      } else if (['html', 'css'].includes(block.language)) {
+        diagnostics.push(diagnostic('info', 'snippet-not-applied', null,
+          `A ${block.language} snippet without a file marker was treated as an example, not applied`));
+      }
+      continue;
+    }
+    if (files.some(f => f.name === name)) {
+      diagnostics.push(diagnostic('info', 'duplicate-file', name, `${name} was sent more than once - the first version was used`));
+    } else if (!block.closed) {
+      diagnostics.push(diagnostic('error', 'unclosed-fence', name, `The ${name} block was cut off, so it was not applied`));
+    } else if (!block.content) {
+      diagnostics.push(diagnostic('warning', 'empty-file', name, `The ${name} block is empty, so it was not applied`));
+    } else {
+      files.push({ name, content: block.content, language: languageForFile(name), complete: true });
+    }
+  }
+
+  // A whole file replaces any edits to it
+  for (const { name } of files) {
+    if (edits.some(e => e.file === name)) {
+      diagnostics.push(diagnostic('info', 'edits-superseded', name, `The whole ${name} was sent, so its separate edits were ignored`));
+      edits.splice(0, edits.length, ...edits.filter(e => e.file !== name));
+    }
+  }
+
+  return { ...buildResult(files, diagnostics, null), edits };
+}
+
+/**
+ * Human-readable summary of the problems in a parse result
+ * @param {ParseResult} result - Parse result
+ * @param {Array<string>} [levels] - Levels to include
+ * @returns {string} One line per diagnostic
+ */
+export function describeDiagnostics(result, levels = ['error', 'warning']) {
+  return result.diagnostics
+    .filter(d => levels.includes(d.level))
+    .map(d => `- ${d.file ? `${d.file}: ` : ''}${d.message}`)
+    .join('\n');
+}
@@ -0,0 +1,114 @@
+/**
+ * AI Provider Registry
+ * Keeps track of every code generation backend and what it can do
+ * The router asks the registry for an ordered fallback chain per request
+ */
+
+// Registered providers, keyed by ID (insertion order = default priority)
+const providers = new Map();
+
+/**
+ * Register a code generation provider (re-registering an ID replaces it)
+ * @param {Object} provider
+ * @param {string} provider.id - Unique provider ID (e.g. 'gemini')
+ * @param {string} provider.label - Display name for the UI
+ * @param {Object} provider.capabilities - { vision, streaming, maxTokens, react }
+ * @param {Function} provider.isConfigured - Returns true when keys/URLs are present
+ * @param {Function} provider.generate - async ({ prompt, assets, framework, designJSON, styling }) => result
+ * @param {Function} [provider.generateStream] - Same as generate, plus an onChunk(text, fullContent) callback
+ *   (required when capabilities.streaming is true)
+ * @param {Function} [provider.generateText] - async ({ system, prompt, maxTokens }) => { success, text, finishReason }
+ *   Plain completion used to continue cut-off output
+ *
+ * generate/generateStream results should include rawContent and the provider's finishReason
+ * so the router can tell when output hit the token limit
+ */
+export function registerProvider(provider) {
+  if (!provider?.id || typeof provider.generate !== 'function') {
+    throw new Error('Provider must have an id and a generate() function');
+  }
+
+  if (provider.capabilities?.streaming && typeof provider.generateStream !== 'function') {
+    throw new Error(`Provider "${provider.id}" declares streaming but has no generateStream() function`);
+  }
+
+  providers.set(provider.id, {
+    label: provider.id,
+    isConfigured: () => true,
+    ...provider,
+    capabilities: {
+      vision: false,
+      streaming: false,
+      maxTokens: 4096,
+      react: false,
+      ...provider.capabilities,
+    },
+  });
+}
+
+/**
+ * Remove a provider from the registry
+ * @param {string} id - Provider ID
+ */
+export function unregisterProvider(id) {
+  providers.delete(id);
+}
+
+/**
+ * Get a provider by ID
+ * @param {string} id - Provider ID
+ * @returns {Object|null}
+ */
+export function getProvider(id) {
+  return providers.get(id) || null;
+}
+
+/**
+ * List all registered providers
+ * @returns {Array} Providers in priority order
+ */
+export function listProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * List providers that have their keys/endpoints configured
+ * @returns {Array} Configured providers in priority order
+ */
+export function getAvailableProviders() {
+  return listProviders().filter(p => p.isConfigured());
+}
+
+/**
+ * Check if a provider can handle a request
+ * @param {Object} provider - Registered provider
+ * @param {Object} requirements - { vision, react, streaming }
+ * @returns {boolean}
+ */
+export function supportsRequirements(provider, requirements = {}) {
+  const { capabilities } = provider;
+  if (requirements.vision && !capabilities.vision) return false;
+  if (requirements.react && !capabilities.react) return false;
+  if (requirements.streaming && !capabilities.streaming) return false;
+  return true;
+}
+
+/**
+ * Build the ordered list of providers to try for a request
+ * The preferred provider goes first (if it qualifies), then the rest in priority order
+ * @param {Object} requirements - { vision, react, streaming }
+ * @param {string} preferred - Preferred provider ID, or 'auto'
+ * @param {Array<string>} order - Default priority order for this kind of request
+ * @returns {Array} Providers to try, in order
+ */
+export function resolveProviderChain(requirements = {}, preferred = 'auto', order = []) {
+  const candidates = getAvailableProviders().filter(p => supportsRequirements(p, requirements));
+
+  const rank = (p) => {
+    if (p.id === preferred) return -1;
+    const index = order.indexOf(p.id);
+    return index === -1 ? order.length : index;
+  };
+
+  return candidates.sort((a, b) => rank(a) - rank(b));
+}
@@ -3,6 +3,10 @@
  * Integrates with SambaNova Cloud API for AI-powered features
  */
 
+import { readSSEStream } from '../utils/sseStream';
+import { parseWebPageOutput, parseFileMarkerOutput, parseMultiPageSiteOutput } from './outputParser';
+import { withDesignSpecs } from '../utils/designSpec';
+
 // Environment configuration
 const SAMBANOVA_API_KEY = import.meta.env.VITE_SAMBANOVA_API_KEY || '';
 const SAMBANOVA_BASE_URL = import.meta.env.VITE_SAMBANOVA_BASE_URL || 'https://api.sambanova.ai/v1';
@@ -13,6 +17,21 @@ const MODELS = {
   CODE_GENERATION: 'Qwen3-32B',
 };
 
+// Image sources for HTML output, shared by the single and multi-page generators
+const IMAGE_REQUIREMENTS = `IMAGE REQUIREMENTS (CRITICAL - EVERY IMAGE NEEDS A REAL SOURCE):
+- Local images listed under LOCAL IMAGES come first: reference them by their relative path (assets/...)
+- Otherwise use real online images:
+- Hero/Banner images: https://picsum.photos/seed/[topic]/1920/1080
+- Card images: https://picsum.photos/seed/[unique-seed]/400/300 (use different seeds like card1, card2, card3)
+- Profile/Avatar images: https://i.pravatar.cc/150?img=[1-70] (use different numbers for each avatar)
+- Product images: https://picsum.photos/seed/product-[keyword]/400/400
+- Background images: https://picsum.photos/seed/bg/1920/1080?blur=3
+- Testimonial photos: https://i.pravatar.cc/100?img=[number]
+- Team member photos: https://i.pravatar.cc/200?img=[number]
+- Feature/Icon images: Use Material Icons (span with class material-icons-round) or inline SVGs
+- NEVER use placeholder.com, empty src attributes, or placeholder text like "image.jpg"
+- ALWAYS include descriptive alt text for accessibility`;
+
 // Hidden System Prompt - DSY Core Academic Mentor Persona
 const SYSTEM_PROMPTS = {
   ACADEMIC_MENTOR: `You are DSY Core Academic Mentor, a specialized AI assistant designed for Indian college lab environments. Your expertise includes:
@@ -52,17 +71,7 @@ Your code generation principles:
 5. Add hover effects and micro-interactions using CSS only
 6. Use CSS custom properties for easy theming
 
-IMAGE REQUIREMENTS (CRITICAL - ALWAYS USE REAL ONLINE IMAGES):
-- Hero/Banner images: https://picsum.photos/1920/1080 or https://source.unsplash.com/1920x1080/?[topic]
-- Card images: https://picsum.photos/seed/[unique-seed]/400/300 (use different seeds like card1, card2, card3)
-- Profile/Avatar images: https://i.pravatar.cc/150?img=[1-70] (use different numbers for each avatar)
-- Product images: https://source.unsplash.com/400x400/?product,[keyword]
-- Background images: https://picsum.photos/seed/bg/1920/1080?blur=3
-- Testimonial photos: https://i.pravatar.cc/100?img=[number]
-- Team member photos: https://i.pravatar.cc/200?img=[number]
-- Feature/Icon images: Use Material Icons (span with class material-icons-round) or inline SVGs
-- NEVER use placeholder.com, empty src attributes, or placeholder text like "image.jpg"
-- ALWAYS include descriptive alt text for accessibility
+${IMAGE_REQUIREMENTS}
 
 CRITICAL: You MUST output your code in EXACTLY this format with markdown code blocks:
 
@@ -79,6 +88,38 @@ CRITICAL: You MUST output your code in EXACTLY this format with markdown code bl
 
 Do not include any explanations before or after the code blocks. Output ONLY the two code blocks.`,
 
+  MULTI_PAGE_GENERATOR: `You are DSY Core Site Generator, an expert at creating beautiful, modern, premium multi-page websites using HTML and CSS only.
+
+Your code generation principles:
+1. Write clean, semantic HTML5 with proper structure - one complete document per page
+2. ONE shared stylesheet, styles.css, linked from every page with <link rel="stylesheet" href="styles.css">
+3. The same navigation on every page, with relative links between pages (href="about.html")
+4. Use modern CSS features (flexbox, grid, custom properties, gradients, animations)
+5. Ensure responsive design that works on all screen sizes
+6. Add hover effects and micro-interactions using CSS only
+
+${IMAGE_REQUIREMENTS}
+
+CRITICAL: You MUST output your code in EXACTLY this format - each file starts with its marker line,
+followed by a fenced code block with the complete file, and the response ends with ---END---:
+
+---FILE: index.html---
+\`\`\`html
+<!DOCTYPE html>
+<html lang="en">
+<!-- complete page -->
+</html>
+\`\`\`
+
+---FILE: styles.css---
+\`\`\`css
+/* shared styles for every page */
+\`\`\`
+
+---END---
+
+The request says which files to output. Do not include any explanations before, between or after the files.`,
+
   REACT_GENERATOR: `You are DSY Core React Generator, an expert at creating beautiful, modern React/TypeScript applications.
 
 Your code generation principles:
@@ -93,6 +134,7 @@ Your code generation principles:
 5. Use CSS modules or inline styles
 
 IMAGE REQUIREMENTS:
+- Local images listed under LOCAL IMAGES: use their relative paths (assets/...)
 - Hero images: https://picsum.photos/1920/1080
 - Card images: https://picsum.photos/seed/[unique]/400/300
 - Avatars: https://i.pravatar.cc/150?img=[1-70]
@@ -118,9 +160,103 @@ import './index.css';
 
 ---END---
 
+Output ONLY file markers and code. No explanations.`,
+
+  VUE_GENERATOR: `You are DSY Core Vue Generator, an expert at creating beautiful, modern Vue 3 applications with single-file components.
+
+Your code generation principles:
+1. Vue 3 single-file components (.vue) using <script setup> and the Composition API
+2. Plain JavaScript (no TypeScript) so the project runs with a default Vite + Vue setup
+3. Scoped component styles (<style scoped>) plus one global stylesheet for variables and resets
+4. Create visually stunning designs with:
+   - Beautiful color schemes (prefer dark themes with accent colors)
+   - Glassmorphism effects (backdrop-filter, transparency)
+   - Smooth transitions and hover animations
+   - Gradient backgrounds and modern typography
+5. Ensure responsive design
+6. Only import from vue and from the project's own files - no other packages
+
+IMAGE REQUIREMENTS:
+- Local images listed under LOCAL IMAGES: use their relative paths (assets/...)
+- Hero images: https://picsum.photos/1920/1080
+- Card images: https://picsum.photos/seed/[unique]/400/300
+- Avatars: https://i.pravatar.cc/150?img=[1-70]
+- NEVER use placeholders
+
+OUTPUT FORMAT - Use file markers (paths relative to src/):
+---FILE: App.vue---
+<script setup>
+import Header from './components/Header.vue';
+</script>
+<template>...</template>
+
+---FILE: components/Header.vue---
+<!-- Header component -->
+
+---FILE: components/Hero.vue---
+<!-- Hero section -->
+
+---FILE: components/Features.vue---
+<!-- Features/Cards section -->
+
+---FILE: index.css---
+/* Global styles with CSS variables */
+
+---END---
+
+Output ONLY file markers and code. No explanations.`,
+
+  SVELTE_GENERATOR: `You are DSY Core Svelte Generator, an expert at creating beautiful, modern Svelte 5 applications with single-file components.
+
+Your code generation principles:
+1. Svelte single-file components (.svelte) with a <script>, markup and a <style> block
+2. Plain JavaScript (no TypeScript); use $props() for component props and $state() for local state
+3. Component styles are scoped by default; put variables and resets in one global stylesheet
+4. Create visually stunning designs with:
+   - Beautiful color schemes (prefer dark themes with accent colors)
+   - Glassmorphism effects (backdrop-filter, transparency)
+   - Smooth transitions and hover animations
+   - Gradient backgrounds and modern typography
+5. Ensure responsive design
+6. Only import from svelte and from the project's own files - no other packages
+
+IMAGE REQUIREMENTS:
+- Local images listed under LOCAL IMAGES: use their relative paths (assets/...)
+- Hero images: https://picsum.photos/1920/1080
+- Card images: https://picsum.photos/seed/[unique]/400/300
+- Avatars: https://i.pravatar.cc/150?img=[1-70]
+- NEVER use placeholders
+
+OUTPUT FORMAT - Use file markers (paths relative to src/):
+---FILE: App.svelte---
+<script>
+  import Header from './components/Header.svelte';
+</script>
+<!-- markup -->
+
+---FILE: components/Header.svelte---
+<!-- Header component -->
+
+---FILE: components/Hero.svelte---
+<!-- Hero section -->
+
+---FILE: components/Features.svelte---
+<!-- Features/Cards section -->
+
+---FILE: index.css---
+/* Global styles with CSS variables */
+
+---END---
+
 Output ONLY file markers and code. No explanations.`,
 };
 
+// Single-file-component targets: system prompt + display name for each framework
+const SFC_TARGETS = {
+  vue: { systemPrompt: SYSTEM_PROMPTS.VUE_GENERATOR, label: 'Vue 3', extension: '.vue' },
+  svelte: { systemPrompt: SYSTEM_PROMPTS.SVELTE_GENERATOR, label: 'Svelte', extension: '.svelte' },
+};
+
 /**
  * Make an API call to SambaNova
  * @param {string} model - Model to use
@@ -157,6 +293,56 @@ async function callSambaNova(model, messages, options = {}) {
   return response.json();
 }
 
+/**
+ * Make a streaming API call to SambaNova (OpenAI-style SSE)
+ * @param {string} model - Model to use
+ * @param {Array} messages - Chat messages array
+ * @param {Object} options - Additional options
+ * @param {Function} onChunk - Callback for each streamed chunk: (text, fullContent)
+ * @returns {Promise<Object>} { content, finishReason }
+ */
+async function callSambaNovaStream(model, messages, options = {}, onChunk) {
+  if (!SAMBANOVA_API_KEY) {
+    throw new Error('SambaNova API key not configured. Please set VITE_SAMBANOVA_API_KEY in your environment.');
+  }
+
+  const response = await fetch(`${SAMBANOVA_BASE_URL}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${SAMBANOVA_API_KEY}`,
+    },
+    body: JSON.stringify({
+      model,
+      messages,
+      temperature: options.temperature ?? 0.7,
+      max_tokens: options.maxTokens ?? 4096,
+      top_p: options.topP ?? 0.9,
+      stream: true,
+    }),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error?.message || `API request failed with status ${response.status}`);
+  }
+
+  let fullContent = '';
+  let finishReason = null;
+  await readSSEStream(response, (data) => {
+    const text = data.choices?.[0]?.delta?.content || '';
+    finishReason = data.choices?.[0]?.finish_reason || finishReason;
+    if (text) {
+      fullContent += text;
+      if (onChunk) {
+        onChunk(text, fullContent);
+      }
+    }
+  });
+
+  return { content: fullContent, finishReason };
+}
+
 /**
  * Generate an educational explanation using Meta-Llama model
  * @param {string} userPrompt - User's question or topic
@@ -246,21 +432,87 @@ export function isSambaNovaConfigured() {
 }
 
 /**
- * Generate a complete web page (HTML + CSS) using Qwen Coder model
+ * Build chat messages for web page generation
  * @param {string} prompt - Detailed prompt describing the web page
- * @returns {Promise<Object>} Generated HTML and CSS code
+ * @param {Object|null} designJSON - Design specifications (palette, fonts, sections)
+ * @param {string} framework - 'html' or 'multipage' (---FILE:--- sections per page)
+ * @returns {Array} Chat messages array
  */
-export async function generateWebPage(prompt) {
-  const messages = [
+export function buildWebPageMessages(prompt, designJSON = null, framework = 'html') {
+  if (framework === 'multipage') {
+    return [
+      {
+        role: 'system',
+        content: SYSTEM_PROMPTS.MULTI_PAGE_GENERATOR,
+      },
+      {
+        role: 'user',
+        content: `${withDesignSpecs(prompt, designJSON)}\n\nGenerate complete, production-ready HTML and CSS code. Remember to start every file with its ---FILE: name--- marker and to end with ---END---.`,
+      },
+    ];
+  }
+
+  return [
     {
       role: 'system',
       content: SYSTEM_PROMPTS.CODE_GENERATOR,
     },
     {
       role: 'user',
-      content: `Create a complete, beautiful, premium web page based on this description:\n\n${prompt}\n\nGenerate complete, production-ready HTML and CSS code. Remember to output the code in the exact format with \`\`\`html and \`\`\`css code blocks.`,
+      content: `Create a complete, beautiful, premium web page based on this description:\n\n${withDesignSpecs(prompt, designJSON)}\n\nGenerate complete, production-ready HTML and CSS code. Remember to output the code in the exact format with \`\`\`html and \`\`\`css code blocks.`,
+    },
+  ];
+}
+
+/**
+ * Build chat messages for React app generation
+ * @param {string} prompt - Detailed prompt describing the React app
+ * @param {Object|null} designJSON - Design specifications (palette, fonts, sections)
+ * @returns {Array} Chat messages array
+ */
+function buildReactAppMessages(prompt, designJSON = null) {
+  return [
+    {
+      role: 'system',
+      content: SYSTEM_PROMPTS.REACT_GENERATOR,
+    },
+    {
+      role: 'user',
+      content: `Create a complete, beautiful React/TypeScript application based on this description:\n\n${withDesignSpecs(prompt, designJSON)}\n\nGenerate complete, production-ready React components and CSS. Use the exact file marker format: ---FILE: filename---`,
     },
   ];
+}
+
+/**
+ * Build chat messages for Vue/Svelte app generation
+ * @param {string} prompt - Detailed prompt describing the app
+ * @param {string} framework - 'vue' or 'svelte'
+ * @param {Object|null} designJSON - Design specifications (palette, fonts, sections)
+ * @returns {Array} Chat messages array
+ */
+function buildSfcAppMessages(prompt, framework, designJSON = null) {
+  const target = SFC_TARGETS[framework];
+  return [
+    {
+      role: 'system',
+      content: target.systemPrompt,
+    },
+    {
+      role: 'user',
+      content: `Create a complete, beautiful ${target.label} application based on this description:\n\n${withDesignSpecs(prompt, designJSON)}\n\nGenerate complete, production-ready ${target.extension} components and CSS. Use the exact file marker format: ---FILE: filename---`,
+    },
+  ];
+}
+
+/**
+ * Generate a complete web page (HTML + CSS) using Qwen Coder model
+ * @param {string} prompt - Detailed prompt describing the web page
+ * @param {Object|null} designJSON - Design specifications (palette, fonts, sections)
+ * @param {string} framework - 'html' or 'multipage'
+ * @returns {Promise<Object>} Generated HTML and CSS code
+ */
+export async function generateWebPage(prompt, designJSON = null, framework = 'html') {
+  const messages = buildWebPageMessages(prompt, designJSON, framework);
 
   try {
     const response = await callSambaNova(MODELS.CODE_GENERATION, messages, {
@@ -269,15 +521,18 @@ export async function generateWebPage(prompt) {
     });
 
     const content = response.choices[0]?.message?.content || '';
+    const finishReason = response.choices[0]?.finish_reason || null;
     
     // Parse HTML and CSS from response
-    const { html, css } = parseGeneratedCode(content);
+    const { html, css, diagnostics } = parseWebPageOutput(content, { finishReason });
 
     return {
       success: true,
       html,
       css,
       rawContent: content,
+      finishReason,
+      diagnostics,
       model: MODELS.CODE_GENERATION,
       usage: response.usage,
     };
@@ -296,19 +551,11 @@ export async function generateWebPage(prompt) {
 /**
  * Generate a complete React application using Qwen Coder model
  * @param {string} prompt - Detailed prompt describing the React app
+ * @param {Object|null} designJSON - Design specifications (palette, fonts, sections)
  * @returns {Promise<Object>} Generated React component files
  */
-export async function generateReactApp(prompt) {
-  const messages = [
-    {
-      role: 'system',
-      content: SYSTEM_PROMPTS.REACT_GENERATOR,
-    },
-    {
-      role: 'user',
-      content: `Create a complete, beautiful React/TypeScript application based on this description:\n\n${prompt}\n\nGenerate complete, production-ready React components and CSS. Use the exact file marker format: ---FILE: filename---`,
-    },
-  ];
+export async function generateReactApp(prompt, designJSON = null) {
+  const messages = buildReactAppMessages(prompt, designJSON);
 
   try {
     console.log('🚀 Generating React app with SambaNova...');
@@ -326,6 +573,7 @@ export async function generateReactApp(prompt) {
       success: true,
       files,
       rawContent: content,
+      finishReason: response.choices[0]?.finish_reason || null,
       model: MODELS.CODE_GENERATION,
       usage: response.usage,
     };
@@ -340,68 +588,224 @@ export async function generateReactApp(prompt) {
   }
 }
 
+/**
+ * Generate a complete web page (HTML + CSS) with SSE streaming
+ * @param {string} prompt - Detailed prompt describing the web page
+ * @param {Function} onChunk - Callback for each streamed chunk: (text, fullContent)
+ * @param {Object|null} designJSON - Design specifications (palette, fonts, sections)
+ * @param {string} framework - 'html' or 'multipage'
+ * @returns {Promise<Object>} Generated HTML and CSS code
+ */
+export async function generateWebPageStream(prompt, onChunk, designJSON = null, framework = 'html') {
+  try {
+    const { content, finishReason } = await callSambaNovaStream(MODELS.CODE_GENERATION, buildWebPageMessages(prompt, designJSON, framework), {
+      temperature: 0.4,
+      maxTokens: 8192,
+    }, onChunk);
+
+    const { html, css, diagnostics } = parseWebPageOutput(content, { finishReason });
+
+    return {
+      success: true,
+      html,
+      css,
+      rawContent: content,
+      finishReason,
+      diagnostics,
+      model: MODELS.CODE_GENERATION,
+    };
+  } catch (error) {
+    console.error('Streaming web page generation error:', error);
+    return {
+      success: false,
+      error: error.message,
+      html: '',
+      css: '',
+      rawContent: '',
+    };
+  }
+}
+
+/**
+ * Generate a complete React application with SSE streaming
+ * @param {string} prompt - Detailed prompt describing the React app
+ * @param {Function} onChunk - Callback for each streamed chunk: (text, fullContent)
+ * @param {Object|null} designJSON - Design specifications (palette, fonts, sections)
+ * @returns {Promise<Object>} Generated React component files
+ */
+export async function generateReactAppStream(prompt, onChunk, designJSON = null) {
+  try {
+    console.log('🚀 Streaming React app with SambaNova...');
+    const { content, finishReason } = await callSambaNovaStream(MODELS.CODE_GENERATION, buildReactAppMessages(prompt, designJSON), {
+      temperature: 0.4,
+      maxTokens: 12000,
+    }, onChunk);
+
+    return {
+      success: true,
+      files: parseReactOutput(content),
+      rawContent: content,
+      finishReason,
+      model: MODELS.CODE_GENERATION,
+    };
+  } catch (error) {
+    console.error('Streaming React app generation error:', error);
+    return {
+      success: false,
+      error: error.message,
+      files: [],
+      rawContent: '',
+    };
+  }
+}
+
+/**
+ * Generate a complete Vue 3 or Svelte application using Qwen Coder model
+ * @param {string} prompt - Detailed prompt describing the app
+ * @param {string} framework - 'vue' or 'svelte'
+ * @param {Object|null} designJSON - Design specifications (palette, fonts, sections)
+ * @returns {Promise<Object>} Generated component files
+ */
+export async function generateSfcApp(prompt, framework, designJSON = null) {
+  try {
+    console.log(`🚀 Generating ${SFC_TARGETS[framework].label} app with SambaNova...`);
+    const response = await callSambaNova(MODELS.CODE_GENERATION, buildSfcAppMessages(prompt, framework, designJSON), {
+      temperature: 0.4,
+      maxTokens: 12000,
+    });
+
+    const content = response.choices[0]?.message?.content || '';
+
+    return {
+      success: true,
+      files: parseSfcOutput(content, framework),
+      rawContent: content,
+      finishReason: response.choices[0]?.finish_reason || null,
+      model: MODELS.CODE_GENERATION,
+      usage: response.usage,
+    };
+  } catch (error) {
+    console.error(`${framework} app generation error:`, error);
+    return {
+      success: false,
+      error: error.message,
+      files: [],
+      rawContent: '',
+    };
+  }
+}
+
+/**
+ * Generate a complete Vue 3 or Svelte application with SSE streaming
+ * @param {string} prompt - Detailed prompt describing the app
+ * @param {string} framework - 'vue' or 'svelte'
+ * @param {Function} onChunk - Callback for each streamed chunk: (text, fullContent)
+ * @param {Object|null} designJSON - Design specifications (palette, fonts, sections)
+ * @returns {Promise<Object>} Generated component files
+ */
+export async function generateSfcAppStream(prompt, framework, onChunk, designJSON = null) {
+  try {
+    console.log(`🚀 Streaming ${SFC_TARGETS[framework].label} app with SambaNova...`);
+    const { content, finishReason } = await callSambaNovaStream(MODELS.CODE_GENERATION, buildSfcAppMessages(prompt, framework, designJSON), {
+      temperature: 0.4,
+      maxTokens: 12000,
+    }, onChunk);
+
+    return {
+      success: true,
+      files: parseSfcOutput(content, framework),
+      rawContent: content,
+      finishReason,
+      model: MODELS.CODE_GENERATION,
+    };
+  } catch (error) {
+    console.error(`Streaming ${framework} app generation error:`, error);
+    return {
+      success: false,
+      error: error.message,
+      files: [],
+      rawContent: '',
+    };
+  }
+}
+
 /**
  * Parse React multi-file output from AI response
  * @param {string} content - Raw AI response with ---FILE:--- markers
  * @returns {Array} Array of file objects { name, content, language }
  */
 export function parseReactOutput(content) {
-  const files = [];
-  const regex = /---FILE:\s*(.+?)---\s*([\s\S]*?)(?=---FILE:|---END---|$)/g;
-  
-  let match;
-  while ((match = regex.exec(content)) !== null) {
-    let fileContent = match[2].trim();
-    
-    // Remove markdown code block markers if present
-    fileContent = fileContent.replace(/^```\w*\n?/, '').replace(/\n?```$/, '');
-    
-    const fileName = match[1].trim();
-    files.push({
-      name: fileName,
-      content: fileContent,
-      language: fileName.endsWith('.tsx') || fileName.endsWith('.ts') 
-        ? 'typescript' 
-        : fileName.endsWith('.css') 
-          ? 'css' 
-          : 'javascript'
-    });
-  }
-  
+  const files = parseFileMarkerOutput(content).files
+    .map(({ name, content: fileContent, language }) => ({ name, content: fileContent, language }));
+
   console.log(`📁 Parsed ${files.length} React files`);
   return files;
 }
 
+/**
+ * Split ---FILE:--- marker output into files (shared by the Vue and Svelte parsers)
+ * @param {string} content - Raw AI response with ---FILE:--- markers
+ * @returns {Array} Array of file objects { name, content, language }
+ */
+function parseComponentFiles(content) {
+  // Paths are relative to src/ - drop a leading src/ if the model added one
+  return parseFileMarkerOutput(content, { stripSrcPrefix: true }).files
+    .map(({ name, content: fileContent, language }) => ({ name, content: fileContent, language }));
+}
+
+/**
+ * Parse Vue 3 single-file-component output from AI response
+ * @param {string} content - Raw AI response with ---FILE:--- markers
+ * @returns {Array} Array of file objects { name, content, language }
+ */
+export function parseVueOutput(content) {
+  const files = parseComponentFiles(content);
+  console.log(`📁 Parsed ${files.length} Vue files`);
+  return files;
+}
+
+/**
+ * Parse Svelte single-file-component output from AI response
+ * @param {string} content - Raw AI response with ---FILE:--- markers
+ * @returns {Array} Array of file objects { name, content, language }
+ */
+export function parseSvelteOutput(content) {
+  const files = parseComponentFiles(content);
+  console.log(`📁 Parsed ${files.length} Svelte files`);
+  return files;
+}
+
+/**
+ * Parse Vue or Svelte output with the matching parser
+ * @param {string} content - Raw AI response with ---FILE:--- markers
+ * @param {string} framework - 'vue' or 'svelte'
+ * @returns {Array} Array of file objects { name, content, language }
+ */
+export function parseSfcOutput(content, framework) {
+  return framework === 'svelte' ? parseSvelteOutput(content) : parseVueOutput(content);
+}
+
 /**
  * Parse HTML and CSS from AI-generated response
  * @param {string} content - Raw AI response
  * @returns {Object} Parsed HTML and CSS
  */
 export function parseGeneratedCode(content) {
-  let html = '';
-  let css = '';
-
-  // Extract HTML code block
-  const htmlMatch = content.match(/```html\s*([\s\S]*?)```/i);
-  if (htmlMatch) {
-    html = htmlMatch[1].trim();
-  }
-
-  // Extract CSS code block
-  const cssMatch = content.match(/```css\s*([\s\S]*?)```/i);
-  if (cssMatch) {
-    css = cssMatch[1].trim();
-  }
+  const { html, css } = parseWebPageOutput(content);
+  return { html, css };
+}
 
-  // If no code blocks found, try to find inline HTML
-  if (!html && !css) {
-    const htmlInlineMatch = content.match(/<(!DOCTYPE|html|head|body)[\s\S]*<\/html>/i);
-    if (htmlInlineMatch) {
-      html = htmlInlineMatch[0];
-    }
-  }
+/**
+ * Parse a multi-page site (---FILE: name--- markers, each followed by a code block)
+ * Falls back to the single-page ```html / ```css format when no markers are found
+ * @param {string} content - Raw AI response
+ * @returns {Object} { pages: [{ name, content }], css } with index.html first
+ */
+export function parseMultiPageOutput(content) {
+  const { pages, css } = parseMultiPageSiteOutput(content);
 
-  return { html, css };
+  console.log(`📄 Parsed ${pages.length} pages`);
+  return { pages, css };
 }
 
 /**
@@ -602,5 +1006,31 @@ export async function checkApiStatus() {
 }
 
 // Export models and prompts for reference
+/**
+ * Plain text completion (used to continue or repair cut-off generations)
+ * @param {Object} options - { system, prompt, maxTokens }
+ * @returns {Promise<Object>} { success, text, finishReason, error }
+ */
+export async function generateText({ system, prompt, maxTokens = 8192 }) {
+  try {
+    const response = await callSambaNova(MODELS.CODE_GENERATION, [
+      { role: 'system', content: system },
+      { role: 'user', content: prompt },
+    ], {
+      temperature: 0.2,
+      maxTokens,
+    });
+
+    return {
+      success: true,
+      text: response.choices[0]?.message?.content || '',
+      finishReason: response.choices[0]?.finish_reason || null,
+    };
+  } catch (error) {
+    console.error('Text generation error:', error);
+    return { success: false, error: error.message, text: '' };
+  }
+}
+
 export const AI_MODELS = MODELS;
 export const PROMPTS = SYSTEM_PROMPTS;
@@ -0,0 +1,448 @@
+/**
+ * Accessibility Audit
+ * Checks a rendered preview document for the problems generated pages most often have:
+ * color contrast, image alt text, heading order, form labels, landmarks and focus visibility
+ * - Runs on a live Document (computed styles), so Tailwind utilities and inherited colors count
+ * - Findings point back at the line in the page or stylesheet source they came from
+ */
+
+import { contrastRatio, toHex } from './canvasHelpers';
+
+export const AUDIT_RULES = [
+  { id: 'contrast', label: 'Color contrast', icon: 'contrast' },
+  { id: 'alt-text', label: 'Image alt text', icon: 'image_not_supported' },
+  { id: 'headings', label: 'Heading order', icon: 'format_list_numbered' },
+  { id: 'form-labels', label: 'Labels & names', icon: 'label_off' },
+  { id: 'landmarks', label: 'Landmarks', icon: 'view_quilt' },
+  { id: 'focus', label: 'Focus visibility', icon: 'center_focus_weak' },
+];
+
+// WCAG AA minimum contrast (large text: 24px, or 18.66px bold)
+const MIN_CONTRAST = 4.5;
+const MIN_CONTRAST_LARGE = 3;
+const MAX_FINDINGS_PER_RULE = 25;
+
+const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'head', 'title', 'meta', 'link']);
+const INTERACTIVE_SELECTOR = /(?:^|[\s,>+~(])(?:\*|a|button|input|select|textarea|\[tabindex[^\]]*\])(?=$|[\s,>+~.:#[)])/;
+const UNLABELLED_INPUT_TYPES = new Set(['hidden', 'submit', 'reset', 'button', 'image']);
+const GENERIC_ALT = /^(?:image|img|photo|picture|graphic|icon|logo|banner|placeholder)$|\.(?:png|jpe?g|gif|webp|svg|avif)$/i;
+
+// 1×1 canvas that turns any CSS color (rgb, hsl, oklch, named) into RGBA
+let colorContext = null;
+const colorCache = new Map();
+
+/**
+ * Parse a computed CSS color into RGBA components
+ * @param {string} value - CSS color
+ * @returns {Array<number>|null} [r, g, b, a] (0-255, alpha 0-1), or null when the canvas is unavailable
+ */
+function parseColor(value) {
+  if (colorCache.has(value)) return colorCache.get(value);
+
+  const rgb = value.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+%?))?\s*\)$/);
+  let color = null;
+  if (rgb) {
+    const alpha = rgb[4] === undefined ? 1 : rgb[4].endsWith('%') ? parseFloat(rgb[4]) / 100 : parseFloat(rgb[4]);
+    color = [Number(rgb[1]), Number(rgb[2]), Number(rgb[3]), alpha];
+  } else {
+    if (!colorContext) {
+      const canvas = document.createElement('canvas');
+      canvas.width = 1;
+      canvas.height = 1;
+      colorContext = canvas.getContext('2d', { willReadFrequently: true });
+    }
+    if (colorContext) {
+      colorContext.clearRect(0, 0, 1, 1);
+      colorContext.fillStyle = 'rgba(0, 0, 0, 0)';
+      colorContext.fillStyle = value;
+      colorContext.fillRect(0, 0, 1, 1);
+      const [r, g, b, a] = colorContext.getImageData(0, 0, 1, 1).data;
+      color = [r, g, b, a / 255];
+    }
+  }
+
+  colorCache.set(value, color);
+  return color;
+}
+
+/**
+ * Draw a (possibly translucent) color over an opaque one
+ * @param {Array<number>} top - [r, g, b, a]
+ * @param {Array<number>} bottom - [r, g, b, 1]
+ * @returns {Array<number>} Opaque [r, g, b, 1]
+ */
+function blend(top, bottom) {
+  const a = top[3];
+  return [0, 1, 2].map(i => top[i] * a + bottom[i] * (1 - a)).concat(1);
+}
+
+/**
+ * Background color an element's text is drawn on (walks up through transparent ancestors)
+ * @param {Element} element - Element with text
+ * @returns {Array<number>|null} Opaque color, or null when an image/gradient is in the way
+ */
+function effectiveBackground(element) {
+  const view = element.ownerDocument.defaultView;
+  const layers = [];
+
+  for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+    const style = view.getComputedStyle(node);
+    if (style.backgroundImage && style.backgroundImage !== 'none') return null;
+    const color = parseColor(style.backgroundColor);
+    if (!color) return null;
+    if (color[3] > 0) layers.push(color);
+    if (color[3] >= 1) break;
+  }
+
+  // The canvas behind the page is white
+  return layers.reverse().reduce((below, layer) => blend(layer, below), [255, 255, 255, 1]);
+}
+
+/**
+ * Check if an element is rendered
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function isRendered(element) {
+  if (element.getClientRects().length === 0) return false;
+  const style = element.ownerDocument.defaultView.getComputedStyle(element);
+  return style.visibility !== 'hidden' && style.display !== 'none' && parseFloat(style.opacity) > 0;
+}
+
+/**
+ * Text of an element as assistive technology would roughly announce it
+ * @param {Element} element
+ * @returns {string}
+ */
+function accessibleName(element) {
+  const doc = element.ownerDocument;
+  const labelledBy = (element.getAttribute('aria-labelledby') || '')
+    .split(/\s+/)
+    .map(id => id && doc.getElementById(id)?.textContent.trim())
+    .filter(Boolean)
+    .join(' ');
+  const imageAlts = [...element.querySelectorAll('img[alt]')].map(img => img.getAttribute('alt')).join(' ');
+
+  return (
+    labelledBy ||
+    element.getAttribute('aria-label') ||
+    element.textContent ||
+    imageAlts ||
+    element.getAttribute('title') ||
+    ''
+  ).trim();
+}
+
+/**
+ * Opening tag of an element, for showing in a finding
+ * @param {Element} element
+ * @returns {string}
+ */
+function openingTag(element) {
+  const tag = element.outerHTML.match(/^<[^>]*>/)?.[0] || `<${element.tagName.toLowerCase()}>`;
+  return tag.length > 120 ? `${tag.slice(0, 117)}...>` : tag;
+}
+
+/**
+ * Line number of a character offset
+ * @param {string} text
+ * @param {number} index
+ * @returns {number} 1-based line
+ */
+function lineAt(text, index) {
+  return text.slice(0, index).split('\n').length;
+}
+
+/**
+ * Find the line of an element in the page source: the nth <tag> in the document is the nth <tag in the source
+ * @param {Element} element - Element in the rendered document
+ * @param {Object|null} page - { path, content }
+ * @returns {{path: string, line: number}|null}
+ */
+function locateElement(element, page) {
+  if (!page?.content) return null;
+  const tag = element.tagName.toLowerCase();
+  const index = [...element.ownerDocument.getElementsByTagName(tag)].indexOf(element);
+  const matches = [...page.content.matchAll(new RegExp(`<${tag}(?=[\\s>/])`, 'gi'))];
+  const match = matches[index];
+  return match ? { path: page.path, line: lineAt(page.content, match.index) } : null;
+}
+
+/**
+ * Find the line of a CSS rule in the stylesheet source
+ * @param {string} selectorText - Selector as reported by the CSSOM
+ * @param {Object|null} stylesheet - { path, content }
+ * @returns {{path: string, line: number}|null}
+ */
+function locateRule(selectorText, stylesheet) {
+  if (!stylesheet?.content) return null;
+  const source = stylesheet.content;
+  const candidates = [selectorText, ...selectorText.split(',')].map(s => s.trim()).filter(Boolean);
+
+  for (const candidate of candidates) {
+    const pattern = candidate
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\s+/g, '\\s*')
+      .replace(/\\s\*?(>|\+|~)\\s\*?/g, '\\s*$1\\s*');
+    const match = source.match(new RegExp(`(?:^|[\\s,}])(${pattern})\\s*[,{]`));
+    if (match) return { path: stylesheet.path, line: lineAt(source, match.index + match[0].indexOf(match[1])) };
+  }
+  return null;
+}
+
+/**
+ * Style rules of a document, including rules nested in @media/@supports/@layer
+ * Cross-origin stylesheets (e.g. Google Fonts) can't be read and are skipped
+ * @param {Document} doc
+ * @returns {Array<CSSStyleRule>}
+ */
+function collectStyleRules(doc) {
+  const rules = [];
+  const walk = (list) => {
+    for (const rule of list) {
+      if (rule.selectorText !== undefined && rule.style) rules.push(rule);
+      if (rule.cssRules) walk(rule.cssRules);
+    }
+  };
+
+  for (const sheet of doc.styleSheets) {
+    try {
+      walk(sheet.cssRules);
+    } catch {
+      // Cross-origin stylesheet
+    }
+  }
+  return rules;
+}
+
+/**
+ * Color contrast of every rendered text element (one finding per color pair)
+ */
+function checkContrast(doc, add) {
+  const view = doc.defaultView;
+  const seen = new Map();
+
+  for (const element of doc.body.querySelectorAll('*')) {
+    if (SKIPPED_TAGS.has(element.tagName.toLowerCase()) || element.closest('svg')) continue;
+    const hasText = [...element.childNodes].some(node => node.nodeType === 3 && node.textContent.trim());
+    if (!hasText || !isRendered(element)) continue;
+
+    const style = view.getComputedStyle(element);
+    const background = effectiveBackground(element);
+    const foreground = parseColor(style.color);
+    if (!background || !foreground) continue;
+
+    const text = blend(foreground, background);
+    const ratio = contrastRatio(text, background);
+    const size = parseFloat(style.fontSize);
+    const isLarge = size >= 24 || (size >= 18.66 && parseInt(style.fontWeight, 10) >= 700);
+    const required = isLarge ? MIN_CONTRAST_LARGE : MIN_CONTRAST;
+    if (ratio >= required) continue;
+
+    const key = `${toHex(text)}-${toHex(background)}-${isLarge}`;
+    if (seen.has(key)) {
+      seen.get(key).count++;
+      continue;
+    }
+    const finding = add('contrast', 'error', element,
+      `Contrast ${ratio.toFixed(2)}:1 between ${toHex(text)} text and ${toHex(background)} background (needs ${required}:1${isLarge ? ' for large text' : ''})`);
+    if (finding) seen.set(key, finding);
+  }
+}
+
+/**
+ * Images (and image inputs/areas) without useful alt text
+ */
+function checkAltText(doc, add) {
+  for (const element of doc.querySelectorAll('img, input[type="image"], area')) {
+    if (element.closest('[aria-hidden="true"]') || ['presentation', 'none'].includes(element.getAttribute('role'))) continue;
+    const alt = element.getAttribute('alt');
+    if (alt === null) {
+      const label = element.getAttribute('aria-label') || element.getAttribute('aria-labelledby');
+      if (!label) add('alt-text', 'error', element, `<${element.tagName.toLowerCase()}> has no alt attribute (use alt="" for decorative images)`);
+    } else if (GENERIC_ALT.test(alt.trim())) {
+      add('alt-text', 'warning', element, `alt="${alt}" doesn't describe the image`);
+    }
+  }
+}
+
+/**
+ * One h1, no skipped levels, no empty headings
+ */
+function checkHeadings(doc, add) {
+  const headings = [...doc.body.querySelectorAll('h1, h2, h3, h4, h5, h6')].filter(isRendered);
+  if (headings.length === 0) {
+    add('headings', 'warning', null, 'The page has no headings');
+    return;
+  }
+
+  const h1s = headings.filter(h => h.tagName === 'H1');
+  if (h1s.length === 0) add('headings', 'warning', headings[0], 'The page has no <h1>');
+  if (h1s.length > 1) add('headings', 'warning', h1s[1], `The page has ${h1s.length} <h1> elements (use one per page)`);
+
+  let previous = 0;
+  for (const heading of headings) {
+    const level = Number(heading.tagName[1]);
+    if (!accessibleName(heading)) add('headings', 'error', heading, `Empty <h${level}>`);
+    if (previous && level > previous + 1) {
+      add('headings', 'warning', heading, `<h${level}> follows <h${previous}> (skips ${level - previous - 1} level${level - previous > 2 ? 's' : ''})`);
+    }
+    previous = level;
+  }
+}
+
+/**
+ * Form controls without labels, and buttons/links without names
+ */
+function checkLabels(doc, add) {
+  for (const control of doc.querySelectorAll('input, select, textarea')) {
+    const type = (control.getAttribute('type') || 'text').toLowerCase();
+    if (UNLABELLED_INPUT_TYPES.has(type) || !isRendered(control)) continue;
+
+    const id = control.getAttribute('id');
+    const hasLabel = control.closest('label') ||
+      (id && doc.querySelector(`label[for="${CSS.escape(id)}"]`)) ||
+      accessibleNameFromAria(control) ||
+      control.getAttribute('title');
+    if (!hasLabel) {
+      const hint = control.getAttribute('placeholder') ? ' (a placeholder is not a label)' : '';
+      add('form-labels', 'error', control, `<${control.tagName.toLowerCase()}${control.tagName === 'INPUT' ? ` type="${type}"` : ''}> has no label${hint}`);
+    }
+  }
+
+  for (const element of doc.querySelectorAll('button, a[href], [role="button"]')) {
+    if (!isRendered(element) || accessibleName(element)) continue;
+    const kind = element.tagName === 'A' ? 'Link' : 'Button';
+    add('form-labels', 'error', element, `${kind} has no text or aria-label (icon-only ${kind.toLowerCase()}s need one)`);
+  }
+}
+
+/**
+ * aria-label / aria-labelledby on a control
+ */
+function accessibleNameFromAria(element) {
+  const doc = element.ownerDocument;
+  if (element.getAttribute('aria-label')?.trim()) return true;
+  return (element.getAttribute('aria-labelledby') || '')
+    .split(/\s+/)
+    .some(id => id && doc.getElementById(id)?.textContent.trim());
+}
+
+/**
+ * Page language, one <main>, navigation in <nav>, content inside landmarks
+ */
+function checkLandmarks(doc, add) {
+  if (!doc.documentElement.getAttribute('lang')) {
+    add('landmarks', 'error', doc.documentElement, '<html> has no lang attribute (screen readers guess the language)');
+  }
+
+  const mains = doc.querySelectorAll('main, [role="main"]');
+  if (mains.length === 0) add('landmarks', 'warning', null, 'The page has no <main> landmark');
+  if (mains.length > 1) add('landmarks', 'error', mains[1], `The page has ${mains.length} <main> landmarks`);
+
+  const links = doc.body.querySelectorAll('a[href]');
+  if (links.length >= 3 && !doc.querySelector('nav, [role="navigation"]')) {
+    add('landmarks', 'warning', links[0], 'Navigation links are not inside a <nav>');
+  }
+
+  const landmarks = 'header, nav, main, footer, aside, section[aria-label], section[aria-labelledby], form[aria-label], [role]';
+  const stray = [...doc.body.children].find(child =>
+    !SKIPPED_TAGS.has(child.tagName.toLowerCase()) &&
+    !child.matches(landmarks) &&
+    !child.querySelector('main, [role="main"]') &&
+    child.textContent.trim() &&
+    isRendered(child));
+  if (stray) add('landmarks', 'warning', stray, 'Content outside any landmark (wrap it in <header>, <main>, <footer>, ...)');
+}
+
+/**
+ * Outlines removed without a replacement focus style, keyboard-unreachable click targets, positive tabindex
+ */
+function checkFocus(doc, add, stylesheet) {
+  const rules = collectStyleRules(doc);
+  const removesOutline = (style) =>
+    style.outlineStyle === 'none' || /^0(?:px)?$/.test(style.outlineWidth) || /^(?:none|0)\b/.test(style.outline);
+  const showsFocus = (rule) => /:focus/.test(rule.selectorText) && (
+    (rule.style.outlineStyle && !removesOutline(rule.style)) ||
+    (rule.style.boxShadow && rule.style.boxShadow !== 'none') ||
+    rule.style.borderColor || rule.style.backgroundColor || rule.style.textDecorationLine
+  );
+
+  if (!rules.some(showsFocus)) {
+    const hiding = rules.filter(rule => removesOutline(rule.style) &&
+      (/:focus(?!-within)/.test(rule.selectorText) || INTERACTIVE_SELECTOR.test(rule.selectorText)));
+    for (const rule of hiding) {
+      add('focus', 'warning', null, `${rule.selectorText} removes the focus outline and no :focus/:focus-visible style replaces it`,
+        locateRule(rule.selectorText, stylesheet), `${rule.selectorText} { outline: none }`);
+    }
+  }
+
+  for (const element of doc.body.querySelectorAll('[onclick]:not(a, button, input, select, textarea, summary, [tabindex])')) {
+    add('focus', 'warning', element, `Clickable <${element.tagName.toLowerCase()}> can't be reached with the keyboard (use a <button> or add tabindex="0")`);
+  }
+  for (const element of doc.body.querySelectorAll('[tabindex]')) {
+    if (Number(element.getAttribute('tabindex')) > 0) {
+      add('focus', 'warning', element, `tabindex="${element.getAttribute('tabindex')}" changes the natural focus order (use 0 or -1)`);
+    }
+  }
+}
+
+/**
+ * Audit a rendered preview document
+ * @param {Document} doc - Rendered document (same-origin iframe, scripts not required)
+ * @param {Object} sources - { page: { path, content }, stylesheet: { path, content } } for line links
+ * @returns {Array} Findings: [{ id, rule, severity: 'error'|'warning', message, snippet, location, count }]
+ */
+export function auditDocument(doc, { page = null, stylesheet = null } = {}) {
+  const findings = [];
+  const perRule = {};
+
+  const add = (rule, severity, element, message, location, snippet) => {
+    perRule[rule] = (perRule[rule] || 0) + 1;
+    if (perRule[rule] > MAX_FINDINGS_PER_RULE) return null;
+    const finding = {
+      id: `${rule}-${findings.length}`,
+      rule,
+      severity,
+      message,
+      snippet: snippet || (element ? openingTag(element) : ''),
+      location: location !== undefined ? location : element ? locateElement(element, page) : null,
+      count: 1,
+    };
+    findings.push(finding);
+    return finding;
+  };
+
+  if (!doc?.body) return findings;
+
+  checkContrast(doc, add);
+  checkAltText(doc, add);
+  checkHeadings(doc, add);
+  checkLabels(doc, add);
+  checkLandmarks(doc, add);
+  checkFocus(doc, add, stylesheet);
+
+  const ruleOrder = AUDIT_RULES.map(r => r.id);
+  return findings.sort((a, b) =>
+    (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1) ||
+    ruleOrder.indexOf(a.rule) - ruleOrder.indexOf(b.rule));
+}
+
+/**
+ * Chatbot request asking for the findings to be fixed
+ * @param {Array} findings - Findings from auditDocument()
+ * @returns {string} Chat message
+ */
+export function buildAuditFixPrompt(findings) {
+  const labels = Object.fromEntries(AUDIT_RULES.map(r => [r.id, r.label]));
+  const lines = findings.map((finding, i) => {
+    const where = finding.location ? ` (${finding.location.path} line ${finding.location.line})` : '';
+    const snippet = finding.snippet ? ` - \`${finding.snippet}\`` : '';
+    const count = finding.count > 1 ? ` [${finding.count} elements]` : '';
+    return `${i + 1}. [${labels[finding.rule]}]${where}: ${finding.message}${count}${snippet}`;
+  });
+
+  return `Fix these accessibility problems found in the rendered page. Keep the layout and visual design as close as possible (adjust colors only as much as the contrast requires).
+
+${lines.join('\n')}`;
+}
@@ -0,0 +1,146 @@
+/**
+ * Asset Roles
+ * What each uploaded image is for, and how generation uses it
+ * - mockup: full-page design to replicate (layout + colors are extracted from it)
+ * - section: close-up of one section, sent as an extra visual reference
+ * - logo / photo: embedded in the page as real images under assets/
+ * - palette: only used to extract the brand colors, never shown to the model as a layout
+ */
+
+export const IMAGE_ROLES = [
+  { id: 'mockup', label: 'Mockup', description: 'Full-page mockup' },
+  { id: 'section', label: 'Section', description: 'Section crop' },
+  { id: 'logo', label: 'Logo', description: 'Logo' },
+  { id: 'palette', label: 'Palette', description: 'Brand palette' },
+  { id: 'photo', label: 'Photo', description: 'Photo to embed' },
+];
+
+// Order images are shown to the model in (images with other roles follow in upload order)
+const MODEL_IMAGE_ORDER = ['mockup', 'section', 'logo', 'photo'];
+const MAX_MODEL_IMAGES = 5;
+const EMBEDDED_ROLES = ['logo', 'photo'];
+
+/**
+ * Role of an uploaded image
+ * Untagged images (including uploads from before roles existed) are references: the first one is
+ * the mockup unless another image is tagged as the mockup, the rest are section crops
+ * @param {Object} asset - Image asset
+ * @param {Array} assets - All uploaded assets
+ * @returns {string} Role ID
+ */
+export function getImageRole(asset, assets = []) {
+  if (asset.role) return asset.role;
+  const images = assets.filter(a => a.type === 'image');
+  if (images.some(a => a.role === 'mockup')) return 'section';
+  const firstUntagged = images.find(a => !a.role);
+  return !firstUntagged || firstUntagged.id === asset.id ? 'mockup' : 'section';
+}
+
+/**
+ * Guess the role of a new upload from its file name
+ * @param {string} name - File name
+ * @returns {string|null} Role ID, or null to leave it untagged (mockup or section crop)
+ */
+export function guessImageRole(name = '') {
+  if (/logo|brand[-_ ]?mark|favicon/i.test(name)) return 'logo';
+  if (/palette|swatch|colou?rs|brand[-_ ]?guide/i.test(name)) return 'palette';
+  if (/photo|portrait|avatar|headshot/i.test(name)) return 'photo';
+  return null;
+}
+
+/**
+ * File extension for an image data URL
+ * @param {string} dataUrl
+ * @returns {string} e.g. "png"
+ */
+function imageExtension(dataUrl = '') {
+  const mime = dataUrl.match(/^data:image\/([a-z0-9.+-]+)[;,]/i)?.[1]?.toLowerCase() || 'png';
+  return { jpeg: 'jpg', 'svg+xml': 'svg', 'x-icon': 'ico' }[mime] || mime;
+}
+
+/**
+ * Project path of every uploaded image, as written into the project (assets/<name>.<ext>)
+ * The first logo is assets/logo.<ext>; other images are named after their upload
+ * @param {Array} assets - All uploaded assets
+ * @returns {Map<string, string>} Asset ID -> path
+ */
+export function getAssetPaths(assets = []) {
+  const paths = new Map();
+  const used = new Set();
+  for (const asset of assets) {
+    if (asset.type !== 'image' || !asset.data?.startsWith('data:')) continue;
+    const base = getImageRole(asset, assets) === 'logo'
+      ? 'logo'
+      : (asset.name || 'image').replace(/\.[^.]+$/, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'image';
+    const extension = imageExtension(asset.data);
+    let path = `assets/${base}.${extension}`;
+    for (let n = 2; used.has(path); n++) path = `assets/${base}-${n}.${extension}`;
+    used.add(path);
+    paths.set(asset.id, path);
+  }
+  return paths;
+}
+
+/**
+ * Images that are embedded in the page, with the project path each one is referenced by
+ * @param {Array} assets - All uploaded assets
+ * @returns {Array<{asset: Object, path: string}>}
+ */
+export function getEmbeddedImages(assets = []) {
+  const paths = getAssetPaths(assets);
+  return assets
+    .filter(a => paths.has(a.id) && EMBEDDED_ROLES.includes(getImageRole(a, assets)))
+    .map(asset => ({ asset, path: paths.get(asset.id) }));
+}
+
+/**
+ * Images to show the model, in role order (palettes are left out unless asked for)
+ * @param {Array} assets - All uploaded assets
+ * @param {Object} options - { includePalette: also send palette images (prompt analysis) }
+ * @returns {Array} Image assets with data URLs, at most five
+ */
+export function selectModelImages(assets = [], { includePalette = false } = {}) {
+  const rank = (asset) => {
+    const index = MODEL_IMAGE_ORDER.indexOf(getImageRole(asset, assets));
+    return index === -1 ? MODEL_IMAGE_ORDER.length : index;
+  };
+  return assets
+    .filter(a => a.type === 'image' && a.data?.startsWith('data:'))
+    .filter(a => includePalette || getImageRole(a, assets) !== 'palette')
+    .map((asset, order) => ({ asset, order }))
+    .sort((a, b) => rank(a.asset) - rank(b.asset) || a.order - b.order)
+    .slice(0, MAX_MODEL_IMAGES)
+    .map(({ asset }) => asset);
+}
+
+/**
+ * Explain to the model what each attached image is for
+ * @param {Array} images - Images as sent (from selectModelImages)
+ * @param {Array} assets - All uploaded assets (for embedded paths and palettes)
+ * @returns {string} Prompt section ('' when there is nothing to explain)
+ */
+export function describeImageRoles(images, assets = []) {
+  if (images.length === 0) return '';
+  const embedded = getEmbeddedImages(assets);
+
+  const lines = images.map((asset, i) => {
+    const role = getImageRole(asset, assets);
+    const path = embedded.find(e => e.asset.id === asset.id)?.path;
+    const guidance = {
+      mockup: 'full-page mockup - replicate its layout, spacing, colors and typography',
+      section: 'section crop - a close-up of one part of the page; match its details exactly',
+      logo: `logo - show this exact image with <img src="${path}" alt="Logo">, do not redraw or restyle it`,
+      photo: `photo - embed this exact image with <img src="${path}"> where a photo of this kind belongs`,
+      palette: 'brand palette - use its colors, not its layout',
+    }[role] || 'reference image - see the instructions';
+    return `${i + 1}. ${guidance}`;
+  });
+
+  const palettes = assets.filter(a => a.type === 'image' && getImageRole(a, assets) === 'palette' && !images.includes(a));
+  if (palettes.length > 0) {
+    lines.push('The brand palette image was used only for the colors in the design specifications.');
+  }
+
+  return `ATTACHED IMAGES (in order):
+${lines.join('\n')}`;
+}
@@ -0,0 +1,52 @@
+/**
+ * Canvas Helpers
+ * Image loading and WCAG color math shared by the accessibility audit, the design fidelity
+ * check and the in-browser mockup analysis
+ */
+
+/**
+ * Load an image (data URL or same-origin URL)
+ * @param {string} src
+ * @returns {Promise<HTMLImageElement>}
+ */
+export function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Could not load image'));
+    image.src = src;
+  });
+}
+
+/**
+ * WCAG relative luminance
+ * @param {Array<number>} color - [r, g, b, ...] (0-255)
+ * @returns {number} 0 - 1
+ */
+export function luminance(color) {
+  const [r, g, b] = color.slice(0, 3).map((channel) => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG contrast ratio between two opaque colors
+ * @param {Array<number>} a - [r, g, b, ...]
+ * @param {Array<number>} b - [r, g, b, ...]
+ * @returns {number} 1 - 21
+ */
+export function contrastRatio(a, b) {
+  const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+/**
+ * Format a color as #rrggbb
+ * @param {Array<number>} color - [r, g, b, ...]
+ * @returns {string}
+ */
+export function toHex(color) {
+  return `#${color.slice(0, 3).map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+}
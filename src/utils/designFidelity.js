@@ -0,0 +1,301 @@
+/**
+ * Design Fidelity
+ * Compares a screenshot of the rendered preview with the mockup it was generated from
+ * - The preview is drawn to a canvas through an SVG <foreignObject> (no screenshot library needed)
+ * - Similarity mixes structure (SSIM on luminance) and color, per 8px block of a small analysis copy
+ * - The worst blocks become a heatmap and the regions a refinement is asked to fix
+ */
+
+import { loadImage } from './canvasHelpers';
+
+// Both images are compared at this width (height follows the mockup's aspect ratio)
+const ANALYSIS_WIDTH = 128;
+const MAX_ANALYSIS_HEIGHT = ANALYSIS_WIDTH * 6;
+const BLOCK_SIZE = 8;
+// Regions are groups of 4×4 blocks (a quarter of the width)
+const REGION_BLOCKS = 4;
+const STRUCTURE_WEIGHT = 0.6;
+const IMAGE_FETCH_TIMEOUT = 4000;
+
+// Viewport widths offered next to "Auto" in the fidelity panel
+export const FIDELITY_WIDTHS = [375, 768, 1280, 1440];
+
+/**
+ * Viewport width a mockup was most likely captured at (retina screenshots are twice the CSS width)
+ * @param {HTMLImageElement} mockup
+ * @returns {number} CSS pixels
+ */
+export function guessViewportWidth(mockup) {
+  const width = mockup.naturalWidth;
+  if (width >= 2400) return Math.round(width / 2);
+  return Math.min(1920, Math.max(320, width));
+}
+
+/**
+ * Read a Blob as a data URL
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Gray box the size of an image that could not be inlined
+ * @param {number} width
+ * @param {number} height
+ * @returns {string} SVG data URL
+ */
+function placeholderImage(width, height) {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><rect width="100%" height="100%" fill="#cbd5e1"/></svg>`;
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+/**
+ * Replace image URLs in a cloned document with data URLs
+ * An SVG image can't load anything external, so remote images are fetched first (CORS allowing)
+ * and the rest become gray boxes of the same size
+ * @param {Array<HTMLImageElement>} originals - Images in the rendered document
+ * @param {Array<HTMLImageElement>} clones - Same images in the clone
+ */
+async function inlineImages(originals, clones) {
+  await Promise.all(clones.map(async (clone, i) => {
+    const original = originals[i];
+    const src = original.currentSrc || original.src;
+    clone.removeAttribute('srcset');
+    clone.removeAttribute('loading');
+    if (!src || src.startsWith('data:')) return;
+
+    try {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), IMAGE_FETCH_TIMEOUT);
+      const response = await fetch(src, { signal: controller.signal });
+      clearTimeout(timer);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      clone.setAttribute('src', await blobToDataUrl(await response.blob()));
+    } catch {
+      const rect = original.getBoundingClientRect();
+      const width = Math.max(1, Math.round(rect.width));
+      const height = Math.max(1, Math.round(rect.height));
+      clone.setAttribute('src', placeholderImage(width, height));
+      clone.setAttribute('width', width);
+      clone.setAttribute('height', height);
+    }
+  }));
+}
+
+/**
+ * Screenshot a rendered document
+ * @param {Document} doc - Same-origin document (the preview's markup and <style> rules)
+ * @param {number} width - Viewport width in CSS pixels
+ * @param {number} height - Height to capture from the top of the page
+ * @returns {Promise<HTMLCanvasElement>} Canvas of width × height
+ */
+export async function captureDocument(doc, width, height) {
+  const clone = doc.documentElement.cloneNode(true);
+  clone.querySelectorAll('script, link, iframe, video, audio, object, embed').forEach(el => el.remove());
+  await inlineImages([...doc.images], [...clone.querySelectorAll('img')]);
+
+  // The page background does not reach the edge of a foreignObject, so paint it first
+  const view = doc.defaultView;
+  const backgrounds = [doc.body, doc.documentElement]
+    .map(el => el && view.getComputedStyle(el).backgroundColor)
+    .filter(color => color && color !== 'transparent' && !/rgba\(.*,\s*0\)$/.test(color));
+
+  const markup = new XMLSerializer().serializeToString(clone);
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<foreignObject x="0" y="0" width="100%" height="100%">${markup}</foreignObject></svg>`;
+  const image = await loadImage(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  context.fillStyle = backgrounds[0] || '#ffffff';
+  context.fillRect(0, 0, width, height);
+  context.drawImage(image, 0, 0);
+  return canvas;
+}
+
+/**
+ * Pixels of an image scaled to the analysis size
+ * @param {CanvasImageSource} source
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8ClampedArray} RGBA
+ */
+function sample(source, width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, width, height);
+  context.drawImage(source, 0, 0, width, height);
+  return context.getImageData(0, 0, width, height).data;
+}
+
+/**
+ * Similarity of one block: SSIM of the luminance plus how close the colors are
+ * @returns {number} 0 (nothing alike) - 1 (identical)
+ */
+function blockSimilarity(a, b, width, x0, y0) {
+  const C1 = (0.01 * 255) ** 2;
+  const C2 = (0.03 * 255) ** 2;
+  const n = BLOCK_SIZE * BLOCK_SIZE;
+  let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0, colorDiff = 0;
+
+  for (let y = y0; y < y0 + BLOCK_SIZE; y++) {
+    for (let x = x0; x < x0 + BLOCK_SIZE; x++) {
+      const i = (y * width + x) * 4;
+      const la = 0.299 * a[i] + 0.587 * a[i + 1] + 0.114 * a[i + 2];
+      const lb = 0.299 * b[i] + 0.587 * b[i + 1] + 0.114 * b[i + 2];
+      sumA += la;
+      sumB += lb;
+      sumAA += la * la;
+      sumBB += lb * lb;
+      sumAB += la * lb;
+      colorDiff += Math.abs(a[i] - b[i]) + Math.abs(a[i + 1] - b[i + 1]) + Math.abs(a[i + 2] - b[i + 2]);
+    }
+  }
+
+  const meanA = sumA / n;
+  const meanB = sumB / n;
+  const varA = sumAA / n - meanA * meanA;
+  const varB = sumBB / n - meanB * meanB;
+  const covariance = sumAB / n - meanA * meanB;
+  const ssim = ((2 * meanA * meanB + C1) * (2 * covariance + C2)) /
+    ((meanA * meanA + meanB * meanB + C1) * (varA + varB + C2));
+  const color = 1 - colorDiff / (n * 3 * 255);
+
+  return STRUCTURE_WEIGHT * Math.max(0, ssim) + (1 - STRUCTURE_WEIGHT) * color;
+}
+
+/**
+ * Heatmap of block mismatches (transparent where the images agree, red where they don't)
+ * @returns {string} PNG data URL, ANALYSIS_WIDTH wide
+ */
+function renderHeatmap(blocks, columns, rows) {
+  const canvas = document.createElement('canvas');
+  canvas.width = columns * BLOCK_SIZE;
+  canvas.height = rows * BLOCK_SIZE;
+  const context = canvas.getContext('2d');
+
+  blocks.forEach((similarity, i) => {
+    const alpha = Math.min(0.8, Math.max(0, (1 - similarity) * 1.6 - 0.1));
+    if (alpha <= 0) return;
+    context.fillStyle = `rgba(239, 68, 68, ${alpha.toFixed(2)})`;
+    context.fillRect((i % columns) * BLOCK_SIZE, Math.floor(i / columns) * BLOCK_SIZE, BLOCK_SIZE, BLOCK_SIZE);
+  });
+  return canvas.toDataURL('image/png');
+}
+
+/**
+ * Describe where a region sits on the page
+ * @param {Object} region - { x, y, width, height } as fractions of the page
+ * @returns {string} e.g. "8-25% from the top, left side"
+ */
+export function describeRegion(region) {
+  const top = Math.round(region.y * 100);
+  const bottom = Math.round((region.y + region.height) * 100);
+  const center = region.x + region.width / 2;
+  const side = center < 0.3 ? 'left side' : center > 0.7 ? 'right side' : 'center';
+  return `${top}-${bottom}% from the top, ${side}`;
+}
+
+/**
+ * Compare the mockup with a screenshot of the preview
+ * @param {CanvasImageSource} mockup - Reference image
+ * @param {CanvasImageSource} screenshot - Preview captured at the mockup's aspect ratio
+ * @param {number} aspect - Height / width of both images
+ * @returns {{score: number, heatmap: string, regions: Array}} Score 0-100, heatmap data URL, worst regions first
+ */
+export function compareImages(mockup, screenshot, aspect) {
+  const columns = ANALYSIS_WIDTH / BLOCK_SIZE;
+  const height = Math.min(MAX_ANALYSIS_HEIGHT, Math.max(BLOCK_SIZE, Math.round(ANALYSIS_WIDTH * aspect / BLOCK_SIZE) * BLOCK_SIZE));
+  const rows = height / BLOCK_SIZE;
+  const a = sample(mockup, ANALYSIS_WIDTH, height);
+  const b = sample(screenshot, ANALYSIS_WIDTH, height);
+
+  const blocks = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      blocks.push(blockSimilarity(a, b, ANALYSIS_WIDTH, column * BLOCK_SIZE, row * BLOCK_SIZE));
+    }
+  }
+  const score = Math.round(100 * blocks.reduce((sum, s) => sum + s, 0) / blocks.length);
+
+  // Average the blocks into regions and keep the ones that differ noticeably
+  const regions = [];
+  for (let row = 0; row < rows; row += REGION_BLOCKS) {
+    for (let column = 0; column < columns; column += REGION_BLOCKS) {
+      const cells = [];
+      for (let r = row; r < Math.min(rows, row + REGION_BLOCKS); r++) {
+        for (let c = column; c < column + REGION_BLOCKS; c++) cells.push(blocks[r * columns + c]);
+      }
+      regions.push({
+        x: column / columns,
+        y: row / rows,
+        width: REGION_BLOCKS / columns,
+        height: Math.min(REGION_BLOCKS, rows - row) / rows,
+        mismatch: 1 - cells.reduce((sum, s) => sum + s, 0) / cells.length,
+      });
+    }
+  }
+
+  return {
+    score,
+    heatmap: renderHeatmap(blocks, columns, rows),
+    regions: regions.filter(r => r.mismatch >= 0.15).sort((x, y) => y.mismatch - x.mismatch),
+  };
+}
+
+/**
+ * Crop a region out of an image
+ * @param {HTMLImageElement|HTMLCanvasElement} source
+ * @param {Object} region - { x, y, width, height } as fractions
+ * @param {number} maxWidth - Largest width of the crop in pixels
+ * @returns {string} JPEG data URL
+ */
+export function cropRegion(source, region, maxWidth = 768) {
+  const sourceWidth = source.naturalWidth || source.width;
+  const sourceHeight = source.naturalHeight || source.height;
+  const sx = region.x * sourceWidth;
+  const sy = region.y * sourceHeight;
+  const sw = region.width * sourceWidth;
+  const sh = region.height * sourceHeight;
+  const scale = Math.min(1, maxWidth / sw);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(sw * scale));
+  canvas.height = Math.max(1, Math.round(sh * scale));
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(source, sx, sy, sw, sh, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', 0.85);
+}
+
+/**
+ * Refinement request for the regions that differ most from the mockup
+ * The images go with it in this order: mockup, current screenshot, one mockup close-up per region
+ * @param {number} score - Current similarity score
+ * @param {Array} regions - Regions from compareImages() (already limited to the ones sent)
+ * @returns {string} Refinement instruction
+ */
+export function buildFidelityRefinePrompt(score, regions) {
+  const list = regions
+    .map((region, i) => `${i + 1}. ${describeRegion(region)} (${Math.round(region.mismatch * 100)}% different) - close-up image ${i + 3}`)
+    .join('\n');
+
+  return `Make the page match the design mockup more closely. It currently scores ${score}/100 on visual similarity.
+The attached images are, in order: (1) the design mockup, (2) a screenshot of the current page, then close-ups of the mockup where the page differs most:
+${list}
+
+Fix the layout, spacing, sizes, colors, typography and content of those areas so they look like the mockup. Keep the parts that already match as they are.`;
+}
@@ -0,0 +1,111 @@
+/**
+ * Design Spec
+ * Helpers for the design JSON that guides code generation (palette, fonts, sections, spacing)
+ * Same shape as the ---JSON--- section of SYSTEM_PROMPTS.PROMPT_OPTIMIZER in geminiService.js;
+ * the prompt panel's design spec editor edits it before generation
+ */
+
+// Starting point when the user adds specs by hand (or the optimizer returned none)
+export const DEFAULT_DESIGN_SPEC = {
+  layout: {
+    type: 'landing',
+    sections: ['header', 'hero', 'features', 'footer'],
+    columns: 1,
+  },
+  colors: {
+    background: '#0A090F',
+    primary: '#C5A059',
+    secondary: '#1A1625',
+    accent: '#D4AF61',
+    text: '#F1F5F9',
+  },
+  typography: {
+    headingFont: 'Outfit',
+    bodyFont: 'Inter',
+    headingSize: '48px',
+    bodySize: '16px',
+  },
+};
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+/**
+ * Check if a value is a hex color (#rgb, #rgba, #rrggbb or #rrggbbaa)
+ * @param {string} value - Color value
+ * @returns {boolean}
+ */
+export function isHexColor(value) {
+  return typeof value === 'string' && HEX_COLOR.test(value.trim());
+}
+
+/**
+ * Expand a hex color to #rrggbb (what <input type="color"> accepts)
+ * @param {string} value - Hex color
+ * @returns {string|null} Six-digit hex color, or null when the value is not hex
+ */
+export function toSixDigitHex(value) {
+  if (!isHexColor(value)) return null;
+  const hex = value.trim().slice(1);
+  if (hex.length === 3 || hex.length === 4) {
+    return `#${hex.slice(0, 3).split('').map(c => c + c).join('')}`.toLowerCase();
+  }
+  return `#${hex.slice(0, 6)}`.toLowerCase();
+}
+
+/**
+ * Make sure a design spec has the parts the editor works with
+ * Unknown keys (components, effects, ...) are kept as they are
+ * @param {Object|null} spec - Design JSON from the optimizer, image preprocessing or the editor
+ * @returns {Object} Spec with layout.sections, colors and typography objects
+ */
+export function normalizeDesignSpec(spec) {
+  const source = spec && typeof spec === 'object' ? spec : {};
+  const sections = Array.isArray(source.layout?.sections)
+    ? source.layout.sections.map(section => String(section).trim()).filter(Boolean)
+    : [];
+
+  return {
+    ...source,
+    layout: { ...source.layout, sections },
+    colors: { ...source.colors },
+    typography: { ...source.typography },
+  };
+}
+
+/**
+ * Merge two design specs, one level deep (overrides win; arrays are replaced, not merged)
+ * Used to let the user's edited spec override what image preprocessing extracted
+ * @param {Object|null} base - Base spec (e.g. from the uploaded screenshot)
+ * @param {Object|null} overrides - Spec that wins on conflicts (e.g. from the editor)
+ * @returns {Object|null} Merged spec, or null when both are empty
+ */
+export function mergeDesignSpecs(base, overrides) {
+  if (!base) return overrides || null;
+  if (!overrides) return base;
+
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    const isPlainObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isPlainObject && base[key] && typeof base[key] === 'object' && !Array.isArray(base[key])
+      ? { ...base[key], ...value }
+      : value;
+  }
+  return merged;
+}
+
+/**
+ * Append design specifications to a generation prompt
+ * @param {string} prompt - Prompt text
+ * @param {Object|null} designJSON - Design specifications
+ * @returns {string} Prompt with specs (unchanged when there are none)
+ */
+export function withDesignSpecs(prompt, designJSON) {
+  if (!designJSON) return prompt;
+  return `${prompt}
+
+=== DESIGN SPECIFICATIONS (FOLLOW EXACTLY) ===
+${JSON.stringify(designJSON, null, 2)}
+=== END SPECIFICATIONS ===
+
+Use the EXACT colors, fonts and section order from the specifications above.`;
+}
@@ -0,0 +1,334 @@
+/**
+ * Design Tokens
+ * Reads and rewrites the design tokens of a generated stylesheet: colors, font families,
+ * spacing scale, radii and shadows
+ * - Plain stylesheets get their repeated literals moved into CSS custom properties in one :root block
+ * - Tokens already declared in :root (or in a Tailwind @theme block) are read and edited in place
+ * Names follow the design spec shape from the prompt optimizer (colors.primary → --color-primary,
+ * typography.headingFont → --font-heading), so tokens and specs convert both ways
+ */
+
+import { mergeDesignSpecs } from './designSpec';
+
+export const TOKEN_CATEGORIES = [
+  { id: 'colors', label: 'Colors', icon: 'palette' },
+  { id: 'fonts', label: 'Fonts', icon: 'text_fields' },
+  { id: 'spacing', label: 'Spacing', icon: 'space_bar' },
+  { id: 'radii', label: 'Radii', icon: 'rounded_corner' },
+  { id: 'shadows', label: 'Shadows', icon: 'layers' },
+];
+
+// How many new tokens of each kind a stylesheet can get at most
+const MAX_NEW_TOKENS = { colors: 16, fonts: 6, spacing: 10, radii: 6, shadows: 6 };
+
+const COLOR_LITERAL = /#(?:[0-9a-f]{8}|[0-9a-f]{6}|[0-9a-f]{3,4})\b|(?:rgba?|hsla?)\([^()]*\)/gi;
+const LENGTH_LITERAL = /(^|\s)(\d*\.?\d+(?:px|rem|em))(?=\s|$|!)/g;
+const DECLARATION = /([a-zA-Z-][\w-]*)\s*:\s*([^;{}]+?)\s*(?=[;}])/g;
+const TOKEN_BLOCK = /(:root|@theme[^{]*)\s*\{([^{}]*)\}/g;
+
+const SPACING_PROPERTY = /^(?:padding|margin|gap|row-gap|column-gap)(?:-(?:top|right|bottom|left|inline|block)(?:-start|-end)?)?$/;
+const RADIUS_PROPERTY = /^border(?:-(?:top|bottom)-(?:left|right))?-radius$/;
+
+/**
+ * Normalize a color literal so #FFF, #ffffff and rgb( 0,0,0 ) spellings compare equal
+ * @param {string} color - Color literal
+ * @returns {string} Normalized color
+ */
+function normalizeColor(color) {
+  const value = color.trim().toLowerCase().replace(/\s+/g, '');
+  if (/^#[0-9a-f]{3,4}$/.test(value)) {
+    return `#${value.slice(1).split('').map(c => c + c).join('')}`;
+  }
+  return value;
+}
+
+/**
+ * Turn a spec key or font name into a token name segment
+ * @param {string} text - e.g. 'headingFont', 'Playfair Display'
+ * @returns {string} e.g. 'heading-font', 'playfair-display'
+ */
+function slugify(text) {
+  return text
+    .replace(/([a-z])([A-Z])/g, '$1-$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * First family of a font-family value, without quotes
+ * @param {string} value - e.g. '"Playfair Display", serif'
+ * @returns {string} e.g. 'Playfair Display'
+ */
+function firstFontFamily(value) {
+  return value.split(',')[0].trim().replace(/^["']|["']$/g, '');
+}
+
+/**
+ * Guess the category of a custom property from its name (then its value)
+ * @param {string} name - Property name without the leading dashes
+ * @param {string} value - Property value
+ * @returns {string|null} Category ID, or null for tokens the theme panel does not show
+ */
+function categorizeToken(name, value) {
+  if (/^colou?r/.test(name)) return 'colors';
+  if (/^font-(?:size|weight)|^text-|^leading-|^tracking-/.test(name)) return null;
+  if (/^font/.test(name)) return 'fonts';
+  if (/^spac/.test(name)) return 'spacing';
+  if (/^radius|^rounded/.test(name)) return 'radii';
+  if (/^shadow/.test(name)) return 'shadows';
+  if (new RegExp(`^(?:${COLOR_LITERAL.source})$`, 'i').test(value.trim())) return 'colors';
+  return null;
+}
+
+/**
+ * Apply a transform to the code of a stylesheet, leaving comments untouched
+ * @param {string} css - Stylesheet
+ * @param {Function} transform - (code) => code
+ * @returns {string} Transformed stylesheet
+ */
+function mapCode(css, transform) {
+  return css
+    .split(/(\/\*[\s\S]*?\*\/)/)
+    .map((part, index) => (index % 2 === 0 ? transform(part) : part))
+    .join('');
+}
+
+/**
+ * Read the tokens declared as custom properties in :root or @theme blocks
+ * @param {string} css - Stylesheet (plain CSS or Tailwind input)
+ * @returns {Array} [{ name: '--color-primary', value, category }] in declaration order
+ */
+export function readTokens(css) {
+  const tokens = [];
+  const seen = new Set();
+  const code = (css || '').replace(/\/\*[\s\S]*?\*\//g, '');
+
+  for (const block of code.matchAll(TOKEN_BLOCK)) {
+    for (const declaration of block[2].matchAll(/(--[\w-]+)\s*:\s*([^;]+)/g)) {
+      const name = declaration[1];
+      if (seen.has(name)) continue;
+      seen.add(name);
+      const value = declaration[2].trim();
+      tokens.push({ name, value, category: categorizeToken(name.slice(2), value) });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Find the literals worth turning into tokens (repeated colors, font stacks, spacing scale, radii, shadows)
+ * Literals that already match a declared token are left to that token
+ * @param {string} css - Plain stylesheet
+ * @param {Object|null} designSpec - Design spec used to name tokens (colors.primary → --color-primary)
+ * @returns {Array} New tokens: [{ name, value, category, count }]
+ */
+export function extractDesignTokens(css, designSpec = null) {
+  const existing = readTokens(css);
+  const takenNames = new Set(existing.map(t => t.name));
+  const existingValues = new Set(existing.map(t => normalizeColor(t.value)));
+  const found = { colors: new Map(), fonts: new Map(), spacing: new Map(), radii: new Map(), shadows: new Map() };
+  const count = (map, key, value) => map.set(key, { value, count: (map.get(key)?.count || 0) + 1 });
+
+  mapCode(css || '', (code) => {
+    for (const [, property, value] of code.matchAll(DECLARATION)) {
+      if (property.startsWith('--')) continue;
+      const prop = property.toLowerCase();
+
+      // Shadow colors stay part of the shadow token
+      if (!prop.endsWith('shadow')) {
+        for (const color of value.match(COLOR_LITERAL) || []) {
+          count(found.colors, normalizeColor(color), color);
+        }
+      }
+      if (prop === 'font-family' && !value.includes('var(')) {
+        count(found.fonts, value, value);
+      }
+      if (SPACING_PROPERTY.test(prop)) {
+        for (const [, , length] of value.matchAll(LENGTH_LITERAL)) {
+          if (parseFloat(length) !== 0) count(found.spacing, length, length);
+        }
+      }
+      if (RADIUS_PROPERTY.test(prop) && !value.includes('var(') && !/^0(?:px)?$/.test(value)) {
+        count(found.radii, value, value);
+      }
+      if (prop === 'box-shadow' && value !== 'none' && !value.includes('var(')) {
+        count(found.shadows, value, value);
+      }
+    }
+    return code;
+  });
+
+  const specColors = Object.entries(designSpec?.colors || {})
+    .filter(([, value]) => typeof value === 'string')
+    .map(([role, value]) => [normalizeColor(value), role]);
+  const specFonts = [
+    [designSpec?.typography?.headingFont, 'heading'],
+    [designSpec?.typography?.bodyFont, 'body'],
+  ].filter(([font]) => font);
+
+  const tokens = [];
+  const uniqueName = (base) => {
+    let name = `--${base}`;
+    for (let i = 2; takenNames.has(name); i++) name = `--${base}-${i}`;
+    takenNames.add(name);
+    return name;
+  };
+  const candidates = (category, minCount = 1) => [...found[category].entries()]
+    .filter(([key, entry]) => entry.count >= minCount && !existingValues.has(category === 'colors' ? key : normalizeColor(entry.value)))
+    .sort((a, b) => b[1].count - a[1].count)
+    .slice(0, MAX_NEW_TOKENS[category]);
+
+  // Colors: repeated ones (plus any the design spec names), spec roles first
+  let colorIndex = 0;
+  const colorEntries = [...found.colors.entries()]
+    .filter(([key, entry]) => (entry.count >= 2 || specColors.some(([color]) => color === key)) && !existingValues.has(key))
+    .sort((a, b) => b[1].count - a[1].count)
+    .slice(0, MAX_NEW_TOKENS.colors);
+  for (const [key, entry] of colorEntries) {
+    const role = specColors.find(([color]) => color === key)?.[1];
+    const name = uniqueName(role ? `color-${slugify(role)}` : `color-${++colorIndex}`);
+    tokens.push({ name, value: entry.value, category: 'colors', count: entry.count, match: key });
+  }
+
+  for (const [key, entry] of candidates('fonts')) {
+    const family = firstFontFamily(entry.value);
+    const role = specFonts.find(([font]) => font.toLowerCase() === family.toLowerCase())?.[1];
+    tokens.push({ name: uniqueName(`font-${role || slugify(family) || 'family'}`), value: entry.value, category: 'fonts', count: entry.count, match: key });
+  }
+
+  // Spacing scale: repeated lengths, smallest first
+  candidates('spacing', 2)
+    .sort((a, b) => toPixels(a[0]) - toPixels(b[0]))
+    .forEach(([key, entry], i) => {
+      tokens.push({ name: uniqueName(`space-${i + 1}`), value: entry.value, category: 'spacing', count: entry.count, match: key });
+    });
+
+  candidates('radii')
+    .sort((a, b) => toPixels(a[0]) - toPixels(b[0]))
+    .forEach(([key, entry], i) => {
+      tokens.push({ name: uniqueName(`radius-${i + 1}`), value: entry.value, category: 'radii', count: entry.count, match: key });
+    });
+
+  candidates('shadows').forEach(([key, entry], i) => {
+    tokens.push({ name: uniqueName(`shadow-${i + 1}`), value: entry.value, category: 'shadows', count: entry.count, match: key });
+  });
+
+  return tokens;
+}
+
+/**
+ * Rough pixel size of a length, for ordering a scale (1rem = 16px)
+ * @param {string} value - Length (or radius shorthand; the first length is used)
+ * @returns {number}
+ */
+function toPixels(value) {
+  const match = String(value).match(/(\d*\.?\d+)(px|rem|em|%)?/);
+  if (!match) return 0;
+  const size = parseFloat(match[1]);
+  return match[2] === 'rem' || match[2] === 'em' ? size * 16 : size;
+}
+
+/**
+ * Move repeated literals into CSS custom properties
+ * New tokens are added to the first :root block (created after any @charset/@import lines),
+ * and every use of a tokenized literal (new or already declared) is replaced with var(--token)
+ * @param {string} css - Plain stylesheet
+ * @param {Object|null} designSpec - Design spec used to name tokens
+ * @returns {{css: string, tokens: Array, added: number}} Rewritten stylesheet and all of its tokens
+ */
+export function tokenizeStylesheet(css, designSpec = null) {
+  const newTokens = extractDesignTokens(css, designSpec);
+  const declared = readTokens(css)
+    .filter(t => t.category)
+    .map(t => ({ ...t, match: t.category === 'colors' ? normalizeColor(t.value) : t.value }));
+  const byCategory = (category) => new Map([...declared, ...newTokens]
+    .filter(t => t.category === category)
+    .map(t => [t.match, t.name]));
+  const colors = byCategory('colors');
+  const fonts = byCategory('fonts');
+  const spacing = byCategory('spacing');
+  const radii = byCategory('radii');
+  const shadows = byCategory('shadows');
+  const use = (name) => `var(${name})`;
+
+  let rewritten = mapCode(css, (code) => code.replace(DECLARATION, (declaration, property, value) => {
+    if (property.startsWith('--')) return declaration;
+    const prop = property.toLowerCase();
+    let next = prop.endsWith('shadow') ? value : value.replace(COLOR_LITERAL, (color) => {
+      const name = colors.get(normalizeColor(color));
+      return name ? use(name) : color;
+    });
+
+    if (prop === 'font-family' && fonts.has(value)) next = use(fonts.get(value));
+    if (RADIUS_PROPERTY.test(prop) && radii.has(value)) next = use(radii.get(value));
+    if (prop === 'box-shadow' && shadows.has(value)) next = use(shadows.get(value));
+    if (SPACING_PROPERTY.test(prop)) {
+      next = next.replace(LENGTH_LITERAL, (match, lead, length) => (spacing.has(length) ? `${lead}${use(spacing.get(length))}` : match));
+    }
+
+    return next === value ? declaration : declaration.replace(value, next);
+  }));
+
+  if (newTokens.length === 0) {
+    return { css: rewritten, tokens: readTokens(rewritten), added: 0 };
+  }
+
+  const declarations = newTokens.map(t => `  ${t.name}: ${t.value};`).join('\n');
+  const rootBlock = rewritten.match(/(^|[\s}])(:root\s*\{)/);
+  if (rootBlock) {
+    const insertAt = rootBlock.index + rootBlock[0].length;
+    rewritten = `${rewritten.slice(0, insertAt)}\n${declarations}${rewritten.slice(insertAt)}`;
+  } else {
+    // @charset and @import must stay at the top of the stylesheet
+    const preamble = rewritten.match(/^(?:\s*(?:\/\*[\s\S]*?\*\/|@charset[^;]*;|@import\s+(?:url\([^)]*\)|"[^"]*"|'[^']*')[^;]*;))*/)[0];
+    const rest = rewritten.slice(preamble.length).replace(/^\s*\n/, '');
+    rewritten = `${preamble}${preamble ? '\n\n' : ''}:root {\n${declarations}\n}\n\n${rest}`;
+  }
+
+  return { css: rewritten, tokens: readTokens(rewritten), added: newTokens.length };
+}
+
+/**
+ * Change the value of a declared token
+ * @param {string} css - Stylesheet
+ * @param {string} name - Token name (e.g. '--color-primary')
+ * @param {string} value - New value
+ * @returns {string} Stylesheet with the first declaration of the token updated
+ */
+export function setTokenValue(css, name, value) {
+  const escaped = name.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
+  return css.replace(new RegExp(`(${escaped}\\s*:\\s*)([^;}]*)`), (match, prefix) => `${prefix}${value}`);
+}
+
+/**
+ * Convert tokens back into the design spec shape (colors / typography / spacing)
+ * @param {Array} tokens - Tokens from readTokens()
+ * @param {Object|null} baseSpec - Spec to update (layout, components, ... are kept)
+ * @returns {Object} Design spec
+ */
+export function tokensToDesignSpec(tokens, baseSpec = null) {
+  const colors = {};
+  const typography = {};
+  const spacing = {};
+
+  for (const token of tokens) {
+    const key = token.name.replace(/^--/, '');
+    if (token.category === 'colors') {
+      // --color-primary → primary (numbered tokens keep their full name)
+      colors[key.replace(/^colou?r-(?=\D)/, '')] = token.value;
+    } else if (token.category === 'fonts') {
+      const family = firstFontFamily(token.value);
+      if (key === 'font-heading' || key === 'font-display') typography.headingFont = family;
+      else if (key === 'font-body' || key === 'font-sans') typography.bodyFont = family;
+      else if (!typography.bodyFont) typography.bodyFont = family;
+    } else if (token.category === 'spacing') {
+      // --space-1 → space-1 (the token's own name, so the spec maps back to the same tokens)
+      spacing[key] = token.value;
+    }
+  }
+
+  if (!typography.headingFont && typography.bodyFont) typography.headingFont = typography.bodyFont;
+  return mergeDesignSpecs(baseSpec, { colors, typography, spacing });
+}
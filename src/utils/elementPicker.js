@@ -0,0 +1,212 @@
+/**
+ * Element Picker
+ * "Pick element" mode of the live preview: hovering outlines elements, clicking one captures
+ * its selector, markup, computed styles and the CSS rules that target it, for the chatbot
+ * Plain previews run it on their (same-origin) document from the app; scripted previews run it
+ * inside the preview bridge, which serializes it with toString(), so it must not reference
+ * anything outside itself and sticks to syntax every preview browser runs as-is
+ */
+
+/**
+ * Start picking an element in a document
+ * @param {Document} doc - Preview document
+ * @param {Function} onPick - Called once with the selection
+ *   ({ selector, tag, text, html, styles, rules }), or null when picking is cancelled with Escape
+ * @returns {Function} Stop picking without calling onPick
+ */
+export function startElementPicker(doc, onPick) {
+  var MAX_HTML_LENGTH = 3000;
+  var MAX_RULES = 12;
+  var STYLE_PROPERTIES = [
+    'display', 'position', 'width', 'height', 'margin', 'padding', 'gap',
+    'flex-direction', 'justify-content', 'align-items', 'grid-template-columns',
+    'color', 'background-color', 'background-image', 'border', 'border-radius', 'box-shadow',
+    'font-family', 'font-size', 'font-weight', 'line-height', 'letter-spacing', 'text-align',
+    'opacity', 'transform', 'transition',
+  ];
+  // Computed values that say nothing about the element
+  var TRIVIAL_VALUES = ['none', 'normal', 'auto', '0px', 'rgba(0, 0, 0, 0)', 'static', 'visible', 'all', '0px none rgb(0, 0, 0)'];
+  var CAPTURED_EVENTS = ['click', 'mousedown', 'mouseup', 'pointerdown', 'pointerup', 'submit'];
+
+  var view = doc.defaultView;
+  var root = doc.documentElement;
+  var hovered = null;
+  var previousCursor = root.style.cursor;
+
+  var overlay = doc.createElement('div');
+  overlay.style.cssText = 'position:fixed;z-index:2147483647;pointer-events:none;box-sizing:border-box;display:none;' +
+    'border:2px solid #C5A059;background:rgba(197,160,89,0.15);border-radius:2px';
+  var label = doc.createElement('div');
+  label.style.cssText = 'position:absolute;left:-2px;bottom:100%;margin-bottom:2px;padding:1px 6px;border-radius:2px;' +
+    'background:#C5A059;color:#0A090F;font:600 11px/16px ui-monospace,monospace;white-space:nowrap;' +
+    'max-width:320px;overflow:hidden;text-overflow:ellipsis';
+  overlay.appendChild(label);
+  root.appendChild(overlay);
+  root.style.cursor = 'crosshair';
+
+  function escapeIdent(value) {
+    return view.CSS && view.CSS.escape ? view.CSS.escape(value) : value.replace(/([^\w-])/g, '\\$1');
+  }
+
+  function classList(element) {
+    return typeof element.className === 'string' ? element.className.trim().split(/\s+/).filter(Boolean) : [];
+  }
+
+  function matchCount(selector) {
+    try {
+      return doc.querySelectorAll(selector).length;
+    } catch {
+      return 0;
+    }
+  }
+
+  // Shortest path from the element up (id, tag + classes, :nth-of-type) that matches only it
+  function selectorFor(element) {
+    var parts = [];
+    var node = element;
+    while (node && node.nodeType === 1 && node !== root) {
+      if (node.id && matchCount('#' + escapeIdent(node.id)) === 1) {
+        parts.unshift('#' + escapeIdent(node.id));
+        break;
+      }
+      var part = node.tagName.toLowerCase() + classList(node).slice(0, 3).map(function (name) {
+        return '.' + escapeIdent(name);
+      }).join('');
+      var parent = node.parentElement;
+      if (parent) {
+        var sameTag = Array.prototype.filter.call(parent.children, function (child) {
+          return child.tagName === node.tagName;
+        });
+        if (sameTag.length > 1) part += ':nth-of-type(' + (sameTag.indexOf(node) + 1) + ')';
+      }
+      parts.unshift(part);
+      if (matchCount(parts.join(' > ')) === 1) break;
+      node = parent;
+    }
+    return parts.join(' > ');
+  }
+
+  function computedStyles(element) {
+    var computed = view.getComputedStyle(element);
+    var styles = {};
+    STYLE_PROPERTIES.forEach(function (name) {
+      var value = computed.getPropertyValue(name);
+      if (value && TRIVIAL_VALUES.indexOf(value) === -1) styles[name] = value;
+    });
+    return styles;
+  }
+
+  // Stylesheet rules that apply to the element (inside @media blocks too)
+  function matchedRules(element) {
+    var found = [];
+    function collect(rules, media) {
+      Array.prototype.forEach.call(rules, function (rule) {
+        if (found.length >= MAX_RULES) return;
+        if (rule.selectorText) {
+          var matches = false;
+          try {
+            matches = element.matches(rule.selectorText);
+          } catch {
+            // Selector the browser can't match from script (e.g. ::before)
+          }
+          if (matches) found.push(media ? '@media ' + media + ' { ' + rule.cssText + ' }' : rule.cssText);
+        } else if (rule.cssRules) {
+          collect(rule.cssRules, rule.media ? rule.media.mediaText : media);
+        }
+      });
+    }
+    Array.prototype.forEach.call(doc.styleSheets, function (sheet) {
+      try {
+        collect(sheet.cssRules, null);
+      } catch {
+        // Cross-origin stylesheet (CDN) - its rules can't be read
+      }
+    });
+    return found;
+  }
+
+  function describe(element) {
+    var html = element.outerHTML;
+    return {
+      selector: selectorFor(element),
+      tag: element.tagName.toLowerCase(),
+      text: (element.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 80),
+      html: html.length > MAX_HTML_LENGTH ? html.slice(0, MAX_HTML_LENGTH) + '\n<!-- truncated -->' : html,
+      styles: computedStyles(element),
+      rules: matchedRules(element),
+    };
+  }
+
+  function targetOf(event) {
+    var element = event.target;
+    return element && element.nodeType === 1 && element !== root && element !== overlay ? element : null;
+  }
+
+  function highlight(element) {
+    hovered = element;
+    if (!element) {
+      overlay.style.display = 'none';
+      return;
+    }
+    var rect = element.getBoundingClientRect();
+    overlay.style.display = 'block';
+    overlay.style.left = rect.left + 'px';
+    overlay.style.top = rect.top + 'px';
+    overlay.style.width = rect.width + 'px';
+    overlay.style.height = rect.height + 'px';
+    // Keep the label inside the page for elements at the very top
+    label.style.bottom = rect.top < 20 ? 'auto' : '100%';
+    label.style.top = rect.top < 20 ? '0' : 'auto';
+    label.textContent = element.tagName.toLowerCase() +
+      (element.id ? '#' + element.id : classList(element).slice(0, 2).map(function (name) { return '.' + name; }).join('')) +
+      '  ' + Math.round(rect.width) + '×' + Math.round(rect.height);
+  }
+
+  function onMove(event) {
+    var element = targetOf(event);
+    if (element !== hovered) highlight(element);
+  }
+
+  function onScroll() {
+    if (hovered) highlight(hovered);
+  }
+
+  // Page handlers, links and forms must not react while picking
+  function onCapture(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    if (event.stopImmediatePropagation) event.stopImmediatePropagation();
+    if (event.type !== 'click') return;
+    var element = targetOf(event);
+    if (!element) return;
+    var selection = describe(element);
+    stop();
+    onPick(selection);
+  }
+
+  function onKey(event) {
+    if (event.key !== 'Escape') return;
+    event.preventDefault();
+    stop();
+    onPick(null);
+  }
+
+  function stop() {
+    doc.removeEventListener('mousemove', onMove, true);
+    doc.removeEventListener('scroll', onScroll, true);
+    doc.removeEventListener('keydown', onKey, true);
+    CAPTURED_EVENTS.forEach(function (type) {
+      doc.removeEventListener(type, onCapture, true);
+    });
+    if (overlay.parentNode) overlay.parentNode.removeChild(overlay);
+    root.style.cursor = previousCursor;
+  }
+
+  doc.addEventListener('mousemove', onMove, true);
+  doc.addEventListener('scroll', onScroll, true);
+  doc.addEventListener('keydown', onKey, true);
+  CAPTURED_EVENTS.forEach(function (type) {
+    doc.addEventListener(type, onCapture, true);
+  });
+  return stop;
+}
@@ -0,0 +1,341 @@
+/**
+ * Image Analysis
+ * In-browser preprocessing of design mockups with canvas pixel analysis
+ * Returns the same shape as the HuggingFace preprocessing Space:
+ * { colors: { primary, secondary, accent, background, text, is_dark_theme },
+ *   layout: { type, sections, estimated_columns } }
+ * - Colors come from a quantized histogram of the image
+ * - Sections are horizontal bands split where the row background changes or by empty gaps
+ * - Columns are runs of content separated by empty vertical gutters inside a band
+ */
+
+import { loadImage, luminance, contrastRatio, toHex } from './canvasHelpers';
+
+// Mockups are analyzed at this width (height follows, up to the cap)
+const ANALYSIS_WIDTH = 240;
+const MAX_ANALYSIS_HEIGHT = 2400;
+// Colors closer than this (RGB distance) count as the same palette entry
+const MERGE_DISTANCE = 36;
+// A pixel is "content" when it differs this much from its row's background
+const CONTENT_DISTANCE = 32;
+// Rows whose backgrounds differ this much belong to different bands
+const BAND_DISTANCE = 18;
+// Palette entries below this share of the image are ignored for roles
+const MIN_COVERAGE = 0.004;
+
+/**
+ * Euclidean RGB distance
+ */
+function distance(a, b) {
+  return Math.sqrt((a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2);
+}
+
+/**
+ * HSL saturation and hue
+ * @param {Array<number>} rgb
+ * @returns {{hue: number, saturation: number, chroma: number}} hue in degrees, saturation/chroma 0 - 1
+ */
+function colorfulness(rgb) {
+  const [r, g, b] = rgb.map(c => c / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const chroma = max - min;
+  const lightness = (max + min) / 2;
+  const saturation = chroma === 0 ? 0 : chroma / (1 - Math.abs(2 * lightness - 1));
+
+  let hue = 0;
+  if (chroma > 0) {
+    if (max === r) hue = 60 * (((g - b) / chroma) % 6);
+    else if (max === g) hue = 60 * ((b - r) / chroma + 2);
+    else hue = 60 * ((r - g) / chroma + 4);
+  }
+  return { hue: (hue + 360) % 360, saturation, chroma };
+}
+
+/**
+ * Palette of an image: quantized histogram, similar colors merged, most common first
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @returns {Array<{rgb: Array<number>, share: number}>}
+ */
+function buildPalette(data) {
+  const buckets = new Map();
+  let total = 0;
+
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < 128) continue;
+    // 5 bits per channel
+    const key = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { r: 0, g: 0, b: 0, count: 0 };
+      buckets.set(key, bucket);
+    }
+    bucket.r += data[i];
+    bucket.g += data[i + 1];
+    bucket.b += data[i + 2];
+    bucket.count++;
+    total++;
+  }
+
+  const palette = [];
+  const sorted = [...buckets.values()].sort((a, b) => b.count - a.count);
+  for (const bucket of sorted) {
+    const rgb = [bucket.r / bucket.count, bucket.g / bucket.count, bucket.b / bucket.count];
+    const match = palette.find(entry => distance(entry.rgb, rgb) < MERGE_DISTANCE);
+    if (match) {
+      match.count += bucket.count;
+    } else {
+      palette.push({ rgb, count: bucket.count });
+    }
+  }
+
+  return palette
+    .map(entry => ({ rgb: entry.rgb, share: entry.count / Math.max(1, total) }))
+    .sort((a, b) => b.share - a.share);
+}
+
+/**
+ * Pick the color roles from a palette
+ * Only colors found in the image are returned - a role without a real candidate is null
+ * (a single-color or low-contrast image has no text or brand colors to report)
+ * @param {Array} palette - From buildPalette()
+ * @returns {Object} { primary, secondary, accent, background, text, is_dark_theme }
+ */
+function pickColors(palette) {
+  const background = palette[0].rgb;
+  const candidates = palette.slice(1).filter(entry => entry.share >= MIN_COVERAGE);
+  const isDark = luminance(background) < 0.2;
+
+  // Text: the most common color that reads well on the background, preferably a neutral
+  const readable = candidates.filter(entry => contrastRatio(entry.rgb, background) >= 4.5);
+  const text = (readable.find(entry => colorfulness(entry.rgb).saturation < 0.25) || readable[0])?.rgb || null;
+
+  // Brand colors: saturated enough, not the background or text color
+  const isDistinct = (rgb, others) => others.every(other => distance(rgb, other) >= MERGE_DISTANCE * 1.5);
+  const vivid = candidates
+    .filter(entry => colorfulness(entry.rgb).saturation >= 0.3 && colorfulness(entry.rgb).chroma >= 0.15)
+    .filter(entry => isDistinct(entry.rgb, [background, text].filter(Boolean)));
+
+  const primary = vivid[0]?.rgb || null;
+  const hueGap = (a, b) => {
+    const gap = Math.abs(colorfulness(a).hue - colorfulness(b).hue);
+    return Math.min(gap, 360 - gap);
+  };
+
+  // Secondary: another brand color, or the main surface color (cards, bands) when there is only one
+  const secondary = (primary && vivid.slice(1).find(entry => hueGap(entry.rgb, primary) >= 20 || isDistinct(entry.rgb, [primary]))?.rgb) ||
+    candidates.find(entry => isDistinct(entry.rgb, [background, text, primary].filter(Boolean)))?.rgb ||
+    null;
+
+  // Accent: the most vivid remaining color
+  const accent = vivid
+    .filter(entry => isDistinct(entry.rgb, [primary, secondary].filter(Boolean)))
+    .sort((a, b) => colorfulness(b.rgb).chroma - colorfulness(a.rgb).chroma)[0]?.rgb || null;
+
+  return {
+    primary: primary && toHex(primary),
+    secondary: secondary && toHex(secondary),
+    accent: accent && toHex(accent),
+    background: toHex(background),
+    text: text && toHex(text),
+    is_dark_theme: isDark,
+  };
+}
+
+/**
+ * Background of a row: the most common (quantized) color along its left and right edges
+ * Page and band backgrounds reach the edges, while centered content rarely does
+ * @returns {Array<number>} RGB
+ */
+function rowBackground(data, width, y) {
+  const edge = Math.max(2, Math.round(width * 0.05));
+  const counts = new Map();
+  let best = null;
+  let bestCount = 0;
+
+  // [0, edge) and [width - edge, width) - on narrow images the two ranges meet and cover every pixel once
+  const ranges = [[0, Math.min(edge, width)], [Math.max(edge, width - edge), width]];
+  for (const [from, to] of ranges) {
+    for (let x = from; x < to; x++) {
+      const i = (y * width + x) * 4;
+      const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+      const count = (counts.get(key) || 0) + 1;
+      counts.set(key, count);
+      if (count > bestCount) {
+        bestCount = count;
+        best = i;
+      }
+    }
+  }
+  return [data[best], data[best + 1], data[best + 2]];
+}
+
+/**
+ * Horizontal bands of the page: rows with the same background belong together,
+ * and wide empty gaps split a band that shares one background
+ * @returns {Array<{start: number, end: number, background: Array<number>}>} Row ranges (end exclusive)
+ */
+function findBands(data, width, height, rows) {
+  const minBand = Math.max(2, Math.round(height * 0.03));
+  const minGap = Math.max(3, Math.round(height * 0.06));
+
+  // Split where the row background changes
+  let bands = [];
+  let start = 0;
+  for (let y = 1; y <= height; y++) {
+    if (y === height || distance(rows[y].background, rows[start].background) >= BAND_DISTANCE) {
+      bands.push({ start, end: y, background: rows[start].background });
+      start = y;
+    }
+  }
+
+  // Thin bands (borders, dividers, text lines on a colored strip) join the band above
+  bands = bands.reduce((merged, band) => {
+    const previous = merged[merged.length - 1];
+    if (previous && band.end - band.start < minBand) {
+      previous.end = band.end;
+    } else {
+      merged.push({ ...band });
+    }
+    return merged;
+  }, []);
+
+  // Split tall bands at empty gaps
+  const split = [];
+  for (const band of bands) {
+    let from = band.start;
+    let gapStart = -1;
+    for (let y = band.start; y < band.end; y++) {
+      const empty = rows[y].content < 0.01;
+      if (empty && gapStart === -1) gapStart = y;
+      if ((!empty || y === band.end - 1) && gapStart !== -1) {
+        const gapEnd = empty ? y + 1 : y;
+        if (gapEnd - gapStart >= minGap && gapStart > from && gapEnd < band.end) {
+          const cut = Math.round((gapStart + gapEnd) / 2);
+          if (cut - from >= minBand) {
+            split.push({ start: from, end: cut, background: band.background });
+            from = cut;
+          }
+        }
+        gapStart = -1;
+      }
+    }
+    split.push({ start: from, end: band.end, background: band.background });
+  }
+
+  // Bands without content are spacing, not sections
+  return split.filter(band => {
+    let content = 0;
+    for (let y = band.start; y < band.end; y++) content += rows[y].content;
+    return content / (band.end - band.start) >= 0.01 || band.end - band.start >= height * 0.15;
+  });
+}
+
+/**
+ * Number of content columns in a band (runs of content separated by empty gutters)
+ * @returns {number}
+ */
+function countColumns(data, width, band) {
+  const minGutter = Math.max(2, Math.round(width * 0.02));
+  const active = [];
+  for (let x = 0; x < width; x++) {
+    let hits = 0;
+    for (let y = band.start; y < band.end; y++) {
+      const i = (y * width + x) * 4;
+      if (distance([data[i], data[i + 1], data[i + 2]], band.background) >= CONTENT_DISTANCE) hits++;
+    }
+    active.push(hits / (band.end - band.start) >= 0.02);
+  }
+
+  let columns = 0;
+  let gutter = minGutter;
+  for (const isActive of active) {
+    if (isActive) {
+      if (gutter >= minGutter) columns++;
+      gutter = 0;
+    } else {
+      gutter++;
+    }
+  }
+  return columns;
+}
+
+/**
+ * Name bands by position and shape: a short top band is the navbar, the next one the hero,
+ * a short bottom band the footer; the rest are named by their column count
+ * @returns {Array<string>} Section names, top to bottom
+ */
+function nameSections(bands, height, columnCounts) {
+  const shareOf = band => (band.end - band.start) / height;
+  const hasNavbar = bands.length > 1 && shareOf(bands[0]) <= 0.12;
+  const heroIndex = hasNavbar ? 1 : 0;
+
+  return bands.map((band, i) => {
+    const share = shareOf(band);
+    if (hasNavbar && i === 0) return 'navbar';
+    if (i === heroIndex) return 'hero';
+    if (i === bands.length - 1 && share <= 0.25) return 'footer';
+    if (columnCounts[i] >= 3) return 'features';
+    return i === bands.length - 2 && share <= 0.2 && columnCounts[i] === 1 ? 'cta' : 'content';
+  });
+}
+
+/**
+ * Analyze mockup pixels
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {number} width
+ * @param {number} height
+ * @returns {Object} { success, colors, layout } in the preprocessing Space's shape
+ */
+export function analyzePixels(data, width, height) {
+  const palette = buildPalette(data);
+  if (palette.length === 0) {
+    return { success: false, error: 'The image has no visible pixels' };
+  }
+
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    const background = rowBackground(data, width, y);
+    let hits = 0;
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      if (distance([data[i], data[i + 1], data[i + 2]], background) >= CONTENT_DISTANCE) hits++;
+    }
+    rows.push({ background, content: hits / width });
+  }
+
+  const bands = findBands(data, width, height, rows);
+  const columnCounts = bands.map(band => countColumns(data, width, band));
+  const sections = nameSections(bands, height, columnCounts);
+  const bodyColumns = columnCounts.filter((_, i) => !['navbar', 'footer'].includes(sections[i]));
+
+  return {
+    success: true,
+    source: 'browser',
+    colors: pickColors(palette),
+    layout: {
+      type: sections.length >= 3 ? 'landing' : 'page',
+      sections,
+      estimated_columns: Math.min(6, Math.max(1, ...bodyColumns, 1)),
+    },
+  };
+}
+
+/**
+ * Analyze a design mockup in the browser
+ * @param {string} imageDataUrl - Image as a data URL
+ * @returns {Promise<Object>} { success, colors, layout } in the preprocessing Space's shape
+ */
+export async function analyzeDesignImage(imageDataUrl) {
+  const image = await loadImage(imageDataUrl);
+  const width = Math.min(ANALYSIS_WIDTH, image.naturalWidth);
+  const height = Math.max(1, Math.min(MAX_ANALYSIS_HEIGHT, Math.round(image.naturalHeight * width / image.naturalWidth)));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(image, 0, 0, width, height);
+
+  return analyzePixels(context.getImageData(0, 0, width, height).data, width, height);
+}
@@ -1,6 +1,7 @@
 /**
  * Image URL Generators for DSY Core
- * Free image services that require no API keys
+ * Free image services that require no API keys, plus an offline placeholder generator
+ * (deterministic SVGs) that can stand in for them when the hosts are blocked
  */
 
 // Lorem Picsum - Random high-quality images
@@ -35,6 +36,7 @@ export const picsum = {
 };
 
 // Unsplash Source - Topic-based images
+// @deprecated source.unsplash.com no longer serves images - use placeholder.image() or picsum.seeded()
 export const unsplash = {
   /**
    * Get an image based on topic/keyword
@@ -110,7 +112,7 @@ export function generateAvatars(count, size = 150) {
  * @returns {string} Hero image URL
  */
 export function getHeroImage(theme = 'technology') {
-  return unsplash.topic(theme, 1920, 1080);
+  return picsum.seeded(theme, 1920, 1080);
 }
 
 /**
@@ -122,3 +124,214 @@ export function getHeroImage(theme = 'technology') {
 export function getBackgroundImage(seed = 'bg', blur = 3) {
   return `https://picsum.photos/seed/${seed}/1920/1080?blur=${blur}`;
 }
+
+// Offline placeholders - deterministic SVG images (same options = same image), no network needed
+const DEFAULT_PLACEHOLDER_PALETTE = ['#C5A059', '#1A1625', '#D4AF61', '#475569'];
+const MAX_PLACEHOLDER_SIZE = 4000;
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} text
+ * @returns {number}
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @param {string} seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = hashString(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[char]);
+}
+
+function clampSize(value, fallback) {
+  const size = Math.round(Number(value));
+  return Number.isFinite(size) && size > 0 ? Math.min(size, MAX_PLACEHOLDER_SIZE) : fallback;
+}
+
+// Palette colors usable in SVG (hex only), falling back to the DSY palette
+function usableColors(palette) {
+  const colors = (Array.isArray(palette) ? palette : Object.values(palette || {}))
+    .filter(color => typeof color === 'string' && /^#[0-9a-f]{3,8}$/i.test(color.trim()))
+    .map(color => color.trim());
+  return colors.length >= 2 ? colors : DEFAULT_PLACEHOLDER_PALETTE;
+}
+
+function svgDataUrl(svg) {
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+// Blur / grayscale filter shared by both placeholder kinds ('' when neither is asked for)
+function effectFilter(blur, grayscale, size) {
+  if (!blur && !grayscale) return '';
+  const effects = [
+    blur ? `<feGaussianBlur stdDeviation="${(Math.min(blur, 10) * size / 200).toFixed(1)}"/>` : '',
+    grayscale ? '<feColorMatrix type="saturate" values="0"/>' : '',
+  ].join('');
+  return `<filter id="fx" x="0" y="0" width="100%" height="100%">${effects}</filter>`;
+}
+
+export const placeholder = {
+  /**
+   * Generate a photo-like placeholder: a gradient scene with hills and a sun in the palette colors
+   * @param {Object} options - { seed, width, height, topic: label shown in the middle,
+   *   palette: hex colors (array or { primary, secondary, ... }), blur: 1-10, grayscale }
+   * @returns {string} SVG data URL
+   */
+  image: ({ seed = 'image', width = 800, height = 600, topic = '', palette, blur = 0, grayscale = false } = {}) => {
+    const w = clampSize(width, 800);
+    const h = clampSize(height, 600);
+    const colors = usableColors(palette);
+    const random = seededRandom(`${seed}|${topic}`);
+    const pick = () => colors[Math.floor(random() * colors.length)];
+    const sky = pick();
+    const horizon = colors.find(color => color !== sky) || pick();
+
+    // Two layers of hills across the lower half
+    const hills = [0.55, 0.7].map((base, layer) => {
+      const steps = 4 + Math.floor(random() * 3);
+      const points = Array.from({ length: steps + 1 }, (_, i) => {
+        const x = Math.round(w * i / steps);
+        const y = Math.round(h * (base + (random() - 0.5) * 0.2));
+        return `L${x} ${y}`;
+      }).join(' ');
+      return `<path d="M0 ${h} ${points} L${w} ${h} Z" fill="${pick()}" opacity="${layer === 0 ? 0.55 : 0.8}"/>`;
+    }).join('');
+    const sun = `<circle cx="${Math.round(w * (0.2 + random() * 0.6))}" cy="${Math.round(h * (0.2 + random() * 0.15))}" r="${Math.round(Math.min(w, h) * (0.08 + random() * 0.06))}" fill="${pick()}" opacity="0.7"/>`;
+    const label = topic
+      ? `<text x="50%" y="50%" text-anchor="middle" dominant-baseline="middle" font-family="system-ui, sans-serif" font-size="${Math.max(12, Math.round(Math.min(w, h) / 10))}" fill="#fff" fill-opacity="0.85">${escapeXml(topic)}</text>`
+      : '';
+    const filter = effectFilter(blur, grayscale, Math.min(w, h));
+
+    return svgDataUrl(`<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">` +
+      `<defs><linearGradient id="sky" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="${sky}"/><stop offset="1" stop-color="${horizon}"/></linearGradient>${filter}</defs>` +
+      `<g${filter ? ' filter="url(#fx)"' : ''}><rect width="${w}" height="${h}" fill="url(#sky)"/>${sun}${hills}</g>${label}</svg>`);
+  },
+
+  /**
+   * Generate an avatar placeholder: initials when a name is given, a head-and-shoulders silhouette otherwise
+   * @param {Object} options - { seed, size, name, palette, grayscale }
+   * @returns {string} SVG data URL
+   */
+  avatar: ({ seed = 'avatar', size = 150, name = '', palette, grayscale = false } = {}) => {
+    const s = clampSize(size, 150);
+    const colors = usableColors(palette);
+    const random = seededRandom(`${seed}|${name}`);
+    const background = colors[Math.floor(random() * colors.length)];
+    const initials = name.trim().split(/[\s._-]+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('');
+    const figure = initials
+      ? `<text x="50%" y="50%" text-anchor="middle" dominant-baseline="central" font-family="system-ui, sans-serif" font-weight="600" font-size="${Math.round(s * 0.4)}" fill="#fff">${escapeXml(initials)}</text>`
+      : `<circle cx="${s / 2}" cy="${Math.round(s * 0.4)}" r="${Math.round(s * 0.18)}" fill="#fff" fill-opacity="0.85"/>` +
+        `<ellipse cx="${s / 2}" cy="${Math.round(s * 0.96)}" rx="${Math.round(s * 0.32)}" ry="${Math.round(s * 0.28)}" fill="#fff" fill-opacity="0.85"/>`;
+    const filter = effectFilter(0, grayscale, s);
+
+    return svgDataUrl(`<svg xmlns="http://www.w3.org/2000/svg" width="${s}" height="${s}" viewBox="0 0 ${s} ${s}">` +
+      `${filter ? `<defs>${filter}</defs>` : ''}<g${filter ? ' filter="url(#fx)"' : ''}><rect width="${s}" height="${s}" fill="${background}"/>${figure}</g></svg>`);
+  },
+};
+
+// Remote placeholder and stock photo hosts the rewrite pass replaces
+const REMOTE_IMAGE_URL = /https?:\/\/(?:picsum\.photos|source\.unsplash\.com|images\.unsplash\.com|i\.pravatar\.cc|api\.dicebear\.com|placehold\.co|via\.placeholder\.com|placekitten\.com|loremflickr\.com)[^\s"'`()<>\\]*/gi;
+
+/**
+ * Work out what a remote placeholder URL asks for
+ * @param {string} url - e.g. https://picsum.photos/seed/card1/400/300
+ * @returns {Object} { kind: 'image' | 'avatar', seed, width, height, topic, name, blur, grayscale }
+ */
+export function parseRemoteImageUrl(url) {
+  const parsed = new URL(url.replace(/&amp;/g, '&'));
+  const host = parsed.hostname;
+  const query = parsed.searchParams;
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  const numbers = segments.filter(part => /^\d+$/.test(part)).map(Number);
+  const dimensions = segments.map(part => part.match(/^(\d+)x(\d+)$/)).find(Boolean);
+  const spec = { kind: 'image', seed: url, width: 800, height: 600, topic: '', name: '', blur: 0, grayscale: false };
+
+  if (host === 'picsum.photos') {
+    const seedIndex = segments.indexOf('seed');
+    if (seedIndex !== -1) spec.seed = segments[seedIndex + 1] || url;
+    const sizes = numbers.slice(segments[0] === 'id' ? 1 : 0);
+    spec.width = sizes[0] || 800;
+    spec.height = sizes[1] || spec.width;
+    spec.blur = query.has('blur') ? Number(query.get('blur')) || 1 : 0;
+    spec.grayscale = query.has('grayscale');
+  } else if (host === 'source.unsplash.com') {
+    [spec.width, spec.height] = dimensions ? [Number(dimensions[1]), Number(dimensions[2])] : [1600, 900];
+    spec.topic = decodeURIComponent(parsed.search.slice(1)).split(/[,&=]/)[0] || '';
+  } else if (host === 'images.unsplash.com') {
+    spec.width = Number(query.get('w')) || 1200;
+    spec.height = Number(query.get('h')) || Math.round(spec.width * 2 / 3);
+  } else if (host === 'i.pravatar.cc') {
+    spec.kind = 'avatar';
+    spec.seed = query.get('img') || query.get('u') || url;
+    spec.width = spec.height = numbers[0] || 150;
+  } else if (host === 'api.dicebear.com') {
+    spec.kind = 'avatar';
+    spec.seed = query.get('seed') || url;
+    if (segments.includes('initials')) spec.name = spec.seed;
+    spec.width = spec.height = Number(query.get('size')) || 150;
+  } else {
+    // placehold.co/600x400, via.placeholder.com/600, placekitten.com/600/400, loremflickr.com/600/400/topic
+    [spec.width, spec.height] = dimensions
+      ? [Number(dimensions[1]), Number(dimensions[2])]
+      : [numbers[0] || 600, numbers[1] || numbers[0] || 400];
+    spec.topic = query.get('text') ||
+      (host === 'placekitten.com' ? 'kitten' : host === 'loremflickr.com' ? segments.find(part => !/^\d+$/.test(part)) || '' : '');
+  }
+  return spec;
+}
+
+/**
+ * Swap remote placeholder URLs in HTML/CSS (or component code) for local placeholder files
+ * The same URL always maps to the same file, so repeated passes are stable
+ * @param {string} code - Source to rewrite
+ * @param {Object} options - { palette: hex colors for the placeholders,
+ *   folder: where the files go (default assets/placeholders) }
+ * @returns {{code: string, images: Array<{path: string, data: string, url: string}>}}
+ */
+export function localizePlaceholderImages(code, { palette, folder = 'assets/placeholders' } = {}) {
+  const images = new Map(); // url -> { path, data, url }
+  if (!code) return { code, images: [] };
+
+  const rewritten = code.replace(REMOTE_IMAGE_URL, (url) => {
+    if (!images.has(url)) {
+      let spec;
+      try {
+        spec = parseRemoteImageUrl(url);
+      } catch {
+        return url;
+      }
+      const data = spec.kind === 'avatar'
+        ? placeholder.avatar({ seed: spec.seed, size: spec.width, name: spec.name, palette, grayscale: spec.grayscale })
+        : placeholder.image({ ...spec, palette });
+
+      // Named after the seed or topic, with a hash of the URL so every file stays unique across passes
+      const label = String(spec.topic || (spec.seed !== url ? spec.seed : ''))
+        .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 24);
+      const path = `${folder}/${[spec.kind, label, hashString(url).toString(36)].filter(Boolean).join('-')}.svg`;
+      images.set(url, { path, data, url });
+    }
+    return images.get(url).path;
+  });
+
+  return { code: rewritten, images: [...images.values()] };
+}
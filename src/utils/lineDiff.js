@@ -0,0 +1,123 @@
+/**
+ * Line Diff
+ * Splits the difference between two versions of a file into hunks that can be accepted one by one
+ * (the chatbot's change review applies only the hunks the user keeps)
+ */
+
+// Above this many line pairs the changed middle is treated as one hunk instead of being diffed
+const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * Longest common subsequence of two line lists
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {Array<[number, number]>} Matching [indexInA, indexInB] pairs in order
+ */
+function commonLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0 || m === 0 || n * m > MAX_DIFF_CELLS) return [];
+
+  // lengths[i * (m + 1) + j] = LCS length of a[i..] and b[j..]
+  const width = m + 1;
+  const lengths = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      pairs.push([i++, j++]);
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Diff two texts line by line
+ * @param {string} original - Current file content
+ * @param {string} modified - Proposed file content
+ * @returns {Array<Object>} Hunks: { id, originalStart, originalLength, modifiedStart, removed, added }
+ *   (starts are 0-based line indexes; removed/added are the lines taken out and put in)
+ */
+export function diffLines(original = '', modified = '') {
+  const a = original.split('\n');
+  const b = modified.split('\n');
+
+  // Unchanged lines at both ends need no diffing
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const middleA = a.slice(prefix, a.length - suffix);
+  const middleB = b.slice(prefix, b.length - suffix);
+  // Sentinel match at the end closes the last hunk
+  const matches = [...commonLines(middleA, middleB), [middleA.length, middleB.length]];
+
+  const hunks = [];
+  let i = 0;
+  let j = 0;
+  for (const [matchA, matchB] of matches) {
+    if (matchA > i || matchB > j) {
+      hunks.push({
+        id: hunks.length,
+        originalStart: prefix + i,
+        originalLength: matchA - i,
+        modifiedStart: prefix + j,
+        removed: middleA.slice(i, matchA),
+        added: middleB.slice(j, matchB),
+      });
+    }
+    i = matchA + 1;
+    j = matchB + 1;
+  }
+  return hunks;
+}
+
+/**
+ * Rebuild the file with only some hunks applied
+ * @param {string} original - Current file content
+ * @param {Array<Object>} hunks - From diffLines(original, ...)
+ * @param {Set<number>|Array<number>} acceptedIds - IDs of the hunks to apply
+ * @returns {string} Merged content
+ */
+export function applyHunks(original = '', hunks = [], acceptedIds = []) {
+  const accepted = new Set(acceptedIds);
+  const lines = original.split('\n');
+  const merged = [];
+  let cursor = 0;
+
+  for (const hunk of hunks) {
+    merged.push(...lines.slice(cursor, hunk.originalStart));
+    merged.push(...(accepted.has(hunk.id) ? hunk.added : hunk.removed));
+    cursor = hunk.originalStart + hunk.originalLength;
+  }
+  merged.push(...lines.slice(cursor));
+  return merged.join('\n');
+}
+
+/**
+ * Short label for a hunk, e.g. "Lines 12-18: -3 +5" or "After line 40: -0 +2"
+ * @param {Object} hunk
+ * @returns {string}
+ */
+export function describeHunk(hunk) {
+  const first = hunk.originalStart + 1;
+  const last = hunk.originalStart + hunk.originalLength;
+  let lines = first === last ? `Line ${first}` : `Lines ${first}-${last}`;
+  if (hunk.originalLength === 0) lines = hunk.originalStart === 0 ? 'At the start' : `After line ${hunk.originalStart}`;
+  return `${lines}: -${hunk.removed.length} +${hunk.added.length}`;
+}
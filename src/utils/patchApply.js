@@ -0,0 +1,222 @@
+/**
+ * Patch Apply
+ * Applies the chatbot's structured edits (SEARCH/REPLACE blocks and unified diff hunks,
+ * both parsed into { file, search, replace, hint } by parseChatEditOutput) to the project files
+ * Models quote the current code imperfectly, so the search text is matched in three passes:
+ * exact lines, lines with indentation/trailing spaces ignored, then the most similar block of lines
+ */
+
+// Minimum average line similarity for a fuzzy match (0-1)
+const FUZZY_THRESHOLD = 0.8;
+
+/**
+ * Character bigrams of a line (whitespace-insensitive), for the Dice similarity
+ * @param {string} line
+ * @returns {Map<string, number>}
+ */
+function bigrams(line) {
+  const text = line.replace(/\s+/g, ' ').trim();
+  const grams = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const gram = text.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+/**
+ * Dice similarity of two lines from their bigrams
+ * @returns {number} 0-1
+ */
+function similarity(a, b, gramsA, gramsB) {
+  if (a.trim() === b.trim()) return 1;
+  let total = 0;
+  let shared = 0;
+  for (const [gram, count] of gramsA) {
+    total += count;
+    shared += Math.min(count, gramsB.get(gram) || 0);
+  }
+  for (const count of gramsB.values()) total += count;
+  return total === 0 ? 0 : (2 * shared) / total;
+}
+
+/**
+ * Line indexes where the search lines match, using a line comparison
+ * @returns {number[]} Start indexes
+ */
+function findMatches(lines, searchLines, equals) {
+  const starts = [];
+  for (let start = 0; start + searchLines.length <= lines.length; start++) {
+    if (searchLines.every((line, i) => equals(lines[start + i], line))) starts.push(start);
+  }
+  return starts;
+}
+
+// Pick the match nearest the hinted line; several matches without a hint are ambiguous
+function pickMatch(starts, hint) {
+  if (starts.length === 1) return starts[0];
+  if (starts.length > 1 && hint !== null) {
+    return starts.reduce((best, start) => (Math.abs(start - hint) < Math.abs(best - hint) ? start : best));
+  }
+  return null;
+}
+
+function trimBlankEdges(lines) {
+  let start = 0;
+  let end = lines.length;
+  while (start < end && !lines[start].trim()) start++;
+  while (end > start && !lines[end - 1].trim()) end--;
+  return lines.slice(start, end);
+}
+
+/**
+ * Locate the search lines in the file
+ * @param {string[]} lines - File lines
+ * @param {string[]} searchLines - Lines to find
+ * @param {number|null} hint - 0-based line the edit is expected near (unified diffs)
+ * @returns {Object} { start, length, method, similarity } or { error }
+ */
+function locate(lines, searchLines, hint) {
+  const exact = findMatches(lines, searchLines, (a, b) => a === b);
+  if (exact.length > 0) {
+    const start = pickMatch(exact, hint);
+    return start === null
+      ? { error: `matches ${exact.length} places - include more surrounding lines` }
+      : { start, length: searchLines.length, method: 'exact', similarity: 1 };
+  }
+
+  const trimmedSearch = trimBlankEdges(searchLines);
+  if (trimmedSearch.length === 0) return { error: 'the search text is blank' };
+
+  const loose = findMatches(lines, trimmedSearch, (a, b) => a.trim() === b.trim());
+  if (loose.length > 0) {
+    const start = pickMatch(loose, hint);
+    return start === null
+      ? { error: `matches ${loose.length} places - include more surrounding lines` }
+      : { start, length: trimmedSearch.length, method: 'whitespace', similarity: 1, searchLines: trimmedSearch };
+  }
+
+  // Most similar block of the same number of lines
+  const lineGrams = lines.map(bigrams);
+  const searchGrams = trimmedSearch.map(bigrams);
+  const scores = [];
+  for (let start = 0; start + trimmedSearch.length <= lines.length; start++) {
+    let score = 0;
+    for (let i = 0; i < trimmedSearch.length; i++) {
+      score += similarity(lines[start + i], trimmedSearch[i], lineGrams[start + i], searchGrams[i]);
+    }
+    scores.push(score / trimmedSearch.length);
+  }
+
+  // Best block (nearest the hint on a tie), and the best one that doesn't overlap it
+  let best = { score: 0, start: -1 };
+  scores.forEach((score, start) => {
+    const closer = hint !== null && Math.abs(start - hint) < Math.abs(best.start - hint);
+    if (score > best.score || (score === best.score && closer)) best = { score, start };
+  });
+  const runnerUp = Math.max(0, ...scores.filter((score, start) => Math.abs(start - best.start) >= trimmedSearch.length));
+
+  if (best.score < FUZZY_THRESHOLD) {
+    return { error: `not found (closest match is ${Math.round(best.score * 100)}% similar)` };
+  }
+  if (hint === null && best.score - runnerUp < 0.02) {
+    return { error: 'matches several places equally well - include more surrounding lines' };
+  }
+  return { start: best.start, length: trimmedSearch.length, method: 'fuzzy', similarity: best.score, searchLines: trimmedSearch };
+}
+
+/**
+ * Shift the replacement's indentation by the difference between the quoted and the real code
+ * @returns {string[]}
+ */
+function reindent(replaceLines, searchLines, matchedLines) {
+  const indent = (line) => line.match(/^\s*/)[0];
+  const quoted = searchLines.find(line => line.trim());
+  const actual = matchedLines.find(line => line.trim());
+  if (quoted === undefined || actual === undefined || indent(quoted) === indent(actual)) return replaceLines;
+
+  const from = indent(quoted);
+  const to = indent(actual);
+  return replaceLines.map(line => {
+    if (!line.trim()) return line;
+    if (line.startsWith(from)) return to + line.slice(from.length);
+    return line;
+  });
+}
+
+/**
+ * Apply one edit to a file's content
+ * @param {string} content - Current content ('' for a new file)
+ * @param {Object} edit - { search, replace, hint }
+ * @returns {Object} { content, method, similarity } or { error }
+ */
+export function applyEdit(content, { search = '', replace = '', hint = null }) {
+  // Empty search: create the file, or insert at the hinted line (append without a hint)
+  if (!search.trim()) {
+    if (!content) return { content: replace, method: 'create', similarity: 1 };
+    const lines = content.split('\n');
+    const at = hint === null ? lines.length : Math.min(Math.max(hint, 0), lines.length);
+    lines.splice(at, 0, ...replace.split('\n'));
+    return { content: lines.join('\n'), method: 'insert', similarity: 1 };
+  }
+
+  const lines = content.split('\n').map(line => line.replace(/\r$/, ''));
+  const searchLines = search.split('\n').map(line => line.replace(/\r$/, ''));
+  const match = locate(lines, searchLines, hint);
+  if (match.error) return { error: match.error };
+
+  const matchedLines = lines.slice(match.start, match.start + match.length);
+  const replaceLines = replace === '' ? [] : replace.split('\n');
+  const newLines = match.method === 'exact'
+    ? replaceLines
+    : reindent(replaceLines, match.searchLines || searchLines, matchedLines);
+
+  lines.splice(match.start, match.length, ...newLines);
+  return { content: lines.join('\n'), method: match.method, similarity: match.similarity };
+}
+
+/**
+ * Apply a list of edits to a set of files, in order (later edits see earlier ones)
+ * An edit that fails is skipped and reported; the others still apply
+ * @param {Object} files - { [fileName]: content } current files
+ * @param {Array} edits - [{ file, search, replace, hint, source: 'search-replace' | 'diff' }]
+ * @returns {Object} { files: { [fileName]: new content } (changed files only),
+ *   results: [{ file, index, ok, method, similarity, message }] }
+ */
+export function applyFileEdits(files, edits) {
+  const updated = {};
+  const results = [];
+  const counters = {};
+
+  for (const edit of edits) {
+    counters[edit.file] = (counters[edit.file] || 0) + 1;
+    const index = counters[edit.file];
+    const current = updated[edit.file] ?? files[edit.file] ?? '';
+    const outcome = applyEdit(current, edit);
+    const firstLine = (edit.search.split('\n').find(line => line.trim()) || '').trim().slice(0, 60);
+
+    if (outcome.error) {
+      results.push({
+        file: edit.file,
+        index,
+        ok: false,
+        message: `Edit ${index} could not be applied: ${firstLine ? `"${firstLine}" ` : ''}${outcome.error}`,
+      });
+      continue;
+    }
+
+    updated[edit.file] = outcome.content;
+    results.push({
+      file: edit.file,
+      index,
+      ok: true,
+      method: outcome.method,
+      similarity: outcome.similarity,
+      message: outcome.method === 'fuzzy'
+        ? `Edit ${index} was applied to the closest matching code (${Math.round(outcome.similarity * 100)}% similar) - check it in the review`
+        : `Edit ${index} applied (${outcome.method})`,
+    });
+  }
+
+  return { files: updated, results };
+}
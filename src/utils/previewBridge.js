@@ -0,0 +1,278 @@
+/**
+ * Preview Bridge
+ * Runs page scripts in the live preview without giving them access to the app
+ * - Scripted previews get sandbox="allow-scripts ..." and never allow-same-origin, so the page
+ *   cannot reach the app's DOM, storage or IndexedDB
+ * - A small bridge script inside the iframe forwards console output, uncaught errors and page
+ *   link clicks to the app with postMessage, applies theme token previews sent back and runs
+ *   the element picker when the app asks for it
+ * - Project script files are inlined with a //# sourceURL so stack traces point at project paths
+ */
+
+import { isReactPreviewDocument } from './reactPreview';
+import { startElementPicker } from './elementPicker';
+
+export const PREVIEW_MESSAGE_SOURCE = 'dsy-preview';
+export const PREVIEW_SCRIPT_SANDBOX = 'allow-scripts allow-forms allow-modals';
+
+const BRIDGE_MARKER = '<meta name="dsy-preview-bridge" content="1">';
+const BRIDGE_SOURCE_URL = 'dsy-preview-bridge.js';
+const SCRIPT_TYPES = ['module', 'text/javascript', 'application/javascript'];
+
+/**
+ * Keep inline code from closing its <script> tag early
+ * @param {string} code - Inline source
+ * @returns {string} Escaped source
+ */
+function escapeInlineScript(code) {
+  return code.replace(/<\/script/gi, '<\\/script');
+}
+
+/**
+ * Resolve a script src against the page that references it
+ * @param {string} pageDir - Directory of the page ('' for the project root, 'blog/' ...)
+ * @param {string} src - src attribute (e.g. "script.js", "../js/app.js?v=2", "/main.js")
+ * @returns {string} Project path without a leading slash
+ */
+function resolveScriptPath(pageDir, src) {
+  const clean = src.split(/[?#]/)[0];
+  const parts = [];
+  const full = clean.startsWith('/') ? clean : `${pageDir}${clean}`;
+  for (const part of full.split('/')) {
+    if (!part || part === '.') continue;
+    if (part === '..') parts.pop();
+    else parts.push(part);
+  }
+  return parts.join('/');
+}
+
+/**
+ * Bridge that runs first inside a scripted preview iframe
+ * Serialized with toString(), so it must not reference anything outside itself
+ * @param {string} source - Message source tag (PREVIEW_MESSAGE_SOURCE)
+ * @param {Function} startPicker - startElementPicker, serialized alongside
+ */
+function previewBridge(source, startPicker) {
+  var MAX_MESSAGE_LENGTH = 5000;
+  var stopPicking = null;
+
+  function post(message) {
+    message.source = source;
+    try {
+      window.parent.postMessage(message, '*');
+    } catch {
+      // The app is gone (e.g. the preview was opened on its own)
+    }
+  }
+
+  function describe(value) {
+    if (typeof value === 'string') return value;
+    if (value === undefined) return 'undefined';
+    if (value instanceof Error) return value.stack || value.name + ': ' + value.message;
+    if (typeof value === 'function') return 'ƒ ' + (value.name || 'anonymous') + '()';
+    if (value && value.nodeType === 1) {
+      var classes = typeof value.className === 'string' && value.className.trim()
+        ? '.' + value.className.trim().split(/\s+/).join('.')
+        : '';
+      return '<' + value.tagName.toLowerCase() + (value.id ? '#' + value.id : '') + classes + '>';
+    }
+    try {
+      var json = JSON.stringify(value, null, 2);
+      return json === undefined ? String(value) : json;
+    } catch {
+      return String(value);
+    }
+  }
+
+  post({ type: 'reset' });
+
+  ['log', 'info', 'warn', 'error', 'debug'].forEach(function (level) {
+    var original = console[level];
+    console[level] = function () {
+      var message = Array.prototype.map.call(arguments, describe).join(' ');
+      post({
+        type: 'console',
+        level: level,
+        message: message.slice(0, MAX_MESSAGE_LENGTH),
+        stack: new Error().stack || '',
+      });
+      return original.apply(console, arguments);
+    };
+  });
+
+  window.addEventListener('error', function (event) {
+    post({
+      type: 'console',
+      level: 'error',
+      message: String(event.message || describe(event.error)).slice(0, MAX_MESSAGE_LENGTH),
+      stack: (event.error && event.error.stack) || '',
+      filename: event.filename || '',
+      lineno: event.lineno || 0,
+      colno: event.colno || 0,
+    });
+  });
+
+  window.addEventListener('unhandledrejection', function (event) {
+    var reason = event.reason;
+    post({
+      type: 'console',
+      level: 'error',
+      message: ('Uncaught (in promise) ' + describe(reason).split('\n')[0]).slice(0, MAX_MESSAGE_LENGTH),
+      stack: (reason && reason.stack) || '',
+    });
+  });
+
+  // Links between pages can't navigate inside srcdoc - let the app switch pages instead
+  document.addEventListener('click', function (event) {
+    var link = event.target.closest && event.target.closest('a[href]');
+    if (!link || event.defaultPrevented) return;
+    var href = link.getAttribute('href');
+    if (/^(https?:|mailto:|tel:|#|javascript:)/i.test(href)) return;
+    event.preventDefault();
+    post({ type: 'navigate', href: href });
+  });
+
+  // Theme token previews and the element picker, from the app (the parent can't reach this document directly)
+  window.addEventListener('message', function (event) {
+    var data = event.data;
+    if (event.source !== window.parent || !data || data.source !== source) return;
+    if (data.type === 'set-properties') {
+      Object.keys(data.properties || {}).forEach(function (name) {
+        document.documentElement.style.setProperty(name, data.properties[name]);
+      });
+    }
+    if (data.type === 'pick-start' && !stopPicking) {
+      stopPicking = startPicker(document, function (selection) {
+        stopPicking = null;
+        post({ type: 'picked', selection: selection });
+      });
+    }
+    if (data.type === 'pick-stop' && stopPicking) {
+      stopPicking();
+      stopPicking = null;
+    }
+  });
+}
+
+/**
+ * Add the bridge script to a preview document (at the start of <head>, before any page script)
+ * @param {string} doc - Complete preview document
+ * @returns {string} Document with the bridge
+ */
+export function withPreviewBridge(doc) {
+  if (!doc || hasPreviewBridge(doc)) return doc;
+  const bridge = `${BRIDGE_MARKER}
+<script>(${escapeInlineScript(previewBridge.toString())})(${JSON.stringify(PREVIEW_MESSAGE_SOURCE)}, ${escapeInlineScript(startElementPicker.toString())});
+//# sourceURL=${BRIDGE_SOURCE_URL}</script>`;
+
+  return /<head(?:\s[^>]*)?>/i.test(doc)
+    ? doc.replace(/<head(?:\s[^>]*)?>/i, match => `${match}\n${bridge}`)
+    : `${bridge}\n${doc}`;
+}
+
+/**
+ * Check if a preview document runs scripts through the bridge
+ * @param {string} doc - Preview document
+ * @returns {boolean}
+ */
+export function hasPreviewBridge(doc) {
+  return Boolean(doc) && doc.includes(BRIDGE_MARKER);
+}
+
+/**
+ * Sandbox for a preview iframe: scripted documents get scripts (never with allow-same-origin),
+ * plain HTML/CSS previews get allow-same-origin only so the app can reach their DOM
+ * @param {string} doc - Preview document
+ * @returns {string} sandbox attribute value
+ */
+export function getPreviewSandbox(doc) {
+  if (hasPreviewBridge(doc)) return PREVIEW_SCRIPT_SANDBOX;
+  return isReactPreviewDocument(doc) ? 'allow-scripts' : 'allow-same-origin';
+}
+
+/**
+ * Make a page's scripts runnable inside srcdoc and traceable to project files
+ * - <script src="script.js"> pointing at a project file becomes a data: URL (defer/async/module keep working)
+ * - Inline <script> blocks get a sourceURL carrying the page path and the line they start on
+ * @param {string} html - Page source
+ * @param {string} pagePath - Page path (e.g. 'index.html', 'blog/post.html')
+ * @param {Array} files - Project files ({ path, content })
+ * @returns {string} Page source with traceable scripts
+ */
+export function inlinePageScripts(html, pagePath, files) {
+  const byPath = new Map(files.map(f => [f.path.replace(/^\//, ''), f]));
+  const pageDir = pagePath.includes('/') ? pagePath.slice(0, pagePath.lastIndexOf('/') + 1) : '';
+
+  return html.replace(/<script\b([^>]*)>([\s\S]*?)<\/script>/gi, (tag, attrs, body, offset) => {
+    const type = attrs.match(/\btype\s*=\s*["']?([^"'\s>]+)/i)?.[1]?.toLowerCase();
+    if (type && !SCRIPT_TYPES.includes(type)) return tag;
+
+    const src = attrs.match(/\bsrc\s*=\s*["']([^"']+)["']/i)?.[1];
+    if (src) {
+      if (/^(?:[a-z]+:)?\/\//i.test(src) || /^(?:data|blob):/i.test(src)) return tag;
+      const path = resolveScriptPath(pageDir, src);
+      const file = byPath.get(path);
+      if (!file) return tag;
+      const code = `${file.content || ''}\n//# sourceURL=${path}`;
+      const dataUrl = `data:text/javascript;charset=utf-8,${encodeURIComponent(code)}`;
+      return `<script${attrs.replace(/\bsrc\s*=\s*["'][^"']+["']/i, `src="${dataUrl}"`)}></script>`;
+    }
+
+    if (!body.trim()) return tag;
+    const startLine = html.slice(0, offset + tag.indexOf('>') + 1).split('\n').length - 1;
+    return `<script${attrs}>${body}\n//# sourceURL=${pagePath}#L${startLine}</script>`;
+  });
+}
+
+/**
+ * Find the project file and line a console message or error came from
+ * Uses the first stack frame (or error location) that points at a project file
+ * @param {Object} entry - Console entry ({ stack, filename, lineno, colno })
+ * @param {Array<string>} paths - Project file paths (without a leading slash)
+ * @returns {{path: string, line: number, column: number}|null}
+ */
+export function locatePreviewMessage(entry, paths) {
+  const known = new Set(paths);
+  const frames = [];
+
+  for (const line of (entry.stack || '').split('\n')) {
+    const match = line.match(/([^\s()@]+):(\d+):(\d+)\)?\s*$/);
+    if (match) frames.push({ url: match[1], line: Number(match[2]), column: Number(match[3]) });
+  }
+  if (entry.filename) {
+    frames.push({ url: entry.filename, line: entry.lineno, column: entry.colno });
+  }
+
+  for (const frame of frames) {
+    const [, path, lineOffset] = frame.url.replace(/^\//, '').match(/^(.*?)(?:#L(\d+))?$/);
+    if (known.has(path)) {
+      return { path, line: frame.line + Number(lineOffset || 0), column: frame.column || 1 };
+    }
+  }
+  return null;
+}
+
+/**
+ * Listen to bridge messages from one preview iframe
+ * @param {Function} getFrameWindow - () => the iframe's contentWindow (messages from other frames are ignored)
+ * @param {Object} handlers - { reset, console, navigate, picked } keyed by message type
+ * @returns {Function} Unsubscribe
+ */
+export function listenToPreview(getFrameWindow, handlers) {
+  const onMessage = (event) => {
+    const data = event.data;
+    if (!data || data.source !== PREVIEW_MESSAGE_SOURCE || event.source !== getFrameWindow()) return;
+    handlers[data.type]?.(data);
+  };
+  window.addEventListener('message', onMessage);
+  return () => window.removeEventListener('message', onMessage);
+}
+
+/**
+ * Send a message to a scripted preview's bridge
+ * @param {Window|null} frameWindow - The iframe's contentWindow
+ * @param {Object} message - { type, ... }
+ */
+export function sendToPreview(frameWindow, message) {
+  frameWindow?.postMessage({ ...message, source: PREVIEW_MESSAGE_SOURCE }, '*');
+}
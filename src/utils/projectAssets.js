@@ -0,0 +1,86 @@
+/**
+ * Project Assets
+ * Uploaded images written into the project as real files (assets/logo.png, ...)
+ * Image files hold their data URL as content: the preview resolves references to them,
+ * the generator is told which ones exist and the ZIP export writes them as binaries
+ */
+
+import { getEmbeddedImages } from './assetRoles';
+
+const IMAGE_FILE_PATTERN = /\.(png|jpe?g|gif|webp|avif|svg|ico)$/i;
+
+/**
+ * Whether a project file is an image (stored as a data URL instead of source code)
+ * @param {Object} file - Project file
+ * @returns {boolean}
+ */
+export function isImageFile(file) {
+  return file?.language === 'image' || IMAGE_FILE_PATTERN.test(file?.name || '');
+}
+
+/**
+ * Images the pages can reference by a relative path
+ * Image files in the project come first; uploaded logos and photos that haven't been
+ * written into the project yet are included under the path they will be written to
+ * @param {Array} files - Flattened project files
+ * @param {Array} assets - All uploaded assets
+ * @returns {Array<{path: string, data: string, name: string, inProject: boolean}>}
+ */
+export function getLocalImages(files = [], assets = []) {
+  const images = files
+    .filter(f => isImageFile(f) && f.content?.startsWith('data:'))
+    .map(f => {
+      const path = (f.path || f.name).replace(/^\//, '');
+      return { path, data: f.content, name: path.split('/').pop(), inProject: true };
+    });
+
+  for (const { asset, path } of getEmbeddedImages(assets)) {
+    if (!images.some(image => image.path === path)) {
+      images.push({ path, data: asset.data, name: asset.name || path, inProject: false });
+    }
+  }
+  return images;
+}
+
+/**
+ * Tell the model which local images exist and how to reference them
+ * @param {Array} images - From getLocalImages
+ * @returns {string} Prompt section ('' when there are none)
+ */
+export function describeLocalImages(images = []) {
+  if (images.length === 0) return '';
+  return `LOCAL IMAGES (files shipped with the project):
+${images.map(image => `- ${image.path}${image.name && image.name !== image.path.split('/').pop() ? ` (uploaded as "${image.name}")` : ''}`).join('\n')}
+- Use these files wherever they fit instead of stock photo URLs
+- Reference them by their relative path as written above: <img src="assets/..."> or url('assets/...')
+- Never import them as modules and never inline them as data URLs`;
+}
+
+/**
+ * Point references to local images (assets/logo.png, ./assets/logo.png, ../assets/logo.png)
+ * at their data URLs - used for the live preview, where the files don't exist on disk
+ * @param {string} code - HTML, CSS or a compiled preview document
+ * @param {Array} images - From getLocalImages
+ * @returns {string} Code with the references replaced by data URLs
+ */
+export function resolveAssetPaths(code, images = []) {
+  if (!code) return code;
+  let resolved = code;
+  for (const { path, data } of images) {
+    const escaped = path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    resolved = resolved.replace(new RegExp(`(["'(])(?:\\.{1,2}/|/)*${escaped}(?=["')])`, 'g'), (match, opening) => opening + data);
+  }
+  return resolved;
+}
+
+/**
+ * Decode an image data URL for the ZIP export
+ * @param {string} dataUrl
+ * @returns {{content: string, base64: boolean}} JSZip file content and options
+ */
+export function decodeDataUrl(dataUrl = '') {
+  const [header, body = ''] = dataUrl.split(',');
+  return header.endsWith(';base64')
+    ? { content: body, base64: true }
+    : { content: decodeURIComponent(body), base64: false };
+}
@@ -0,0 +1,140 @@
+/**
+ * Project Scaffold
+ * Build tooling files for Vue/Svelte ZIP exports, so `npm install && npm run dev` works out of the box
+ * Generated components go under src/; the scaffold adds package.json, vite.config.js, index.html and src/main.js
+ */
+
+const SCAFFOLDS = {
+  vue: {
+    label: 'Vue 3',
+    entry: 'App.vue',
+    dependencies: { vue: '^3.5.13' },
+    devDependencies: { '@vitejs/plugin-vue': '^5.2.1', vite: '^6.0.7' },
+    viteConfig: `import { defineConfig } from 'vite';
+import vue from '@vitejs/plugin-vue';
+
+export default defineConfig({
+  plugins: [vue()],
+});
+`,
+    main: (cssImports) => `import { createApp } from 'vue';
+${cssImports}import App from './App.vue';
+
+createApp(App).mount('#app');
+`,
+  },
+  svelte: {
+    label: 'Svelte',
+    entry: 'App.svelte',
+    dependencies: {},
+    devDependencies: { '@sveltejs/vite-plugin-svelte': '^5.0.3', svelte: '^5.16.0', vite: '^6.0.7' },
+    viteConfig: `import { defineConfig } from 'vite';
+import { svelte } from '@sveltejs/vite-plugin-svelte';
+
+export default defineConfig({
+  plugins: [svelte()],
+});
+`,
+    main: (cssImports) => `import { mount } from 'svelte';
+${cssImports}import App from './App.svelte';
+
+mount(App, { target: document.getElementById('app') });
+`,
+  },
+};
+
+/**
+ * Check if a framework has a ZIP scaffold
+ * @param {string} framework - Project framework
+ * @returns {boolean}
+ */
+export function hasProjectScaffold(framework) {
+  return Boolean(SCAFFOLDS[framework]);
+}
+
+/**
+ * Turn a project title into an npm package name
+ * @param {string} title - Project title
+ * @returns {string} Package name
+ */
+function toPackageName(title) {
+  return (title || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'dsy-project';
+}
+
+/**
+ * Build the files for a Vue or Svelte project ZIP
+ * @param {string} framework - 'vue' or 'svelte'
+ * @param {Array} files - Generated files: [{ name, content }] (paths relative to src/)
+ * @param {string} title - Project title
+ * @returns {Array} Files to zip: [{ path, content }] (paths relative to the project root)
+ */
+export function buildProjectScaffold(framework, files, title) {
+  const scaffold = SCAFFOLDS[framework];
+  const sourceFiles = files.map(file => ({
+    path: `src/${file.name.replace(/^\.?\//, '').replace(/^src\//, '')}`,
+    content: file.content || '',
+  }));
+  const hasFile = (path) => sourceFiles.some(file => file.path === path);
+
+  // Global stylesheets at the src/ root are imported once from main.js
+  const cssImports = sourceFiles
+    .filter(file => /^src\/[^/]+\.css$/.test(file.path))
+    .map(file => `import './${file.path.slice(4)}';\n`)
+    .join('');
+
+  const packageJson = {
+    name: toPackageName(title),
+    private: true,
+    version: '0.0.0',
+    type: 'module',
+    scripts: {
+      dev: 'vite',
+      build: 'vite build',
+      preview: 'vite preview',
+    },
+    dependencies: scaffold.dependencies,
+    devDependencies: scaffold.devDependencies,
+  };
+
+  const scaffoldFiles = [
+    { path: 'package.json', content: `${JSON.stringify(packageJson, null, 2)}\n` },
+    { path: 'vite.config.js', content: scaffold.viteConfig },
+    {
+      path: 'index.html',
+      content: `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${(title || scaffold.label).replace(/</g, '&lt;')}</title>
+  <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap" rel="stylesheet">
+</head>
+<body>
+  <div id="app"></div>
+  <script type="module" src="/src/main.js"></script>
+</body>
+</html>
+`,
+    },
+  ];
+
+  // Keep a main.js the model wrote itself
+  if (!hasFile('src/main.js')) {
+    scaffoldFiles.push({ path: 'src/main.js', content: scaffold.main(cssImports) });
+  }
+
+  return [...scaffoldFiles, ...sourceFiles];
+}
+
+/**
+ * README instructions for a scaffolded project
+ * @param {string} framework - 'vue' or 'svelte'
+ * @returns {string} Markdown "How to use" steps
+ */
+export function getScaffoldInstructions(framework) {
+  const { label, entry } = SCAFFOLDS[framework];
+  return `1. Install Node.js 18 or newer
+2. Run \`npm install\`
+3. Run \`npm run dev\` and open the URL it prints
+4. Edit src/${entry} and the files in src/components (${label} reloads automatically)`;
+}
@@ -0,0 +1,226 @@
+/**
+ * React Preview Builder
+ * Turns generated React/TypeScript files into a self-contained HTML document - no bundler
+ * - TSX/JSX is transpiled in the browser with sucrase (loaded on demand)
+ * - A tiny CommonJS loader inside the iframe resolves relative imports (./components/Header)
+ * - React comes from the vendored runtime (/vendor/react-runtime.js, see plugins/reactRuntimePlugin.js)
+ * - CSS files are injected as <style> tags; CSS imports become no-ops
+ */
+
+const PREVIEW_MARKER = '<meta name="dsy-preview" content="react">';
+const RUNTIME_URL = `${import.meta.env.BASE_URL}vendor/react-runtime.js`;
+const SCRIPT_EXTENSIONS = /\.(tsx|ts|jsx|js)$/;
+
+// Cached vendored React runtime (fetched once per page load)
+let runtimePromise = null;
+
+/**
+ * Check if a preview document is a React preview (needs scripts enabled in the iframe)
+ * @param {string} code - Preview document
+ * @returns {boolean}
+ */
+export function isReactPreviewDocument(code) {
+  return Boolean(code) && code.includes(PREVIEW_MARKER);
+}
+
+/**
+ * Load the vendored React runtime script text
+ * @returns {Promise<string>} Runtime source
+ */
+function loadReactRuntime() {
+  if (!runtimePromise) {
+    runtimePromise = fetch(RUNTIME_URL)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Failed to load React runtime (${response.status})`);
+        }
+        return response.text();
+      })
+      .catch(error => {
+        runtimePromise = null;
+        throw error;
+      });
+  }
+  return runtimePromise;
+}
+
+/**
+ * Keep inline code from closing its <script>/<style> tag early
+ * @param {string} code - Inline source
+ * @param {string} tag - 'script' or 'style'
+ * @returns {string} Escaped source
+ */
+function escapeInline(code, tag) {
+  return code.replace(new RegExp(`</${tag}`, 'gi'), `<\\/${tag}`);
+}
+
+/**
+ * Pick the component to render: App.tsx (or .jsx/.ts/.js), at the root or in src/
+ * @param {Array<string>} paths - Script module paths
+ * @returns {string|null} Entry module path
+ */
+function findEntry(paths) {
+  const candidates = ['App.tsx', 'App.jsx', 'App.ts', 'App.js'];
+  for (const name of candidates) {
+    const match = paths.find(p => p === name) ||
+      paths.find(p => p === `src/${name}`) ||
+      paths.find(p => p.endsWith(`/${name}`));
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * Module loader + bootstrap that runs inside the preview iframe
+ * Serialized with toString(), so it must not reference anything outside itself
+ * @param {Object} modules - path -> function (module, exports, require)
+ * @param {string} entry - Entry module path
+ */
+function previewRuntime(modules, entry) {
+  var packages = window.__DSY_REACT__ || {};
+  var cache = {};
+  var extensions = ['', '.tsx', '.ts', '.jsx', '.js', '/index.tsx', '/index.ts', '/index.jsx', '/index.js'];
+
+  function showError(error) {
+    var overlay = document.getElementById('dsy-preview-error') || document.createElement('pre');
+    overlay.id = 'dsy-preview-error';
+    overlay.style.cssText = 'position:fixed;inset:0;margin:0;padding:24px;background:#1a0f14;color:#fca5a5;' +
+      'font:12px/1.6 monospace;white-space:pre-wrap;overflow:auto;z-index:2147483647';
+    overlay.textContent = 'React preview error\n\n' + (error && error.stack ? error.stack : String(error));
+    document.body.appendChild(overlay);
+  }
+
+  function normalize(path) {
+    var parts = [];
+    path.split('/').forEach(function (part) {
+      if (!part || part === '.') return;
+      if (part === '..') parts.pop();
+      else parts.push(part);
+    });
+    return parts.join('/');
+  }
+
+  function resolve(from, request) {
+    var base = request.charAt(0) === '/' ? '' : from.split('/').slice(0, -1).join('/');
+    var target = normalize(base + '/' + request);
+    for (var i = 0; i < extensions.length; i++) {
+      if (modules[target + extensions[i]]) return target + extensions[i];
+    }
+    return null;
+  }
+
+  function load(path) {
+    if (cache[path]) return cache[path].exports;
+    var module = { exports: {} };
+    cache[path] = module;
+    modules[path](module, module.exports, makeRequire(path));
+    return module.exports;
+  }
+
+  function makeRequire(from) {
+    return function (request) {
+      if (/\.(css|scss|sass|less)$/.test(request)) return {}; // Styles are already injected
+      if (request.charAt(0) !== '.' && request.charAt(0) !== '/') {
+        if (packages[request]) return packages[request];
+        throw new Error('Package "' + request + '" (imported by ' + from + ') is not available in the preview. ' +
+          'Only react and react-dom can be used.');
+      }
+      var resolved = resolve(from, request);
+      if (!resolved) {
+        throw new Error('Cannot find module "' + request + '" imported by ' + from);
+      }
+      return load(resolved);
+    };
+  }
+
+  window.addEventListener('error', function (event) {
+    showError(event.error || event.message);
+  });
+
+  try {
+    if (!packages.react) {
+      throw new Error('React runtime failed to load');
+    }
+    var exported = load(entry);
+    var App = exported.default || exported.App;
+    if (typeof App !== 'function') {
+      throw new Error(entry + ' has no default export component');
+    }
+    packages['react-dom/client']
+      .createRoot(document.getElementById('root'))
+      .render(packages.react.createElement(App));
+  } catch (error) {
+    showError(error);
+  }
+}
+
+/**
+ * Transpile one file to a CommonJS module function (syntax errors become runtime errors)
+ * @param {Function} transform - sucrase transform
+ * @param {Object} file - { name, content }
+ * @returns {string} Module function source
+ */
+function compileModule(transform, file) {
+  let body;
+  try {
+    body = transform(file.content || '', {
+      transforms: ['typescript', 'jsx', 'imports'],
+      jsxRuntime: 'automatic',
+      production: true,
+      filePath: file.name,
+    }).code;
+  } catch (error) {
+    body = `throw new SyntaxError(${JSON.stringify(`${file.name}: ${error.message}`)});`;
+  }
+  return `${JSON.stringify(file.name)}: function (module, exports, require) {\n${body}\n}`;
+}
+
+/**
+ * Build a self-contained preview document for a React project
+ * @param {Array} files - [{ name, content }] as returned by parseReactOutput (paths relative to the project root)
+ * @returns {Promise<string>} Complete HTML document
+ */
+export async function buildReactPreview(files) {
+  const normalized = files
+    .filter(f => f?.name)
+    .map(f => ({ ...f, name: f.name.replace(/^\.?\//, '') }));
+
+  const scripts = normalized.filter(f => SCRIPT_EXTENSIONS.test(f.name) && !f.name.endsWith('.d.ts'));
+  const styles = normalized.filter(f => f.name.endsWith('.css'));
+  const entry = findEntry(scripts.map(f => f.name));
+
+  if (!entry) {
+    throw new Error('No App component found (expected App.tsx)');
+  }
+
+  const [{ transform }, runtime] = await Promise.all([import('sucrase'), loadReactRuntime()]);
+  const modules = scripts.map(file => compileModule(transform, file)).join(',\n');
+  const styleTags = styles
+    .map(file => `<style data-file="${file.name}">\n${escapeInline(file.content || '', 'style')}\n</style>`)
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  ${PREVIEW_MARKER}
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>DSY Core React Preview</title>
+  <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap" rel="stylesheet">
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: 'Inter', sans-serif; }
+  </style>
+  ${styleTags}
+</head>
+<body>
+  <div id="root"></div>
+  <script>${escapeInline(runtime, 'script')}</script>
+  <script>
+(${escapeInline(previewRuntime.toString(), 'script')})({
+${escapeInline(modules, 'script')}
+}, ${JSON.stringify(entry)});
+  </script>
+</body>
+</html>`;
+}
@@ -0,0 +1,59 @@
+/**
+ * Server-Sent Events Helpers
+ * Shared reader for streaming AI responses (Gemini alt=sse and OpenAI-style stream: true)
+ */
+
+/**
+ * Read an SSE response body and call onData with each parsed `data:` payload
+ * Buffers partial lines so JSON split across network chunks is not lost
+ * @param {Response} response - Fetch response with a streaming body
+ * @param {Function} onData - Called with each parsed JSON payload
+ * @returns {Promise<void>} Resolves when the stream ends, rejects when reading or onData fails
+ */
+export async function readSSEStream(response, onData) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const handleLine = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) return;
+
+    const payload = trimmed.slice(5).trim();
+    if (!payload || payload === '[DONE]') return;
+
+    let data;
+    try {
+      data = JSON.parse(payload);
+    } catch {
+      // Skip invalid JSON lines
+      return;
+    }
+    // Outside the try: errors thrown by the callback must reach the caller
+    onData(data);
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        handleLine(line);
+      }
+    }
+  } catch (error) {
+    // Stop the download when a callback fails
+    reader.cancel().catch(() => {});
+    throw error;
+  }
+
+  buffer += decoder.decode();
+  if (buffer) {
+    handleLine(buffer);
+  }
+}
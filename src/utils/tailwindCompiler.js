@@ -0,0 +1,97 @@
+/**
+ * Tailwind Compiler
+ * Compiles a Tailwind input stylesheet (styles.css starting with @import "tailwindcss")
+ * into plain CSS for just the utility classes used in the project's HTML
+ * - Runs Tailwind v4's compile() in the browser (loaded on demand, same package the app builds with)
+ * - Candidates come from class attributes, so the output only contains rules that are in use
+ */
+
+export const TAILWIND_IMPORT = '@import "tailwindcss";';
+
+const TAILWIND_IMPORT_PATTERN = /@import\s+(?:url\()?["']tailwindcss["']\)?\s*;?/;
+
+// Compiled design systems keyed by input stylesheet (theme edits recompile, class edits reuse)
+const compilerCache = new Map();
+const MAX_CACHED_COMPILERS = 4;
+
+/**
+ * Check if a stylesheet is a Tailwind input file
+ * @param {string} css - Stylesheet source
+ * @returns {boolean}
+ */
+export function isTailwindSource(css) {
+  return Boolean(css) && TAILWIND_IMPORT_PATTERN.test(css);
+}
+
+/**
+ * Make sure a Tailwind input file starts with the tailwindcss import
+ * @param {string} css - Stylesheet source (theme tokens / custom rules)
+ * @returns {string} Tailwind input stylesheet
+ */
+export function ensureTailwindImport(css) {
+  if (isTailwindSource(css)) return css;
+  return css ? `${TAILWIND_IMPORT}\n\n${css}` : TAILWIND_IMPORT;
+}
+
+/**
+ * Collect candidate utility classes from HTML class attributes
+ * @param {Array<string>} htmlDocuments - Page sources
+ * @returns {Array<string>} Unique class names
+ */
+export function extractClassCandidates(htmlDocuments) {
+  const candidates = new Set();
+  const classAttribute = /\sclass\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+
+  for (const html of htmlDocuments) {
+    let match;
+    while ((match = classAttribute.exec(html || '')) !== null) {
+      (match[1] ?? match[2]).split(/\s+/).filter(Boolean).forEach(name => candidates.add(name));
+    }
+  }
+
+  return [...candidates];
+}
+
+/**
+ * Load (or reuse) a Tailwind compiler for an input stylesheet
+ * @param {string} source - Tailwind input stylesheet
+ * @returns {Promise<Object>} Compiler with build(candidates)
+ */
+async function getCompiler(source) {
+  if (compilerCache.has(source)) return compilerCache.get(source);
+
+  const compilerPromise = Promise.all([
+    import('tailwindcss'),
+    import('tailwindcss/index.css?raw'),
+  ]).then(([{ compile }, { default: tailwindCss }]) => compile(source, {
+    base: '/',
+    // Only the bundled tailwindcss stylesheet can be imported - there is no file system here
+    loadStylesheet: async (id, base) => {
+      if (id !== 'tailwindcss') {
+        throw new Error(`Cannot import "${id}" in a Tailwind preview (only "tailwindcss" is available)`);
+      }
+      return { path: 'tailwindcss/index.css', base, content: tailwindCss };
+    },
+    loadModule: async (id) => {
+      throw new Error(`Tailwind plugins and configs are not supported in the preview ("${id}")`);
+    },
+  }));
+
+  compilerCache.set(source, compilerPromise);
+  compilerPromise.catch(() => compilerCache.delete(source));
+  if (compilerCache.size > MAX_CACHED_COMPILERS) {
+    compilerCache.delete(compilerCache.keys().next().value);
+  }
+  return compilerPromise;
+}
+
+/**
+ * Compile a Tailwind input stylesheet for the classes used in the given pages
+ * @param {string} source - Tailwind input stylesheet (styles.css)
+ * @param {Array<string>} htmlDocuments - Page sources to scan for classes
+ * @returns {Promise<string>} Compiled CSS
+ */
+export async function compileTailwindCss(source, htmlDocuments) {
+  const compiler = await getCompiler(ensureTailwindImport(source));
+  return compiler.build(extractClassCandidates(htmlDocuments));
+}
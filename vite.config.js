@@ -1,8 +1,10 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { mockAiPlugin } from './mock/mockAiMiddleware.js'
+import { reactRuntimePlugin } from './plugins/reactRuntimePlugin.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [react(), tailwindcss(), mockAiPlugin(), reactRuntimePlugin()],
 })